@@ -0,0 +1,314 @@
+/**
+ * Atmospheric Stability Indices
+ * Haines Index (Haines 1988) and Hot-Dry-Windy Index (Srock et al. 2018)
+ * from an upper-air sounding
+ */
+
+// Haines Index variants: pressure levels (hPa) for the stability and moisture
+// terms, and the lower bounds of the 2 and 3 scores for each term (°C)
+const HAINES_VARIANTS = {
+  low: { name: 'Low elevation', stability: [950, 850], moisture: 850, stabilityBreaks: [4, 8], moistureBreaks: [6, 10] },
+  mid: { name: 'Mid elevation', stability: [850, 700], moisture: 850, stabilityBreaks: [6, 11], moistureBreaks: [6, 13] },
+  high: { name: 'High elevation', stability: [700, 500], moisture: 700, stabilityBreaks: [18, 22], moistureBreaks: [15, 21] }
+};
+
+const HAINES_CATEGORIES = [
+  { min: 2, category: 'Very Low', interpretation: 'Very low potential for large plume-dominated fire growth' },
+  { min: 4, category: 'Low', interpretation: 'Low potential for large plume-dominated fire growth' },
+  { min: 5, category: 'Moderate', interpretation: 'Moderate potential for large plume-dominated fire growth' },
+  { min: 6, category: 'High', interpretation: 'High potential for large plume-dominated fire growth; expect erratic behavior if a fire is established' }
+];
+
+// HDW has no national categories; these breaks are general guidance and a
+// local climatology (percentiles for the site and season) should be preferred
+const HDW_CATEGORIES = [
+  { min: 0, category: 'Low', interpretation: 'Near-surface air is not unusually hot, dry and windy' },
+  { min: 50, category: 'Moderate', interpretation: 'Atmosphere supports active fire behavior where fuels are dry' },
+  { min: 150, category: 'High', interpretation: 'Hot, dry, windy near-surface air; expect rapid fire growth' },
+  { min: 300, category: 'Extreme', interpretation: 'Near-surface conditions comparable to historic fast-moving fire days' }
+];
+
+// Station elevation (ft) above which the mid and high Haines variants apply
+const HAINES_ELEVATION_BREAKS = { mid: 1000, high: 3000 };
+
+const WIND_TO_MS = { kt: 0.514444, 'm/s': 1, mph: 0.44704, 'km/h': 1 / 3.6 };
+
+const GAS_CONSTANT_DRY_AIR = 287.05;   // J/(kg K)
+const GRAVITY = 9.80665;               // m/s^2
+
+/**
+ * Saturation vapor pressure over water (Bolton 1980)
+ * @param {number} tempC - Temperature (°C)
+ * @returns {number} hPa
+ */
+function boltonVaporPressure(tempC) {
+  return 6.112 * Math.exp(17.67 * tempC / (tempC + 243.5));
+}
+
+/**
+ * Parse a JSON sounding. Accepts a JSON string or object, either an array of
+ * levels or { levels, windUnits }. Levels are { pressure: hPa, height: m,
+ * temperature: °C, dewpoint: °C, windSpeed, windDirection: deg }; windUnits is
+ * 'kt' (default), 'm/s', 'mph' or 'km/h'. Missing heights are filled
+ * hypsometrically above the lowest level.
+ * @param {string|object|Array} input - Sounding
+ * @returns {object} { levels: sorted surface upward, heights in m above the lowest level (agl) }
+ */
+function parseSounding(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (e) {
+      throw new Error(`Invalid sounding JSON: ${e.message}`);
+    }
+  }
+  const rawLevels = Array.isArray(data) ? data : (data && data.levels);
+  if (!Array.isArray(rawLevels) || rawLevels.length < 2) {
+    throw new Error('Invalid sounding: at least two levels are required');
+  }
+  const windUnits = (!Array.isArray(data) && data.windUnits) || 'kt';
+  if (!WIND_TO_MS[windUnits]) {
+    throw new Error(`Invalid sounding: unknown wind units ${windUnits}`);
+  }
+
+  const levels = rawLevels.map((level, i) => {
+    const { pressure, temperature } = level || {};
+    if (typeof pressure !== 'number' || isNaN(pressure) || pressure <= 0) {
+      throw new Error(`Invalid sounding level ${i + 1}: pressure must be a positive number`);
+    }
+    if (typeof temperature !== 'number' || isNaN(temperature)) {
+      throw new Error(`Invalid sounding level ${i + 1}: temperature must be a number`);
+    }
+    const optional = value => (typeof value === 'number' && !isNaN(value) ? value : null);
+    const windSpeed = optional(level.windSpeed);
+    return {
+      pressure,
+      height: optional(level.height),
+      temperature,
+      dewpoint: optional(level.dewpoint),
+      windSpeed: windSpeed === null ? null : windSpeed * WIND_TO_MS[windUnits],
+      windDirection: optional(level.windDirection)
+    };
+  }).sort((a, b) => b.pressure - a.pressure);
+
+  // Heights above the lowest level, from reported heights when every level has one
+  const reported = levels.every(level => level.height !== null);
+  levels.forEach((level, i) => {
+    if (reported) {
+      level.agl = level.height - levels[0].height;
+    } else if (i === 0) {
+      level.agl = 0;
+    } else {
+      const below = levels[i - 1];
+      const meanTempK = (virtualTemperature(below) + virtualTemperature(level)) / 2;
+      level.agl = below.agl + GAS_CONSTANT_DRY_AIR * meanTempK / GRAVITY * Math.log(below.pressure / level.pressure);
+    }
+  });
+
+  return { levels, windUnits };
+}
+
+function toParsedSounding(sounding) {
+  const parsed = sounding && Array.isArray(sounding.levels) && sounding.levels.every(level => typeof level.agl === 'number');
+  return parsed ? sounding : parseSounding(sounding);
+}
+
+function virtualTemperature(level) {
+  const tempK = level.temperature + 273.15;
+  if (level.dewpoint === null) {
+    return tempK;
+  }
+  const mixingRatio = 0.622 * boltonVaporPressure(level.dewpoint) / (level.pressure - boltonVaporPressure(level.dewpoint));
+  return tempK * (1 + 0.61 * mixingRatio);
+}
+
+/**
+ * Interpolate a level field at a pressure, linear in ln(p)
+ * @param {Array} levels - Parsed levels, surface upward
+ * @param {number} pressure - hPa
+ * @param {string} field - 'temperature' or 'dewpoint'
+ * @returns {number|null} Value, or null when the pressure is outside the sounding
+ */
+function interpolateAtPressure(levels, pressure, field) {
+  for (let i = 0; i < levels.length; i++) {
+    const level = levels[i];
+    if (level.pressure === pressure) {
+      return level[field];
+    }
+    if (i > 0 && levels[i - 1].pressure > pressure && level.pressure < pressure) {
+      const below = levels[i - 1];
+      if (below[field] === null || level[field] === null) {
+        return null;
+      }
+      const f = Math.log(below.pressure / pressure) / Math.log(below.pressure / level.pressure);
+      return below[field] + f * (level[field] - below[field]);
+    }
+  }
+  return null;
+}
+
+function scoreHainesTerm(value, breaks) {
+  if (value >= breaks[1]) {
+    return 3;
+  }
+  return value >= breaks[0] ? 2 : 1;
+}
+
+function categorizeStability(value, categories) {
+  let match = categories[0];
+  categories.forEach(entry => {
+    if (value >= entry.min) {
+      match = entry;
+    }
+  });
+  return { category: match.category, interpretation: match.interpretation };
+}
+
+/**
+ * Haines Index for one variant
+ * @param {string|object|Array} sounding - Sounding (see parseSounding)
+ * @param {string} variant - 'low', 'mid' or 'high'
+ * @returns {object} { variant, name, index, stability: { levels, value, score },
+ *   moisture: { level, value, score }, category, interpretation }, or index null
+ *   with a reason when the sounding does not cover the levels
+ */
+function calculateHainesIndex(sounding, variant = 'mid') {
+  const config = HAINES_VARIANTS[variant];
+  if (!config) {
+    throw new Error(`Unknown Haines variant: ${variant}`);
+  }
+  const { levels } = toParsedSounding(sounding);
+  const [lower, upper] = config.stability;
+  const lowerTemp = interpolateAtPressure(levels, lower, 'temperature');
+  const upperTemp = interpolateAtPressure(levels, upper, 'temperature');
+  const moistureTemp = interpolateAtPressure(levels, config.moisture, 'temperature');
+  const moistureDewpoint = interpolateAtPressure(levels, config.moisture, 'dewpoint');
+
+  if (lowerTemp === null || upperTemp === null || moistureTemp === null || moistureDewpoint === null) {
+    return {
+      variant,
+      name: config.name,
+      index: null,
+      reason: `Sounding does not cover ${lower}-${upper} hPa with a ${config.moisture} hPa dewpoint`
+    };
+  }
+
+  const stabilityValue = lowerTemp - upperTemp;
+  const moistureValue = moistureTemp - moistureDewpoint;
+  const stability = { levels: config.stability, value: Math.round(stabilityValue * 10) / 10, score: scoreHainesTerm(stabilityValue, config.stabilityBreaks) };
+  const moisture = { level: config.moisture, value: Math.round(moistureValue * 10) / 10, score: scoreHainesTerm(moistureValue, config.moistureBreaks) };
+  const index = stability.score + moisture.score;
+
+  return Object.assign({ variant, name: config.name, index, stability, moisture }, categorizeStability(index, HAINES_CATEGORIES));
+}
+
+/**
+ * Hot-Dry-Windy Index: maximum vapor pressure deficit times maximum wind speed
+ * in the lowest layer of the sounding
+ * @param {string|object|Array} sounding - Sounding (see parseSounding)
+ * @param {object} options - { depth: layer depth above the lowest level (m, default 500) }
+ * @returns {object} { hdw, maxVaporPressureDeficit: hPa, maxWindSpeed: m/s,
+ *   vpdHeight, windHeight: m agl, category, interpretation }
+ */
+function calculateHotDryWindyIndex(sounding, options = {}) {
+  const { depth = 500 } = options;
+  const { levels } = toParsedSounding(sounding);
+  const layer = levels.filter(level => level.agl <= depth);
+
+  let maxVpd = null;
+  let maxWind = null;
+  layer.forEach(level => {
+    if (level.dewpoint !== null) {
+      const vpd = boltonVaporPressure(level.temperature) - boltonVaporPressure(level.dewpoint);
+      if (maxVpd === null || vpd > maxVpd.value) {
+        maxVpd = { value: vpd, height: level.agl };
+      }
+    }
+    if (level.windSpeed !== null && (maxWind === null || level.windSpeed > maxWind.value)) {
+      maxWind = { value: level.windSpeed, height: level.agl };
+    }
+  });
+
+  if (maxVpd === null || maxWind === null) {
+    throw new Error(`Sounding needs dewpoint and wind within the lowest ${depth} m`);
+  }
+
+  const hdw = maxVpd.value * maxWind.value;
+  return Object.assign({
+    hdw: Math.round(hdw * 10) / 10,
+    maxVaporPressureDeficit: Math.round(maxVpd.value * 100) / 100,
+    maxWindSpeed: Math.round(maxWind.value * 10) / 10,
+    vpdHeight: Math.round(maxVpd.height),
+    windHeight: Math.round(maxWind.height)
+  }, categorizeStability(hdw, HDW_CATEGORIES));
+}
+
+/**
+ * Haines variant suited to a station elevation
+ * @param {number} elevationFt - Station elevation (ft)
+ * @returns {string} 'low', 'mid' or 'high'
+ */
+function hainesVariantForElevation(elevationFt) {
+  if (elevationFt >= HAINES_ELEVATION_BREAKS.high) {
+    return 'high';
+  }
+  return elevationFt >= HAINES_ELEVATION_BREAKS.mid ? 'mid' : 'low';
+}
+
+/**
+ * Every index from one sounding
+ * @param {string|object|Array} input - Sounding (see parseSounding)
+ * @param {object} options - { elevationFt: station elevation for the recommended
+ *   Haines variant, depth: HDW layer depth (m) }
+ * @returns {object} { haines: { low, mid, high }, recommendedHaines, hdw, levels }
+ */
+function analyzeSounding(input, options = {}) {
+  const sounding = parseSounding(input);
+  const haines = {};
+  Object.keys(HAINES_VARIANTS).forEach(variant => {
+    haines[variant] = calculateHainesIndex(sounding, variant);
+  });
+
+  let hdw;
+  try {
+    hdw = calculateHotDryWindyIndex(sounding, options);
+  } catch (e) {
+    hdw = { hdw: null, reason: e.message };
+  }
+
+  return {
+    haines,
+    recommendedHaines: typeof options.elevationFt === 'number' ? hainesVariantForElevation(options.elevationFt) : null,
+    hdw,
+    levels: sounding.levels.length
+  };
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    HAINES_VARIANTS,
+    HDW_CATEGORIES,
+    boltonVaporPressure,
+    parseSounding,
+    calculateHainesIndex,
+    calculateHotDryWindyIndex,
+    hainesVariantForElevation,
+    analyzeSounding
+  };
+}
+
+// Make available in browser
+if (typeof window !== 'undefined') {
+  window.AtmosphericStability = {
+    HAINES_VARIANTS,
+    HDW_CATEGORIES,
+    boltonVaporPressure,
+    parseSounding,
+    calculateHainesIndex,
+    calculateHotDryWindyIndex,
+    hainesVariantForElevation,
+    analyzeSounding
+  };
+}
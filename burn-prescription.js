@@ -0,0 +1,372 @@
+/**
+ * Burn Prescription Planner
+ * Checks hourly forecast or observed weather, run through the fuel moisture
+ * and fire behavior models, against a prescription of parameter ranges and
+ * finds the windows that are fully in prescription
+ */
+
+// Import companion modules if in Node.js environment
+let FireTimelineForPrescription = null;
+let FireWeatherAlertsForPrescription = null;
+if (typeof require !== 'undefined') {
+  try {
+    FireTimelineForPrescription = require('./fire-timeline.js');
+    FireWeatherAlertsForPrescription = require('./fire-weather-alerts.js');
+  } catch (e) {
+    // Modules not available, will use window object in browser
+  }
+}
+
+function getPrescriptionModule(lib, globalName) {
+  const resolved = lib || (typeof window !== 'undefined' ? window[globalName] : null);
+  if (!resolved) {
+    throw new Error(`${globalName} module is not loaded`);
+  }
+  return resolved;
+}
+
+const PRESCRIPTIONS_STORAGE_KEY = 'fiveForks.prescriptions';
+const PRESCRIPTION_VERSION = 1;
+
+// Prescription fields; values are read with the alert field names, so any
+// other dotted path into a row also works
+const PRESCRIPTION_FIELDS = {
+  tempF: { label: 'Temperature', short: 'T', units: '°F' },
+  rh: { label: 'Relative Humidity', short: 'RH', units: '%' },
+  windSpeed: { label: 'Wind', short: 'W', units: 'mph' },
+  windSpeed20ft: { label: '20-ft Wind', short: 'W20', units: 'mph' },
+  midflameWind: { label: 'Midflame Wind', short: 'MFW', units: 'mph' },
+  precipitation: { label: 'Precipitation', short: 'P', units: 'in' },
+  moisture1h: { label: '1-h Moisture', short: '1h', units: '%' },
+  moisture10h: { label: '10-h Moisture', short: '10h', units: '%' },
+  moisture100h: { label: '100-h Moisture', short: '100h', units: '%' },
+  ros: { label: 'Rate of Spread', short: 'ROS', units: 'ch/h' },
+  flameLength: { label: 'Flame Length', short: 'FL', units: 'ft' },
+  firelineIntensity: { label: 'Fireline Intensity', short: 'FLI', units: 'BTU/ft/s' },
+  probabilityOfIgnition: { label: 'Probability of Ignition', short: 'PIG', units: '%' },
+  emc: { label: 'EMC', short: 'EMC', units: '%' }
+};
+
+// Example understory burn; write your own from the unit's burn plan
+const DEFAULT_PRESCRIPTION = {
+  version: PRESCRIPTION_VERSION,
+  name: 'Example understory burn',
+  fuelModel: '9',
+  slope: 0,
+  minWindowHours: 2,
+  ranges: {
+    rh: { min: 25, max: 45 },
+    midflameWind: { min: 2, max: 8 },
+    moisture1h: { min: 6, max: 10 },
+    flameLength: { min: 1, max: 4 }
+  }
+};
+
+function getPrescriptionStorage() {
+  try {
+    return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+  } catch (e) {
+    // Storage can be blocked (private browsing, file:// restrictions)
+    return null;
+  }
+}
+
+/**
+ * Validate a prescription and fill defaults
+ * @param {string|object} input - Prescription or JSON text: { name, fuelModel, slope, aspect,
+ *   minWindowHours (default 1), ranges: { field: { min, max } or [min, max] } }; either end
+ *   of a range may be null for no limit
+ * @returns {object} Normalized prescription
+ */
+function parsePrescription(input) {
+  let doc = input;
+  if (typeof input === 'string') {
+    try {
+      doc = JSON.parse(input);
+    } catch (e) {
+      throw new Error('Invalid prescription JSON: ' + e.message);
+    }
+  }
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    throw new Error('Invalid prescription: expected an object');
+  }
+  if (typeof doc.name !== 'string' || doc.name.trim() === '') {
+    throw new Error('Invalid prescription: name is required');
+  }
+  // Saved prescriptions are keyed by name in a plain object
+  if (doc.name.trim() in Object.prototype) {
+    throw new Error(`Invalid prescription: name ${doc.name.trim()} is reserved`);
+  }
+  if (!doc.ranges || typeof doc.ranges !== 'object' || Object.keys(doc.ranges).length === 0) {
+    throw new Error('Invalid prescription: at least one range is required');
+  }
+  const minWindowHours = doc.minWindowHours === undefined ? 1 : doc.minWindowHours;
+  if (typeof minWindowHours !== 'number' || minWindowHours < 0) {
+    throw new Error('Invalid prescription: minWindowHours must be a non-negative number');
+  }
+
+  const ranges = {};
+  Object.keys(doc.ranges).forEach(field => {
+    const range = doc.ranges[field];
+    const [min, max] = Array.isArray(range) ? range : [range && range.min, range && range.max];
+    const bound = value => value === null || value === undefined ? null : value;
+    if ([min, max].some(value => bound(value) !== null && (typeof value !== 'number' || isNaN(value)))) {
+      throw new Error(`Invalid prescription range "${field}": min and max must be numbers or null`);
+    }
+    if (bound(min) === null && bound(max) === null) {
+      throw new Error(`Invalid prescription range "${field}": give a min, a max or both`);
+    }
+    if (bound(min) !== null && bound(max) !== null && max < min) {
+      throw new Error(`Invalid prescription range "${field}": max is below min`);
+    }
+    ranges[field] = { min: bound(min), max: bound(max) };
+  });
+
+  const prescription = {
+    version: PRESCRIPTION_VERSION,
+    name: doc.name.trim(),
+    minWindowHours,
+    ranges
+  };
+  ['fuelModel', 'slope', 'aspect'].forEach(key => {
+    if (doc[key] !== undefined && doc[key] !== null) {
+      prescription[key] = doc[key];
+    }
+  });
+  return prescription;
+}
+
+/**
+ * Serialize a prescription for editing or sharing
+ * @param {string|object} prescription - Prescription or JSON text
+ * @returns {string} Indented JSON
+ */
+function serializePrescription(prescription) {
+  return JSON.stringify(parsePrescription(prescription), null, 2);
+}
+
+function readSavedPrescriptions(storage) {
+  const saved = storage ? storage.getItem(PRESCRIPTIONS_STORAGE_KEY) : null;
+  if (!saved) {
+    return {};
+  }
+  try {
+    return JSON.parse(saved) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Saved prescriptions by name
+ * @param {Storage} storage - Web Storage compatible object (default: window.localStorage)
+ * @returns {object} { name: prescription }
+ */
+function listPrescriptions(storage = getPrescriptionStorage()) {
+  return readSavedPrescriptions(storage);
+}
+
+/**
+ * Save a prescription under its name after validating it
+ * @param {string|object} prescription - Prescription or JSON text
+ * @param {Storage} storage - Web Storage compatible object (default: window.localStorage)
+ * @returns {boolean} True if saved
+ */
+function savePrescription(prescription, storage = getPrescriptionStorage()) {
+  const parsed = parsePrescription(prescription);
+  if (!storage) {
+    return false;
+  }
+  const saved = readSavedPrescriptions(storage);
+  saved[parsed.name] = parsed;
+  storage.setItem(PRESCRIPTIONS_STORAGE_KEY, JSON.stringify(saved));
+  return true;
+}
+
+/**
+ * Remove a saved prescription
+ * @param {string} name - Prescription name
+ * @param {Storage} storage - Web Storage compatible object (default: window.localStorage)
+ * @returns {boolean} True if it was saved
+ */
+function removePrescription(name, storage = getPrescriptionStorage()) {
+  const saved = readSavedPrescriptions(storage);
+  if (!Object.prototype.hasOwnProperty.call(saved, name)) {
+    return false;
+  }
+  delete saved[name];
+  storage.setItem(PRESCRIPTIONS_STORAGE_KEY, JSON.stringify(saved));
+  return true;
+}
+
+/**
+ * Check one row against the prescription ranges
+ * @param {object} row - Series row (timeline, forecast or replay)
+ * @param {object} prescription - Normalized prescription
+ * @returns {object} { inPrescription, limitingFactor, outOfRange: [{ field, label, value, min, max,
+ *   reason: 'below' | 'above' | 'missing' }] }. The limiting factor is a missing value, or else
+ *   the value farthest outside its range relative to the width of the range.
+ */
+function checkPrescriptionRow(row, prescription) {
+  const alerts = getPrescriptionModule(FireWeatherAlertsForPrescription, 'FireWeatherAlerts');
+  const outOfRange = [];
+  let limitingFactor = null;
+  let worst = -1;
+
+  Object.keys(prescription.ranges).forEach(field => {
+    const { min, max } = prescription.ranges[field];
+    const value = alerts.resolveAlertField(row, field);
+    const label = PRESCRIPTION_FIELDS[field] ? PRESCRIPTION_FIELDS[field].label : field;
+    let reason = null;
+    let distance = 0;
+    if (typeof value !== 'number' || isNaN(value)) {
+      reason = 'missing';
+      distance = Infinity;
+    } else if (min !== null && value < min) {
+      reason = 'below';
+      distance = min - value;
+    } else if (max !== null && value > max) {
+      reason = 'above';
+      distance = value - max;
+    }
+    if (reason === null) {
+      return;
+    }
+
+    outOfRange.push({ field, label, value: typeof value === 'number' ? value : null, min, max, reason });
+    const width = min !== null && max !== null && max > min ? max - min : Math.max(1, Math.abs(min !== null ? min : max));
+    if (distance / width > worst) {
+      worst = distance / width;
+      limitingFactor = field;
+    }
+  });
+
+  return { inPrescription: outOfRange.length === 0, limitingFactor, outOfRange };
+}
+
+/**
+ * Check evaluated rows against a prescription
+ * @param {Array} rows - Rows with weather, moisture and fire behavior (FireTimeline, forecast or replay rows)
+ * @param {string|object} prescription - Prescription or JSON text
+ * @param {object} options - { stepHours: hours per row without stepHours (default 1) }
+ * @returns {object} { prescription, hours: [{ index, time, inPrescription, limitingFactor, outOfRange }],
+ *   windows: [{ start, end, startIndex, endIndex, hours }], inPrescriptionHours,
+ *   limitingCounts: { field: hours it was the limiting factor } }
+ */
+function evaluatePrescription(rows, prescription, options = {}) {
+  if (!Array.isArray(rows)) {
+    throw new Error('Invalid input: rows must be an array');
+  }
+  const parsed = parsePrescription(prescription);
+  const { stepHours = 1 } = options;
+  const rowHours = row => (typeof row.stepHours === 'number' ? row.stepHours : stepHours);
+  const label = (row, index) => (row.time !== undefined ? row.time : index);
+
+  const hours = rows.map((row, index) => Object.assign({ index, time: label(row, index) }, checkPrescriptionRow(row, parsed)));
+
+  const windows = [];
+  let start = null;
+  const close = end => {
+    const duration = rows.slice(start, end + 1).reduce((sum, row) => sum + rowHours(row), 0);
+    if (duration >= parsed.minWindowHours) {
+      windows.push({
+        start: hours[start].time,
+        end: hours[end].time,
+        startIndex: start,
+        endIndex: end,
+        hours: duration
+      });
+    }
+    start = null;
+  };
+  hours.forEach((hour, i) => {
+    if (hour.inPrescription) {
+      if (start === null) {
+        start = i;
+      }
+    } else if (start !== null) {
+      close(i - 1);
+    }
+  });
+  if (start !== null) {
+    close(hours.length - 1);
+  }
+
+  const limitingCounts = {};
+  hours.forEach((hour, i) => {
+    if (hour.limitingFactor) {
+      limitingCounts[hour.limitingFactor] = (limitingCounts[hour.limitingFactor] || 0) + rowHours(rows[i]);
+    }
+  });
+
+  return {
+    prescription: parsed,
+    hours,
+    windows,
+    inPrescriptionHours: hours.filter(hour => hour.inPrescription).reduce((sum, hour) => sum + rowHours(rows[hour.index]), 0),
+    limitingCounts
+  };
+}
+
+/**
+ * Run hourly weather through the moisture and fire behavior models and find
+ * the prescription windows. Hours without a wind reading have no wind or
+ * fire behavior values, so they are out of prescription for those fields.
+ * @param {Array} weather - Weather steps { time, tempF, rh, windSpeed, hours, precipitation, ... }
+ * @param {string|object} prescription - Prescription or JSON text
+ * @param {object} options - FireTimeline options (initial, state, engine, moistureModel,
+ *   windHeight, canopyCover, ...); the prescription's fuelModel, slope and aspect take precedence
+ * @returns {object} evaluatePrescription result plus { rows, state }
+ */
+function planBurnWindows(weather, prescription, options = {}) {
+  const parsed = parsePrescription(prescription);
+  const timelineOptions = Object.assign({}, options);
+  ['fuelModel', 'slope', 'aspect'].forEach(key => {
+    if (parsed[key] !== undefined) {
+      timelineOptions[key] = parsed[key];
+    }
+  });
+
+  const timeline = getPrescriptionModule(FireTimelineForPrescription, 'FireTimeline').runFireTimeline(weather, timelineOptions);
+  const rows = timeline.rows.map((row, i) => (typeof weather[i].windSpeed === 'number' ? row : Object.assign({}, row, {
+    windSpeed: null,
+    midflameWindSpeed: null,
+    ros: null,
+    flameLength: null,
+    firelineIntensity: null
+  })));
+
+  return Object.assign({ rows, state: timeline.state }, evaluatePrescription(rows, parsed));
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PRESCRIPTION_FIELDS,
+    DEFAULT_PRESCRIPTION,
+    parsePrescription,
+    serializePrescription,
+    listPrescriptions,
+    savePrescription,
+    removePrescription,
+    checkPrescriptionRow,
+    evaluatePrescription,
+    planBurnWindows
+  };
+}
+
+// Make available in browser
+if (typeof window !== 'undefined') {
+  window.BurnPrescription = {
+    PRESCRIPTION_FIELDS,
+    DEFAULT_PRESCRIPTION,
+    parsePrescription,
+    serializePrescription,
+    listPrescriptions,
+    savePrescription,
+    removePrescription,
+    checkPrescriptionRow,
+    evaluatePrescription,
+    planBurnWindows
+  };
+}
@@ -0,0 +1,290 @@
+/**
+ * Crown Fire Calculator
+ * Van Wagner (1977) crown fire initiation, Rothermel (1991) crown fire spread,
+ * Van Wagner (1993) crown fraction burned and Scott & Reinhardt (2001)
+ * fire type, Torching Index and Crowning Index
+ */
+
+// Import fire behavior calculator if in Node.js environment. Loaded lazily
+// because fire-behavior.js also uses this module.
+let FireBehaviorForCrown = null;
+
+function getFireBehaviorForCrown() {
+  if (!FireBehaviorForCrown && typeof require !== 'undefined') {
+    try {
+      FireBehaviorForCrown = require('./fire-behavior.js');
+    } catch (e) {
+      // Module not available, will use window object in browser
+    }
+  }
+  const lib = FireBehaviorForCrown || (typeof window !== 'undefined' ? window.FireBehavior : null);
+  if (!lib) {
+    throw new Error('Fire behavior module is not loaded');
+  }
+  return lib;
+}
+
+// Unit conversions
+const BTU_FT_S_TO_KW_M = 3.46414;
+const BTU_FT2_TO_KJ_M2 = 11.3565;
+const FT_TO_M = 0.3048;
+const M_MIN_TO_CH_H = 60 / (66 * 0.3048);
+
+// Canopy fuel heat content (kJ/kg) and the open-wind reduction Rothermel (1991) used
+const CANOPY_HEAT_CONTENT = 18000;
+const CROWN_WIND_REDUCTION = 0.4;
+const CROWN_SPREAD_MULTIPLIER = 3.34;
+
+// Upper bound for Torching and Crowning Index searches (mph)
+const MAX_INDEX_WIND = 200;
+
+/**
+ * Critical surface fireline intensity for crown fire initiation (Van Wagner 1977)
+ * @param {number} canopyBaseHeight - Canopy base height (ft)
+ * @param {number} foliarMoisture - Foliar moisture content (%)
+ * @returns {object} { kWm, btuFtS, flameLengthFt }
+ */
+function calculateCriticalSurfaceIntensity(canopyBaseHeight, foliarMoisture = 100) {
+  if (typeof canopyBaseHeight !== 'number' || canopyBaseHeight < 0 ||
+      typeof foliarMoisture !== 'number' || foliarMoisture <= 0) {
+    throw new Error('Invalid input: canopy base height and foliar moisture must be positive numbers');
+  }
+
+  const kWm = Math.pow(0.010 * canopyBaseHeight * FT_TO_M * (460 + 25.9 * foliarMoisture), 1.5);
+  const btuFtS = kWm / BTU_FT_S_TO_KW_M;
+  return {
+    kWm,
+    btuFtS,
+    flameLengthFt: getFireBehaviorForCrown().calculateFlameLength(btuFtS).flameLengthFt
+  };
+}
+
+/**
+ * Critical active crown fire spread rate (Van Wagner 1977)
+ * @param {number} canopyBulkDensity - Canopy bulk density (kg/m^3)
+ * @returns {number} Critical spread rate (m/min)
+ */
+function calculateCriticalActiveRos(canopyBulkDensity) {
+  if (typeof canopyBulkDensity !== 'number' || canopyBulkDensity <= 0) {
+    throw new Error('Invalid input: canopy bulk density must be greater than 0');
+  }
+  return 3.0 / canopyBulkDensity;
+}
+
+/**
+ * Active crown fire spread rate (Rothermel 1991): 3.34 times fuel model 10
+ * spread with 40% of the 20-ft wind
+ * @param {number} windSpeed20ft - 20-ft wind speed (mph)
+ * @param {number|object} moistures - 1-hour moisture (%) or per-class moistures (%)
+ * @param {number} slope - Slope steepness (degrees)
+ * @returns {number} Active crown spread rate (m/min)
+ */
+function calculateActiveCrownRos(windSpeed20ft, moistures, slope = 0) {
+  const spread = getFireBehaviorForCrown().calculateRateOfSpread(
+    windSpeed20ft * CROWN_WIND_REDUCTION, moistures, slope, '10', { applyWindLimit: false }
+  );
+  return CROWN_SPREAD_MULTIPLIER * spread.rosMetric;
+}
+
+/**
+ * Surface fire intensity and heat per unit area at a 20-ft wind speed
+ * @param {object} surface - { fuelModel, moistures, slope, waf }
+ * @param {number} windSpeed20ft - 20-ft wind speed (mph)
+ * @returns {object} { intensity: BTU/ft/s, heatPerUnitArea: BTU/ft^2, rosFtPerMin }
+ */
+function surfaceFireAt(surface, windSpeed20ft) {
+  const spread = getFireBehaviorForCrown().calculateRateOfSpread(
+    windSpeed20ft * surface.waf, surface.moistures, surface.slope, surface.fuelModel, { applyWindLimit: false }
+  );
+  if (!spread.canSpread) {
+    return { intensity: 0, heatPerUnitArea: 0, rosFtPerMin: 0 };
+  }
+  return {
+    intensity: spread.heatPerUnitArea * spread.rosFtPerMin / 60,
+    heatPerUnitArea: spread.heatPerUnitArea,
+    rosFtPerMin: spread.rosFtPerMin
+  };
+}
+
+/**
+ * Lowest wind speed at which an increasing function reaches a target
+ * @param {function} fn - Function of wind speed (mph)
+ * @param {number} target - Target value
+ * @returns {number|null} Wind speed (mph), or null if not reached by MAX_INDEX_WIND
+ */
+function solveWindSpeed(fn, target) {
+  if (fn(0) >= target) {
+    return 0;
+  }
+  if (fn(MAX_INDEX_WIND) < target) {
+    return null;
+  }
+  let low = 0;
+  let high = MAX_INDEX_WIND;
+  for (let i = 0; i < 50; i++) {
+    const mid = (low + high) / 2;
+    if (fn(mid) >= target) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+  return high;
+}
+
+/**
+ * Torching Index: 20-ft wind speed at which surface fire initiates crown fire
+ * (Scott & Reinhardt 2001). Solved without the effective wind speed limit.
+ * @param {object} surface - { fuelModel, moistures, slope, waf }
+ * @param {number} criticalIntensity - Critical surface intensity (BTU/ft/s)
+ * @returns {number|null} 20-ft wind speed (mph), or null if above MAX_INDEX_WIND
+ */
+function calculateTorchingIndex(surface, criticalIntensity) {
+  return solveWindSpeed(u => surfaceFireAt(surface, u).intensity, criticalIntensity);
+}
+
+/**
+ * Crowning Index: 20-ft wind speed at which active crown fire is possible
+ * (Scott & Reinhardt 2001)
+ * @param {number|object} moistures - 1-hour moisture (%) or per-class moistures (%)
+ * @param {number} slope - Slope steepness (degrees)
+ * @param {number} canopyBulkDensity - Canopy bulk density (kg/m^3)
+ * @returns {number|null} 20-ft wind speed (mph), or null if above MAX_INDEX_WIND
+ */
+function calculateCrowningIndex(moistures, slope, canopyBulkDensity) {
+  return solveWindSpeed(
+    u => calculateActiveCrownRos(u, moistures, slope),
+    calculateCriticalActiveRos(canopyBulkDensity)
+  );
+}
+
+/**
+ * Crown fire assessment for a surface fire under a canopy
+ * @param {object} params - { fuelModel, moistures, slope, windSpeed20ft, waf,
+ *   canopyBaseHeight: ft, canopyBulkDensity: kg/m^3, canopyHeight: ft, foliarMoisture: % }
+ * @returns {object} Fire type, crown spread, crown fraction burned, Torching and Crowning Index
+ */
+function assessCrownFire(params) {
+  const {
+    fuelModel = '2',
+    moistures,
+    slope = 0,
+    windSpeed20ft = 0,
+    waf,
+    canopyBaseHeight,
+    canopyBulkDensity,
+    canopyHeight = null,
+    foliarMoisture = 100
+  } = params;
+
+  if (typeof waf !== 'number' || waf <= 0) {
+    throw new Error('Invalid input: wind adjustment factor must be greater than 0');
+  }
+
+  const surface = { fuelModel, moistures, slope, waf };
+  const surfaceFire = surfaceFireAt(surface, windSpeed20ft);
+  const critical = calculateCriticalSurfaceIntensity(canopyBaseHeight, foliarMoisture);
+  const criticalActiveRos = calculateCriticalActiveRos(canopyBulkDensity);
+  const activeRos = calculateActiveCrownRos(windSpeed20ft, moistures, slope);
+
+  const surfaceRos = surfaceFire.rosFtPerMin * FT_TO_M;
+  const heatPerUnitArea = surfaceFire.heatPerUnitArea * BTU_FT2_TO_KJ_M2;
+  const initiation = surfaceFire.intensity >= critical.btuFtS;
+  const activeCapable = activeRos >= criticalActiveRos;
+
+  let fireType;
+  if (initiation) {
+    fireType = activeCapable ? 'active' : 'passive';
+  } else {
+    fireType = activeCapable ? 'conditional' : 'surface';
+  }
+
+  // Critical surface spread rate for initiation (m/min) and crown fraction burned
+  const criticalSurfaceRos = heatPerUnitArea > 0 ? 60 * critical.kWm / heatPerUnitArea : Infinity;
+  let crownFractionBurned = 0;
+  if (initiation && criticalActiveRos > criticalSurfaceRos) {
+    const ac = -Math.log(0.1) / (0.9 * (criticalActiveRos - criticalSurfaceRos));
+    crownFractionBurned = Math.min(1, Math.max(0, 1 - Math.exp(-ac * (surfaceRos - criticalSurfaceRos))));
+  } else if (initiation) {
+    crownFractionBurned = 1;
+  }
+  if (fireType === 'active') {
+    crownFractionBurned = 1;
+  }
+
+  // Final spread rate: surface fire plus the burned portion of crown spread
+  const finalRos = fireType === 'active' ? Math.max(activeRos, surfaceRos) :
+    fireType === 'passive' ? surfaceRos + crownFractionBurned * Math.max(0, activeRos - surfaceRos) :
+    surfaceRos;
+
+  // Fireline intensity including canopy fuel consumed (Rothermel 1991)
+  const canopyLoad = canopyHeight !== null && canopyHeight > canopyBaseHeight ?
+    canopyBulkDensity * (canopyHeight - canopyBaseHeight) * FT_TO_M : 0;
+  const crownIntensityKWm = (heatPerUnitArea + crownFractionBurned * canopyLoad * CANOPY_HEAT_CONTENT) *
+    finalRos / 60;
+  const crownIntensity = crownIntensityKWm / BTU_FT_S_TO_KW_M;
+
+  // Thomas (1963) flame length for crown fires, Byram for surface fires
+  const fireBehavior = getFireBehaviorForCrown();
+  const flameLengthFt = fireType === 'active' || fireType === 'passive' ?
+    0.2 * Math.pow(crownIntensity, 2 / 3) :
+    fireBehavior.calculateFlameLength(surfaceFire.intensity).flameLengthFt;
+
+  const torchingIndex = calculateTorchingIndex(surface, critical.btuFtS);
+  const crowningIndex = calculateCrowningIndex(moistures, slope, canopyBulkDensity);
+
+  return {
+    fireType,
+    criticalSurfaceIntensity: Math.round(critical.btuFtS),
+    criticalSurfaceIntensityKWm: Math.round(critical.kWm),
+    criticalFlameLength: Math.round(critical.flameLengthFt * 10) / 10,
+    criticalSurfaceRos: {
+      metersPerMin: Math.round(criticalSurfaceRos * 100) / 100,
+      chainsPerHour: Math.round(criticalSurfaceRos * M_MIN_TO_CH_H * 100) / 100
+    },
+    activeCrownRos: {
+      metersPerMin: Math.round(activeRos * 100) / 100,
+      chainsPerHour: Math.round(activeRos * M_MIN_TO_CH_H * 100) / 100
+    },
+    criticalActiveRos: {
+      metersPerMin: Math.round(criticalActiveRos * 100) / 100,
+      chainsPerHour: Math.round(criticalActiveRos * M_MIN_TO_CH_H * 100) / 100
+    },
+    crownFractionBurned: Math.round(crownFractionBurned * 100) / 100,
+    rateOfSpread: {
+      metersPerMin: Math.round(finalRos * 100) / 100,
+      chainsPerHour: Math.round(finalRos * M_MIN_TO_CH_H * 100) / 100
+    },
+    firelineIntensity: Math.round(crownIntensity),
+    flameLength: {
+      feet: Math.round(flameLengthFt * 10) / 10,
+      meters: Math.round(flameLengthFt * FT_TO_M * 10) / 10
+    },
+    torchingIndex: torchingIndex === null ? null : Math.round(torchingIndex * 10) / 10,
+    crowningIndex: crowningIndex === null ? null : Math.round(crowningIndex * 10) / 10
+  };
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    calculateCriticalSurfaceIntensity,
+    calculateCriticalActiveRos,
+    calculateActiveCrownRos,
+    calculateTorchingIndex,
+    calculateCrowningIndex,
+    assessCrownFire
+  };
+}
+
+// Make available in browser
+if (typeof window !== 'undefined') {
+  window.CrownFire = {
+    calculateCriticalSurfaceIntensity,
+    calculateCriticalActiveRos,
+    calculateActiveCrownRos,
+    calculateTorchingIndex,
+    calculateCrowningIndex,
+    assessCrownFire
+  };
+}
@@ -0,0 +1,317 @@
+/**
+ * Custom Fuel Model Registry
+ * Registers site-specific fuel models built from plot data so they can be used
+ * by predictFireBehavior and the dashboard like the standard models.
+ * Custom models use the same layout as FUEL_MODELS entries in fuel-models.js.
+ */
+
+// Import fire behavior calculator if in Node.js environment
+let FireBehaviorLib = null;
+if (typeof require !== 'undefined') {
+  try {
+    FireBehaviorLib = require('./fire-behavior.js');
+  } catch (e) {
+    // Module not available, will use window object in browser
+  }
+}
+
+const CUSTOM_FUEL_MODELS_STORAGE_KEY = 'fiveForks.customFuelModels';
+const CUSTOM_FUEL_MODEL_FAMILY = 'Custom';
+
+// Valid ranges for custom model parameters
+const CUSTOM_FUEL_MODEL_LIMITS = {
+  load: { min: 0, max: 100 },            // tons/acre per size class
+  sav: {
+    dead1h: { min: 192, max: 4000 },     // ft^-1
+    dead10h: { min: 48, max: 192 },
+    dead100h: { min: 16, max: 48 },
+    liveHerb: { min: 192, max: 4000 },
+    liveStem: { min: 192, max: 4000 }
+  },
+  fuelDepth: { min: 0.01, max: 20 },     // feet
+  moistureExtinction: { min: 5, max: 60 }, // percent
+  heatContent: { min: 4000, max: 12000 }   // BTU/lb
+};
+
+// Standard SAV ratios used when a custom model omits them (ft^-1)
+const DEFAULT_CUSTOM_SAV = { dead1h: 2000, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1500 };
+
+const CUSTOM_SIZE_CLASSES = ['dead1h', 'dead10h', 'dead100h', 'liveHerb', 'liveStem'];
+
+// Registered custom models keyed by code, in fuel-models.js layout
+const customFuelModels = {};
+
+function getFireBehavior() {
+  return FireBehaviorLib || (typeof window !== 'undefined' ? window.FireBehavior : null);
+}
+
+function getDefaultStorage() {
+  try {
+    return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+  } catch (e) {
+    // Storage can be blocked (private browsing, file:// restrictions)
+    return null;
+  }
+}
+
+// Codes key plain objects, so inherited names must not count as registered
+function hasFuelModelCode(models, code) {
+  return Object.prototype.hasOwnProperty.call(models, code);
+}
+
+function inRange(value, limits) {
+  return typeof value === 'number' && !isNaN(value) && value >= limits.min && value <= limits.max;
+}
+
+/**
+ * Validate a custom fuel model definition
+ * @param {string} code - Fuel model code (letters, digits, '-' or '_', up to 16 characters)
+ * @param {object} model - { name, fuelLoad, sav, fuelDepth, moistureExtinction, heatContent, dynamic }
+ * @returns {object} { valid, errors }
+ */
+function validateFuelModel(code, model) {
+  const errors = [];
+  const fireBehavior = getFireBehavior();
+  const limits = CUSTOM_FUEL_MODEL_LIMITS;
+
+  if (typeof code !== 'string' || !/^[A-Za-z0-9_-]{1,16}$/.test(code)) {
+    errors.push('Code must be 1-16 letters, digits, "-" or "_"');
+  } else if (code in Object.prototype) {
+    errors.push(`Code ${code} is reserved`);
+  } else if (fireBehavior && hasFuelModelCode(fireBehavior.FUEL_MODELS, code) && !hasFuelModelCode(customFuelModels, code)) {
+    errors.push(`Code ${code} is a standard fuel model and cannot be replaced`);
+  }
+
+  if (!model || typeof model !== 'object') {
+    return { valid: false, errors: errors.concat('Fuel model definition must be an object') };
+  }
+
+  if (typeof model.name !== 'string' || model.name.trim() === '') {
+    errors.push('Name is required');
+  }
+
+  const fuelLoad = model.fuelLoad || {};
+  const sav = model.sav || {};
+  CUSTOM_SIZE_CLASSES.forEach(sizeClass => {
+    if (!inRange(fuelLoad[sizeClass], limits.load)) {
+      errors.push(`Fuel load ${sizeClass} is required and must be ${limits.load.min}-${limits.load.max} tons/acre`);
+      return;
+    }
+    if (fuelLoad[sizeClass] > 0 && sav[sizeClass] !== undefined && !inRange(sav[sizeClass], limits.sav[sizeClass])) {
+      errors.push(`SAV ratio ${sizeClass} must be ${limits.sav[sizeClass].min}-${limits.sav[sizeClass].max} ft^-1`);
+    }
+  });
+
+  if (typeof fuelLoad.dead1h === 'number' && fuelLoad.dead1h <= 0) {
+    errors.push('Fuel load dead1h must be greater than 0 to carry fire');
+  }
+  if (typeof fuelLoad.dead1h === 'number' && fuelLoad.dead1h > 0 && sav.dead1h === undefined) {
+    errors.push('SAV ratio dead1h is required');
+  }
+
+  if (!inRange(model.fuelDepth, limits.fuelDepth)) {
+    errors.push(`Fuel bed depth must be ${limits.fuelDepth.min}-${limits.fuelDepth.max} feet`);
+  }
+  if (!inRange(model.moistureExtinction, limits.moistureExtinction)) {
+    errors.push(`Dead fuel moisture of extinction must be ${limits.moistureExtinction.min}-${limits.moistureExtinction.max}%`);
+  }
+  if (model.heatContent !== undefined && !inRange(model.heatContent, limits.heatContent)) {
+    errors.push(`Heat content must be ${limits.heatContent.min}-${limits.heatContent.max} BTU/lb`);
+  }
+  if (model.dynamic !== undefined && typeof model.dynamic !== 'boolean') {
+    errors.push('Dynamic must be true or false');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Normalize a validated definition into fuel-models.js layout
+ * @param {object} model - Custom fuel model definition
+ * @returns {object} Fuel model entry
+ */
+function normalizeFuelModel(model) {
+  const fuelLoad = {};
+  const sav = {};
+  CUSTOM_SIZE_CLASSES.forEach(sizeClass => {
+    fuelLoad[sizeClass] = model.fuelLoad[sizeClass];
+    sav[sizeClass] = (model.sav && model.sav[sizeClass]) || DEFAULT_CUSTOM_SAV[sizeClass];
+  });
+
+  return {
+    name: model.name.trim(),
+    description: model.description || '',
+    family: CUSTOM_FUEL_MODEL_FAMILY,
+    fuelLoad,
+    sav,
+    savRatio: sav.dead1h,
+    fuelDepth: model.fuelDepth,
+    moistureExtinction: model.moistureExtinction,
+    heatContent: model.heatContent || 8000,
+    dynamic: model.dynamic === true
+  };
+}
+
+/**
+ * Register (or update) a custom fuel model
+ * @param {string} code - Fuel model code
+ * @param {object} model - Custom fuel model definition
+ * @param {object} options - { persist: save to browser storage (default true) }
+ * @returns {object} Registered fuel model entry
+ * @throws {Error} If the definition is invalid
+ */
+function registerFuelModel(code, model, options = {}) {
+  const { persist = true } = options;
+  const validation = validateFuelModel(code, model);
+  if (!validation.valid) {
+    throw new Error('Invalid custom fuel model: ' + validation.errors.join('; '));
+  }
+
+  const fireBehavior = getFireBehavior();
+  if (!fireBehavior) {
+    throw new Error('Fire behavior module is not loaded');
+  }
+
+  const entry = normalizeFuelModel(model);
+  customFuelModels[code] = entry;
+  fireBehavior.FUEL_MODELS[code] = fireBehavior.toBehaviorModel(entry);
+
+  if (persist) {
+    saveCustomFuelModels();
+  }
+  return entry;
+}
+
+/**
+ * Remove a custom fuel model
+ * @param {string} code - Fuel model code
+ * @param {object} options - { persist: save to browser storage (default true) }
+ * @returns {boolean} True if a custom model was removed
+ */
+function removeFuelModel(code, options = {}) {
+  const { persist = true } = options;
+  if (!hasFuelModelCode(customFuelModels, code)) {
+    return false;
+  }
+
+  delete customFuelModels[code];
+  const fireBehavior = getFireBehavior();
+  if (fireBehavior) {
+    delete fireBehavior.FUEL_MODELS[code];
+  }
+
+  if (persist) {
+    saveCustomFuelModels();
+  }
+  return true;
+}
+
+/**
+ * List registered custom fuel models
+ * @returns {object} Copies of custom fuel model entries keyed by code
+ */
+function listCustomFuelModels() {
+  return JSON.parse(JSON.stringify(customFuelModels));
+}
+
+/**
+ * Serialize all custom fuel models to JSON for sharing between engines
+ * @returns {string} JSON document { version, models }
+ */
+function serializeCustomFuelModels() {
+  return JSON.stringify({ version: 1, models: customFuelModels }, null, 2);
+}
+
+/**
+ * Import custom fuel models from a JSON document
+ * Each model is validated on its own; invalid models are reported and skipped.
+ * @param {string|object} json - JSON text or parsed { models } document
+ * @param {object} options - { persist: save to browser storage (default true) }
+ * @returns {object} { imported: [codes], errors: [{ code, error }] }
+ */
+function importCustomFuelModels(json, options = {}) {
+  const { persist = true } = options;
+  let doc = json;
+  if (typeof json === 'string') {
+    try {
+      doc = JSON.parse(json);
+    } catch (e) {
+      throw new Error('Invalid custom fuel model file: ' + e.message);
+    }
+  }
+  if (!doc || typeof doc.models !== 'object' || doc.models === null) {
+    throw new Error('Invalid custom fuel model file: missing models');
+  }
+
+  const imported = [];
+  const errors = [];
+  Object.keys(doc.models).forEach(code => {
+    try {
+      registerFuelModel(code, doc.models[code], { persist: false });
+      imported.push(code);
+    } catch (e) {
+      errors.push({ code, error: e.message });
+    }
+  });
+
+  if (persist && imported.length > 0) {
+    saveCustomFuelModels();
+  }
+  return { imported, errors };
+}
+
+/**
+ * Save custom fuel models to storage
+ * @param {Storage} storage - Web Storage compatible object (default: window.localStorage)
+ * @returns {boolean} True if saved
+ */
+function saveCustomFuelModels(storage = getDefaultStorage()) {
+  if (!storage) {
+    return false;
+  }
+  storage.setItem(CUSTOM_FUEL_MODELS_STORAGE_KEY, serializeCustomFuelModels());
+  return true;
+}
+
+/**
+ * Load custom fuel models saved by saveCustomFuelModels
+ * @param {Storage} storage - Web Storage compatible object (default: window.localStorage)
+ * @returns {object} { imported: [codes], errors: [{ code, error }] }
+ */
+function loadCustomFuelModels(storage = getDefaultStorage()) {
+  const saved = storage ? storage.getItem(CUSTOM_FUEL_MODELS_STORAGE_KEY) : null;
+  if (!saved) {
+    return { imported: [], errors: [] };
+  }
+  return importCustomFuelModels(saved, { persist: false });
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CUSTOM_FUEL_MODEL_LIMITS,
+    validateFuelModel,
+    registerFuelModel,
+    removeFuelModel,
+    listCustomFuelModels,
+    serializeCustomFuelModels,
+    importCustomFuelModels,
+    saveCustomFuelModels,
+    loadCustomFuelModels
+  };
+}
+
+// Make available in browser
+if (typeof window !== 'undefined') {
+  window.CustomFuelModels = {
+    CUSTOM_FUEL_MODEL_LIMITS,
+    validateFuelModel,
+    registerFuelModel,
+    removeFuelModel,
+    listCustomFuelModels,
+    serializeCustomFuelModels,
+    importCustomFuelModels,
+    saveCustomFuelModels,
+    loadCustomFuelModels
+  };
+}
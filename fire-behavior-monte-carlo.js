@@ -0,0 +1,511 @@
+/**
+ * Monte Carlo Fire Behavior Uncertainty
+ * Samples predictFireBehavior inputs from normal, triangular or uniform
+ * distributions (optionally correlated, e.g. RH with temperature) using a
+ * seeded generator, and reports percentiles, exceedance probabilities and
+ * histograms of the outputs
+ */
+
+// Import companion modules if in Node.js environment
+let FireBehaviorForMonteCarlo = null;
+let FireBehaviorSweepForMonteCarlo = null;
+if (typeof require !== 'undefined') {
+  try {
+    FireBehaviorForMonteCarlo = require('./fire-behavior.js');
+    FireBehaviorSweepForMonteCarlo = require('./fire-behavior-sweep.js');
+  } catch (e) {
+    // Modules not available, will use window object in browser
+  }
+}
+
+function getMonteCarloModule(lib, globalName) {
+  const resolved = lib || (typeof window !== 'undefined' ? window[globalName] : null);
+  if (!resolved) {
+    throw new Error(`${globalName} module is not loaded`);
+  }
+  return resolved;
+}
+
+const MAX_MONTE_CARLO_SAMPLES = 20000;
+
+const DISTRIBUTION_TYPES = ['normal', 'triangular', 'uniform'];
+
+// Physical limits applied to sampled inputs
+const MONTE_CARLO_BOUNDS = {
+  windSpeed: [0, Infinity],
+  fuelMoisture: [1, Infinity],
+  'moistures.dead1h': [1, Infinity],
+  'moistures.dead10h': [1, Infinity],
+  'moistures.dead100h': [1, Infinity],
+  'moistures.liveHerb': [30, Infinity],
+  'moistures.liveStem': [30, Infinity],
+  rh: [1, 100],
+  slope: [0, 90],
+  canopyCover: [0, 100],
+  shading: [0, 100]
+};
+
+// Inputs that set 1-h moisture directly; EMC replaces them under useEMC
+const MONTE_CARLO_MOISTURE_1H_PARAMS = ['fuelMoisture', 'moistures.dead1h'];
+
+// Outputs that are zero where fire does not spread
+const SPREAD_OUTPUTS = ['ros', 'flameLength', 'firelineIntensity', 'heatPerUnitArea', 'reactionIntensity'];
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * @param {number|string} seed - Seed; strings are hashed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+function createSeededRandom(seed = 1) {
+  let state;
+  if (typeof seed === 'string') {
+    state = 2166136261;
+    for (let i = 0; i < seed.length; i++) {
+      state = Math.imul(state ^ seed.charCodeAt(i), 16777619);
+    }
+  } else if (typeof seed === 'number' && isFinite(seed)) {
+    state = Math.floor(seed);
+  } else {
+    throw new Error('Invalid seed: must be a number or string');
+  }
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal CDF (Abramowitz and Stegun 7.1.26, error < 1.5e-7)
+function normalCDF(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Inverse standard normal CDF (Acklam's rational approximation)
+function inverseNormalCDF(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+  const clamped = Math.min(1 - 1e-12, Math.max(1e-12, p));
+  if (clamped < low || clamped > 1 - low) {
+    const q = Math.sqrt(-2 * Math.log(clamped < low ? clamped : 1 - clamped));
+    const z = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    return clamped < low ? z : -z;
+  }
+  const q = clamped - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Check a distribution and fill in its limits
+ * @param {string} param - predictFireBehavior parameter (dotted paths allowed)
+ * @param {object} distribution - { type: 'normal', mean, sd, min, max } |
+ *   { type: 'triangular', min, mode, max } | { type: 'uniform', min, max }
+ * @returns {object} Distribution with min and max within the parameter's physical limits
+ */
+function validateDistribution(param, distribution) {
+  const fail = message => {
+    throw new Error(`Invalid distribution for "${param}": ${message}`);
+  };
+  if (!distribution || !DISTRIBUTION_TYPES.includes(distribution.type)) {
+    fail(`type must be one of ${DISTRIBUTION_TYPES.join(', ')}`);
+  }
+  const [lower, upper] = MONTE_CARLO_BOUNDS[param] || [-Infinity, Infinity];
+  const number = value => typeof value === 'number' && !isNaN(value);
+  const result = Object.assign({}, distribution);
+
+  if (distribution.type === 'normal') {
+    if (!number(distribution.mean) || !number(distribution.sd) || distribution.sd < 0) {
+      fail('normal needs a mean and a non-negative sd');
+    }
+    result.min = Math.max(lower, number(distribution.min) ? distribution.min : -Infinity);
+    result.max = Math.min(upper, number(distribution.max) ? distribution.max : Infinity);
+  } else {
+    if (!number(distribution.min) || !number(distribution.max) || distribution.max < distribution.min) {
+      fail('min and max are required, with max at least min');
+    }
+    if (distribution.type === 'triangular' &&
+      (!number(distribution.mode) || distribution.mode < distribution.min || distribution.mode > distribution.max)) {
+      fail('triangular needs a mode between min and max');
+    }
+    result.min = Math.max(lower, distribution.min);
+    result.max = Math.min(upper, distribution.max);
+    if (distribution.type === 'triangular') {
+      result.mode = Math.min(result.max, Math.max(result.min, distribution.mode));
+    }
+  }
+  if (result.max < result.min) {
+    fail(`range lies outside the limits ${lower} to ${upper}`);
+  }
+  return result;
+}
+
+/**
+ * Value of a distribution at a cumulative probability
+ * @param {object} distribution - Validated distribution
+ * @param {number} u - Cumulative probability (0-1)
+ * @returns {number} Sample
+ */
+function sampleDistribution(distribution, u) {
+  const { type, min, max } = distribution;
+  let value;
+  if (type === 'uniform') {
+    value = min + (max - min) * u;
+  } else if (type === 'triangular') {
+    const { mode } = distribution;
+    const split = max > min ? (mode - min) / (max - min) : 0;
+    value = u < split ?
+      min + Math.sqrt(u * (max - min) * (mode - min)) :
+      max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+  } else {
+    // Normal truncated to [min, max] by inverse transform
+    const { mean, sd } = distribution;
+    if (sd === 0) {
+      value = mean;
+    } else {
+      const from = normalCDF((min - mean) / sd);
+      const to = normalCDF((max - mean) / sd);
+      value = mean + sd * inverseNormalCDF(from + (to - from) * u);
+    }
+  }
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Percentile of sorted values with linear interpolation
+ * @param {Array} sorted - Values in ascending order
+ * @param {number} p - Percentile (0-100)
+ * @returns {number} Value
+ */
+function monteCarloPercentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const position = (sorted.length - 1) * p / 100;
+  const below = Math.floor(position);
+  const above = Math.min(sorted.length - 1, below + 1);
+  return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+}
+
+/**
+ * Fraction of values above a threshold
+ * @param {Array} values - Sample values
+ * @param {number} threshold - Threshold
+ * @returns {number} Probability (0-1)
+ */
+function exceedanceProbability(values, threshold) {
+  return values.length === 0 ? 0 : values.filter(value => value > threshold).length / values.length;
+}
+
+/**
+ * Histogram bins
+ * @param {Array} values - Sample values
+ * @param {object} options - { bins (default 20), min, max }
+ * @returns {Array} [{ from, to, count, fraction }]
+ */
+function histogramBins(values, options = {}) {
+  const { bins = 20 } = options;
+  const min = typeof options.min === 'number' ? options.min : Math.min(...values);
+  let max = typeof options.max === 'number' ? options.max : Math.max(...values);
+  if (max <= min) {
+    max = min + 1;
+  }
+  const width = (max - min) / bins;
+  const result = [];
+  for (let i = 0; i < bins; i++) {
+    result.push({ from: min + i * width, to: min + (i + 1) * width, count: 0, fraction: 0 });
+  }
+  values.forEach(value => {
+    if (value >= min && value <= max) {
+      result[Math.min(bins - 1, Math.floor((value - min) / width))].count++;
+    }
+  });
+  result.forEach(bin => {
+    bin.fraction = values.length > 0 ? bin.count / values.length : 0;
+  });
+  return result;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Run a Monte Carlo uncertainty analysis. Temperature and humidity reach
+ * spread only through EMC, so an rh or temp distribution turns on useEMC and
+ * each run's 1-h moisture is the EMC of its sampled weather. A 1-h moisture
+ * distribution is then rejected, since EMC would replace it.
+ * @param {object} options - {
+ *   fixed: predictFireBehavior params for inputs without a distribution,
+ *   distributions: { param: distribution } (see validateDistribution),
+ *   correlations: [{ params: ['rh', 'temp'], coefficient: -0.7 }] (each param in at most one pair),
+ *   samples (default 2000), seed (default 1),
+ *   outputs: FireBehaviorSweep output names or dotted paths (default ros, flameLength, firelineIntensity),
+ *   thresholds: { output: [values] } for exceedance probabilities,
+ *   percentiles: (default [10, 50, 90]) }
+ * @returns {object} { samples, seed, noSpreadFraction,
+ *   inputs: { param: { distribution, mean, min, max, percentiles, values } },
+ *   outputs: { output: { label, units, mean, min, max, percentiles: { P10, ... }, values } },
+ *   exceedance: [{ output, threshold, probability }] }
+ */
+function runMonteCarlo(options = {}) {
+  const {
+    fixed = {},
+    distributions = {},
+    correlations = [],
+    samples = 2000,
+    seed = 1,
+    outputs = ['ros', 'flameLength', 'firelineIntensity'],
+    thresholds = {},
+    percentiles = [10, 50, 90]
+  } = options;
+
+  if (!Number.isInteger(samples) || samples < 1 || samples > MAX_MONTE_CARLO_SAMPLES) {
+    throw new Error(`Invalid input: samples must be a whole number from 1 to ${MAX_MONTE_CARLO_SAMPLES}`);
+  }
+  const params = Object.keys(distributions);
+  if (params.length === 0) {
+    throw new Error('Invalid input: at least one input distribution is required');
+  }
+  const validated = {};
+  params.forEach(param => {
+    validated[param] = validateDistribution(param, distributions[param]);
+  });
+  const samplesEMC = Boolean(validated.rh || validated.temp);
+  const moistureParam = MONTE_CARLO_MOISTURE_1H_PARAMS.find(param => validated[param]);
+  if (moistureParam && (samplesEMC || fixed.useEMC)) {
+    throw new Error(`Invalid input: a ${moistureParam} distribution has no effect when 1-h moisture comes from EMC ` +
+      '(useEMC, or an rh or temp distribution)');
+  }
+  const baseParams = samplesEMC ? Object.assign({}, fixed, { useEMC: true }) : fixed;
+
+  // Each correlated pair shares a standard normal draw: z2 = r z1 + sqrt(1 - r^2) e
+  const partner = {};
+  correlations.forEach(({ params: pair, coefficient }) => {
+    if (!Array.isArray(pair) || pair.length !== 2 || pair.some(param => !validated[param]) || pair[0] === pair[1]) {
+      throw new Error('Invalid correlation: params must name two different inputs that have distributions');
+    }
+    if (typeof coefficient !== 'number' || coefficient < -1 || coefficient > 1) {
+      throw new Error('Invalid correlation: coefficient must be between -1 and 1');
+    }
+    if (pair.some(param => partner[param])) {
+      throw new Error('Invalid correlation: each input can be in only one correlated pair');
+    }
+    partner[pair[0]] = { lead: true, other: pair[1], coefficient };
+    partner[pair[1]] = { lead: false, other: pair[0], coefficient };
+  });
+
+  const fireBehavior = getMonteCarloModule(FireBehaviorForMonteCarlo, 'FireBehavior');
+  const sweep = getMonteCarloModule(FireBehaviorSweepForMonteCarlo, 'FireBehaviorSweep');
+  const random = createSeededRandom(seed);
+  const standardNormal = () => {
+    const u1 = 1 - random();
+    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * random());
+  };
+
+  const inputValues = {};
+  params.forEach(param => {
+    inputValues[param] = [];
+  });
+  const outputValues = {};
+  outputs.forEach(output => {
+    outputValues[output] = [];
+  });
+  let noSpread = 0;
+
+  for (let i = 0; i < samples; i++) {
+    const z = {};
+    params.forEach(param => {
+      if (z[param] !== undefined) {
+        return;
+      }
+      z[param] = standardNormal();
+      const pair = partner[param];
+      if (pair) {
+        z[pair.other] = pair.coefficient * z[param] + Math.sqrt(1 - pair.coefficient * pair.coefficient) * standardNormal();
+      }
+    });
+
+    let runParams = baseParams;
+    params.forEach(param => {
+      const value = sampleDistribution(validated[param], normalCDF(z[param]));
+      inputValues[param].push(value);
+      runParams = sweep.setSweepParam(runParams, param, value);
+    });
+
+    const result = fireBehavior.predictFireBehavior(runParams);
+    if (result.error) {
+      throw new Error(`Monte Carlo run failed: ${result.error}`);
+    }
+    if (!result.canSpread) {
+      noSpread++;
+    }
+    outputs.forEach(output => {
+      const value = sweep.readSweepOutput(result, output);
+      outputValues[output].push(value === null && !result.canSpread && SPREAD_OUTPUTS.includes(output) ? 0 : value);
+    });
+  }
+
+  const summarize = values => {
+    const numbers = values.filter(value => typeof value === 'number');
+    const sorted = numbers.slice().sort((a, b) => a - b);
+    const summary = {
+      mean: sorted.length > 0 ? round2(numbers.reduce((sum, value) => sum + value, 0) / numbers.length) : null,
+      min: sorted.length > 0 ? sorted[0] : null,
+      max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+      percentiles: {}
+    };
+    percentiles.forEach(p => {
+      const value = monteCarloPercentile(sorted, p);
+      summary.percentiles[`P${p}`] = value === null ? null : round2(value);
+    });
+    return summary;
+  };
+
+  const inputs = {};
+  params.forEach(param => {
+    inputs[param] = Object.assign({ distribution: validated[param] }, summarize(inputValues[param]),
+      { values: inputValues[param] });
+  });
+  const outputSummaries = {};
+  outputs.forEach(output => {
+    const info = sweep.SWEEP_OUTPUTS[output] || { label: output, units: '' };
+    outputSummaries[output] = Object.assign({ label: info.label, units: info.units },
+      summarize(outputValues[output]), { values: outputValues[output] });
+  });
+
+  const exceedance = [];
+  Object.keys(thresholds).forEach(output => {
+    if (!outputValues[output]) {
+      throw new Error(`Invalid threshold: "${output}" is not one of the outputs`);
+    }
+    [].concat(thresholds[output]).forEach(threshold => {
+      exceedance.push({
+        output,
+        threshold,
+        probability: round2(exceedanceProbability(outputValues[output].filter(value => typeof value === 'number'), threshold))
+      });
+    });
+  });
+
+  return {
+    samples,
+    seed,
+    noSpreadFraction: round2(noSpread / samples),
+    inputs,
+    outputs: outputSummaries,
+    exceedance
+  };
+}
+
+function escapeHistogramText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a histogram of sample values as SVG, with percentile and threshold markers
+ * @param {Array} values - Sample values
+ * @param {object} options - { width (default 640), height (default 300), bins (default 20),
+ *   title, units, percentiles: { P10: value, ... }, threshold }
+ * @returns {string} SVG markup
+ */
+function renderMonteCarloHistogram(values, options = {}) {
+  const numbers = values.filter(value => typeof value === 'number');
+  if (numbers.length === 0) {
+    throw new Error('Invalid input: no values to plot');
+  }
+  const { width = 640, height = 300, bins = 20, title = 'Monte Carlo Results', units = '', percentiles = {} } = options;
+  const threshold = typeof options.threshold === 'number' ? options.threshold : null;
+  const low = Math.min(...numbers, threshold === null ? Infinity : threshold);
+  const high = Math.max(...numbers, threshold === null ? -Infinity : threshold);
+  const histogram = histogramBins(numbers, { bins, min: low, max: high > low ? high : low + 1 });
+  const maxFraction = Math.max(...histogram.map(bin => bin.fraction));
+
+  const margin = { left: 52, right: 20, top: 32, bottom: 44 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+  const from = histogram[0].from;
+  const to = histogram[histogram.length - 1].to;
+  const sx = value => margin.left + (value - from) / (to - from) * plotWidth;
+  const sy = fraction => margin.top + plotHeight - fraction / maxFraction * plotHeight;
+  const fmt = value => Math.round(value * 10) / 10;
+  const label = value => `${round2(value)}${units ? ' ' + units : ''}`;
+
+  const parts = [];
+  parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHistogramText(title)}" style="max-width: 100%; height: auto; font-family: Arial, sans-serif; font-size: 11px; background: white;">`);
+  parts.push(`<title>${escapeHistogramText(title)}</title>`);
+  parts.push(`<text x="${margin.left + plotWidth / 2}" y="18" text-anchor="middle" style="font-size: 14px; font-weight: bold;">${escapeHistogramText(title)}</text>`);
+
+  histogram.forEach(bin => {
+    const x = sx(bin.from);
+    const y = sy(bin.fraction);
+    const exceeds = threshold !== null && bin.from >= threshold;
+    parts.push(`<rect x="${fmt(x) + 0.5}" y="${fmt(y)}" width="${fmt(Math.max(0, sx(bin.to) - x - 1))}" height="${fmt(margin.top + plotHeight - y)}" fill="${exceeds ? '#f44336' : '#1976d2'}" fill-opacity="0.75">` +
+      `<title>${escapeHistogramText(`${label(bin.from)} to ${label(bin.to)}: ${bin.count} runs (${Math.round(bin.fraction * 1000) / 10}%)`)}</title></rect>`);
+  });
+
+  Object.keys(percentiles).forEach(name => {
+    const value = percentiles[name];
+    if (typeof value !== 'number') {
+      return;
+    }
+    parts.push(`<line x1="${fmt(sx(value))}" y1="${margin.top}" x2="${fmt(sx(value))}" y2="${margin.top + plotHeight}" stroke="#212121" stroke-dasharray="4 3"/>`);
+    parts.push(`<text x="${fmt(sx(value)) + 3}" y="${margin.top + 10}">${escapeHistogramText(name)}</text>`);
+  });
+  if (threshold !== null) {
+    parts.push(`<line x1="${fmt(sx(threshold))}" y1="${margin.top}" x2="${fmt(sx(threshold))}" y2="${margin.top + plotHeight}" stroke="#d32f2f" stroke-width="2"/>`);
+    parts.push(`<text x="${fmt(sx(threshold)) + 3}" y="${margin.top + 24}" fill="#d32f2f">&gt; ${escapeHistogramText(label(threshold))}: ${Math.round(exceedanceProbability(numbers, threshold) * 100)}%</text>`);
+  }
+
+  parts.push(`<rect x="${margin.left}" y="${margin.top}" width="${plotWidth}" height="${plotHeight}" fill="none" stroke="#424242"/>`);
+  for (let i = 0; i <= 5; i++) {
+    const value = from + (to - from) * i / 5;
+    parts.push(`<text x="${fmt(sx(value))}" y="${margin.top + plotHeight + 16}" text-anchor="middle">${round2(value)}</text>`);
+    const fraction = maxFraction * i / 5;
+    parts.push(`<text x="${margin.left - 6}" y="${fmt(sy(fraction)) + 4}" text-anchor="end">${Math.round(fraction * 1000) / 10}%</text>`);
+  }
+  parts.push(`<text x="${margin.left + plotWidth / 2}" y="${height - 8}" text-anchor="middle">${escapeHistogramText(units ? `${title} (${units})` : title)}</text>`);
+
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MAX_MONTE_CARLO_SAMPLES,
+    DISTRIBUTION_TYPES,
+    createSeededRandom,
+    validateDistribution,
+    sampleDistribution,
+    monteCarloPercentile,
+    exceedanceProbability,
+    histogramBins,
+    runMonteCarlo,
+    renderMonteCarloHistogram
+  };
+}
+
+// Make available in browser
+if (typeof window !== 'undefined') {
+  window.FireBehaviorMonteCarlo = {
+    MAX_MONTE_CARLO_SAMPLES,
+    DISTRIBUTION_TYPES,
+    createSeededRandom,
+    validateDistribution,
+    sampleDistribution,
+    monteCarloPercentile,
+    exceedanceProbability,
+    histogramBins,
+    runMonteCarlo,
+    renderMonteCarloHistogram
+  };
+}
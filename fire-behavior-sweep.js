@@ -0,0 +1,255 @@
+/**
+ * Fire Behavior Sensitivity Sweeps
+ * Runs predictFireBehavior over a grid of one or two varying inputs, holding
+ * the rest fixed, and returns matrices of the chosen outputs (BehavePlus-style
+ * tables for prescription planning)
+ */
+
+// Import fire behavior module if in Node.js environment
+let FireBehaviorForSweep = null;
+if (typeof require !== 'undefined') {
+  try {
+    FireBehaviorForSweep = require('./fire-behavior.js');
+  } catch (e) {
+    // Module not available, will use window object in browser
+  }
+}
+
+function getSweepFireBehavior() {
+  const resolved = FireBehaviorForSweep || (typeof window !== 'undefined' ? window.FireBehavior : null);
+  if (!resolved) {
+    throw new Error('FireBehavior module is not loaded');
+  }
+  return resolved;
+}
+
+// Largest number of values along one axis
+const MAX_SWEEP_VALUES = 100;
+
+// Common varying inputs; any other predictFireBehavior parameter or dotted path also works
+const SWEEP_INPUTS = {
+  windSpeed: { label: 'Wind Speed', units: 'mph' },
+  fuelMoisture: { label: '1-h Moisture', units: '%' },
+  'moistures.dead10h': { label: '10-h Moisture', units: '%' },
+  'moistures.dead100h': { label: '100-h Moisture', units: '%' },
+  'moistures.liveHerb': { label: 'Live Herbaceous Moisture', units: '%' },
+  'moistures.liveStem': { label: 'Live Woody Moisture', units: '%' },
+  slope: { label: 'Slope', units: 'deg' },
+  temp: { label: 'Temperature', units: '°F', emc: true },
+  rh: { label: 'Relative Humidity', units: '%', emc: true },
+  canopyCover: { label: 'Canopy Cover', units: '%' }
+};
+
+// Axes that set 1-h moisture directly; useEMC would override them
+const SWEEP_MOISTURE_1H_PARAMS = ['fuelMoisture', 'moistures.dead1h'];
+
+// Outputs read from a predictFireBehavior result; null where fire does not spread
+const SWEEP_OUTPUTS = {
+  ros: { label: 'Rate of Spread', units: 'ch/h', read: result => result.rateOfSpread.chainsPerHour },
+  flameLength: { label: 'Flame Length', units: 'ft', read: result => result.flameLength.feet },
+  firelineIntensity: { label: 'Fireline Intensity', units: 'BTU/ft/s', read: result => result.firelineIntensity },
+  heatPerUnitArea: { label: 'Heat per Unit Area', units: 'BTU/ft²', read: result => result.heatPerUnitArea },
+  reactionIntensity: { label: 'Reaction Intensity', units: 'BTU/ft²/min', read: result => result.reactionIntensity },
+  effectiveWindSpeed: { label: 'Effective Wind Speed', units: 'mph', read: result => result.effectiveWindSpeed },
+  lengthToBreadth: { label: 'Length-to-Breadth', units: '', read: result => result.lengthToBreadth },
+  probabilityOfIgnition: { label: 'Probability of Ignition', units: '%', read: result => result.probabilityOfIgnition }
+};
+
+/**
+ * Values along one sweep axis
+ * @param {object} axis - { param, min, max, step } or { param, values }
+ * @returns {Array} Axis values
+ */
+function sweepAxisValues(axis) {
+  if (!axis || typeof axis.param !== 'string' || axis.param === '') {
+    throw new Error('Invalid sweep axis: param is required');
+  }
+  let values;
+  if (Array.isArray(axis.values)) {
+    values = axis.values.slice();
+  } else {
+    const { min, max, step } = axis;
+    if ([min, max, step].some(value => typeof value !== 'number' || isNaN(value))) {
+      throw new Error(`Invalid sweep axis "${axis.param}": min, max and step must be numbers`);
+    }
+    if (step <= 0 || max < min) {
+      throw new Error(`Invalid sweep axis "${axis.param}": step must be positive and max at least min`);
+    }
+    values = [];
+    for (let i = 0; min + i * step <= max + 1e-9 && values.length <= MAX_SWEEP_VALUES; i++) {
+      values.push(Math.round((min + i * step) * 1e6) / 1e6);
+    }
+  }
+  if (values.length === 0) {
+    throw new Error(`Invalid sweep axis "${axis.param}": no values`);
+  }
+  if (values.length > MAX_SWEEP_VALUES) {
+    throw new Error(`Invalid sweep axis "${axis.param}": more than ${MAX_SWEEP_VALUES} values`);
+  }
+  return values;
+}
+
+/**
+ * Copy of params with a (dotted) parameter set. Setting fuelMoisture also sets
+ * moistures.dead1h when present, since that takes precedence in predictFireBehavior.
+ * @param {object} params - predictFireBehavior params
+ * @param {string} path - Parameter name or dotted path
+ * @param {*} value - New value
+ * @returns {object} Updated copy
+ */
+function setSweepParam(params, path, value) {
+  const result = Object.assign({}, params);
+  const keys = path.split('.');
+  let target = result;
+  keys.slice(0, -1).forEach(key => {
+    target[key] = Object.assign({}, target[key]);
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+  if (path === 'fuelMoisture' && result.moistures && typeof result.moistures.dead1h === 'number') {
+    result.moistures = Object.assign({}, result.moistures, { dead1h: value });
+  }
+  return result;
+}
+
+/**
+ * Read an output from a predictFireBehavior result
+ * @param {object} result - predictFireBehavior result
+ * @param {string} output - SWEEP_OUTPUTS name or dotted path
+ * @returns {*} Value, or null where it is not available
+ */
+function readSweepOutput(result, output) {
+  if (SWEEP_OUTPUTS[output]) {
+    if (!result.canSpread && output !== 'probabilityOfIgnition') {
+      return null;
+    }
+    const value = SWEEP_OUTPUTS[output].read(result);
+    return value === undefined ? null : value;
+  }
+  const value = output.split('.').reduce((node, key) => (node === null || node === undefined ? undefined : node[key]), result);
+  return value === undefined ? null : value;
+}
+
+/**
+ * Run a one- or two-way sensitivity sweep. Temperature and humidity only reach
+ * spread through EMC, so sweeping either turns on useEMC; sweeping 1-h
+ * moisture turns it off.
+ * @param {object} options - { fixed: predictFireBehavior params held constant,
+ *   rows: { param, min, max, step } or { param, values }, columns: same (optional),
+ *   outputs: SWEEP_OUTPUTS names or dotted result paths (default ['ros', 'flameLength']) }
+ * @returns {object} { rows: { param, label, units, values }, columns (null for one-way),
+ *   outputs, cells: [row][column] { canSpread, values: { output: value } },
+ *   matrices: { output: [row][column] } }
+ */
+function runSweep(options = {}) {
+  const { fixed = {}, outputs = ['ros', 'flameLength'] } = options;
+  if (!Array.isArray(outputs) || outputs.length === 0) {
+    throw new Error('Invalid sweep: at least one output is required');
+  }
+  const describeAxis = axis => {
+    const values = sweepAxisValues(axis);
+    const known = SWEEP_INPUTS[axis.param] || { label: axis.param, units: '' };
+    return {
+      param: axis.param,
+      label: axis.label || known.label,
+      units: axis.units !== undefined ? axis.units : known.units,
+      values
+    };
+  };
+
+  const rows = describeAxis(options.rows);
+  const columns = options.columns ? describeAxis(options.columns) : null;
+  if (columns && columns.param === rows.param) {
+    throw new Error('Invalid sweep: rows and columns must vary different inputs');
+  }
+  const axes = columns ? [rows, columns] : [rows];
+  const sweepsEMC = axes.some(axis => SWEEP_INPUTS[axis.param] && SWEEP_INPUTS[axis.param].emc);
+  const sweepsMoisture = axes.some(axis => SWEEP_MOISTURE_1H_PARAMS.indexOf(axis.param) !== -1);
+  if (sweepsEMC && sweepsMoisture) {
+    throw new Error('Invalid sweep: temperature and humidity set 1-h moisture through EMC, so they cannot be swept with 1-h moisture');
+  }
+  const base = sweepsEMC || sweepsMoisture ? Object.assign({}, fixed, { useEMC: sweepsEMC }) : fixed;
+
+  const fireBehavior = getSweepFireBehavior();
+  const cells = rows.values.map(rowValue => (columns ? columns.values : [null]).map(columnValue => {
+    let params = setSweepParam(base, rows.param, rowValue);
+    if (columns) {
+      params = setSweepParam(params, columns.param, columnValue);
+    }
+    const result = fireBehavior.predictFireBehavior(params);
+    if (result.error) {
+      throw new Error(`Sweep failed at ${rows.param}=${rowValue}${columns ? `, ${columns.param}=${columnValue}` : ''}: ${result.error}`);
+    }
+    const values = {};
+    outputs.forEach(output => {
+      values[output] = readSweepOutput(result, output);
+    });
+    return { canSpread: result.canSpread, values };
+  }));
+
+  const matrices = {};
+  outputs.forEach(output => {
+    matrices[output] = cells.map(row => row.map(cell => cell.values[output]));
+  });
+
+  return { rows, columns, outputs, cells, matrices };
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write sweep matrices as CSV, one block per output. Cells where fire does not
+ * spread are written as "NS".
+ * @param {object} sweep - runSweep result
+ * @param {Array} outputs - Outputs to include (default all)
+ * @returns {string} CSV text
+ */
+function sweepToCSV(sweep, outputs = sweep.outputs) {
+  const axisName = axis => (axis.units ? `${axis.label} (${axis.units})` : axis.label);
+  const blocks = outputs.map(output => {
+    if (!sweep.matrices[output]) {
+      throw new Error(`Output "${output}" is not in this sweep`);
+    }
+    const info = SWEEP_OUTPUTS[output] || { label: output, units: '' };
+    const lines = [csvField(info.units ? `${info.label} (${info.units})` : info.label)];
+    lines.push([axisName(sweep.rows) + (sweep.columns ? ` \\ ${axisName(sweep.columns)}` : '')]
+      .concat(sweep.columns ? sweep.columns.values : [info.label]).map(csvField).join(','));
+    sweep.rows.values.forEach((rowValue, r) => {
+      lines.push([rowValue].concat(sweep.cells[r].map(cell =>
+        (cell.values[output] === null && !cell.canSpread ? 'NS' : cell.values[output]))).map(csvField).join(','));
+    });
+    return lines.join('\n');
+  });
+  return blocks.join('\n\n') + '\n';
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MAX_SWEEP_VALUES,
+    SWEEP_INPUTS,
+    SWEEP_OUTPUTS,
+    sweepAxisValues,
+    setSweepParam,
+    readSweepOutput,
+    runSweep,
+    sweepToCSV
+  };
+}
+
+// Make available in browser
+if (typeof window !== 'undefined') {
+  window.FireBehaviorSweep = {
+    MAX_SWEEP_VALUES,
+    SWEEP_INPUTS,
+    SWEEP_OUTPUTS,
+    sweepAxisValues,
+    setSweepParam,
+    readSweepOutput,
+    runSweep,
+    sweepToCSV
+  };
+}
@@ -7,146 +7,362 @@
 
 // Import fuel moisture calculator if in Node.js environment
 let FuelMoistureIntegration = null;
+let FuelModelsLib = null;
 if (typeof require !== 'undefined') {
   try {
     FuelMoistureIntegration = require('./fuel-moisture-integration.js');
   } catch (e) {
     // Module not available, will use window object in browser
   }
+  try {
+    FuelModelsLib = require('./fuel-models.js');
+  } catch (e) {
+    // Module not available, will use window object in browser
+  }
+}
+
+/**
+ * Resolve an optional companion module (crown fire, spotting, ...) lazily,
+ * since those modules load this one
+ * @param {string} path - Node.js module path
+ * @param {string} globalName - Browser window property
+ * @returns {object|null} Module exports, or null if not available
+ */
+function getCompanionModule(path, globalName) {
+  if (typeof window !== 'undefined' && window[globalName]) {
+    return window[globalName];
+  }
+  if (typeof require !== 'undefined') {
+    try {
+      return require(path);
+    } catch (e) {
+      // Module not available
+    }
+  }
+  return null;
 }
 
 // ==================== FUEL MODEL DEFINITIONS ====================
 
+// Size classes in the order Rothermel's equations consume them
+const SIZE_CLASSES = ['dead1h', 'dead10h', 'dead100h', 'liveHerb', 'liveStem'];
+const DEAD_CLASSES = ['dead1h', 'dead10h', 'dead100h'];
+const LIVE_CLASSES = ['liveHerb', 'liveStem'];
+
+// Live fuel moistures (%) used when only a dead fine fuel moisture is given
+const DEFAULT_LIVE_MOISTURE = { liveHerb: 120, liveStem: 150 };
+
+// Rothermel (1972) fuel particle constants
+const PARTICLE_DENSITY = 32;       // lb/ft^3
+const TOTAL_MINERAL = 0.0555;      // fraction
+const EFFECTIVE_MINERAL = 0.010;   // fraction
+const TONS_ACRE_TO_LB_FT2 = 2000 / 43560;
+
+/**
+ * Build the behavior view of a fuel-models.js entry
+ * @param {object} model - Entry from FUEL_MODELS in fuel-models.js
+ * @returns {object} { name, family, fuelLoad, sav, depth, moistureExt, heatContent, dynamic, load }
+ */
+function toBehaviorModel(model) {
+  const fuelLoad = {};
+  const sav = {};
+  let load = 0;
+  SIZE_CLASSES.forEach(sizeClass => {
+    fuelLoad[sizeClass] = (model.fuelLoad && model.fuelLoad[sizeClass]) || 0;
+    sav[sizeClass] = (model.sav && model.sav[sizeClass]) || (sizeClass === 'dead1h' ? model.savRatio : 0);
+    load += fuelLoad[sizeClass];
+  });
+
+  return {
+    name: model.name,
+    family: model.family || null,
+    fuelLoad,
+    sav,
+    depth: model.fuelDepth,
+    moistureExt: model.moistureExtinction,
+    heatContent: model.heatContent || 8000,
+    dynamic: model.dynamic === true,
+    load: Math.round(load * 100) / 100
+  };
+}
+
+/**
+ * Build FUEL_MODELS_BEHAVIOR from the per-size-class loadings in fuel-models.js
+ * @returns {object} Behavior models keyed by fuel model code
+ */
+function buildBehaviorModels() {
+  const lib = FuelModelsLib || (typeof window !== 'undefined' ? window.FuelModels : null);
+  const models = {};
+  if (!lib || !lib.FUEL_MODELS) {
+    return models;
+  }
+  Object.keys(lib.FUEL_MODELS).forEach(key => {
+    models[key] = toBehaviorModel(lib.FUEL_MODELS[key]);
+  });
+  return models;
+}
+
 // Define FUEL_MODELS_BEHAVIOR to avoid naming conflicts with fuel-models.js
-const FUEL_MODELS_BEHAVIOR = {
-  '1': {
-    name: 'Short Grass (1 ft)',
-    load: 0.74,        // tons/acre
-    savRatio: 3500,    // ft^-1
-    depth: 1.0,        // feet
-    moistureExt: 12,   // percent
-    heatContent: 8000  // BTU/lb
-  },
-  '2': {
-    name: 'Timber Grass/Understory (1 ft)',
-    load: 2.0,
-    savRatio: 3000,
-    depth: 1.0,
-    moistureExt: 15,
-    heatContent: 8000
-  },
-  '3': {
-    name: 'Tall Grass (2.5 ft)',
-    load: 3.01,
-    savRatio: 1500,
-    depth: 2.5,
-    moistureExt: 25,
-    heatContent: 8000
-  },
-  '4': {
-    name: 'Chaparral (6 ft)',
-    load: 5.01,
-    savRatio: 2000,
-    depth: 6.0,
-    moistureExt: 20,
-    heatContent: 8000
-  },
-  '5': {
-    name: 'Brush (2 ft)',
-    load: 1.0,
-    savRatio: 2000,
-    depth: 2.0,
-    moistureExt: 20,
-    heatContent: 8000
-  },
-  '6': {
-    name: 'Dormant Brush/Hardwood Slash',
-    load: 1.5,
-    savRatio: 1750,
-    depth: 2.5,
-    moistureExt: 25,
-    heatContent: 8000
-  },
-  '7': {
-    name: 'Southern Rough',
-    load: 1.13,
-    savRatio: 1550,
-    depth: 2.5,
-    moistureExt: 40,
-    heatContent: 8000
-  },
-  '8': {
-    name: 'Closed Timber Litter',
-    load: 1.5,
-    savRatio: 2000,
-    depth: 0.2,
-    moistureExt: 30,
-    heatContent: 8000
-  },
-  '9': {
-    name: 'Hardwood Litter',
-    load: 2.92,
-    savRatio: 2500,
-    depth: 0.2,
-    moistureExt: 25,
-    heatContent: 8000
-  },
-  '10': {
-    name: 'Timber Litter/Understory',
-    load: 3.01,
-    savRatio: 2000,
-    depth: 1.0,
-    moistureExt: 25,
-    heatContent: 8000
-  }
-};
+const FUEL_MODELS_BEHAVIOR = buildBehaviorModels();
 
 // ==================== ROTHERMEL FIRE SPREAD MODEL ====================
 
 /**
- * Calculate Rate of Spread using Rothermel model
+ * Expand a fuel moisture input into per-size-class moistures
+ * A single number is treated as 1-hour moisture, with 10-hour and 100-hour
+ * one and two points wetter and live fuels at DEFAULT_LIVE_MOISTURE.
+ * @param {number|object} fuelMoisture - 1-hour moisture (%) or { dead1h, dead10h, dead100h, liveHerb, liveStem }
+ * @returns {object} Moisture (%) for every size class
+ */
+function resolveMoistures(fuelMoisture) {
+  const input = typeof fuelMoisture === 'number' ? { dead1h: fuelMoisture } : (fuelMoisture || {});
+  if (typeof input.dead1h !== 'number' || isNaN(input.dead1h)) {
+    throw new Error('Invalid fuel moisture: 1-hour moisture must be a number');
+  }
+
+  return {
+    dead1h: input.dead1h,
+    dead10h: typeof input.dead10h === 'number' ? input.dead10h : input.dead1h + 1,
+    dead100h: typeof input.dead100h === 'number' ? input.dead100h : input.dead1h + 2,
+    liveHerb: typeof input.liveHerb === 'number' ? input.liveHerb : DEFAULT_LIVE_MOISTURE.liveHerb,
+    liveStem: typeof input.liveStem === 'number' ? input.liveStem : DEFAULT_LIVE_MOISTURE.liveStem
+  };
+}
+
+/**
+ * Fraction of live herbaceous load transferred to dead in dynamic fuel models
+ * (Scott & Burgan 2005): fully cured at 30% herbaceous moisture or below,
+ * fully green at 120% or above, linear in between.
+ * @param {number} liveHerbMoisture - Live herbaceous moisture (%)
+ * @returns {number} Cured fraction (0-1)
+ */
+function herbaceousCuring(liveHerbMoisture) {
+  if (typeof liveHerbMoisture !== 'number' || isNaN(liveHerbMoisture)) {
+    throw new Error('Invalid input: live herbaceous moisture must be a number');
+  }
+  if (liveHerbMoisture <= 30) {
+    return 1;
+  }
+  if (liveHerbMoisture >= 120) {
+    return 0;
+  }
+  return (120 - liveHerbMoisture) / 90;
+}
+
+/**
+ * Rothermel moisture damping coefficient
+ * @param {number} moisture - Weighted moisture (fraction)
+ * @param {number} extinction - Moisture of extinction (fraction)
+ * @returns {number} Damping coefficient (0-1)
+ */
+function moistureDamping(moisture, extinction) {
+  if (extinction <= 0 || moisture >= extinction) {
+    return 0;
+  }
+  const ratio = moisture / extinction;
+  return Math.max(0, 1 - 2.59 * ratio + 5.11 * ratio * ratio - 3.52 * ratio * ratio * ratio);
+}
+
+/**
+ * Size subclass used to weight net fuel load (Albini 1976)
+ * @param {number} sav - Surface-area-to-volume ratio (ft^-1)
+ * @returns {number} Subclass index (0 = finest)
+ */
+function savSubclass(sav) {
+  const bounds = [1200, 192, 96, 48, 16];
+  for (let i = 0; i < bounds.length; i++) {
+    if (sav >= bounds[i]) {
+      return i;
+    }
+  }
+  return bounds.length;
+}
+
+/**
+ * Area weighting, net load and characteristic SAV for one fuel category
+ * @param {Array} particles - [{ load (lb/ft^2), sav, moisture (fraction) }]
+ * @returns {object} Category totals with per-particle weights
+ */
+function summarizeCategory(particles) {
+  const present = particles.filter(p => p.load > 0 && p.sav > 0);
+  const areas = present.map(p => p.sav * p.load / PARTICLE_DENSITY);
+  const totalArea = areas.reduce((sum, a) => sum + a, 0);
+
+  if (totalArea === 0) {
+    return { area: 0, sav: 0, netLoad: 0, moisture: 0, heatSink: 0, particles: [] };
+  }
+
+  const weights = areas.map(a => a / totalArea);
+  const subclassWeights = {};
+  present.forEach((p, i) => {
+    const sub = savSubclass(p.sav);
+    subclassWeights[sub] = (subclassWeights[sub] || 0) + weights[i];
+  });
+
+  let sav = 0;
+  let netLoad = 0;
+  let moisture = 0;
+  let heatSink = 0;
+  present.forEach((p, i) => {
+    sav += weights[i] * p.sav;
+    netLoad += subclassWeights[savSubclass(p.sav)] * p.load * (1 - TOTAL_MINERAL);
+    moisture += weights[i] * p.moisture;
+    // Effective heating number times heat of preignition (BTU/lb)
+    heatSink += weights[i] * Math.exp(-138 / p.sav) * (250 + 1116 * p.moisture);
+  });
+
+  return { area: totalArea, sav, netLoad, moisture, heatSink, particles: present };
+}
+
+/**
+ * Calculate Rate of Spread using the Rothermel (1972) model with
+ * Albini (1976) multi-size-class weighting, as used by BehavePlus
  * @param {number} windSpeed - Wind speed at midflame height (mph)
- * @param {number} fuelMoisture - Fuel moisture content (%)
+ * @param {number|object} fuelMoisture - 1-hour moisture (%) or per-class moistures (%)
  * @param {number} slope - Slope steepness (degrees)
- * @param {string} fuelModel - Fuel model key (1-10)
- * @returns {object} { ros: chains/hour, rosMetric: m/min }
+ * @param {string|object} fuelModel - Fuel model key, or a behavior model built by toBehaviorModel
+ * @param {object} options - { windDirection: azimuth the wind blows from (deg),
+ *   aspect: azimuth the slope faces (deg), applyWindLimit: cap effective wind
+ *   speed at 0.9 x reaction intensity (default true) }. When windDirection or
+ *   aspect is omitted the wind is taken to blow straight upslope.
+ * @returns {object} { ros: chains/hour, rosMetric: m/min, rosFtPerMin, canSpread,
+ *   reactionIntensity: BTU/ft^2/min, heatPerUnitArea: BTU/ft^2, residenceTime: min,
+ *   headingDirection: deg, effectiveWindSpeed: mph, lengthToBreadth, ... }
  */
-function calculateRateOfSpread(windSpeed, fuelMoisture, slope, fuelModel = '2') {
-  const fuel = FUEL_MODELS_BEHAVIOR[fuelModel];
+function calculateRateOfSpread(windSpeed, fuelMoisture, slope, fuelModel = '2', options = {}) {
+  const { windDirection = null, aspect = null, applyWindLimit = true } = options;
+  const fuel = typeof fuelModel === 'object' && fuelModel !== null ? fuelModel : FUEL_MODELS_BEHAVIOR[fuelModel];
   if (!fuel) {
     throw new Error('Invalid fuel model');
   }
 
-  // Check if fire will spread
-  if (fuelMoisture >= fuel.moistureExt) {
-    return { ros: 0, rosMetric: 0, canSpread: false };
+  const moistures = resolveMoistures(fuelMoisture);
+  const toParticle = sizeClass => ({
+    load: fuel.fuelLoad[sizeClass] * TONS_ACRE_TO_LB_FT2,
+    sav: fuel.sav[sizeClass],
+    moisture: moistures[sizeClass] / 100
+  });
+  const deadParticles = DEAD_CLASSES.map(toParticle);
+  const liveParticles = LIVE_CLASSES.map(toParticle);
+
+  // Dynamic models move cured herbaceous load into a dead herbaceous class
+  // that takes the 1-hour moisture but keeps the herbaceous SAV ratio
+  const curing = fuel.dynamic ? herbaceousCuring(moistures.liveHerb) : 0;
+  if (curing > 0) {
+    const herb = liveParticles[0];
+    deadParticles.push({ load: herb.load * curing, sav: herb.sav, moisture: moistures.dead1h / 100 });
+    herb.load *= 1 - curing;
   }
 
+  const dead = summarizeCategory(deadParticles);
+  const live = summarizeCategory(liveParticles);
+
+  const totalArea = dead.area + live.area;
+  const totalLoad = SIZE_CLASSES.reduce((sum, c) => sum + fuel.fuelLoad[c] * TONS_ACRE_TO_LB_FT2, 0);
+  if (totalArea === 0 || fuel.depth <= 0) {
+    return { ros: 0, rosMetric: 0, rosFtPerMin: 0, canSpread: false, reactionIntensity: 0 };
+  }
+
+  const deadFraction = dead.area / totalArea;
+  const liveFraction = live.area / totalArea;
+  const sigma = deadFraction * dead.sav + liveFraction * live.sav;
+
+  // Live fuel moisture of extinction from the dead-to-live fine fuel ratio
+  const deadMx = fuel.moistureExt / 100;
+  let liveMx = deadMx;
+  if (live.area > 0) {
+    let fineDead = 0;
+    let fineDeadMoisture = 0;
+    let fineLive = 0;
+    dead.particles.forEach(p => {
+      const w = p.load * Math.exp(-138 / p.sav);
+      fineDead += w;
+      fineDeadMoisture += w * p.moisture;
+    });
+    live.particles.forEach(p => {
+      fineLive += p.load * Math.exp(-500 / p.sav);
+    });
+    const deadFineMoisture = fineDead > 0 ? fineDeadMoisture / fineDead : 0;
+    const ratio = fineLive > 0 ? fineDead / fineLive : 0;
+    liveMx = Math.max(deadMx, 2.9 * ratio * (1 - deadFineMoisture / deadMx) - 0.226);
+  }
+
+  const deadDamping = moistureDamping(dead.moisture, deadMx);
+  const liveDamping = moistureDamping(live.moisture, liveMx);
+  const mineralDamping = Math.min(1, 0.174 * Math.pow(EFFECTIVE_MINERAL, -0.19));
+
+  // Packing ratio and reaction velocity
+  const bulkDensity = totalLoad / fuel.depth;
+  const beta = bulkDensity / PARTICLE_DENSITY;
+  const betaOpt = 3.348 * Math.pow(sigma, -0.8189);
+  const relativePacking = beta / betaOpt;
+  const sigma15 = Math.pow(sigma, 1.5);
+  const gammaMax = sigma15 / (495 + 0.0594 * sigma15);
+  const aExp = 133 * Math.pow(sigma, -0.7913);
+  const reactionVelocity = gammaMax * Math.pow(relativePacking, aExp) * Math.exp(aExp * (1 - relativePacking));
+
   // Reaction intensity (BTU/ft^2/min)
-  const moistureDamping = 1 - (2.59 * (fuelMoisture / fuel.moistureExt)) + 
-                          (5.11 * Math.pow(fuelMoisture / fuel.moistureExt, 2)) - 
-                          (3.52 * Math.pow(fuelMoisture / fuel.moistureExt, 3));
-  
-  const reactionIntensity = (fuel.load * fuel.heatContent * moistureDamping) / 60;
+  const reactionIntensity = reactionVelocity * fuel.heatContent * mineralDamping *
+    (dead.netLoad * deadDamping + live.netLoad * liveDamping);
 
-  // Propagating flux ratio - simplified calculation
-  const sigma = fuel.savRatio;
-  const beta = fuel.load / (fuel.depth * 32); // Packing ratio (approximate)
-  const propagatingFlux = Math.exp((0.792 + 0.681 * Math.sqrt(sigma)) * (beta + 0.1)) / 1000;
+  if (reactionIntensity <= 0) {
+    return {
+      ros: 0,
+      rosMetric: 0,
+      rosFtPerMin: 0,
+      canSpread: false,
+      reactionIntensity: 0,
+      liveMoistureExtinction: liveMx * 100
+    };
+  }
 
-  // Wind coefficient
-  const windCoeff = windSpeed > 0 ? 
-    (Math.pow(windSpeed, 0.5) * Math.pow(sigma, -0.5) * 0.4) : 0;
+  // Propagating flux ratio and heat sink
+  const propagatingFlux = Math.exp((0.792 + 0.681 * Math.sqrt(sigma)) * (beta + 0.1)) /
+    (192 + 0.2595 * sigma);
+  const heatSink = bulkDensity * (deadFraction * dead.heatSink + liveFraction * live.heatSink);
+  const noWindNoSlopeRos = reactionIntensity * propagatingFlux / heatSink;
+
+  // Wind factor (midflame wind converted to ft/min)
+  const windFtPerMin = Math.max(0, windSpeed) * 88;
+  const cCoeff = 7.47 * Math.exp(-0.133 * Math.pow(sigma, 0.55));
+  const bCoeff = 0.02526 * Math.pow(sigma, 0.54);
+  const eCoeff = 0.715 * Math.exp(-3.59e-4 * sigma);
+  const windFactor = windFtPerMin > 0 ?
+    cCoeff * Math.pow(windFtPerMin, bCoeff) * Math.pow(relativePacking, -eCoeff) : 0;
+
+  // Slope factor from slope steepness in degrees
+  const tanSlope = Math.tan(Math.max(0, slope) * Math.PI / 180);
+  const slopeFactor = 5.275 * Math.pow(beta, -0.3) * tanSlope * tanSlope;
+
+  // Combine wind and slope as vectors (Rothermel 1972, BehavePlus)
+  const upslope = typeof aspect === 'number' ? normalizeAzimuth(aspect + 180) :
+    (typeof windDirection === 'number' ? normalizeAzimuth(windDirection + 180) : 0);
+  const windTo = typeof windDirection === 'number' ? normalizeAzimuth(windDirection + 180) : upslope;
+  const toRadians = Math.PI / 180;
+  const x = windFactor * Math.sin(windTo * toRadians) + slopeFactor * Math.sin(upslope * toRadians);
+  const y = windFactor * Math.cos(windTo * toRadians) + slopeFactor * Math.cos(upslope * toRadians);
+  let combinedFactor = Math.sqrt(x * x + y * y);
+  const headingDirection = combinedFactor > 0 ? normalizeAzimuth(Math.atan2(x, y) / toRadians) : upslope;
+
+  // Effective wind speed: the wind alone that would give the combined factor
+  let effectiveWindFtPerMin = combinedFactor > 0 ?
+    Math.pow(combinedFactor * Math.pow(relativePacking, eCoeff) / cCoeff, 1 / bCoeff) : 0;
+
+  // Effective wind speed limit (Rothermel 1972): U <= 0.9 IR, U in ft/min
+  const windLimitFtPerMin = 0.9 * reactionIntensity;
+  const windLimitExceeded = effectiveWindFtPerMin > windLimitFtPerMin;
+  if (applyWindLimit && windLimitExceeded) {
+    effectiveWindFtPerMin = windLimitFtPerMin;
+    combinedFactor = cCoeff * Math.pow(effectiveWindFtPerMin, bCoeff) * Math.pow(relativePacking, -eCoeff);
+  }
+  const effectiveWindSpeed = effectiveWindFtPerMin / 88;
 
-  // Slope coefficient (convert degrees to percent then to coefficient)
-  const slopePercent = Math.tan(slope * Math.PI / 180) * 100;
-  const slopeCoeff = slopePercent > 0 ?
-    (5.275 * Math.pow(sigma, -0.3) * Math.pow(slopePercent / 100, 2)) : 0;
+  // Rate of spread (ft/min) in the heading direction
+  const rosFtPerMin = noWindNoSlopeRos * (1 + combinedFactor);
 
-  // Rate of spread (ft/min)
-  const rosBase = (reactionIntensity * propagatingFlux) / 
-                  (fuel.load * 0.01);
-  const rosFtPerMin = rosBase * (1 + windCoeff + slopeCoeff);
+  // Residence time (min) and heat per unit area (BTU/ft^2)
+  const residenceTime = 384 / sigma;
+  const heatPerUnitArea = reactionIntensity * residenceTime;
 
   // Convert to chains/hour (1 chain = 66 ft)
   const rosChainsPerHour = (rosFtPerMin * 60) / 66;
@@ -159,7 +375,162 @@ function calculateRateOfSpread(windSpeed, fuelMoisture, slope, fuelModel = '2')
     rosMetric: rosMetersPerMin,
     rosFtPerMin: rosFtPerMin,
     canSpread: true,
-    reactionIntensity: reactionIntensity
+    reactionIntensity: reactionIntensity,
+    heatPerUnitArea: heatPerUnitArea,
+    residenceTime: residenceTime,
+    noWindNoSlopeRos: noWindNoSlopeRos,
+    windFactor: windFactor,
+    slopeFactor: slopeFactor,
+    combinedFactor: combinedFactor,
+    headingDirection: headingDirection,
+    upslopeDirection: upslope,
+    effectiveWindSpeed: effectiveWindSpeed,
+    effectiveWindSpeedLimit: windLimitFtPerMin / 88,
+    windLimitExceeded: windLimitExceeded,
+    lengthToBreadth: lengthToBreadthRatio(effectiveWindSpeed),
+    propagatingFlux: propagatingFlux,
+    packingRatio: beta,
+    relativePackingRatio: relativePacking,
+    characteristicSAV: sigma,
+    liveMoistureExtinction: liveMx * 100,
+    herbaceousCuring: curing,
+    moistures: moistures
+  };
+}
+
+// ==================== WIND ADJUSTMENT ====================
+
+// Wind speed reference heights accepted by predictFireBehavior
+const WIND_HEIGHTS = ['midflame', '20ft', '10m'];
+
+/**
+ * Wind adjustment factor from 20-ft wind to midflame wind (Albini & Baughman 1979;
+ * Andrews 2012). Fuels are sheltered when the canopy fills at least 5% of the
+ * space below canopy height; otherwise the fuel bed depth governs.
+ * @param {object} params - { fuelDepth: ft, canopyCover: %, canopyHeight: ft, crownRatio: 0-1 }
+ * @returns {object} { waf, sheltered, crownFillPortion }
+ */
+function calculateWindAdjustmentFactor(params) {
+  const { fuelDepth, canopyCover = 0, canopyHeight = 0, crownRatio = 0 } = params;
+  const crownFillPortion = (canopyCover / 100) * crownRatio * Math.PI / 12;
+
+  if (canopyCover >= 5 && crownFillPortion >= 0.05 && canopyHeight > 0) {
+    const waf = 0.555 / (Math.sqrt(crownFillPortion * canopyHeight) *
+      Math.log((20 + 0.36 * canopyHeight) / (0.13 * canopyHeight)));
+    return { waf: Math.min(1, waf), sheltered: true, crownFillPortion };
+  }
+
+  if (typeof fuelDepth !== 'number' || fuelDepth <= 0) {
+    throw new Error('Invalid fuel depth for wind adjustment');
+  }
+  const waf = 1.83 / Math.log((20 + 0.36 * fuelDepth) / (0.13 * fuelDepth));
+  return { waf: Math.min(1, waf), sheltered: false, crownFillPortion };
+}
+
+/**
+ * Convert wind at a reference height to midflame wind
+ * @param {number} windSpeed - Wind speed at the reference height (mph)
+ * @param {string} windHeight - 'midflame', '20ft' or '10m'
+ * @param {object} params - calculateWindAdjustmentFactor inputs, plus optional
+ *   windAdjustmentFactor to use instead of the computed one
+ * @returns {object} { referenceHeight, referenceWindSpeed, twentyFootWindSpeed, waf, sheltered, midflameWindSpeed }
+ */
+function calculateMidflameWind(windSpeed, windHeight = 'midflame', params = {}) {
+  if (WIND_HEIGHTS.indexOf(windHeight) === -1) {
+    throw new Error('Invalid wind height: use midflame, 20ft or 10m');
+  }
+
+  if (windHeight === 'midflame') {
+    return {
+      referenceHeight: windHeight,
+      referenceWindSpeed: windSpeed,
+      twentyFootWindSpeed: null,
+      waf: null,
+      sheltered: null,
+      midflameWindSpeed: windSpeed
+    };
+  }
+
+  // 10-m (33-ft) winds are about 15% stronger than 20-ft winds
+  const twentyFootWindSpeed = windHeight === '10m' ? windSpeed / 1.15 : windSpeed;
+  const adjustment = typeof params.windAdjustmentFactor === 'number' ?
+    { waf: params.windAdjustmentFactor, sheltered: null } :
+    calculateWindAdjustmentFactor(params);
+
+  return {
+    referenceHeight: windHeight,
+    referenceWindSpeed: windSpeed,
+    twentyFootWindSpeed,
+    waf: adjustment.waf,
+    sheltered: adjustment.sheltered,
+    midflameWindSpeed: twentyFootWindSpeed * adjustment.waf
+  };
+}
+
+// ==================== DIRECTIONAL SPREAD ====================
+
+/**
+ * Normalize an azimuth to 0-360 degrees
+ * @param {number} degrees - Azimuth (deg)
+ * @returns {number} Azimuth in [0, 360)
+ */
+function normalizeAzimuth(degrees) {
+  return ((degrees % 360) + 360) % 360;
+}
+
+/**
+ * Fire ellipse length-to-breadth ratio (Rothermel 1991, as used by BehavePlus)
+ * @param {number} effectiveWindSpeed - Effective midflame wind speed (mph)
+ * @returns {number} Length-to-breadth ratio (1-8)
+ */
+function lengthToBreadthRatio(effectiveWindSpeed) {
+  return Math.min(8, 1 + 0.25 * Math.max(0, effectiveWindSpeed));
+}
+
+/**
+ * Rate of spread in a given direction from the ignition point, assuming an
+ * elliptical fire shape with the ignition point at the rear focus
+ * @param {object} spreadResult - Result of calculateRateOfSpread
+ * @param {string|number} direction - 'heading', 'flanking', 'backing' or an azimuth (deg)
+ * @returns {object} { direction, azimuth, rosFtPerMin, ros: chains/hour, rosMetric: m/min }
+ */
+function calculateSpreadInDirection(spreadResult, direction = 'heading') {
+  if (!spreadResult || !spreadResult.canSpread) {
+    return { direction, azimuth: null, rosFtPerMin: 0, ros: 0, rosMetric: 0 };
+  }
+
+  const headRos = spreadResult.rosFtPerMin;
+  const lw = spreadResult.lengthToBreadth;
+  const eccentricity = Math.sqrt(lw * lw - 1) / lw;
+  const backRos = headRos * (1 - eccentricity) / (1 + eccentricity);
+  const heading = spreadResult.headingDirection;
+
+  let rosFtPerMin;
+  let azimuth;
+  if (direction === 'heading') {
+    rosFtPerMin = headRos;
+    azimuth = heading;
+  } else if (direction === 'backing') {
+    rosFtPerMin = backRos;
+    azimuth = normalizeAzimuth(heading + 180);
+  } else if (direction === 'flanking') {
+    // Rate at which the ellipse widens on each flank
+    rosFtPerMin = (headRos + backRos) / (2 * lw);
+    azimuth = normalizeAzimuth(heading + 90);
+  } else if (typeof direction === 'number' && !isNaN(direction)) {
+    azimuth = normalizeAzimuth(direction);
+    const theta = (azimuth - heading) * Math.PI / 180;
+    rosFtPerMin = headRos * (1 - eccentricity) / (1 - eccentricity * Math.cos(theta));
+  } else {
+    throw new Error('Invalid direction: use heading, flanking, backing or an azimuth in degrees');
+  }
+
+  return {
+    direction,
+    azimuth,
+    rosFtPerMin,
+    ros: (rosFtPerMin * 60) / 66,
+    rosMetric: rosFtPerMin * 0.3048
   };
 }
 
@@ -209,18 +580,47 @@ function calculateFirelineIntensity(ros, fuelLoad, heatContent = 8000) {
 
 /**
  * Complete fire behavior prediction with optional EMC calculation
- * @param {object} params - { windSpeed, fuelMoisture, slope, fuelModel, temp, rh, useEMC }
+ * @param {object} params - { windSpeed, fuelMoisture, moistures, slope, fuelModel, temp, rh, useEMC,
+ *   windDirection, aspect, direction, windHeight, canopyCover, canopyHeight, crownRatio,
+ *   windAdjustmentFactor, applyWindLimit, canopyBaseHeight, canopyBulkDensity, foliarMoisture, spotting,
+ *   shading, moistureModel }
+ *   windSpeed is measured at windHeight ('midflame' by default, '20ft' or '10m'); 20-ft and
+ *   10-m winds are reduced to midflame with a wind adjustment factor.
+ *   canopyBaseHeight (ft) and canopyBulkDensity (kg/m^3) add a crownFire assessment
+ *   spotting { downwindCoverHeight, downwindCanopyOpen, terrain, torchingTrees, burningPile } adds
+ *   maximum spot distances for the surface fire and any torching trees or burning pile
+ *   shading (0-100%) sets fuel temperature for the probabilityOfIgnition result
+ *   moistureModel names the moisture registry method used when useEMC is set
+ *   moistures optionally gives per-class moistures { dead1h, dead10h, dead100h, liveHerb, liveStem }
+ *   windDirection is the azimuth the wind blows from and aspect the azimuth the slope faces (deg);
+ *   direction requests spread in 'heading', 'flanking', 'backing' or an azimuth (deg)
  * @returns {object} Complete fire behavior outputs
  */
 function predictFireBehavior(params) {
   const {
     windSpeed = 0,
     fuelMoisture = 10,
+    moistures = null,
     slope = 0,
     fuelModel = '2',
     temp = 70,
     rh = 30,
-    useEMC = false
+    useEMC = false,
+    windDirection = null,
+    aspect = null,
+    direction = null,
+    windHeight = 'midflame',
+    canopyCover = 0,
+    canopyHeight = 0,
+    crownRatio = 0,
+    windAdjustmentFactor = null,
+    applyWindLimit = true,
+    canopyBaseHeight = null,
+    canopyBulkDensity = null,
+    foliarMoisture = 100,
+    spotting = null,
+    shading = 0,
+    moistureModel = null
   } = params;
 
   const fuel = FUEL_MODELS_BEHAVIOR[fuelModel];
@@ -228,64 +628,175 @@ function predictFireBehavior(params) {
     return { error: 'Invalid fuel model' };
   }
 
+  const wind = calculateMidflameWind(windSpeed, windHeight, {
+    fuelDepth: fuel.depth,
+    canopyCover,
+    canopyHeight,
+    crownRatio,
+    windAdjustmentFactor
+  });
+
   // Calculate EMC if requested and functions are available
   let calculatedEMC = null;
-  let effectiveMoisture = fuelMoisture;
+  let effectiveMoisture = moistures && typeof moistures.dead1h === 'number' ? moistures.dead1h : fuelMoisture;
   
-  if (useEMC && temp && rh) {
+  // 0°F and 0% RH are valid weather, so test for numbers rather than truthiness
+  const hasWeather = [temp, rh].every(value => typeof value === 'number' && !isNaN(value));
+  if (useEMC && hasWeather) {
     const fuelMoistureCalc = FuelMoistureIntegration || (typeof window !== 'undefined' ? window.FuelMoistureIntegration : null);
-    if (fuelMoistureCalc && fuelMoistureCalc.computeEMC) {
-      calculatedEMC = fuelMoistureCalc.computeEMC(temp, rh);
+    if (fuelMoistureCalc && fuelMoistureCalc.computeModelEMC) {
+      calculatedEMC = fuelMoistureCalc.computeModelEMC(temp, rh, moistureModel);
       effectiveMoisture = calculatedEMC;
     }
   }
 
+  // Probability of ignition from the 1-hour moisture, temperature and shading
+  let ignition = null;
+  const ignitionLib = getCompanionModule('./ignition.js', 'Ignition');
+  if (ignitionLib && typeof temp === 'number') {
+    ignition = ignitionLib.calculateProbabilityOfIgnition({ fuelMoisture: effectiveMoisture, temp, shading });
+  }
+
   // Calculate rate of spread
-  const spreadResult = calculateRateOfSpread(windSpeed, effectiveMoisture, slope, fuelModel);
+  const spreadResult = calculateRateOfSpread(
+    wind.midflameWindSpeed,
+    Object.assign({}, moistures, { dead1h: effectiveMoisture }),
+    slope,
+    fuelModel,
+    { windDirection, aspect, applyWindLimit }
+  );
   
   if (!spreadResult.canSpread) {
     return {
       canSpread: false,
       message: 'Fuel moisture exceeds extinction moisture. Fire will not spread.',
       fuelModel: fuel.name,
-      emc: calculatedEMC
+      emc: calculatedEMC,
+      probabilityOfIgnition: ignition ? ignition.probabilityOfIgnition : null,
+      fuelTemperature: ignition ? ignition.fuelTemperature : null
     };
   }
 
-  // Calculate fireline intensity
-  const intensity = calculateFirelineIntensity(
-    spreadResult.rosFtPerMin,
-    fuel.load,
-    fuel.heatContent
-  );
+  // Byram fireline intensity from Rothermel heat per unit area (BTU/ft/s)
+  const intensity = spreadResult.heatPerUnitArea * spreadResult.rosFtPerMin / 60;
 
   // Calculate flame length
   const flameResult = calculateFlameLength(intensity);
 
+  const formatRos = spread => ({
+    chainsPerHour: Math.round(spread.ros * 100) / 100,
+    metersPerMin: Math.round(spread.rosMetric * 100) / 100,
+    feetPerMin: Math.round(spread.rosFtPerMin * 100) / 100
+  });
+
   const result = {
     canSpread: true,
     fuelModel: fuel.name,
-    rateOfSpread: {
-      chainsPerHour: Math.round(spreadResult.ros * 100) / 100,
-      metersPerMin: Math.round(spreadResult.rosMetric * 100) / 100,
-      feetPerMin: Math.round(spreadResult.rosFtPerMin * 100) / 100
-    },
+    rateOfSpread: formatRos(spreadResult),
     flameLength: {
       feet: Math.round(flameResult.flameLengthFt * 10) / 10,
       meters: Math.round(flameResult.flameLengthM * 10) / 10
     },
     firelineIntensity: Math.round(intensity),
+    probabilityOfIgnition: ignition ? ignition.probabilityOfIgnition : null,
+    fuelTemperature: ignition ? ignition.fuelTemperature : null,
+    reactionIntensity: Math.round(spreadResult.reactionIntensity),
+    heatPerUnitArea: Math.round(spreadResult.heatPerUnitArea),
+    residenceTime: Math.round(spreadResult.residenceTime * 1000) / 1000,
+    headingDirection: Math.round(spreadResult.headingDirection),
+    effectiveWindSpeed: Math.round(spreadResult.effectiveWindSpeed * 10) / 10,
+    windLimitExceeded: spreadResult.windLimitExceeded,
+    lengthToBreadth: Math.round(spreadResult.lengthToBreadth * 100) / 100,
+    spreadDirections: {
+      heading: formatRos(calculateSpreadInDirection(spreadResult, 'heading')),
+      flanking: formatRos(calculateSpreadInDirection(spreadResult, 'flanking')),
+      backing: formatRos(calculateSpreadInDirection(spreadResult, 'backing'))
+    },
+    windAdjustment: {
+      referenceHeight: wind.referenceHeight,
+      waf: wind.waf === null ? null : Math.round(wind.waf * 100) / 100,
+      sheltered: wind.sheltered,
+      midflameWindSpeed: Math.round(wind.midflameWindSpeed * 10) / 10
+    },
     conditions: {
       windSpeed: windSpeed,
+      midflameWindSpeed: wind.midflameWindSpeed,
+      windDirection: windDirection,
+      aspect: aspect,
       fuelMoisture: effectiveMoisture,
+      moistures: spreadResult.moistures,
       slope: slope,
       temp: temp,
-      rh: rh
+      rh: rh,
+      shading: shading
     }
   };
 
+  if (direction !== null) {
+    const directional = calculateSpreadInDirection(spreadResult, direction);
+    const directionalIntensity = spreadResult.heatPerUnitArea * directional.rosFtPerMin / 60;
+    const directionalFlame = calculateFlameLength(directionalIntensity);
+    result.directionalSpread = {
+      direction: direction,
+      azimuth: Math.round(directional.azimuth),
+      rateOfSpread: formatRos(directional),
+      firelineIntensity: Math.round(directionalIntensity),
+      flameLength: {
+        feet: Math.round(directionalFlame.flameLengthFt * 10) / 10,
+        meters: Math.round(directionalFlame.flameLengthM * 10) / 10
+      }
+    };
+  }
+
+  // Crown fire and spotting work from 20-ft wind and the surface wind adjustment factor
+  const twentyFootWindInputs = () => {
+    const waf = wind.waf !== null ? wind.waf : calculateWindAdjustmentFactor({
+      fuelDepth: fuel.depth,
+      canopyCover,
+      canopyHeight,
+      crownRatio
+    }).waf;
+    return {
+      waf,
+      windSpeed20ft: wind.twentyFootWindSpeed !== null ? wind.twentyFootWindSpeed : wind.midflameWindSpeed / waf
+    };
+  };
+
+  if (typeof canopyBaseHeight === 'number' && typeof canopyBulkDensity === 'number') {
+    const crownFire = getCompanionModule('./crown-fire.js', 'CrownFire');
+    if (crownFire) {
+      const { waf, windSpeed20ft } = twentyFootWindInputs();
+      result.crownFire = crownFire.assessCrownFire({
+        fuelModel,
+        moistures: spreadResult.moistures,
+        slope,
+        windSpeed20ft,
+        waf,
+        canopyBaseHeight,
+        canopyBulkDensity,
+        canopyHeight: canopyHeight > 0 ? canopyHeight : null,
+        foliarMoisture
+      });
+    }
+  }
+
+  if (spotting) {
+    const spottingLib = getCompanionModule('./spotting.js', 'Spotting');
+    if (spottingLib) {
+      result.spotting = spottingLib.calculateSpotting(Object.assign({}, spotting, {
+        flameLength: flameResult.flameLengthFt,
+        windSpeed20ft: twentyFootWindInputs().windSpeed20ft
+      }));
+    }
+  }
+
+  if (fuel.dynamic) {
+    result.herbaceousCuring = Math.round(spreadResult.herbaceousCuring * 1000) / 10;
+  }
+
   if (calculatedEMC !== null) {
     result.emc = Math.round(calculatedEMC * 10) / 10;
+    result.moistureModel = moistureModel || 'dashboard';
   }
 
   return result;
@@ -300,6 +811,13 @@ if (typeof window !== 'undefined') {
     calculateRateOfSpread,
     calculateFlameLength,
     calculateFirelineIntensity,
+    calculateSpreadInDirection,
+    lengthToBreadthRatio,
+    calculateWindAdjustmentFactor,
+    calculateMidflameWind,
+    toBehaviorModel,
+    resolveMoistures,
+    herbaceousCuring,
     predictFireBehavior
   };
 }
@@ -307,10 +825,17 @@ if (typeof window !== 'undefined') {
 // Export for Node.js
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
-    FUEL_MODELS,
+    FUEL_MODELS: FUEL_MODELS_BEHAVIOR,
     calculateRateOfSpread,
     calculateFlameLength,
     calculateFirelineIntensity,
+    calculateSpreadInDirection,
+    lengthToBreadthRatio,
+    calculateWindAdjustmentFactor,
+    calculateMidflameWind,
+    toBehaviorModel,
+    resolveMoistures,
+    herbaceousCuring,
     predictFireBehavior
   };
 }
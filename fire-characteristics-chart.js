@@ -0,0 +1,260 @@
+/**
+ * Fire Characteristics Chart
+ * Builds the "hauling chart" (Andrews and Rothermel 1982) as SVG markup:
+ * rate of spread against heat per unit area, with flame length / fireline
+ * intensity isolines and the suppression interpretation bands. Needs no
+ * charting library.
+ */
+
+// Rate of spread (ch/h) to ft/min
+const CHAINS_PER_HOUR_TO_FT_PER_MIN = 66 / 60;
+
+// Suppression interpretation by flame length (ft); fireline intensity is
+// Byram's equation inverted at the same flame length
+const FIRE_INTERPRETATION_BANDS = [
+  {
+    id: 'handCrews',
+    label: 'Hand crews',
+    maxFlameLength: 4,
+    color: '#4CAF50',
+    interpretation: 'Fire can generally be attacked at the head or flanks by persons using hand tools. Hand line should hold the fire.'
+  },
+  {
+    id: 'equipment',
+    label: 'Equipment',
+    maxFlameLength: 8,
+    color: '#FFC107',
+    interpretation: 'Fires are too intense for direct attack on the head by persons using hand tools. Equipment such as dozers, engines and retardant aircraft can be effective.'
+  },
+  {
+    id: 'aerial',
+    label: 'Aerial',
+    maxFlameLength: 11,
+    color: '#FF9800',
+    interpretation: 'Fires may present serious control problems: torching, crowning and spotting. Control efforts at the head will probably be ineffective.'
+  },
+  {
+    id: 'indirect',
+    label: 'Indirect',
+    maxFlameLength: Infinity,
+    color: '#f44336',
+    interpretation: 'Crowning, spotting and major fire runs are probable. Control efforts at the head of the fire are ineffective; use indirect attack.'
+  }
+];
+
+// Flame length isolines drawn on the chart (ft)
+const DEFAULT_FLAME_LENGTH_ISOLINES = [1, 2, 4, 8, 11, 20];
+
+// Point colors for scenarios without their own
+const SCENARIO_COLORS = ['#1976d2', '#7B1FA2', '#00796B', '#5D4037', '#C2185B', '#455A64'];
+
+/**
+ * Fireline intensity for a flame length (Byram 1959 inverted)
+ * @param {number} flameLength - Flame length (ft)
+ * @returns {number} Fireline intensity (BTU/ft/s)
+ */
+function flameLengthToIntensity(flameLength) {
+  return Math.pow(flameLength / 0.45, 1 / 0.46);
+}
+
+/**
+ * Interpretation band for a flame length
+ * @param {number} flameLength - Flame length (ft)
+ * @returns {object} Band from FIRE_INTERPRETATION_BANDS
+ */
+function classifyFireCharacteristics(flameLength) {
+  if (typeof flameLength !== 'number' || isNaN(flameLength) || flameLength < 0) {
+    throw new Error('Invalid input: flame length must be a non-negative number');
+  }
+  return FIRE_INTERPRETATION_BANDS.find(band => flameLength < band.maxFlameLength);
+}
+
+/**
+ * Chart point from a predictFireBehavior result or { ros: ch/h, heatPerUnitArea }
+ * @param {object} input - Prediction or point
+ * @param {string} label - Point label (default input.label or the fuel model name)
+ * @returns {object} { label, ros, heatPerUnitArea, firelineIntensity, flameLength, band, color }
+ */
+function toChartScenario(input, label) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Invalid scenario: expected a fire behavior result or { ros, heatPerUnitArea }');
+  }
+  const ros = typeof input.ros === 'number' ? input.ros :
+    (input.rateOfSpread && typeof input.rateOfSpread.chainsPerHour === 'number' ? input.rateOfSpread.chainsPerHour : null);
+  const { heatPerUnitArea } = input;
+  if (ros === null || ros < 0 || typeof heatPerUnitArea !== 'number' || isNaN(heatPerUnitArea) || heatPerUnitArea < 0) {
+    throw new Error('Invalid scenario: rate of spread and heat per unit area are required');
+  }
+
+  const firelineIntensity = heatPerUnitArea * ros * CHAINS_PER_HOUR_TO_FT_PER_MIN / 60;
+  const flameLength = 0.45 * Math.pow(firelineIntensity, 0.46);
+  return {
+    label: label || input.label || input.fuelModel || 'Scenario',
+    ros,
+    heatPerUnitArea,
+    firelineIntensity: Math.round(firelineIntensity),
+    flameLength: Math.round(flameLength * 10) / 10,
+    band: classifyFireCharacteristics(flameLength).id,
+    color: input.color || null
+  };
+}
+
+/**
+ * Round an axis maximum up to 1, 2, 2.5 or 5 times a power of ten
+ * @param {number} value - Largest value to show
+ * @returns {number} Axis maximum
+ */
+function niceChartMax(value) {
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const step = [1, 2, 2.5, 5, 10].find(multiple => multiple * magnitude >= value);
+  return step * magnitude;
+}
+
+function escapeChartText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Render the fire characteristics chart
+ * @param {Array} scenarios - predictFireBehavior results or { label, ros: ch/h, heatPerUnitArea, color }
+ * @param {object} options - { width (default 640), height (default 440), maxHeatPerUnitArea: BTU/ft^2,
+ *   maxRateOfSpread: ch/h (both default to fit the points), flameLengths: isolines (ft),
+ *   title }
+ * @returns {string} SVG markup
+ */
+function renderFireCharacteristicsChart(scenarios = [], options = {}) {
+  const points = scenarios.map(scenario => toChartScenario(scenario));
+  const { width = 640, height = 440, flameLengths = DEFAULT_FLAME_LENGTH_ISOLINES,
+    title = 'Fire Characteristics Chart' } = options;
+  const maxX = options.maxHeatPerUnitArea ||
+    niceChartMax(Math.max(1000, ...points.map(point => point.heatPerUnitArea * 1.2)));
+  const maxY = options.maxRateOfSpread ||
+    niceChartMax(Math.max(20, ...points.map(point => point.ros * 1.2)));
+
+  const margin = { left: 64, right: 24, top: 36, bottom: 52 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+  const sx = x => margin.left + x / maxX * plotWidth;
+  const sy = y => margin.top + plotHeight - y / maxY * plotHeight;
+  const fmt = value => Math.round(value * 10) / 10;
+
+  // Points along an intensity isoline: ROS (ch/h) = 60 I / (HPA * 1.1)
+  const isoline = intensity => {
+    const coords = [];
+    const samples = 80;
+    const minX = Math.min(maxX, 60 * intensity / (CHAINS_PER_HOUR_TO_FT_PER_MIN * maxY * 2));
+    for (let i = 0; i <= samples; i++) {
+      const x = minX * Math.pow(maxX / minX, i / samples);
+      coords.push([x, 60 * intensity / (CHAINS_PER_HOUR_TO_FT_PER_MIN * x)]);
+    }
+    return coords;
+  };
+  const path = coords => coords.map(([x, y]) => `${fmt(sx(x))},${fmt(sy(y))}`).join(' ');
+
+  const parts = [];
+  parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeChartText(title)}" style="max-width: 100%; height: auto; font-family: Arial, sans-serif; font-size: 11px; background: white;">`);
+  parts.push(`<title>${escapeChartText(title)}</title>`);
+  parts.push(`<defs><clipPath id="fireCharacteristicsPlot"><rect x="${margin.left}" y="${margin.top}" width="${plotWidth}" height="${plotHeight}"/></clipPath></defs>`);
+  parts.push(`<text x="${width / 2}" y="20" text-anchor="middle" style="font-size: 14px; font-weight: bold;">${escapeChartText(title)}</text>`);
+
+  // Interpretation bands between consecutive isolines
+  parts.push('<g clip-path="url(#fireCharacteristicsPlot)">');
+  let lower = null;
+  FIRE_INTERPRETATION_BANDS.forEach(band => {
+    const upper = band.maxFlameLength === Infinity ? null : isoline(flameLengthToIntensity(band.maxFlameLength));
+    const outline = [];
+    if (lower) {
+      outline.push(...lower);
+    } else {
+      outline.push([0, 0], [maxX, 0]);
+    }
+    if (upper) {
+      outline.push(...upper.slice().reverse());
+    } else {
+      outline.push([maxX, maxY * 4], [0, maxY * 4]);
+    }
+    if (!lower && upper) {
+      outline.push([0, maxY * 4]);
+    }
+    parts.push(`<polygon points="${path(outline)}" fill="${band.color}" fill-opacity="0.18"><title>${escapeChartText(band.label)}: ${escapeChartText(band.interpretation)}</title></polygon>`);
+    lower = upper;
+  });
+
+  // Flame length / intensity isolines
+  flameLengths.forEach(flameLength => {
+    const intensity = flameLengthToIntensity(flameLength);
+    parts.push(`<polyline points="${path(isoline(intensity))}" fill="none" stroke="#757575" stroke-width="1" stroke-dasharray="${FIRE_INTERPRETATION_BANDS.some(band => band.maxFlameLength === flameLength) ? '' : '4 3'}"/>`);
+  });
+  parts.push('</g>');
+
+  // Isoline labels where each line leaves the plot
+  flameLengths.forEach(flameLength => {
+    const intensity = flameLengthToIntensity(flameLength);
+    const yAtRight = 60 * intensity / (CHAINS_PER_HOUR_TO_FT_PER_MIN * maxX);
+    const [x, y, anchor] = yAtRight <= maxY ?
+      [sx(maxX) - 4, sy(yAtRight) - 4, 'end'] :
+      [sx(60 * intensity / (CHAINS_PER_HOUR_TO_FT_PER_MIN * maxY)) + 4, sy(maxY) + 12, 'start'];
+    parts.push(`<text x="${fmt(x)}" y="${fmt(y)}" text-anchor="${anchor}" fill="#616161">${flameLength} ft (${Math.round(intensity)})</text>`);
+  });
+
+  // Axes and ticks
+  parts.push(`<rect x="${margin.left}" y="${margin.top}" width="${plotWidth}" height="${plotHeight}" fill="none" stroke="#424242"/>`);
+  for (let i = 0; i <= 5; i++) {
+    const x = maxX * i / 5;
+    const y = maxY * i / 5;
+    parts.push(`<line x1="${fmt(sx(x))}" y1="${sy(0)}" x2="${fmt(sx(x))}" y2="${sy(0) + 5}" stroke="#424242"/>`);
+    parts.push(`<text x="${fmt(sx(x))}" y="${sy(0) + 18}" text-anchor="middle">${fmt(x)}</text>`);
+    parts.push(`<line x1="${margin.left - 5}" y1="${fmt(sy(y))}" x2="${margin.left}" y2="${fmt(sy(y))}" stroke="#424242"/>`);
+    parts.push(`<text x="${margin.left - 8}" y="${fmt(sy(y)) + 4}" text-anchor="end">${fmt(y)}</text>`);
+  }
+  parts.push(`<text x="${margin.left + plotWidth / 2}" y="${height - 12}" text-anchor="middle">Heat per Unit Area (BTU/ft²)</text>`);
+  parts.push(`<text x="16" y="${margin.top + plotHeight / 2}" text-anchor="middle" transform="rotate(-90 16 ${margin.top + plotHeight / 2})">Rate of Spread (ch/h)</text>`);
+
+  // Band legend
+  FIRE_INTERPRETATION_BANDS.forEach((band, i) => {
+    const x = margin.left + 8;
+    const y = margin.top + 8 + i * 16;
+    parts.push(`<rect x="${x}" y="${y}" width="12" height="12" fill="${band.color}" fill-opacity="0.5"/>`);
+    parts.push(`<text x="${x + 16}" y="${y + 10}">${escapeChartText(band.label)}</text>`);
+  });
+
+  // Scenario points
+  points.forEach((point, i) => {
+    const color = point.color || SCENARIO_COLORS[i % SCENARIO_COLORS.length];
+    const x = fmt(sx(Math.min(point.heatPerUnitArea, maxX)));
+    const y = fmt(sy(Math.min(point.ros, maxY)));
+    parts.push(`<g class="fire-characteristics-point"><circle cx="${x}" cy="${y}" r="6" fill="${color}" stroke="white" stroke-width="2">` +
+      `<title>${escapeChartText(point.label)}: ${point.ros} ch/h, ${point.heatPerUnitArea} BTU/ft², ` +
+      `${point.flameLength} ft flame, ${point.firelineIntensity} BTU/ft/s</title></circle>` +
+      `<text x="${x + 9}" y="${y - 8}" fill="${color}" style="font-weight: bold;">${escapeChartText(point.label)}</text></g>`);
+  });
+
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    FIRE_INTERPRETATION_BANDS,
+    DEFAULT_FLAME_LENGTH_ISOLINES,
+    flameLengthToIntensity,
+    classifyFireCharacteristics,
+    toChartScenario,
+    niceChartMax,
+    renderFireCharacteristicsChart
+  };
+}
+
+// Make available in browser
+if (typeof window !== 'undefined') {
+  window.FireCharacteristicsChart = {
+    FIRE_INTERPRETATION_BANDS,
+    DEFAULT_FLAME_LENGTH_ISOLINES,
+    flameLengthToIntensity,
+    classifyFireCharacteristics,
+    toChartScenario,
+    niceChartMax,
+    renderFireCharacteristicsChart
+  };
+}
@@ -0,0 +1,222 @@
+/**
+ * Fire Growth Projection
+ * Projects elliptical fire size, perimeter and shape over time from
+ * Rothermel spread rates (Anderson 1983; BehavePlus SIZE module)
+ */
+
+// Import fire behavior calculator if in Node.js environment
+let FireBehaviorForGrowth = null;
+if (typeof require !== 'undefined') {
+  try {
+    FireBehaviorForGrowth = require('./fire-behavior.js');
+  } catch (e) {
+    // Module not available, will use window object in browser
+  }
+}
+
+// Point-source acceleration constant (1/min) used by BehavePlus
+const ACCELERATION_CONSTANT = 0.115;
+
+const FT2_PER_ACRE = 43560;
+const FT_PER_CHAIN = 66;
+
+function getFireBehaviorForGrowth() {
+  const lib = FireBehaviorForGrowth || (typeof window !== 'undefined' ? window.FireBehavior : null);
+  if (!lib) {
+    throw new Error('Fire behavior module is not loaded');
+  }
+  return lib;
+}
+
+/**
+ * Distance travelled by a point-source fire building up to steady state
+ * R(t) = Rss (1 - e^(-a t)), integrated over t
+ * @param {number} ros - Steady-state rate of spread (ft/min)
+ * @param {number} minutes - Elapsed time (min)
+ * @param {boolean} pointSource - Apply build-up acceleration
+ * @param {number} acceleration - Acceleration constant (1/min)
+ * @returns {number} Distance (ft)
+ */
+function spreadDistance(ros, minutes, pointSource = true, acceleration = ACCELERATION_CONSTANT) {
+  if (!pointSource) {
+    return ros * minutes;
+  }
+  return ros * (minutes + (Math.exp(-acceleration * minutes) - 1) / acceleration);
+}
+
+/**
+ * Ramanujan's approximation of ellipse perimeter
+ * @param {number} a - Semi-major axis
+ * @param {number} b - Semi-minor axis
+ * @returns {number} Perimeter (same units as axes)
+ */
+function ellipsePerimeter(a, b) {
+  if (a + b === 0) {
+    return 0;
+  }
+  const h = Math.pow((a - b) / (a + b), 2);
+  return Math.PI * (a + b) * (1 + (3 * h) / (10 + Math.sqrt(4 - 3 * h)));
+}
+
+/**
+ * Project elliptical fire growth from a calculateRateOfSpread result
+ * @param {object} spreadResult - Result of FireBehavior.calculateRateOfSpread
+ * @param {number} hours - Projection time (hours)
+ * @param {object} options - { pointSource: apply build-up acceleration (default true),
+ *   acceleration: constant in 1/min (default 0.115) }
+ * @returns {object} Fire size and shape at the projection time
+ */
+function calculateFireGrowth(spreadResult, hours, options = {}) {
+  const { pointSource = true, acceleration = ACCELERATION_CONSTANT } = options;
+  if (typeof hours !== 'number' || isNaN(hours) || hours < 0) {
+    throw new Error('Projection time must be a non-negative number of hours');
+  }
+
+  const fireBehavior = getFireBehaviorForGrowth();
+  const minutes = hours * 60;
+  const lengthToBreadth = spreadResult && spreadResult.canSpread ? spreadResult.lengthToBreadth : 1;
+  const headRos = fireBehavior.calculateSpreadInDirection(spreadResult, 'heading').rosFtPerMin;
+  const backRos = fireBehavior.calculateSpreadInDirection(spreadResult, 'backing').rosFtPerMin;
+  const flankRos = fireBehavior.calculateSpreadInDirection(spreadResult, 'flanking').rosFtPerMin;
+
+  const forwardDistance = spreadDistance(headRos, minutes, pointSource, acceleration);
+  const backingDistance = spreadDistance(backRos, minutes, pointSource, acceleration);
+  const length = forwardDistance + backingDistance;
+  const width = length / lengthToBreadth;
+  const areaFt2 = Math.PI * (length / 2) * (width / 2);
+  const perimeterFt = ellipsePerimeter(length / 2, width / 2);
+
+  // Ratio of actual to steady-state spread, 1 once the fire has built up
+  const buildUp = minutes > 0 && headRos > 0 ? forwardDistance / (headRos * minutes) : (pointSource ? 0 : 1);
+
+  return {
+    hours,
+    canSpread: Boolean(spreadResult && spreadResult.canSpread),
+    pointSource,
+    lengthToBreadth: Math.round(lengthToBreadth * 100) / 100,
+    headingDirection: spreadResult && spreadResult.canSpread ? Math.round(spreadResult.headingDirection) : null,
+    spreadRates: {
+      heading: Math.round(headRos * 100) / 100,
+      flanking: Math.round(flankRos * 100) / 100,
+      backing: Math.round(backRos * 100) / 100
+    },
+    buildUp: Math.round(buildUp * 1000) / 1000,
+    forwardSpreadDistance: {
+      feet: Math.round(forwardDistance),
+      chains: Math.round(forwardDistance / FT_PER_CHAIN * 10) / 10,
+      meters: Math.round(forwardDistance * 0.3048)
+    },
+    backingSpreadDistance: {
+      feet: Math.round(backingDistance),
+      chains: Math.round(backingDistance / FT_PER_CHAIN * 10) / 10,
+      meters: Math.round(backingDistance * 0.3048)
+    },
+    length: {
+      feet: Math.round(length),
+      chains: Math.round(length / FT_PER_CHAIN * 10) / 10,
+      meters: Math.round(length * 0.3048)
+    },
+    maxWidth: {
+      feet: Math.round(width),
+      chains: Math.round(width / FT_PER_CHAIN * 10) / 10,
+      meters: Math.round(width * 0.3048)
+    },
+    area: {
+      acres: Math.round(areaFt2 / FT2_PER_ACRE * 100) / 100,
+      hectares: Math.round(areaFt2 * 0.09290304 / 10000 * 100) / 100
+    },
+    perimeter: {
+      feet: Math.round(perimeterFt),
+      chains: Math.round(perimeterFt / FT_PER_CHAIN * 10) / 10,
+      meters: Math.round(perimeterFt * 0.3048)
+    }
+  };
+}
+
+/**
+ * Fire growth at regular intervals up to the projection time
+ * @param {object} spreadResult - Result of FireBehavior.calculateRateOfSpread
+ * @param {number} hours - Projection time (hours)
+ * @param {number} intervalHours - Interval between projections (hours)
+ * @param {object} options - Options for calculateFireGrowth
+ * @returns {Array} Growth results, starting at 0 hours
+ */
+function calculateGrowthSeries(spreadResult, hours, intervalHours = 0.5, options = {}) {
+  if (typeof intervalHours !== 'number' || intervalHours <= 0) {
+    throw new Error('Interval must be greater than 0 hours');
+  }
+
+  const series = [];
+  for (let t = 0; t < hours; t += intervalHours) {
+    series.push(calculateFireGrowth(spreadResult, Math.round(t * 1000) / 1000, options));
+  }
+  series.push(calculateFireGrowth(spreadResult, hours, options));
+  return series;
+}
+
+/**
+ * Complete fire growth projection from fire behavior inputs
+ * @param {object} params - predictFireBehavior parameters plus
+ *   { projectionHours (default 1), intervalHours, pointSource (default true) }
+ * @returns {object} { fireBehavior, growth, series } or { error }
+ */
+function projectFireGrowth(params) {
+  const {
+    projectionHours = 1,
+    intervalHours = null,
+    pointSource = true,
+    slope = 0,
+    fuelModel = '2',
+    windDirection = null,
+    aspect = null,
+    applyWindLimit = true
+  } = params;
+
+  const fireBehavior = getFireBehaviorForGrowth();
+  const behavior = fireBehavior.predictFireBehavior(params);
+  if (behavior.error || !behavior.canSpread) {
+    return Object.assign({ fireBehavior: behavior, growth: null }, behavior.error ? { error: behavior.error } : {});
+  }
+
+  const spreadResult = fireBehavior.calculateRateOfSpread(
+    behavior.conditions.midflameWindSpeed,
+    behavior.conditions.moistures,
+    slope,
+    fuelModel,
+    { windDirection, aspect, applyWindLimit }
+  );
+  const options = { pointSource };
+  const result = {
+    fireBehavior: behavior,
+    growth: calculateFireGrowth(spreadResult, projectionHours, options)
+  };
+
+  if (intervalHours) {
+    result.series = calculateGrowthSeries(spreadResult, projectionHours, intervalHours, options);
+  }
+  return result;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ACCELERATION_CONSTANT,
+    spreadDistance,
+    ellipsePerimeter,
+    calculateFireGrowth,
+    calculateGrowthSeries,
+    projectFireGrowth
+  };
+}
+
+// Make available in browser
+if (typeof window !== 'undefined') {
+  window.FireGrowth = {
+    ACCELERATION_CONSTANT,
+    spreadDistance,
+    ellipsePerimeter,
+    calculateFireGrowth,
+    calculateGrowthSeries,
+    projectFireGrowth
+  };
+}
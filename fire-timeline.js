@@ -0,0 +1,414 @@
+/**
+ * Multi-Class Fire Behavior Timeline
+ * Advances 1-hour, 10-hour and 100-hour dead fuel moisture and live fuel
+ * moisture together through a weather series, evaluates fire behavior at
+ * every step, and finds each day's peak burning period and overnight recovery
+ */
+
+// Import companion modules if in Node.js environment
+let FuelMoistureForTimeline = null;
+let FireBehaviorForTimeline = null;
+if (typeof require !== 'undefined') {
+  try {
+    FuelMoistureForTimeline = require('./fuel-moisture-integration.js');
+    FireBehaviorForTimeline = require('./fire-behavior.js');
+  } catch (e) {
+    // Modules not available, will use window object in browser
+  }
+}
+
+function getTimelineModule(lib, globalName) {
+  const resolved = lib || (typeof window !== 'undefined' ? window[globalName] : null);
+  if (!resolved) {
+    throw new Error(`${globalName} module is not loaded`);
+  }
+  return resolved;
+}
+
+const TIMELINE_STATE_VERSION = 1;
+
+// Dead size classes and their time lags (h)
+const DEAD_CLASS_TIMELAGS = { dead1h: 1, dead10h: 10, dead100h: 100 };
+
+// Bounds for live moisture drift (%)
+const LIVE_MOISTURE_LIMITS = {
+  liveHerb: [30, 300],
+  liveStem: [60, 200]
+};
+
+// Overnight recovery by maximum RH (%); general fire weather guidance
+const RECOVERY_CATEGORIES = [
+  { min: 70, label: 'Excellent' },
+  { min: 50, label: 'Good' },
+  { min: 30, label: 'Fair' },
+  { min: 0, label: 'Poor' }
+];
+
+const TIMELINE_HOUR_MS = 3600000;
+
+function hasTimeZone(time) {
+  return /(Z|[+-]\d{2}:?\d{2})$/.test(time);
+}
+
+function timelineTimeMs(time) {
+  return Date.parse(hasTimeZone(time) ? time : `${time}Z`);
+}
+
+/**
+ * Time `hours` after `time`, written in the same style (zoned or local)
+ */
+function addTimelineHours(time, hours) {
+  const shifted = new Date(timelineTimeMs(time) + hours * TIMELINE_HOUR_MS).toISOString();
+  return hasTimeZone(time) ? shifted : shifted.slice(0, 16);
+}
+
+/**
+ * Local calendar day and hour of a step time. Local times are read as
+ * written; zoned times are shifted by utcOffset (h, default 0).
+ * @param {string} time - ISO time
+ * @param {number} utcOffset - Hours from UTC for zoned times
+ * @returns {object} { day: 'YYYY-MM-DD', hour }
+ */
+function timelineClock(time, utcOffset = 0) {
+  const shift = hasTimeZone(time) ? utcOffset * TIMELINE_HOUR_MS : 0;
+  const local = new Date(timelineTimeMs(time) + shift).toISOString();
+  return { day: local.slice(0, 10), hour: Number(local.slice(11, 13)) + Number(local.slice(14, 16)) / 60 };
+}
+
+function engineName(engine) {
+  return typeof engine === 'string' ? engine : (engine && engine.name) || 'custom';
+}
+
+/**
+ * Create a timeline state
+ * @param {object} options - { initial: { dead1h, dead10h, dead100h, liveHerb, liveStem } (%;
+ *   dead10h and dead100h default one and two points above dead1h), time: ISO start,
+ *   engine: 'timelag' (default) or 'nelson', moistureModel: registry id for the
+ *   time-lag engine, firstStep: weather used by engines that need it }
+ * @returns {object} Serializable state { version, engine, moistureModel, time, hours, moistures, classes }
+ */
+function createTimelineState(options = {}) {
+  const { initial = {}, time = null, engine = 'timelag', moistureModel = null, firstStep = null } = options;
+  const moistures = getTimelineModule(FireBehaviorForTimeline, 'FireBehavior').resolveMoistures(initial);
+  const resolved = getTimelineModule(FuelMoistureForTimeline, 'FuelMoistureIntegration').resolveMoistureEngine(engine);
+  if (moistureModel && resolved.name === 'nelson') {
+    throw new Error('The Nelson engine uses its own sorption isotherm; moistureModel applies to the time-lag engine');
+  }
+
+  const classes = {};
+  Object.keys(DEAD_CLASS_TIMELAGS).forEach(sizeClass => {
+    classes[sizeClass] = resolved.createState(moistures[sizeClass], DEAD_CLASS_TIMELAGS[sizeClass], firstStep);
+  });
+
+  return {
+    version: TIMELINE_STATE_VERSION,
+    engine: engineName(engine),
+    moistureModel,
+    time,
+    hours: 0,
+    moistures,
+    classes
+  };
+}
+
+function checkTimelineState(state) {
+  if (!state || state.version !== TIMELINE_STATE_VERSION || !state.classes || !state.moistures) {
+    throw new Error('Invalid timeline state: expected a state from createTimelineState or runFireTimeline');
+  }
+}
+
+function validateTimelineStep(step) {
+  const { tempF, rh, hours = 1, windSpeed = 0 } = step || {};
+  if (typeof tempF !== 'number' || isNaN(tempF) || typeof rh !== 'number' || isNaN(rh)) {
+    throw new Error('Invalid weather step: tempF and rh must be numbers');
+  }
+  if (rh < 0 || rh > 100) {
+    throw new Error('Invalid weather step: relative humidity must be between 0 and 100');
+  }
+  if (typeof hours !== 'number' || !(hours > 0)) {
+    throw new Error('Invalid weather step: hours must be greater than 0');
+  }
+  if (typeof windSpeed !== 'number' || isNaN(windSpeed) || windSpeed < 0) {
+    throw new Error('Invalid weather step: windSpeed must be a non-negative number');
+  }
+  return Object.assign({}, step, { hours, windSpeed });
+}
+
+/**
+ * Advance the state through one weather step and evaluate fire behavior
+ * @param {object} state - Timeline state (not modified)
+ * @param {object} step - { time: ISO end of step, tempF, rh, hours (default 1), windSpeed: mph,
+ *   windDirection, precipitation: in, precipitationDuration, solarRadiation, shading,
+ *   liveHerb, liveStem: measured live moisture replacing the carried value }
+ * @param {object} options - { engine: custom engine object (named engines come from the
+ *   state), liveChangePerDay: { liveHerb, liveStem } (%/day), plus predictFireBehavior
+ *   inputs: fuelModel, slope, aspect, windHeight (default '20ft'), canopyCover,
+ *   canopyHeight, crownRatio }
+ * @returns {object} { state, row }
+ */
+function stepTimeline(state, step, options = {}) {
+  checkTimelineState(state);
+  const weather = validateTimelineStep(step);
+  const { liveChangePerDay = {}, fuelModel = '2', slope = 0, aspect = null, windHeight = '20ft',
+    canopyCover = 0, canopyHeight = 0, crownRatio = 0 } = options;
+  if (options.engine && engineName(options.engine) !== state.engine) {
+    throw new Error(`Timeline state was created with the ${state.engine} engine`);
+  }
+  const engine = getTimelineModule(FuelMoistureForTimeline, 'FuelMoistureIntegration')
+    .resolveMoistureEngine(typeof options.engine === 'object' ? options.engine : state.engine);
+
+  const classes = {};
+  const moistures = {};
+  let emc = null;
+  let fuelTemperature = null;
+  Object.keys(DEAD_CLASS_TIMELAGS).forEach(sizeClass => {
+    const stepped = engine.step(state.classes[sizeClass], weather, DEAD_CLASS_TIMELAGS[sizeClass],
+      { moistureModel: state.moistureModel });
+    classes[sizeClass] = stepped.state;
+    moistures[sizeClass] = stepped.moisture;
+    if (sizeClass === 'dead1h') {
+      emc = stepped.emc;
+      fuelTemperature = typeof stepped.fuelTemperature === 'number' ? stepped.fuelTemperature : null;
+    }
+  });
+
+  Object.keys(LIVE_MOISTURE_LIMITS).forEach(liveClass => {
+    if (typeof weather[liveClass] === 'number') {
+      moistures[liveClass] = weather[liveClass];
+      return;
+    }
+    const [min, max] = LIVE_MOISTURE_LIMITS[liveClass];
+    const change = (liveChangePerDay[liveClass] || 0) * weather.hours / 24;
+    const current = state.moistures[liveClass];
+    const next = change < 0 ? Math.max(Math.min(current, min), current + change) :
+      Math.min(Math.max(current, max), current + change);
+    moistures[liveClass] = next;
+  });
+  const rounded = Object.assign({}, moistures);
+  Object.keys(LIVE_MOISTURE_LIMITS).forEach(liveClass => {
+    rounded[liveClass] = Math.round(moistures[liveClass] * 10) / 10;
+  });
+
+  const time = weather.time || (state.time ? addTimelineHours(state.time, weather.hours) : null);
+  const fireBehavior = getTimelineModule(FireBehaviorForTimeline, 'FireBehavior');
+  const behavior = fireBehavior.predictFireBehavior({
+    windSpeed: weather.windSpeed,
+    windHeight,
+    windDirection: weather.windDirection,
+    fuelMoisture: moistures.dead1h,
+    moistures: rounded,
+    fuelModel,
+    slope,
+    aspect,
+    temp: weather.tempF,
+    rh: weather.rh,
+    shading: weather.shading,
+    canopyCover,
+    canopyHeight,
+    crownRatio
+  });
+  if (behavior.error) {
+    throw new Error(behavior.error);
+  }
+  const wind = fireBehavior.calculateMidflameWind(weather.windSpeed, windHeight, {
+    fuelDepth: fireBehavior.FUEL_MODELS[fuelModel].depth,
+    canopyCover,
+    canopyHeight,
+    crownRatio
+  });
+
+  const hours = state.hours + weather.hours;
+  const row = {
+    time,
+    hours,
+    stepHours: weather.hours,
+    tempF: weather.tempF,
+    rh: weather.rh,
+    windSpeed: weather.windSpeed,
+    windHeight,
+    midflameWindSpeed: Math.round(wind.midflameWindSpeed * 10) / 10,
+    precipitation: weather.precipitation || 0,
+    moistures: rounded,
+    emc,
+    canSpread: behavior.canSpread,
+    ros: behavior.canSpread ? behavior.rateOfSpread.chainsPerHour : 0,
+    flameLength: behavior.canSpread ? behavior.flameLength.feet : 0,
+    firelineIntensity: behavior.canSpread ? behavior.firelineIntensity : 0,
+    probabilityOfIgnition: behavior.probabilityOfIgnition
+  };
+  if (fuelTemperature !== null) {
+    row.fuelTemperature = fuelTemperature;
+  }
+
+  return {
+    state: Object.assign({}, state, { time, hours, moistures, classes }),
+    row
+  };
+}
+
+/**
+ * Each day's peak burning period: the contiguous hours around the day's
+ * highest value of `metric` that stay at or above `fraction` of it
+ * @param {Array} rows - Timeline rows with times
+ * @param {object} options - { metric: 'firelineIntensity' (default), 'ros' or 'flameLength',
+ *   fraction: 0-1 (default 0.75), utcOffset: h for zoned times }
+ * @returns {Array} [{ day, start, end, hours, peak: row, minMoisture1h }]
+ */
+function findPeakBurningPeriods(rows, options = {}) {
+  const { metric = 'firelineIntensity', fraction = 0.75, utcOffset = 0 } = options;
+  const byDay = new Map();
+  rows.forEach((row, index) => {
+    if (!row.time) {
+      return;
+    }
+    const { day } = timelineClock(row.time, utcOffset);
+    if (!byDay.has(day)) {
+      byDay.set(day, []);
+    }
+    byDay.get(day).push(index);
+  });
+
+  const periods = [];
+  byDay.forEach((indices, day) => {
+    const peakIndex = indices.reduce((best, i) => rows[i][metric] > rows[best][metric] ? i : best, indices[0]);
+    const peakValue = rows[peakIndex][metric];
+    if (!(peakValue > 0)) {
+      return;
+    }
+    const inDay = new Set(indices);
+    let first = peakIndex;
+    let last = peakIndex;
+    while (inDay.has(first - 1) && rows[first - 1][metric] >= fraction * peakValue) {
+      first--;
+    }
+    while (inDay.has(last + 1) && rows[last + 1][metric] >= fraction * peakValue) {
+      last++;
+    }
+    const span = rows.slice(first, last + 1);
+    periods.push({
+      day,
+      start: rows[first].time,
+      end: rows[last].time,
+      hours: span.reduce((sum, row) => sum + row.stepHours, 0),
+      peak: rows[peakIndex],
+      minMoisture1h: Math.min(...span.map(row => row.moistures.dead1h))
+    });
+  });
+  return periods;
+}
+
+/**
+ * Overnight recovery for each night in the timeline
+ * @param {Array} rows - Timeline rows with times
+ * @param {object} options - { nightStart: local hour (default 20), nightEnd: local hour
+ *   (default 8), utcOffset: h for zoned times }
+ * @returns {Array} [{ night: 'YYYY-MM-DD' of the evening, start, end, hours, maxRH,
+ *   maxMoisture1h, moistureGain1h, category }]
+ */
+function findOvernightRecovery(rows, options = {}) {
+  const { nightStart = 20, nightEnd = 8, utcOffset = 0 } = options;
+  const nights = new Map();
+  const afternoonMinimum = new Map();
+
+  rows.forEach(row => {
+    if (!row.time) {
+      return;
+    }
+    const { day, hour } = timelineClock(row.time, utcOffset);
+    if (hour >= nightStart || hour <= nightEnd) {
+      const night = hour >= nightStart ? day : new Date(Date.parse(`${day}T00:00Z`) - 24 * TIMELINE_HOUR_MS).toISOString().slice(0, 10);
+      if (!nights.has(night)) {
+        nights.set(night, []);
+      }
+      nights.get(night).push(row);
+    } else {
+      afternoonMinimum.set(day, Math.min(afternoonMinimum.has(day) ? afternoonMinimum.get(day) : Infinity, row.moistures.dead1h));
+    }
+  });
+
+  const recoveries = [];
+  nights.forEach((nightRows, night) => {
+    const maxRH = Math.round(Math.max(...nightRows.map(row => row.rh)) * 10) / 10;
+    const maxMoisture1h = Math.max(...nightRows.map(row => row.moistures.dead1h));
+    const dayMinimum = afternoonMinimum.get(night);
+    recoveries.push({
+      night,
+      start: nightRows[0].time,
+      end: nightRows[nightRows.length - 1].time,
+      hours: nightRows.reduce((sum, row) => sum + row.stepHours, 0),
+      maxRH,
+      maxMoisture1h,
+      moistureGain1h: dayMinimum === undefined ? null : Math.round((maxMoisture1h - dayMinimum) * 10) / 10,
+      category: RECOVERY_CATEGORIES.find(category => maxRH >= category.min).label
+    });
+  });
+  return recoveries;
+}
+
+/**
+ * Run a weather series through the timeline
+ * @param {Array} weather - Weather steps (see stepTimeline)
+ * @param {object} options - { state: resume from a previous run's state, or createTimelineState
+ *   options (initial, time, engine, moistureModel) for a new run; stepTimeline options;
+ *   metric, fraction, nightStart, nightEnd, utcOffset for the peak and recovery summaries }
+ * @returns {object} { rows, peakBurningPeriods, overnightRecovery, state }
+ */
+function runFireTimeline(weather, options = {}) {
+  if (!Array.isArray(weather) || weather.length === 0) {
+    throw new Error('Invalid input: weather must be a non-empty array of steps');
+  }
+
+  let state = options.state;
+  if (!state) {
+    const first = validateTimelineStep(weather[0]);
+    const initial = Object.assign({}, options.initial);
+    if (typeof initial.dead1h !== 'number') {
+      initial.dead1h = getTimelineModule(FuelMoistureForTimeline, 'FuelMoistureIntegration')
+        .computeModelEMC(first.tempF, first.rh, options.moistureModel);
+    }
+    const start = options.time || (first.time ? addTimelineHours(first.time, -first.hours) : null);
+    state = createTimelineState(Object.assign({}, options, { initial, time: start, firstStep: first }));
+  }
+
+  const rows = [];
+  weather.forEach(step => {
+    const stepped = stepTimeline(state, step, options);
+    state = stepped.state;
+    rows.push(stepped.row);
+  });
+
+  return {
+    rows,
+    peakBurningPeriods: findPeakBurningPeriods(rows, options),
+    overnightRecovery: findOvernightRecovery(rows, options),
+    state
+  };
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEAD_CLASS_TIMELAGS,
+    LIVE_MOISTURE_LIMITS,
+    RECOVERY_CATEGORIES,
+    createTimelineState,
+    stepTimeline,
+    findPeakBurningPeriods,
+    findOvernightRecovery,
+    runFireTimeline
+  };
+}
+
+// Make available in browser
+if (typeof window !== 'undefined') {
+  window.FireTimeline = {
+    DEAD_CLASS_TIMELAGS,
+    LIVE_MOISTURE_LIMITS,
+    RECOVERY_CATEGORIES,
+    createTimelineState,
+    stepTimeline,
+    findPeakBurningPeriods,
+    findOvernightRecovery,
+    runFireTimeline
+  };
+}
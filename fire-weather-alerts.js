@@ -0,0 +1,410 @@
+/**
+ * Fire Weather Alerts
+ * Evaluates JSON rule sets (thresholds with optional minimum durations)
+ * against weather and fire behavior series and reports structured alerts
+ */
+
+const ALERT_RULES_STORAGE_KEY = 'fiveForks.alertRules';
+const ALERT_RULE_SET_VERSION = 1;
+
+// Severities from least to most severe
+const ALERT_SEVERITIES = ['info', 'advisory', 'warning', 'critical'];
+
+const ALERT_OPERATORS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+function firstAlertNumber(...values) {
+  const found = values.find(value => typeof value === 'number' && !isNaN(value));
+  return found === undefined ? null : found;
+}
+
+function alertPath(row, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), row);
+}
+
+// 10-m (33-ft) winds are about 15% stronger than 20-ft winds, as in fire-behavior.js
+const TEN_METER_TO_TWENTY_FOOT_WIND = 1 / 1.15;
+
+// 20-ft wind from the row's wind speed and the height it was measured at;
+// null for midflame wind or when the height is unknown
+function twentyFootAlertWind(row) {
+  const windSpeed = firstAlertNumber(row.windSpeed, alertPath(row, 'conditions.windSpeed'));
+  const height = row.windHeight || alertPath(row, 'windAdjustment.referenceHeight');
+  if (windSpeed === null || (height !== '20ft' && height !== '10m')) {
+    return null;
+  }
+  return height === '10m' ? Math.round(windSpeed * TEN_METER_TO_TWENTY_FOOT_WIND * 10) / 10 : windSpeed;
+}
+
+// Named fields read the same quantity from runModel steps, predictFireBehavior
+// results and the forecast, replay and timeline rows. windSpeed is the wind as
+// given, at whatever height; windSpeed20ft converts it using the row's windHeight.
+const ALERT_FIELDS = {
+  tempF: row => firstAlertNumber(row.tempF, row.temp, alertPath(row, 'conditions.temp')),
+  rh: row => firstAlertNumber(row.rh, alertPath(row, 'conditions.rh')),
+  windSpeed: row => firstAlertNumber(row.windSpeed, alertPath(row, 'conditions.windSpeed')),
+  windSpeed20ft: twentyFootAlertWind,
+  midflameWind: row => firstAlertNumber(row.midflameWindSpeed, alertPath(row, 'windAdjustment.midflameWindSpeed')),
+  precipitation: row => firstAlertNumber(row.precipitation),
+  emc: row => firstAlertNumber(row.emc),
+  moisture1h: row => firstAlertNumber(alertPath(row, 'moistures.dead1h'), row.moisture, row.fuelMoisture,
+    alertPath(row, 'conditions.moistures.dead1h')),
+  moisture10h: row => firstAlertNumber(alertPath(row, 'moistures.dead10h'), alertPath(row, 'conditions.moistures.dead10h')),
+  moisture100h: row => firstAlertNumber(alertPath(row, 'moistures.dead100h'), alertPath(row, 'conditions.moistures.dead100h')),
+  ros: row => firstAlertNumber(row.ros, alertPath(row, 'rateOfSpread.chainsPerHour')),
+  flameLength: row => firstAlertNumber(row.flameLength, alertPath(row, 'flameLength.feet')),
+  firelineIntensity: row => firstAlertNumber(row.firelineIntensity),
+  probabilityOfIgnition: row => firstAlertNumber(row.probabilityOfIgnition)
+};
+
+// Example criteria; Red Flag criteria differ by forecast office, so edit to match yours
+const DEFAULT_ALERT_RULES = {
+  version: ALERT_RULE_SET_VERSION,
+  name: 'Default fire weather criteria',
+  rules: [
+    {
+      id: 'red-flag',
+      name: 'Red Flag: RH below 15% with 20-ft wind 25 mph or more for 3+ hours',
+      severity: 'warning',
+      match: 'all',
+      conditions: [
+        { field: 'rh', op: '<', value: 15 },
+        { field: 'windSpeed20ft', op: '>=', value: 25 }
+      ],
+      minDuration: 3
+    },
+    {
+      id: 'critical-fine-fuels',
+      name: '1-hour fuel moisture 4% or less',
+      severity: 'advisory',
+      conditions: [{ field: 'moisture1h', op: '<=', value: 4 }]
+    },
+    {
+      id: 'flame-length',
+      name: 'Flame length over 8 ft (beyond hand line)',
+      severity: 'warning',
+      conditions: [{ field: 'flameLength', op: '>', value: 8 }]
+    }
+  ]
+};
+
+function getAlertStorage() {
+  try {
+    return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+  } catch (e) {
+    // Storage can be blocked (private browsing, file:// restrictions)
+    return null;
+  }
+}
+
+/**
+ * Value of a field in a series row: a name from ALERT_FIELDS or a dotted path
+ * @param {object} row - Series row
+ * @param {string} field - Field name or path ('crownFire.type')
+ * @returns {*} Value, or null when the row does not have it
+ */
+function resolveAlertField(row, field) {
+  if (ALERT_FIELDS[field]) {
+    return ALERT_FIELDS[field](row);
+  }
+  const value = alertPath(row, field);
+  return value === undefined ? null : value;
+}
+
+/**
+ * Validate a rule and fill defaults
+ * @param {object} rule - { id, name, severity, match: 'all' | 'any', conditions: [{ field, op, value }],
+ *   minDuration: hours (default 0) }
+ * @returns {object} Normalized rule
+ */
+function validateAlertRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('Invalid rule: expected an object');
+  }
+  const label = rule.id || rule.name || 'unnamed';
+  const fail = message => {
+    throw new Error(`Invalid rule "${label}": ${message}`);
+  };
+
+  if (typeof rule.id !== 'string' || rule.id.trim() === '') {
+    fail('id is required');
+  }
+  const { severity = 'warning', match = 'all', minDuration = 0 } = rule;
+  if (!ALERT_SEVERITIES.includes(severity)) {
+    fail(`severity must be one of ${ALERT_SEVERITIES.join(', ')}`);
+  }
+  if (match !== 'all' && match !== 'any') {
+    fail("match must be 'all' or 'any'");
+  }
+  if (typeof minDuration !== 'number' || isNaN(minDuration) || minDuration < 0) {
+    fail('minDuration must be a non-negative number of hours');
+  }
+  if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+    fail('at least one condition is required');
+  }
+  const conditions = rule.conditions.map((condition, i) => {
+    if (!condition || typeof condition.field !== 'string' || condition.field === '') {
+      fail(`condition ${i + 1} needs a field`);
+    }
+    if (!ALERT_OPERATORS[condition.op]) {
+      fail(`condition ${i + 1} operator must be one of ${Object.keys(ALERT_OPERATORS).join(' ')}`);
+    }
+    if (condition.value === undefined || condition.value === null) {
+      fail(`condition ${i + 1} needs a value`);
+    }
+    return { field: condition.field, op: condition.op, value: condition.value };
+  });
+
+  return {
+    id: rule.id,
+    name: rule.name || rule.id,
+    severity,
+    match,
+    conditions,
+    minDuration
+  };
+}
+
+/**
+ * Parse and validate a rule set
+ * @param {string|object} json - JSON text, { name, rules } or an array of rules
+ * @returns {object} { version, name, rules }
+ */
+function parseAlertRuleSet(json) {
+  let doc = json;
+  if (typeof json === 'string') {
+    try {
+      doc = JSON.parse(json);
+    } catch (e) {
+      throw new Error('Invalid rule set JSON: ' + e.message);
+    }
+  }
+  if (Array.isArray(doc)) {
+    doc = { rules: doc };
+  }
+  if (!doc || !Array.isArray(doc.rules)) {
+    throw new Error('Invalid rule set: missing rules');
+  }
+
+  const rules = doc.rules.map(validateAlertRule);
+  const ids = new Set();
+  rules.forEach(rule => {
+    if (ids.has(rule.id)) {
+      throw new Error(`Invalid rule set: duplicate rule id "${rule.id}"`);
+    }
+    ids.add(rule.id);
+  });
+  return { version: ALERT_RULE_SET_VERSION, name: doc.name || 'Fire weather criteria', rules };
+}
+
+/**
+ * Serialize a rule set for editing or sharing
+ * @param {object} ruleSet - Rule set
+ * @returns {string} Indented JSON
+ */
+function serializeAlertRuleSet(ruleSet) {
+  return JSON.stringify(parseAlertRuleSet(ruleSet), null, 2);
+}
+
+/**
+ * Save a rule set to storage after validating it
+ * @param {string|object} ruleSet - Rule set or JSON text
+ * @param {Storage} storage - Web Storage compatible object (default: window.localStorage)
+ * @returns {boolean} True if saved
+ */
+function saveAlertRuleSet(ruleSet, storage = getAlertStorage()) {
+  const json = serializeAlertRuleSet(ruleSet);
+  if (!storage) {
+    return false;
+  }
+  storage.setItem(ALERT_RULES_STORAGE_KEY, json);
+  return true;
+}
+
+/**
+ * Load the saved rule set, or the default rules when none is saved or the
+ * saved one no longer parses
+ * @param {Storage} storage - Web Storage compatible object (default: window.localStorage)
+ * @returns {object} Rule set
+ */
+function loadAlertRuleSet(storage = getAlertStorage()) {
+  const saved = storage ? storage.getItem(ALERT_RULES_STORAGE_KEY) : null;
+  if (saved) {
+    try {
+      return parseAlertRuleSet(saved);
+    } catch (e) {
+      // Fall back to the defaults rather than failing page load
+    }
+  }
+  return parseAlertRuleSet(DEFAULT_ALERT_RULES);
+}
+
+function conditionHolds(row, condition) {
+  const value = resolveAlertField(row, condition.field);
+  if (value === null || value === undefined) {
+    return false;
+  }
+  return ALERT_OPERATORS[condition.op](value, condition.value);
+}
+
+function alertRowTime(row) {
+  if (typeof row.time === 'string') {
+    return Date.parse(/(Z|[+-]\d{2}:?\d{2})$/.test(row.time) ? row.time : `${row.time}Z`);
+  }
+  return null;
+}
+
+/**
+ * Hours each row covers: stepHours when given, otherwise the spacing of
+ * row times or cumulative hours, otherwise options.stepHours
+ */
+function seriesStepHours(series, defaultHours) {
+  return series.map((row, i) => {
+    if (typeof row.stepHours === 'number') {
+      return row.stepHours;
+    }
+    const previous = series[i - 1];
+    if (previous) {
+      const now = alertRowTime(row);
+      const before = alertRowTime(previous);
+      if (now !== null && before !== null) {
+        return (now - before) / 3600000;
+      }
+      if (typeof row.hours === 'number' && typeof previous.hours === 'number') {
+        return row.hours - previous.hours;
+      }
+    }
+    return defaultHours;
+  });
+}
+
+/**
+ * Evaluate rules against a series. Consecutive rows meeting a rule form one
+ * alert when they last at least the rule's minDuration.
+ * @param {Array} series - Rows from runModel, predictFireBehavior, or a timeline
+ * @param {object|Array|string} ruleSet - Rule set, rules, or JSON
+ * @param {object} options - { times: labels for rows without a time, stepHours: hours per
+ *   row when the series has no times (default 1) }
+ * @returns {Array} Alerts sorted by start: [{ ruleId, name, severity, start, end, hours,
+ *   startIndex, endIndex, extremes: { field: most extreme value }, message }]
+ */
+function evaluateAlertRules(series, ruleSet, options = {}) {
+  if (!Array.isArray(series)) {
+    throw new Error('Invalid input: series must be an array');
+  }
+  const { rules } = parseAlertRuleSet(Array.isArray(ruleSet) ? { rules: ruleSet } : ruleSet);
+  const { times = null, stepHours = 1 } = options;
+  const hours = seriesStepHours(series, stepHours);
+  const label = i => {
+    if (times && times[i] !== undefined) {
+      return times[i];
+    }
+    if (series[i].time !== undefined) {
+      return series[i].time;
+    }
+    return typeof series[i].hours === 'number' ? series[i].hours : i;
+  };
+
+  const alerts = [];
+  rules.forEach(rule => {
+    const matches = row => rule.match === 'all' ?
+      rule.conditions.every(condition => conditionHolds(row, condition)) :
+      rule.conditions.some(condition => conditionHolds(row, condition));
+
+    let start = null;
+    const close = end => {
+      const span = series.slice(start, end + 1);
+      const duration = hours.slice(start, end + 1).reduce((sum, h) => sum + h, 0);
+      if (duration >= rule.minDuration) {
+        const extremes = {};
+        rule.conditions.forEach(condition => {
+          const values = span.map(row => resolveAlertField(row, condition.field)).filter(value => typeof value === 'number');
+          if (values.length > 0) {
+            extremes[condition.field] = condition.op.startsWith('<') ? Math.min(...values) : Math.max(...values);
+          }
+        });
+        alerts.push({
+          ruleId: rule.id,
+          name: rule.name,
+          severity: rule.severity,
+          start: label(start),
+          end: label(end),
+          hours: duration,
+          startIndex: start,
+          endIndex: end,
+          extremes,
+          message: `${rule.name}: ${label(start)} to ${label(end)} (${duration} h)`
+        });
+      }
+      start = null;
+    };
+
+    series.forEach((row, i) => {
+      if (matches(row)) {
+        if (start === null) {
+          start = i;
+        }
+      } else if (start !== null) {
+        close(i - 1);
+      }
+    });
+    if (start !== null) {
+      close(series.length - 1);
+    }
+  });
+
+  return alerts.sort((a, b) => a.startIndex - b.startIndex ||
+    ALERT_SEVERITIES.indexOf(b.severity) - ALERT_SEVERITIES.indexOf(a.severity));
+}
+
+/**
+ * Most severe level among alerts
+ * @param {Array} alerts - From evaluateAlertRules
+ * @returns {string|null} Severity, or null when there are no alerts
+ */
+function highestAlertSeverity(alerts) {
+  return alerts.reduce((worst, alert) =>
+    worst === null || ALERT_SEVERITIES.indexOf(alert.severity) > ALERT_SEVERITIES.indexOf(worst) ? alert.severity : worst, null);
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ALERT_SEVERITIES,
+    ALERT_OPERATORS,
+    ALERT_FIELDS,
+    DEFAULT_ALERT_RULES,
+    resolveAlertField,
+    validateAlertRule,
+    parseAlertRuleSet,
+    serializeAlertRuleSet,
+    saveAlertRuleSet,
+    loadAlertRuleSet,
+    evaluateAlertRules,
+    highestAlertSeverity
+  };
+}
+
+// Make available in browser
+if (typeof window !== 'undefined') {
+  window.FireWeatherAlerts = {
+    ALERT_SEVERITIES,
+    ALERT_OPERATORS,
+    ALERT_FIELDS,
+    DEFAULT_ALERT_RULES,
+    resolveAlertField,
+    validateAlertRule,
+    parseAlertRuleSet,
+    serializeAlertRuleSet,
+    saveAlertRuleSet,
+    loadAlertRuleSet,
+    evaluateAlertRules,
+    highestAlertSeverity
+  };
+}
@@ -0,0 +1,382 @@
+/**
+ * Canadian Forest Fire Weather Index (FWI) System
+ * Fine Fuel Moisture Code, Duff Moisture Code, Drought Code, Initial Spread
+ * Index, Buildup Index and Fire Weather Index from daily noon weather
+ * (Van Wagner 1987), with spring startup and overwintered Drought Code
+ * (Lawson and Armitage 2008)
+ */
+
+// Standard startup values used when a fire season begins
+const FWI_STARTUP = { ffmc: 85, dmc: 6, dc: 15 };
+
+// Effective day length for the DMC and day-length factor for the DC by month
+// (46°N tables from Van Wagner 1987)
+const DMC_DAY_LENGTHS = [6.5, 7.5, 9.0, 12.8, 13.9, 13.9, 12.4, 10.9, 9.4, 8.0, 7.0, 6.0];
+const DC_DAY_LENGTH_FACTORS = [-1.6, -1.6, -1.6, 0.9, 3.8, 5.8, 6.4, 5.0, 2.4, 0.4, -1.6, -1.6];
+
+// Noon temperature (°C) that counts toward a spring startup, and the number of
+// consecutive snow-free days at or above it that start the season
+const STARTUP_TEMPERATURE_C = 12;
+const STARTUP_DAYS = 3;
+
+/**
+ * Fine Fuel Moisture Code
+ * @param {number} ffmc - Yesterday's FFMC
+ * @param {number} tempC - Noon temperature (°C)
+ * @param {number} rh - Noon relative humidity (%)
+ * @param {number} windKmh - Noon 10-m wind speed (km/h)
+ * @param {number} rainMm - 24-hour rain (mm)
+ * @returns {number} FFMC (0-101)
+ */
+function calculateFFMC(ffmc, tempC, rh, windKmh, rainMm) {
+  let mo = 147.2 * (101 - ffmc) / (59.5 + ffmc);
+
+  if (rainMm > 0.5) {
+    const rf = rainMm - 0.5;
+    let wetting = 42.5 * rf * Math.exp(-100 / (251 - mo)) * (1 - Math.exp(-6.93 / rf));
+    if (mo > 150) {
+      wetting += 0.0015 * (mo - 150) * (mo - 150) * Math.sqrt(rf);
+    }
+    mo = Math.min(250, mo + wetting);
+  }
+
+  const humidityTerm = 0.18 * (21.1 - tempC) * (1 - Math.exp(-0.115 * rh));
+  const ed = 0.942 * Math.pow(rh, 0.679) + 11 * Math.exp((rh - 100) / 10) + humidityTerm;
+  const ew = 0.618 * Math.pow(rh, 0.753) + 10 * Math.exp((rh - 100) / 10) + humidityTerm;
+
+  let m = mo;
+  if (mo > ed) {
+    const ko = 0.424 * (1 - Math.pow(rh / 100, 1.7)) + 0.0694 * Math.sqrt(windKmh) * (1 - Math.pow(rh / 100, 8));
+    const kd = ko * 0.581 * Math.exp(0.0365 * tempC);
+    m = ed + (mo - ed) * Math.pow(10, -kd);
+  } else if (mo < ew) {
+    const dryness = (100 - rh) / 100;
+    const k1 = 0.424 * (1 - Math.pow(dryness, 1.7)) + 0.0694 * Math.sqrt(windKmh) * (1 - Math.pow(dryness, 8));
+    const kw = k1 * 0.581 * Math.exp(0.0365 * tempC);
+    m = ew - (ew - mo) * Math.pow(10, -kw);
+  }
+
+  return Math.max(0, Math.min(101, 59.5 * (250 - m) / (147.2 + m)));
+}
+
+/**
+ * Duff Moisture Code
+ * @param {number} dmc - Yesterday's DMC
+ * @param {number} tempC - Noon temperature (°C)
+ * @param {number} rh - Noon relative humidity (%)
+ * @param {number} rainMm - 24-hour rain (mm)
+ * @param {number} month - Month (1-12)
+ * @returns {number} DMC
+ */
+function calculateDMC(dmc, tempC, rh, rainMm, month) {
+  let previous = dmc;
+  if (rainMm > 1.5) {
+    const re = 0.92 * rainMm - 1.27;
+    const mo = 20 + Math.exp(5.6348 - dmc / 43.43);
+    let b;
+    if (dmc <= 33) {
+      b = 100 / (0.5 + 0.3 * dmc);
+    } else if (dmc <= 65) {
+      b = 14 - 1.3 * Math.log(dmc);
+    } else {
+      b = 6.2 * Math.log(dmc) - 17.2;
+    }
+    const mr = mo + 1000 * re / (48.77 + b * re);
+    previous = Math.max(0, 244.72 - 43.43 * Math.log(mr - 20));
+  }
+
+  const temp = Math.max(-1.1, tempC);
+  const drying = 1.894 * (temp + 1.1) * (100 - rh) * DMC_DAY_LENGTHS[month - 1] * 1e-6;
+  return previous + 100 * drying;
+}
+
+/**
+ * Drought Code
+ * @param {number} dc - Yesterday's DC
+ * @param {number} tempC - Noon temperature (°C)
+ * @param {number} rainMm - 24-hour rain (mm)
+ * @param {number} month - Month (1-12)
+ * @returns {number} DC
+ */
+function calculateDC(dc, tempC, rainMm, month) {
+  let previous = dc;
+  if (rainMm > 2.8) {
+    const rd = 0.83 * rainMm - 1.27;
+    const qr = 800 * Math.exp(-dc / 400) + 3.937 * rd;
+    previous = Math.max(0, 400 * Math.log(800 / qr));
+  }
+
+  const temp = Math.max(-2.8, tempC);
+  const potentialEvaporation = Math.max(0, 0.36 * (temp + 2.8) + DC_DAY_LENGTH_FACTORS[month - 1]);
+  return previous + 0.5 * potentialEvaporation;
+}
+
+/**
+ * Initial Spread Index
+ * @param {number} ffmc - Today's FFMC
+ * @param {number} windKmh - Noon 10-m wind speed (km/h)
+ * @returns {number} ISI
+ */
+function calculateISI(ffmc, windKmh) {
+  const m = 147.2 * (101 - ffmc) / (59.5 + ffmc);
+  const windFunction = Math.exp(0.05039 * windKmh);
+  const fineFuelFunction = 91.9 * Math.exp(-0.1386 * m) * (1 + Math.pow(m, 5.31) / 4.93e7);
+  return 0.208 * windFunction * fineFuelFunction;
+}
+
+/**
+ * Buildup Index
+ * @param {number} dmc - Today's DMC
+ * @param {number} dc - Today's DC
+ * @returns {number} BUI
+ */
+function calculateBUI(dmc, dc) {
+  if (dmc <= 0 && dc <= 0) {
+    return 0;
+  }
+  if (dmc <= 0.4 * dc) {
+    return 0.8 * dmc * dc / (dmc + 0.4 * dc);
+  }
+  const bui = dmc - (1 - 0.8 * dc / (dmc + 0.4 * dc)) * (0.92 + Math.pow(0.0114 * dmc, 1.7));
+  return Math.max(0, bui);
+}
+
+/**
+ * Fire Weather Index
+ * @param {number} isi - Initial Spread Index
+ * @param {number} bui - Buildup Index
+ * @returns {number} FWI
+ */
+function calculateFWI(isi, bui) {
+  const duffFunction = bui <= 80 ? 0.626 * Math.pow(bui, 0.809) + 2 : 1000 / (25 + 108.64 * Math.exp(-0.023 * bui));
+  const b = 0.1 * isi * duffFunction;
+  return b > 1 ? Math.exp(2.72 * Math.pow(0.434 * Math.log(b), 0.647)) : b;
+}
+
+/**
+ * Daily Severity Rating
+ * @param {number} fwi - Fire Weather Index
+ * @returns {number} DSR
+ */
+function calculateDSR(fwi) {
+  return 0.0272 * Math.pow(fwi, 1.77);
+}
+
+/**
+ * Spring startup Drought Code from last fall's DC and the precipitation that
+ * fell over winter (Lawson and Armitage 2008)
+ * @param {number} fallDC - DC on the last day of the previous season
+ * @param {number} winterPrecipitationMm - Precipitation between fall shutdown and spring startup (mm)
+ * @param {object} options - { carryOver: fraction of fall moisture deficit kept (default 0.75),
+ *   wettingEfficiency: fraction of winter precipitation that recharges the soil (default 0.75) }
+ * @returns {number} Startup DC (at least 15)
+ */
+function overwinterDC(fallDC, winterPrecipitationMm, options = {}) {
+  const { carryOver = 0.75, wettingEfficiency = 0.75 } = options;
+  if (typeof fallDC !== 'number' || isNaN(fallDC) || fallDC < 0) {
+    throw new Error('Invalid input: fall Drought Code must be a non-negative number');
+  }
+  if (typeof winterPrecipitationMm !== 'number' || isNaN(winterPrecipitationMm) || winterPrecipitationMm < 0) {
+    throw new Error('Invalid input: winter precipitation must be a non-negative number');
+  }
+  const fallMoisture = 800 * Math.exp(-fallDC / 400);
+  const springMoisture = carryOver * fallMoisture + wettingEfficiency * 3.94 * winterPrecipitationMm;
+  return Math.max(FWI_STARTUP.dc, 400 * Math.log(800 / springMoisture));
+}
+
+/**
+ * Validate a daily noon observation. Metric fields (tempC, windKmh, rainMm)
+ * are used when present; otherwise the dashboard's imperial fields (tempF,
+ * windSpeed in mph, precipitation in inches) are converted.
+ * @param {object} obs - { date or month, tempC | tempF, rh, windKmh | windSpeed,
+ *   rainMm | precipitation, snowCover }
+ * @returns {object} { date, month, tempC, rh, windKmh, rainMm, snowCover }
+ */
+function normalizeFWIObservation(obs) {
+  if (!obs || typeof obs !== 'object') {
+    throw new Error('Invalid FWI observation: expected an object');
+  }
+  const tempC = obs.tempC !== undefined ? obs.tempC : (typeof obs.tempF === 'number' ? (obs.tempF - 32) * 5 / 9 : undefined);
+  const windKmh = obs.windKmh !== undefined ? obs.windKmh : (typeof obs.windSpeed === 'number' ? obs.windSpeed * 1.609344 : undefined);
+  const rainMm = obs.rainMm !== undefined ? obs.rainMm : (obs.precipitation || 0) * 25.4;
+  const month = obs.month !== undefined ? obs.month : (obs.date ? new Date(`${obs.date}T00:00:00Z`).getUTCMonth() + 1 : undefined);
+
+  if (typeof tempC !== 'number' || isNaN(tempC)) {
+    throw new Error('Invalid FWI observation: temperature must be a number');
+  }
+  if (typeof obs.rh !== 'number' || isNaN(obs.rh) || obs.rh < 0 || obs.rh > 100) {
+    throw new Error('Invalid FWI observation: relative humidity must be between 0 and 100');
+  }
+  if (typeof windKmh !== 'number' || isNaN(windKmh) || windKmh < 0) {
+    throw new Error('Invalid FWI observation: wind speed must be a non-negative number');
+  }
+  if (typeof rainMm !== 'number' || isNaN(rainMm) || rainMm < 0) {
+    throw new Error('Invalid FWI observation: rain must be a non-negative number');
+  }
+  if (!Number.isInteger(month) || month < 1 || month > 12) {
+    throw new Error('Invalid FWI observation: month (or date) is required');
+  }
+
+  return { date: obs.date || null, month, tempC, rh: obs.rh, windKmh, rainMm, snowCover: obs.snowCover === true };
+}
+
+/**
+ * All six codes and indices for one day
+ * @param {object} observation - Noon observation (see normalizeFWIObservation)
+ * @param {object} previous - Yesterday's { ffmc, dmc, dc } (default FWI_STARTUP)
+ * @returns {object} { ffmc, dmc, dc, isi, bui, fwi, dsr } unrounded
+ */
+function computeFWIDay(observation, previous = FWI_STARTUP) {
+  const obs = normalizeFWIObservation(observation);
+  const ffmc = calculateFFMC(previous.ffmc, obs.tempC, obs.rh, obs.windKmh, obs.rainMm);
+  const dmc = calculateDMC(previous.dmc, obs.tempC, obs.rh, obs.rainMm, obs.month);
+  const dc = calculateDC(previous.dc, obs.tempC, obs.rainMm, obs.month);
+  const isi = calculateISI(ffmc, obs.windKmh);
+  const bui = calculateBUI(dmc, dc);
+  const fwi = calculateFWI(isi, bui);
+  return { ffmc, dmc, dc, isi, bui, fwi, dsr: calculateDSR(fwi) };
+}
+
+function roundFWICodes(codes) {
+  const rounded = {};
+  Object.keys(codes).forEach(key => {
+    rounded[key] = Math.round(codes[key] * 10) / 10;
+  });
+  return rounded;
+}
+
+/**
+ * Codes and indices for one day, rounded to one decimal
+ * @param {object} observation - Noon observation (see normalizeFWIObservation)
+ * @param {object} previous - Yesterday's { ffmc, dmc, dc } (default FWI_STARTUP)
+ * @returns {object} { ffmc, dmc, dc, isi, bui, fwi, dsr }
+ */
+function calculateFWISystem(observation, previous = FWI_STARTUP) {
+  return roundFWICodes(computeFWIDay(observation, previous));
+}
+
+/**
+ * Create the state carried between days
+ * @param {object} options - { ffmc, dmc, dc (default FWI_STARTUP), active: fire season
+ *   already under way (default true) }
+ * @returns {object} Serializable state
+ */
+function createFWIState(options = {}) {
+  const { ffmc = FWI_STARTUP.ffmc, dmc = FWI_STARTUP.dmc, dc = FWI_STARTUP.dc, active = true } = options;
+  return { ffmc, dmc, dc, active, fallDC: active ? null : dc, winterPrecipitation: 0, startupDays: 0 };
+}
+
+/**
+ * Carry the state forward one day. Snow cover ends the season and the codes
+ * stop; the season restarts after three consecutive snow-free days with noon
+ * temperature of at least 12°C, with FFMC and DMC at their startup values and
+ * DC overwintered from the fall value and the precipitation since.
+ * @param {object} state - From createFWIState or a previous step
+ * @param {object} observation - Noon observation (see normalizeFWIObservation)
+ * @param {object} options - Overwintering options for overwinterDC
+ * @returns {object} { state, day: { date, month, status, ffmc, ... } } with null
+ *   codes on days outside the season
+ */
+function stepFWI(state, observation, options = {}) {
+  const obs = normalizeFWIObservation(observation);
+  const empty = { ffmc: null, dmc: null, dc: null, isi: null, bui: null, fwi: null, dsr: null };
+
+  if (state.active && obs.snowCover) {
+    return {
+      state: Object.assign({}, state, { active: false, fallDC: state.dc, winterPrecipitation: obs.rainMm, startupDays: 0 }),
+      day: Object.assign({ date: obs.date, month: obs.month, status: 'overwintering' }, empty)
+    };
+  }
+
+  let previous = state;
+  let status = 'active';
+  if (!state.active) {
+    const winterPrecipitation = state.winterPrecipitation + obs.rainMm;
+    const startupDays = !obs.snowCover && obs.tempC >= STARTUP_TEMPERATURE_C ? state.startupDays + 1 : 0;
+    if (startupDays < STARTUP_DAYS) {
+      return {
+        state: Object.assign({}, state, { winterPrecipitation, startupDays }),
+        day: Object.assign({ date: obs.date, month: obs.month, status: 'overwintering' }, empty)
+      };
+    }
+    previous = {
+      ffmc: FWI_STARTUP.ffmc,
+      dmc: FWI_STARTUP.dmc,
+      dc: state.fallDC === null ? FWI_STARTUP.dc : overwinterDC(state.fallDC, winterPrecipitation, options)
+    };
+    status = 'startup';
+  }
+
+  const codes = computeFWIDay(obs, previous);
+  const day = Object.assign({ date: obs.date, month: obs.month, status }, roundFWICodes(codes));
+  if (status === 'startup') {
+    day.startupDC = Math.round(previous.dc * 10) / 10;
+  }
+  return {
+    state: { ffmc: codes.ffmc, dmc: codes.dmc, dc: codes.dc, active: true, fallDC: null, winterPrecipitation: 0, startupDays: 0 },
+    day
+  };
+}
+
+/**
+ * Run a daily observation series
+ * @param {Array} observations - Daily noon observations in date order
+ * @param {object} options - { state } to continue a run, or createFWIState options,
+ *   plus overwinterDC options
+ * @returns {object} { days, series: { dates, ffmc, dmc, dc, isi, bui, fwi, dsr }, state }
+ */
+function runFWI(observations, options = {}) {
+  if (!Array.isArray(observations) || observations.length === 0) {
+    throw new Error('Invalid input: observations must be a non-empty array');
+  }
+  let state = options.state || createFWIState(options);
+  const days = observations.map(obs => {
+    const result = stepFWI(state, obs, options);
+    state = result.state;
+    return result.day;
+  });
+
+  const series = { dates: days.map(d => d.date) };
+  ['ffmc', 'dmc', 'dc', 'isi', 'bui', 'fwi', 'dsr'].forEach(key => {
+    series[key] = days.map(d => d[key]);
+  });
+  return { days, series, state };
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    FWI_STARTUP,
+    calculateFFMC,
+    calculateDMC,
+    calculateDC,
+    calculateISI,
+    calculateBUI,
+    calculateFWI,
+    calculateDSR,
+    overwinterDC,
+    calculateFWISystem,
+    createFWIState,
+    stepFWI,
+    runFWI
+  };
+}
+
+// Make available in browser
+if (typeof window !== 'undefined') {
+  window.FireWeatherIndex = {
+    FWI_STARTUP,
+    calculateFFMC,
+    calculateDMC,
+    calculateDC,
+    calculateISI,
+    calculateBUI,
+    calculateFWI,
+    calculateDSR,
+    overwinterDC,
+    calculateFWISystem,
+    createFWIState,
+    stepFWI,
+    runFWI
+  };
+}
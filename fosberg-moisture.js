@@ -0,0 +1,247 @@
+/**
+ * Fosberg 1-Hour Fuel Moisture Tables
+ * Daytime (0800-1959) reference fuel moisture and correction tables from the
+ * NWCG Fireline Handbook (PMS 410-1), reported line by line like the paper
+ * 1-hour fuel moisture worksheet
+ */
+
+// Table A: reference fuel moisture (%) by dry bulb temperature and relative humidity.
+// Rows are temperature classes, columns are 5% RH classes (0-4 ... 95-99) then 100.
+const FOSBERG_TEMPERATURE_CLASSES = [
+  { label: '10-29', min: -Infinity, max: 29 },
+  { label: '30-49', min: 30, max: 49 },
+  { label: '50-69', min: 50, max: 69 },
+  { label: '70-89', min: 70, max: 89 },
+  { label: '90-109', min: 90, max: 109 },
+  { label: '>109', min: 110, max: Infinity }
+];
+
+const FOSBERG_REFERENCE_TABLE = [
+  [1, 2, 2, 3, 4, 5, 5, 6, 7, 8, 8, 8, 9, 9, 10, 11, 12, 12, 13, 13, 14],
+  [1, 2, 2, 3, 4, 5, 5, 6, 7, 7, 7, 8, 9, 9, 10, 10, 11, 12, 13, 13, 13],
+  [1, 2, 2, 3, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 11, 12, 12, 12, 13],
+  [1, 1, 2, 2, 3, 4, 5, 5, 6, 7, 7, 8, 8, 8, 9, 10, 10, 11, 12, 12, 13],
+  [1, 1, 2, 2, 3, 4, 4, 5, 6, 7, 7, 8, 8, 8, 9, 10, 10, 11, 12, 12, 13],
+  [1, 1, 2, 2, 3, 4, 4, 5, 6, 7, 7, 8, 8, 8, 9, 10, 10, 11, 12, 12, 12]
+];
+
+const FOSBERG_TIME_PERIODS = ['0800-0959', '1000-1159', '1200-1359', '1400-1559', '1600-1759', '1800-1959'];
+
+// Elevation of the fuel relative to the weather observation:
+// B = 1000-2000 ft below, L = within 1000 ft, A = 1000-2000 ft above
+const FOSBERG_ELEVATION_POSITIONS = ['B', 'L', 'A'];
+
+// Correction tables B (May-Jul), C (Feb-Apr, Aug-Oct) and D (Nov-Jan). Each row
+// holds B/L/A corrections for the six time periods. Exposed rows are keyed by
+// aspect and slope class; shaded fuels use one row per aspect.
+const FOSBERG_CORRECTION_TABLES = {
+  B: {
+    months: 'May, June, July',
+    exposed: {
+      'N 0-30%': [2, 3, 4, 1, 1, 1, 0, 0, 1, 0, 0, 1, 1, 1, 1, 2, 3, 4],
+      'N >30%': [3, 4, 4, 1, 2, 2, 1, 1, 2, 1, 1, 2, 1, 2, 2, 3, 4, 4],
+      'E 0-30%': [2, 2, 3, 1, 1, 1, 0, 0, 1, 0, 0, 1, 1, 1, 2, 3, 4, 4],
+      'E >30%': [1, 2, 2, 0, 0, 1, 0, 0, 1, 1, 1, 2, 2, 3, 4, 4, 5, 6],
+      'S 0-30%': [2, 3, 3, 1, 1, 1, 0, 0, 1, 0, 0, 1, 1, 1, 1, 2, 3, 3],
+      'S >30%': [2, 3, 3, 1, 1, 2, 0, 1, 1, 0, 1, 1, 1, 1, 2, 2, 3, 3],
+      'W 0-30%': [2, 3, 4, 1, 1, 2, 0, 0, 1, 0, 0, 1, 0, 1, 1, 2, 3, 3],
+      'W >30%': [4, 5, 6, 2, 3, 4, 1, 1, 2, 0, 0, 1, 0, 0, 1, 1, 2, 2]
+    },
+    shaded: {
+      N: [4, 5, 5, 3, 4, 5, 3, 3, 4, 3, 3, 4, 3, 4, 5, 4, 5, 5],
+      E: [4, 4, 5, 3, 4, 5, 3, 3, 4, 3, 4, 4, 3, 4, 5, 4, 5, 6],
+      S: [4, 4, 5, 3, 4, 5, 3, 3, 4, 3, 3, 4, 3, 4, 5, 4, 5, 5],
+      W: [4, 5, 6, 3, 4, 5, 3, 3, 4, 3, 3, 4, 3, 4, 5, 4, 4, 5]
+    }
+  },
+  C: {
+    months: 'February, March, April, August, September, October',
+    exposed: {
+      'N 0-30%': [3, 4, 5, 1, 2, 3, 1, 1, 2, 1, 1, 2, 1, 2, 3, 3, 4, 5],
+      'N >30%': [3, 4, 5, 3, 3, 4, 2, 3, 4, 2, 3, 4, 3, 3, 4, 3, 4, 5],
+      'E 0-30%': [3, 4, 5, 1, 2, 3, 1, 1, 1, 1, 1, 2, 1, 2, 4, 3, 4, 5],
+      'E >30%': [3, 3, 4, 1, 1, 1, 1, 1, 1, 1, 2, 3, 3, 4, 5, 4, 5, 6],
+      'S 0-30%': [3, 4, 5, 1, 2, 2, 1, 1, 1, 1, 1, 1, 1, 2, 3, 3, 4, 5],
+      'S >30%': [3, 4, 5, 1, 2, 2, 0, 1, 1, 0, 1, 1, 1, 2, 2, 3, 4, 5],
+      'W 0-30%': [3, 4, 5, 1, 2, 3, 1, 1, 1, 1, 1, 1, 1, 2, 3, 3, 4, 5],
+      'W >30%': [4, 5, 6, 3, 4, 4, 1, 2, 3, 1, 1, 1, 1, 1, 1, 3, 3, 4]
+    },
+    shaded: {
+      N: [4, 5, 6, 4, 5, 5, 3, 4, 5, 3, 4, 5, 4, 5, 5, 4, 5, 6],
+      E: [4, 5, 6, 3, 4, 5, 3, 4, 5, 3, 4, 5, 4, 5, 6, 4, 5, 6],
+      S: [4, 5, 6, 3, 4, 5, 3, 4, 5, 3, 4, 5, 3, 4, 5, 4, 5, 6],
+      W: [4, 5, 6, 4, 5, 6, 3, 4, 5, 3, 4, 5, 3, 4, 5, 4, 5, 6]
+    }
+  },
+  D: {
+    months: 'November, December, January',
+    exposed: {
+      'N 0-30%': [4, 5, 6, 3, 4, 5, 2, 3, 4, 2, 3, 4, 3, 4, 5, 4, 5, 6],
+      'N >30%': [4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6],
+      'E 0-30%': [4, 5, 6, 3, 4, 4, 2, 3, 3, 2, 3, 3, 3, 4, 5, 4, 5, 6],
+      'E >30%': [4, 5, 6, 2, 3, 4, 2, 2, 3, 3, 4, 4, 4, 5, 6, 4, 5, 6],
+      'S 0-30%': [4, 5, 6, 3, 4, 5, 2, 3, 3, 2, 2, 3, 3, 4, 4, 4, 5, 6],
+      'S >30%': [4, 5, 6, 2, 3, 3, 1, 1, 2, 1, 1, 2, 2, 3, 3, 4, 5, 6],
+      'W 0-30%': [4, 5, 6, 3, 4, 5, 2, 3, 3, 2, 2, 3, 3, 4, 4, 4, 5, 6],
+      'W >30%': [4, 5, 6, 4, 5, 6, 3, 4, 4, 2, 2, 3, 2, 3, 4, 4, 5, 6]
+    },
+    shaded: {
+      N: [4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6],
+      E: [4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6],
+      S: [4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6],
+      W: [4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6]
+    }
+  }
+};
+
+/**
+ * Table A reference fuel moisture
+ * @param {number} tempF - Dry bulb temperature (°F)
+ * @param {number} rh - Relative humidity (%)
+ * @returns {object} { value, temperatureClass, rhClass }
+ */
+function lookupReferenceMoisture(tempF, rh) {
+  if (typeof tempF !== 'number' || typeof rh !== 'number' || isNaN(tempF) || isNaN(rh)) {
+    throw new Error('Invalid input: temperature and humidity must be numbers');
+  }
+  if (rh < 0 || rh > 100) {
+    throw new Error('Relative humidity must be between 0 and 100');
+  }
+
+  const roundedTemp = Math.round(tempF);
+  const row = FOSBERG_TEMPERATURE_CLASSES.findIndex(c => roundedTemp >= c.min && roundedTemp <= c.max);
+  const column = Math.min(20, Math.floor(Math.round(rh) / 5));
+  const rhClass = column === 20 ? '100' : `${column * 5}-${column * 5 + 4}`;
+
+  return {
+    value: FOSBERG_REFERENCE_TABLE[row][column],
+    temperatureClass: FOSBERG_TEMPERATURE_CLASSES[row].label,
+    rhClass
+  };
+}
+
+function correctionTableForMonth(month) {
+  if (!Number.isInteger(month) || month < 1 || month > 12) {
+    throw new Error('Month must be an integer from 1 to 12');
+  }
+  if (month >= 5 && month <= 7) {
+    return 'B';
+  }
+  if (month === 11 || month === 12 || month === 1) {
+    return 'D';
+  }
+  return 'C';
+}
+
+function timePeriodIndex(hour) {
+  if (typeof hour !== 'number' || isNaN(hour) || hour < 8 || hour >= 20) {
+    throw new Error('Fosberg daytime tables cover 0800-1959');
+  }
+  return Math.floor((hour - 8) / 2);
+}
+
+/**
+ * Cardinal aspect class from an azimuth or letter
+ * @param {number|string} aspect - Azimuth the slope faces (deg) or 'N', 'E', 'S', 'W'
+ * @returns {string} 'N', 'E', 'S' or 'W'
+ */
+function aspectClass(aspect) {
+  if (typeof aspect === 'string' && ['N', 'E', 'S', 'W'].includes(aspect.toUpperCase())) {
+    return aspect.toUpperCase();
+  }
+  if (typeof aspect !== 'number' || isNaN(aspect)) {
+    throw new Error('Aspect must be N, E, S, W or an azimuth in degrees');
+  }
+  const azimuth = ((aspect % 360) + 360) % 360;
+  return ['N', 'E', 'S', 'W'][Math.floor(((azimuth + 45) % 360) / 90)];
+}
+
+function elevationPosition(elevationDifference) {
+  if (elevationDifference <= -1000) {
+    return 'B';
+  }
+  if (elevationDifference >= 1000) {
+    return 'A';
+  }
+  return 'L';
+}
+
+/**
+ * Fosberg 1-hour fuel moisture with each worksheet line reported
+ * @param {object} params - { tempF, rh, month: 1-12, hour: 8-19.99, shading: %, aspect: deg or N/E/S/W,
+ *   slope: %, elevationDifference: ft (fuel site minus weather site) }
+ * @returns {object} { referenceMoisture, correction, fineDeadFuelMoisture, worksheet, warnings }
+ */
+function calculateFosbergMoisture(params) {
+  const {
+    tempF,
+    rh,
+    month,
+    hour,
+    shading = 0,
+    aspect = 'S',
+    slope = 0,
+    elevationDifference = 0
+  } = params;
+
+  const reference = lookupReferenceMoisture(tempF, rh);
+  const tableName = correctionTableForMonth(month);
+  const period = timePeriodIndex(hour);
+  const aspectLetter = aspectClass(aspect);
+  const slopeClass = slope > 30 ? '>30%' : '0-30%';
+  const shaded = shading >= 50;
+  const position = elevationPosition(elevationDifference);
+  const warnings = [];
+
+  if (Math.abs(elevationDifference) > 2000) {
+    warnings.push('Elevation difference exceeds 2000 ft; adjust temperature and RH to the fuel site instead');
+  }
+
+  const table = FOSBERG_CORRECTION_TABLES[tableName];
+  const row = shaded ? table.shaded[aspectLetter] : table.exposed[`${aspectLetter} ${slopeClass}`];
+  const correction = row[period * 3 + FOSBERG_ELEVATION_POSITIONS.indexOf(position)];
+
+  return {
+    referenceMoisture: reference.value,
+    correction,
+    fineDeadFuelMoisture: reference.value + correction,
+    worksheet: {
+      reference: {
+        table: 'A',
+        temperatureClass: reference.temperatureClass,
+        rhClass: reference.rhClass,
+        value: reference.value
+      },
+      month: { month, table: tableName, months: table.months },
+      timeOfDay: { hour, period: FOSBERG_TIME_PERIODS[period] },
+      shading: { shading, class: shaded ? 'shaded' : 'exposed' },
+      aspect: { aspect, class: aspectLetter },
+      slope: { slope, class: shaded ? 'any (shaded)' : slopeClass },
+      elevation: { elevationDifference, position },
+      correction
+    },
+    warnings
+  };
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    FOSBERG_REFERENCE_TABLE,
+    FOSBERG_CORRECTION_TABLES,
+    FOSBERG_TIME_PERIODS,
+    lookupReferenceMoisture,
+    calculateFosbergMoisture
+  };
+}
+
+// Make available in browser
+if (typeof window !== 'undefined') {
+  window.FosbergMoisture = {
+    FOSBERG_REFERENCE_TABLE,
+    FOSBERG_CORRECTION_TABLES,
+    FOSBERG_TIME_PERIODS,
+    lookupReferenceMoisture,
+    calculateFosbergMoisture
+  };
+}
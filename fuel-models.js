@@ -1,123 +1,647 @@
 // Standard 13 Fuel Models (Anderson, 1982)
 // Used with Rothermel fire spread model
+// fuelLoad is tons/acre per size class, sav is surface-area-to-volume (ft^-1)
+// per size class, fuelDepth is feet, moistureExtinction is dead fuel percent
 
 const FUEL_MODELS = {
   1: {
     name: "Short Grass (1 foot)",
     description: "Fine, dry climate grass. Fire spread is governed by fine herbaceous fuels that have cured or are nearly cured. Fires are surface fires that move rapidly through the cured grass and associated material.",
+    family: "Anderson (1982)",
     fuelLoad: { dead1h: 0.74, dead10h: 0, dead100h: 0, liveHerb: 0, liveStem: 0 },
+    sav: { dead1h: 3500, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1500 },
     savRatio: 3500,
     fuelDepth: 1.0,
     moistureExtinction: 12,
+    heatContent: 8000,
     typical: "Annual grasslands, wheat stubble, cheatgrass"
   },
   2: {
     name: "Timber (grass and understory)",
     description: "Open timber with grass understory. Fire spread is primarily through the fine herbaceous fuels, either curing or dead. These are surface fires where the herbaceous material, in addition to litter and dead-down stemwood from the open timber overstory, contribute to the fire intensity.",
+    family: "Anderson (1982)",
     fuelLoad: { dead1h: 2.0, dead10h: 1.0, dead100h: 0.5, liveHerb: 0.5, liveStem: 0 },
+    sav: { dead1h: 3000, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1500 },
     savRatio: 3000,
     fuelDepth: 1.0,
     moistureExtinction: 15,
+    heatContent: 8000,
     typical: "Open pine with grass, oak-hickory with grass"
   },
   3: {
     name: "Tall Grass (2.5 feet)",
     description: "Tallgrass prairie. Fire spread is governed by fine herbaceous fuels. Stands are tall, averaging about 3 feet, but considerable variation occurs. Fires are the most intense of the grass group and display high rates of spread under the influence of wind.",
+    family: "Anderson (1982)",
     fuelLoad: { dead1h: 3.01, dead10h: 0, dead100h: 0, liveHerb: 0, liveStem: 0 },
+    sav: { dead1h: 1500, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1500 },
     savRatio: 1500,
     fuelDepth: 2.5,
     moistureExtinction: 25,
+    heatContent: 8000,
     typical: "Tall prairie grass, sawgrass"
   },
   4: {
     name: "Chaparral (6 feet)",
     description: "Mature, dense chaparral. Fire spread is governed by fine fuels in the foliage and dead woody material. Stands of mature shrubs, 6 or more feet tall, form a continuous canopy. Fires are intense and spread rapidly both before and after leaf fall.",
+    family: "Anderson (1982)",
     fuelLoad: { dead1h: 5.01, dead10h: 4.01, dead100h: 2.0, liveHerb: 0, liveStem: 5.01 },
+    sav: { dead1h: 2000, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1500 },
     savRatio: 2000,
     fuelDepth: 6.0,
     moistureExtinction: 20,
+    heatContent: 8000,
     typical: "California chaparral, scrub oak, mountain mahogany"
   },
   5: {
     name: "Brush (2 feet)",
     description: "Young, green shrub stage. Fire spread is governed by flammable foliage of young green shrubs. Stands are young, about 2 feet high, with no dead wood. Fires are generally not very intense because of the low fuel loading and high moisture content.",
+    family: "Anderson (1982)",
     fuelLoad: { dead1h: 1.0, dead10h: 0.5, dead100h: 0, liveHerb: 0, liveStem: 2.0 },
+    sav: { dead1h: 2000, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1500 },
     savRatio: 2000,
     fuelDepth: 2.0,
     moistureExtinction: 20,
+    heatContent: 8000,
     typical: "Young chaparral, laurel, vine maple"
   },
   6: {
     name: "Dormant Brush",
     description: "Intermediate shrub stage, winter (hardwoods). Fire spread is governed by fine dead fuels in the foliage and litter. Stands of mature shrubs, about 2 to 6 feet high, are typical. Fires burn through the shrub layer with moderate intensity, making them difficult to control.",
+    family: "Anderson (1982)",
     fuelLoad: { dead1h: 1.5, dead10h: 2.5, dead100h: 2.0, liveHerb: 0, liveStem: 0 },
+    sav: { dead1h: 1750, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1500 },
     savRatio: 1750,
     fuelDepth: 2.5,
     moistureExtinction: 25,
+    heatContent: 8000,
     typical: "Chamise (winter), oakbrush (winter)"
   },
   7: {
     name: "Southern Rough",
     description: "Palmetto-gallberry understory. Fire spread is governed by fine fuels in the palmetto and live and dead material in the shrubs. Fires burn through the shrub layer with high intensity and spread is very rapid. Stands are thick and about 2 to 6 feet high.",
+    family: "Anderson (1982)",
     fuelLoad: { dead1h: 1.13, dead10h: 1.87, dead100h: 1.5, liveHerb: 0, liveStem: 0.37 },
+    sav: { dead1h: 1750, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1550 },
     savRatio: 1550,
     fuelDepth: 2.5,
     moistureExtinction: 40,
+    heatContent: 8000,
     typical: "Palmetto-gallberry, sawpalmetto"
   },
   8: {
     name: "Closed Timber Litter",
     description: "Closed canopy timber with short-needle conifers. Fire spread is governed by litter and dead-down woody material. Litter layer is compact and mainly short conifer needles with little undergrowth. Fires burn through the surface fuels with low intensity and slow spread.",
+    family: "Anderson (1982)",
     fuelLoad: { dead1h: 1.5, dead10h: 1.0, dead100h: 2.5, liveHerb: 0, liveStem: 0 },
+    sav: { dead1h: 2000, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1500 },
     savRatio: 2000,
     fuelDepth: 0.2,
     moistureExtinction: 30,
+    heatContent: 8000,
     typical: "Short-needle pine litter, Douglas-fir litter"
   },
   9: {
     name: "Hardwood Litter",
     description: "Long-needle pine or hardwood litter. Fire spread is governed by litter layer. Litter is mainly long-needle pine (or hardwood in the fall) and concentrates a greater fuel load than Model 8. Spread rate is greater than Model 8 but is still a slow-spreading surface fire.",
+    family: "Anderson (1982)",
     fuelLoad: { dead1h: 2.92, dead10h: 0.41, dead100h: 0.15, liveHerb: 0, liveStem: 0 },
+    sav: { dead1h: 2500, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1500 },
     savRatio: 2500,
     fuelDepth: 0.2,
     moistureExtinction: 25,
+    heatContent: 8000,
     typical: "Long-needle pine litter, hardwood litter"
   },
   10: {
     name: "Timber (litter and understory)",
     description: "Closed canopy timber with dead-down fuels. Fire spread is governed by surface litter, herbaceous material, and dead-down woody material. This is a heavier fuel loading than Model 8 or 9. Spread rate and fire intensity are greater.",
+    family: "Anderson (1982)",
     fuelLoad: { dead1h: 3.01, dead10h: 2.0, dead100h: 5.01, liveHerb: 0, liveStem: 2.0 },
+    sav: { dead1h: 2000, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1500 },
     savRatio: 2000,
     fuelDepth: 1.0,
     moistureExtinction: 25,
+    heatContent: 8000,
     typical: "Ponderosa pine with understory, lodgepole pine"
   },
   11: {
     name: "Light Logging Slash",
     description: "Light slash. Fire spread is governed by fine fuels in the slash. Slash is freshly cut and not compacted. Large amounts of needles still attached to the branches. Fires spread rapidly through the slash and generate high intensities.",
+    family: "Anderson (1982)",
     fuelLoad: { dead1h: 1.5, dead10h: 4.51, dead100h: 5.51, liveHerb: 0, liveStem: 0 },
+    sav: { dead1h: 1500, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1500 },
     savRatio: 1500,
     fuelDepth: 1.0,
     moistureExtinction: 15,
+    heatContent: 8000,
     typical: "Light partial cuts, thinning slash"
   },
   12: {
     name: "Medium Logging Slash",
     description: "Medium slash. Fire spread is governed by fine fuels and dead woody material in the slash. Slash is freshly cut and not compacted, loading is moderate. Fires are more intense than Model 11 and spread rapidly.",
+    family: "Anderson (1982)",
     fuelLoad: { dead1h: 4.01, dead10h: 14.03, dead100h: 16.53, liveHerb: 0, liveStem: 0 },
+    sav: { dead1h: 1500, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1500 },
     savRatio: 1500,
     fuelDepth: 2.3,
     moistureExtinction: 20,
+    heatContent: 8000,
     typical: "Moderate clearcuts, partial cuts"
   },
   13: {
     name: "Heavy Logging Slash",
     description: "Heavy slash. Fire spread is governed by large amounts of slash. Slash is freshly cut, contains many dead-down branches, and is not compacted. Fires spread rapidly and are very intense, making them extremely difficult to control.",
+    family: "Anderson (1982)",
     fuelLoad: { dead1h: 7.01, dead10h: 23.04, dead100h: 28.05, liveHerb: 0, liveStem: 0 },
+    sav: { dead1h: 1500, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1500 },
     savRatio: 1500,
     fuelDepth: 3.0,
     moistureExtinction: 25,
+    heatContent: 8000,
     typical: "Heavy clearcuts, whole-tree harvest slash"
+  },
+
+  // Standard 40 Fuel Models (Scott & Burgan, 2005)
+  // Dynamic models transfer live herbaceous load to dead as the herbaceous fuel cures
+  GR1: {
+    name: "Short, Sparse Dry Climate Grass",
+    description: "Grass is short, patchy, and possibly heavily grazed. Spread rate moderate; flame length low.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 0.1, dead10h: 0, dead100h: 0, liveHerb: 0.3, liveStem: 0 },
+    sav: { dead1h: 2200, dead10h: 109, dead100h: 30, liveHerb: 2000, liveStem: 1500 },
+    savRatio: 2200,
+    fuelDepth: 0.4,
+    moistureExtinction: 15,
+    heatContent: 8000,
+    dynamic: true
+  },
+  GR2: {
+    name: "Low Load, Dry Climate Grass",
+    description: "Primarily grass with some small amounts of fine, dead fuel. Spread rate high; flame length moderate.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 0.1, dead10h: 0, dead100h: 0, liveHerb: 1.0, liveStem: 0 },
+    sav: { dead1h: 2000, dead10h: 109, dead100h: 30, liveHerb: 1800, liveStem: 1500 },
+    savRatio: 2000,
+    fuelDepth: 1.0,
+    moistureExtinction: 15,
+    heatContent: 8000,
+    dynamic: true
+  },
+  GR3: {
+    name: "Low Load, Very Coarse, Humid Climate Grass",
+    description: "Grass and herbaceous fuel load is relatively light; fuelbed depth is about 2 feet. Spread rate high; flame length moderate.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 0.1, dead10h: 0.4, dead100h: 0, liveHerb: 1.5, liveStem: 0 },
+    sav: { dead1h: 1500, dead10h: 109, dead100h: 30, liveHerb: 1300, liveStem: 1500 },
+    savRatio: 1500,
+    fuelDepth: 2.0,
+    moistureExtinction: 30,
+    heatContent: 8000,
+    dynamic: true
+  },
+  GR4: {
+    name: "Moderate Load, Dry Climate Grass",
+    description: "Moderately coarse continuous grass, average depth about 2 feet. Spread rate high; flame length moderate.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 0.25, dead10h: 0, dead100h: 0, liveHerb: 1.9, liveStem: 0 },
+    sav: { dead1h: 2000, dead10h: 109, dead100h: 30, liveHerb: 1800, liveStem: 1500 },
+    savRatio: 2000,
+    fuelDepth: 2.0,
+    moistureExtinction: 15,
+    heatContent: 8000,
+    dynamic: true
+  },
+  GR5: {
+    name: "Low Load, Humid Climate Grass",
+    description: "Fuelbed depth is about 1 to 2 feet. Spread rate high; flame length undefined.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 0.4, dead10h: 0, dead100h: 0, liveHerb: 2.5, liveStem: 0 },
+    sav: { dead1h: 1800, dead10h: 109, dead100h: 30, liveHerb: 1600, liveStem: 1500 },
+    savRatio: 1800,
+    fuelDepth: 1.5,
+    moistureExtinction: 40,
+    heatContent: 8000,
+    dynamic: true
+  },
+  GR6: {
+    name: "Moderate Load, Humid Climate Grass",
+    description: "Continuous grass, not especially coarse. Spread rate high; flame length high.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 0.1, dead10h: 0, dead100h: 0, liveHerb: 3.4, liveStem: 0 },
+    sav: { dead1h: 2200, dead10h: 109, dead100h: 30, liveHerb: 2000, liveStem: 1500 },
+    savRatio: 2200,
+    fuelDepth: 1.5,
+    moistureExtinction: 40,
+    heatContent: 8000,
+    dynamic: true
+  },
+  GR7: {
+    name: "High Load, Dry Climate Grass",
+    description: "Continuous grass, average depth about 3 feet. Spread rate very high; flame length very high.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 1.0, dead10h: 0, dead100h: 0, liveHerb: 5.4, liveStem: 0 },
+    sav: { dead1h: 2000, dead10h: 109, dead100h: 30, liveHerb: 1800, liveStem: 1500 },
+    savRatio: 2000,
+    fuelDepth: 3.0,
+    moistureExtinction: 15,
+    heatContent: 8000,
+    dynamic: true
+  },
+  GR8: {
+    name: "High Load, Very Coarse, Humid Climate Grass",
+    description: "Continuous, coarse grass, average depth about 4 feet. Spread rate very high; flame length very high.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 0.5, dead10h: 1.0, dead100h: 0, liveHerb: 7.3, liveStem: 0 },
+    sav: { dead1h: 1500, dead10h: 109, dead100h: 30, liveHerb: 1300, liveStem: 1500 },
+    savRatio: 1500,
+    fuelDepth: 4.0,
+    moistureExtinction: 30,
+    heatContent: 8000,
+    dynamic: true
+  },
+  GR9: {
+    name: "Very High Load, Humid Climate Grass",
+    description: "Dense, tall grass, average depth about 5 feet. Spread rate extreme; flame length extreme.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 1.0, dead10h: 1.0, dead100h: 0, liveHerb: 9.0, liveStem: 0 },
+    sav: { dead1h: 1800, dead10h: 109, dead100h: 30, liveHerb: 1600, liveStem: 1500 },
+    savRatio: 1800,
+    fuelDepth: 5.0,
+    moistureExtinction: 40,
+    heatContent: 8000,
+    dynamic: true
+  },
+  GS1: {
+    name: "Low Load, Dry Climate Grass-Shrub",
+    description: "Shrubs are about 1 foot high, low grass load. Spread rate moderate; flame length low.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 0.2, dead10h: 0, dead100h: 0, liveHerb: 0.5, liveStem: 0.65 },
+    sav: { dead1h: 2000, dead10h: 109, dead100h: 30, liveHerb: 1800, liveStem: 1800 },
+    savRatio: 2000,
+    fuelDepth: 0.9,
+    moistureExtinction: 15,
+    heatContent: 8000,
+    dynamic: true
+  },
+  GS2: {
+    name: "Moderate Load, Dry Climate Grass-Shrub",
+    description: "Shrubs are 1 to 3 feet high, moderate grass load. Spread rate high; flame length moderate.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 0.5, dead10h: 0.5, dead100h: 0, liveHerb: 0.6, liveStem: 1.0 },
+    sav: { dead1h: 2000, dead10h: 109, dead100h: 30, liveHerb: 1800, liveStem: 1800 },
+    savRatio: 2000,
+    fuelDepth: 1.5,
+    moistureExtinction: 15,
+    heatContent: 8000,
+    dynamic: true
+  },
+  GS3: {
+    name: "Moderate Load, Humid Climate Grass-Shrub",
+    description: "Moderate grass/shrub load, average grass/shrub depth less than 2 feet. Spread rate high; flame length moderate.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 0.3, dead10h: 0.25, dead100h: 0, liveHerb: 1.45, liveStem: 1.25 },
+    sav: { dead1h: 1800, dead10h: 109, dead100h: 30, liveHerb: 1600, liveStem: 1600 },
+    savRatio: 1800,
+    fuelDepth: 1.8,
+    moistureExtinction: 40,
+    heatContent: 8000,
+    dynamic: true
+  },
+  GS4: {
+    name: "High Load, Humid Climate Grass-Shrub",
+    description: "Heavy grass/shrub load, depth greater than 2 feet. Spread rate high; flame length very high.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 1.9, dead10h: 0.3, dead100h: 0.1, liveHerb: 3.4, liveStem: 7.1 },
+    sav: { dead1h: 1800, dead10h: 109, dead100h: 30, liveHerb: 1600, liveStem: 1600 },
+    savRatio: 1800,
+    fuelDepth: 2.1,
+    moistureExtinction: 40,
+    heatContent: 8000,
+    dynamic: true
+  },
+  SH1: {
+    name: "Low Load Dry Climate Shrub",
+    description: "Woody shrubs and shrub litter, low fuel load, fuelbed depth about 1 foot. Spread rate very low; flame length very low.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 0.25, dead10h: 0.25, dead100h: 0, liveHerb: 0.15, liveStem: 1.3 },
+    sav: { dead1h: 2000, dead10h: 109, dead100h: 30, liveHerb: 1800, liveStem: 1600 },
+    savRatio: 2000,
+    fuelDepth: 1.0,
+    moistureExtinction: 15,
+    heatContent: 8000,
+    dynamic: true
+  },
+  SH2: {
+    name: "Moderate Load Dry Climate Shrub",
+    description: "Woody shrubs and shrub litter, moderate fuel load, depth about 1 foot. Spread rate low; flame length low.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 1.35, dead10h: 2.4, dead100h: 0.75, liveHerb: 0, liveStem: 3.85 },
+    sav: { dead1h: 2000, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1600 },
+    savRatio: 2000,
+    fuelDepth: 1.0,
+    moistureExtinction: 15,
+    heatContent: 8000,
+    dynamic: false
+  },
+  SH3: {
+    name: "Moderate Load, Humid Climate Shrub",
+    description: "Woody shrubs and shrub litter, moderate shrub load, depth 2 to 3 feet. Spread rate low; flame length low.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 0.45, dead10h: 3.0, dead100h: 0, liveHerb: 0, liveStem: 6.2 },
+    sav: { dead1h: 1600, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1400 },
+    savRatio: 1600,
+    fuelDepth: 2.4,
+    moistureExtinction: 40,
+    heatContent: 8000,
+    dynamic: false
+  },
+  SH4: {
+    name: "Low Load, Humid Climate Timber-Shrub",
+    description: "Woody shrubs and shrub litter, low to moderate load, possible pine overstory, depth about 3 feet. Spread rate high; flame length moderate.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 0.85, dead10h: 1.15, dead100h: 0.2, liveHerb: 0, liveStem: 2.55 },
+    sav: { dead1h: 2000, dead10h: 109, dead100h: 30, liveHerb: 1800, liveStem: 1600 },
+    savRatio: 2000,
+    fuelDepth: 3.0,
+    moistureExtinction: 30,
+    heatContent: 8000,
+    dynamic: false
+  },
+  SH5: {
+    name: "High Load, Dry Climate Shrub",
+    description: "Heavy shrub load, depth 4 to 6 feet. Spread rate very high; flame length very high.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 3.6, dead10h: 2.1, dead100h: 0, liveHerb: 0, liveStem: 2.9 },
+    sav: { dead1h: 750, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1600 },
+    savRatio: 750,
+    fuelDepth: 6.0,
+    moistureExtinction: 15,
+    heatContent: 8000,
+    dynamic: false
+  },
+  SH6: {
+    name: "Low Load, Humid Climate Shrub",
+    description: "Woody shrubs and shrub litter, dense shrubs, little or no herbaceous fuel, depth about 2 feet. Spread rate high; flame length high.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 2.9, dead10h: 1.45, dead100h: 0, liveHerb: 0, liveStem: 1.4 },
+    sav: { dead1h: 750, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1600 },
+    savRatio: 750,
+    fuelDepth: 2.0,
+    moistureExtinction: 30,
+    heatContent: 8000,
+    dynamic: false
+  },
+  SH7: {
+    name: "Very High Load, Dry Climate Shrub",
+    description: "Very heavy shrub load, depth 4 to 6 feet. Spread rate lower than SH5, but flame length similar. Spread rate high; flame length very high.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 3.5, dead10h: 5.3, dead100h: 2.2, liveHerb: 0, liveStem: 3.4 },
+    sav: { dead1h: 750, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1600 },
+    savRatio: 750,
+    fuelDepth: 6.0,
+    moistureExtinction: 15,
+    heatContent: 8000,
+    dynamic: false
+  },
+  SH8: {
+    name: "High Load, Humid Climate Shrub",
+    description: "Dense shrubs, little or no herbaceous fuel, depth about 3 feet. Spread rate high; flame length high.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 2.05, dead10h: 3.4, dead100h: 0.85, liveHerb: 0, liveStem: 4.35 },
+    sav: { dead1h: 750, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1600 },
+    savRatio: 750,
+    fuelDepth: 3.0,
+    moistureExtinction: 40,
+    heatContent: 8000,
+    dynamic: false
+  },
+  SH9: {
+    name: "Very High Load, Humid Climate Shrub",
+    description: "Dense, finely branched shrubs with significant fine dead fuel, about 4 to 6 feet tall. Spread rate high; flame length very high.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 4.5, dead10h: 2.45, dead100h: 0, liveHerb: 1.55, liveStem: 7.0 },
+    sav: { dead1h: 750, dead10h: 109, dead100h: 30, liveHerb: 1800, liveStem: 1500 },
+    savRatio: 750,
+    fuelDepth: 4.4,
+    moistureExtinction: 40,
+    heatContent: 8000,
+    dynamic: true
+  },
+  TU1: {
+    name: "Low Load Dry Climate Timber-Grass-Shrub",
+    description: "Low load of grass and/or shrub with litter. Spread rate low; flame length low.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 0.2, dead10h: 0.9, dead100h: 1.5, liveHerb: 0.2, liveStem: 0.9 },
+    sav: { dead1h: 2000, dead10h: 109, dead100h: 30, liveHerb: 1800, liveStem: 1600 },
+    savRatio: 2000,
+    fuelDepth: 0.6,
+    moistureExtinction: 20,
+    heatContent: 8000,
+    dynamic: true
+  },
+  TU2: {
+    name: "Moderate Load, Humid Climate Timber-Shrub",
+    description: "Moderate litter load with shrub component. Spread rate moderate; flame length low.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 0.95, dead10h: 1.8, dead100h: 1.25, liveHerb: 0, liveStem: 0.2 },
+    sav: { dead1h: 2000, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1600 },
+    savRatio: 2000,
+    fuelDepth: 1.0,
+    moistureExtinction: 30,
+    heatContent: 8000,
+    dynamic: false
+  },
+  TU3: {
+    name: "Moderate Load, Humid Climate Timber-Grass-Shrub",
+    description: "Moderate forest litter with grass and shrub components. Spread rate high; flame length moderate.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 1.1, dead10h: 0.15, dead100h: 0.25, liveHerb: 0.65, liveStem: 1.1 },
+    sav: { dead1h: 1800, dead10h: 109, dead100h: 30, liveHerb: 1600, liveStem: 1400 },
+    savRatio: 1800,
+    fuelDepth: 1.3,
+    moistureExtinction: 30,
+    heatContent: 8000,
+    dynamic: true
+  },
+  TU4: {
+    name: "Dwarf Conifer With Understory",
+    description: "Short conifer trees with grass or moss understory. Spread rate moderate; flame length moderate.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 4.5, dead10h: 0, dead100h: 0, liveHerb: 0, liveStem: 2.0 },
+    sav: { dead1h: 2300, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 2000 },
+    savRatio: 2300,
+    fuelDepth: 0.5,
+    moistureExtinction: 12,
+    heatContent: 8000,
+    dynamic: false
+  },
+  TU5: {
+    name: "Very High Load, Dry Climate Timber-Shrub",
+    description: "Heavy forest litter with a shrub or small tree understory. Spread rate moderate; flame length moderate.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 4.0, dead10h: 4.0, dead100h: 3.0, liveHerb: 0, liveStem: 3.0 },
+    sav: { dead1h: 1500, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 750 },
+    savRatio: 1500,
+    fuelDepth: 1.0,
+    moistureExtinction: 25,
+    heatContent: 8000,
+    dynamic: false
+  },
+  TL1: {
+    name: "Low Load Compact Conifer Litter",
+    description: "Compact forest litter. Light to moderate load, fuels 1 to 2 inches deep. Spread rate very low; flame length very low.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 1.0, dead10h: 2.2, dead100h: 3.6, liveHerb: 0, liveStem: 0 },
+    sav: { dead1h: 2000, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1500 },
+    savRatio: 2000,
+    fuelDepth: 0.2,
+    moistureExtinction: 30,
+    heatContent: 8000,
+    dynamic: false
+  },
+  TL2: {
+    name: "Low Load Broadleaf Litter",
+    description: "Broadleaf, hardwood litter. Spread rate very low; flame length very low.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 1.4, dead10h: 2.3, dead100h: 2.2, liveHerb: 0, liveStem: 0 },
+    sav: { dead1h: 2000, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1500 },
+    savRatio: 2000,
+    fuelDepth: 0.2,
+    moistureExtinction: 25,
+    heatContent: 8000,
+    dynamic: false
+  },
+  TL3: {
+    name: "Moderate Load Conifer Litter",
+    description: "Moderate load conifer litter. Spread rate very low; flame length low.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 0.5, dead10h: 2.2, dead100h: 2.8, liveHerb: 0, liveStem: 0 },
+    sav: { dead1h: 2000, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1500 },
+    savRatio: 2000,
+    fuelDepth: 0.3,
+    moistureExtinction: 20,
+    heatContent: 8000,
+    dynamic: false
+  },
+  TL4: {
+    name: "Small downed logs",
+    description: "Moderate load of fine litter and coarse fuels. Includes small diameter downed logs. Spread rate low; flame length low.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 0.5, dead10h: 1.5, dead100h: 4.2, liveHerb: 0, liveStem: 0 },
+    sav: { dead1h: 2000, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1500 },
+    savRatio: 2000,
+    fuelDepth: 0.4,
+    moistureExtinction: 25,
+    heatContent: 8000,
+    dynamic: false
+  },
+  TL5: {
+    name: "High Load Conifer Litter",
+    description: "High load conifer litter; light slash or mortality fuel. Spread rate low; flame length low.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 1.15, dead10h: 2.5, dead100h: 4.4, liveHerb: 0, liveStem: 0 },
+    sav: { dead1h: 2000, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1600 },
+    savRatio: 2000,
+    fuelDepth: 0.6,
+    moistureExtinction: 25,
+    heatContent: 8000,
+    dynamic: false
+  },
+  TL6: {
+    name: "Moderate Load Broadleaf Litter",
+    description: "Moderate load broadleaf litter, less compact than TL2. Spread rate moderate; flame length low.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 2.4, dead10h: 1.2, dead100h: 1.2, liveHerb: 0, liveStem: 0 },
+    sav: { dead1h: 2000, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1500 },
+    savRatio: 2000,
+    fuelDepth: 0.3,
+    moistureExtinction: 25,
+    heatContent: 8000,
+    dynamic: false
+  },
+  TL7: {
+    name: "Large Downed Logs",
+    description: "Heavy load forest litter, includes larger diameter downed logs. Spread rate low; flame length low.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 0.3, dead10h: 1.4, dead100h: 8.1, liveHerb: 0, liveStem: 0 },
+    sav: { dead1h: 2000, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1500 },
+    savRatio: 2000,
+    fuelDepth: 0.4,
+    moistureExtinction: 25,
+    heatContent: 8000,
+    dynamic: false
+  },
+  TL8: {
+    name: "Long-Needle Litter",
+    description: "Moderate load long-needle pine litter, may include small amount of herbaceous load. Spread rate moderate; flame length low.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 5.8, dead10h: 1.4, dead100h: 1.1, liveHerb: 0, liveStem: 0 },
+    sav: { dead1h: 1800, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1500 },
+    savRatio: 1800,
+    fuelDepth: 0.3,
+    moistureExtinction: 35,
+    heatContent: 8000,
+    dynamic: false
+  },
+  TL9: {
+    name: "Very High Load Broadleaf Litter",
+    description: "Very high load broadleaf litter; heavy needle-drape in otherwise sparse shrub layer. Spread rate moderate; flame length moderate.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 6.65, dead10h: 3.3, dead100h: 4.15, liveHerb: 0, liveStem: 0 },
+    sav: { dead1h: 1800, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1600 },
+    savRatio: 1800,
+    fuelDepth: 0.6,
+    moistureExtinction: 35,
+    heatContent: 8000,
+    dynamic: false
+  },
+  SB1: {
+    name: "Low Load Activity Fuel",
+    description: "Fine fuel load is 10 to 20 tons/acre, weighted toward fuels 1 to 3 inches diameter class. Spread rate moderate; flame length low.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 1.5, dead10h: 3.0, dead100h: 11.0, liveHerb: 0, liveStem: 0 },
+    sav: { dead1h: 2000, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1500 },
+    savRatio: 2000,
+    fuelDepth: 1.0,
+    moistureExtinction: 25,
+    heatContent: 8000,
+    dynamic: false
+  },
+  SB2: {
+    name: "Moderate Load Activity Fuel or Low Load Blowdown",
+    description: "Fine fuel load is 7 to 12 tons/acre, evenly distributed across 0 to 0.25, 0.25 to 1, and 1 to 3 inch diameter classes. Spread rate moderate; flame length moderate.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 4.5, dead10h: 4.25, dead100h: 4.0, liveHerb: 0, liveStem: 0 },
+    sav: { dead1h: 2000, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1500 },
+    savRatio: 2000,
+    fuelDepth: 1.0,
+    moistureExtinction: 25,
+    heatContent: 8000,
+    dynamic: false
+  },
+  SB3: {
+    name: "High Load Activity Fuel or Moderate Load Blowdown",
+    description: "Fine fuel load is 7 to 12 tons/acre, weighted toward 0 to 0.25 inch diameter class. Spread rate high; flame length high.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 5.5, dead10h: 2.75, dead100h: 3.0, liveHerb: 0, liveStem: 0 },
+    sav: { dead1h: 2000, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1500 },
+    savRatio: 2000,
+    fuelDepth: 1.2,
+    moistureExtinction: 25,
+    heatContent: 8000,
+    dynamic: false
+  },
+  SB4: {
+    name: "High Load Blowdown",
+    description: "Blowdown is total, fuelbed not compacted, foliage still attached. Spread rate very high; flame length very high.",
+    family: "Scott & Burgan (2005)",
+    fuelLoad: { dead1h: 5.25, dead10h: 3.5, dead100h: 5.25, liveHerb: 0, liveStem: 0 },
+    sav: { dead1h: 2000, dead10h: 109, dead100h: 30, liveHerb: 1500, liveStem: 1500 },
+    savRatio: 2000,
+    fuelDepth: 2.7,
+    moistureExtinction: 25,
+    heatContent: 8000,
+    dynamic: false
   }
 };
 
@@ -218,3 +742,8 @@ class FuelMoistureCalculator {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = { FUEL_MODELS, FuelMoistureCalculator };
 }
+
+// Make available in browser
+if (typeof window !== 'undefined') {
+  window.FuelModels = { FUEL_MODELS, FuelMoistureCalculator };
+}
@@ -71,17 +71,175 @@ function stepMoisture(currentMoisture, emc, hours, timeLag) {
   return Math.max(0, newMoisture);
 }
 
+// Moisture model registry, loaded on first use
+let MoistureModelsLib = null;
+
+function getMoistureModels() {
+  if (!MoistureModelsLib && typeof require !== 'undefined') {
+    try {
+      MoistureModelsLib = require('./moisture-models.js');
+    } catch (e) {
+      // Module not available, will use window object in browser
+    }
+  }
+  return MoistureModelsLib || (typeof window !== 'undefined' ? window.MoistureModels : null);
+}
+
+/**
+ * EMC from a named moisture model; computeEMC when no model is named.
+ * Exported as computeModelEMC; the local name differs from the registry's
+ * computeModelEMC because browser scripts share one global scope.
+ * @param {number} tempF - Temperature in Fahrenheit
+ * @param {number} rh - Relative humidity (0-100)
+ * @param {string} moistureModel - Moisture model id from the registry
+ * @returns {number} EMC in percent
+ */
+function computeEMCForModel(tempF, rh, moistureModel = null) {
+  if (!moistureModel) {
+    return computeEMC(tempF, rh);
+  }
+  const registry = getMoistureModels();
+  if (!registry) {
+    throw new Error('Moisture model registry is not loaded');
+  }
+  return registry.computeModelEMC(moistureModel, tempF, rh).emc;
+}
+
+// NFDRS moisture of 1-hour and 10-hour fuels while it is raining (%)
+const RAIN_SATURATION_MOISTURE = 35;
+
+// Rain in one step (in) that saturates 1-hour and 10-hour fuels; less wets
+// them in proportion, so trace amounts spread over forecast hours do not
+const RAIN_WETTING_AMOUNT = 0.05;
+
+/**
+ * Precipitation in a weather step, with duration defaulting to the whole step
+ * @param {object} step - Weather step { hours, precipitation: in, precipitationDuration: h }
+ * @returns {object} { precipitation, duration }
+ */
+function rainInStep(step) {
+  const { hours, precipitation = 0 } = step;
+  if (typeof precipitation !== 'number' || isNaN(precipitation) || precipitation < 0) {
+    throw new Error('Invalid weather step: precipitation must be a non-negative number');
+  }
+  if (precipitation === 0) {
+    return { precipitation: 0, duration: 0 };
+  }
+  const duration = step.precipitationDuration === undefined ? hours : step.precipitationDuration;
+  if (typeof duration !== 'number' || isNaN(duration) || duration <= 0 || duration > hours) {
+    throw new Error('Invalid weather step: precipitationDuration must be greater than 0 and at most hours');
+  }
+  return { precipitation, duration };
+}
+
+/**
+ * Wet fuel for the rain in a weather step following the NFDRS rain-duration
+ * approach: 1-hour and 10-hour fuels are saturated (in proportion to the rain
+ * below RAIN_WETTING_AMOUNT), then dry for the rest of the step; 100-hour and
+ * 1000-hour fuels move toward a boundary moisture that weights the rain hours
+ * by (0.5 d + 41) and (2.7 d + 76) respectively
+ * @param {number} moisture - Current fuel moisture (%)
+ * @param {number} emc - Equilibrium moisture for the dry part of the step (%)
+ * @param {object} step - Weather step
+ * @param {object} rain - { precipitation, duration } from rainInStep
+ * @param {number} timeLag - Time lag constant
+ * @returns {number} New moisture content in percent
+ */
+function wetMoisture(moisture, emc, step, rain, timeLag) {
+  const { hours } = step;
+  const dryHours = hours - rain.duration;
+
+  if (timeLag <= 10) {
+    const wetted = moisture + Math.max(0, RAIN_SATURATION_MOISTURE - moisture) *
+      Math.min(1, rain.precipitation / RAIN_WETTING_AMOUNT);
+    return stepMoisture(wetted, emc, dryHours, timeLag);
+  }
+
+  const wetBoundary = timeLag <= 100 ? 0.5 * rain.duration + 41 : 2.7 * rain.duration + 76;
+  const boundary = (dryHours * emc + rain.duration * wetBoundary) / hours;
+  return stepMoisture(moisture, boundary, hours, timeLag);
+}
+
+/**
+ * Time-lag moisture engine: exponential approach to EMC from the chosen moisture model,
+ * with NFDRS rain-duration wetting
+ */
+const TIMELAG_ENGINE = {
+  name: 'timelag',
+  createState(initialMoisture) {
+    return { moisture: initialMoisture };
+  },
+  step(state, weather, timeLag, options = {}) {
+    const emc = computeEMCForModel(weather.tempF, weather.rh, options.moistureModel);
+    const rain = rainInStep(weather);
+    const moisture = rain.precipitation > 0
+      ? wetMoisture(state.moisture, emc, weather, rain, timeLag)
+      : stepMoisture(state.moisture, emc, weather.hours, timeLag);
+    return {
+      state: { moisture },
+      moisture: Math.round(moisture * 10) / 10,
+      emc: Math.round(emc * 10) / 10
+    };
+  }
+};
+
+/**
+ * Resolve a moisture engine by name or pass a custom engine through
+ * @param {string|object} engine - 'timelag', 'nelson', or { createState, step }
+ * @returns {object} Engine
+ */
+function resolveMoistureEngine(engine) {
+  if (engine && typeof engine === 'object') {
+    if (typeof engine.createState !== 'function' || typeof engine.step !== 'function') {
+      throw new Error('Moisture engine must provide createState and step');
+    }
+    return engine;
+  }
+  if (engine === 'timelag') {
+    return TIMELAG_ENGINE;
+  }
+  if (engine === 'nelson') {
+    const nelson = getNelsonMoisture();
+    if (!nelson) {
+      throw new Error('Nelson moisture module is not loaded');
+    }
+    return nelson.NELSON_ENGINE;
+  }
+  throw new Error(`Unknown moisture engine: ${engine}`);
+}
+
+// Nelson model module, loaded on first use
+let NelsonMoistureLib = null;
+
+function getNelsonMoisture() {
+  if (!NelsonMoistureLib && typeof require !== 'undefined') {
+    try {
+      NelsonMoistureLib = require('./nelson-moisture.js');
+    } catch (e) {
+      // Module not available, will use window object in browser
+    }
+  }
+  return NelsonMoistureLib || (typeof window !== 'undefined' ? window.NelsonMoisture : null);
+}
+
 /**
  * Run moisture model over multiple time steps
  * @param {number} initialMoisture - Starting moisture content (%)
- * @param {Array} weatherSteps - Array of weather conditions {tempF, rh, hours}
+ * @param {Array} weatherSteps - Array of weather conditions {tempF, rh, hours, precipitation: in,
+ *   precipitationDuration: h}; the Nelson engine also uses solarRadiation (W/m^2)
  * @param {number} timeLag - Time lag constant (default: 1 for 1-hour fuels)
+ * @param {object} options - { engine: 'timelag' (default), 'nelson' or a custom engine,
+ *   moistureModel: registry id for the time-lag engine's EMC (default computeEMC) }
  * @returns {Array} Array of moisture values over time
  */
-function runModel(initialMoisture, weatherSteps, timeLag = 1) {
+function runModel(initialMoisture, weatherSteps, timeLag = 1, options = {}) {
   if (!Array.isArray(weatherSteps)) {
     throw new Error('weatherSteps must be an array');
   }
+  const engine = resolveMoistureEngine(options.engine || 'timelag');
+  if (options.moistureModel && engine.name === 'nelson') {
+    throw new Error('The Nelson engine uses its own sorption isotherm; moistureModel applies to the time-lag engine');
+  }
 
   const results = [{
     hours: 0,
@@ -89,7 +247,7 @@ function runModel(initialMoisture, weatherSteps, timeLag = 1) {
     emc: null
   }];
 
-  let currentMoisture = initialMoisture;
+  let state = null;
   let cumulativeHours = 0;
 
   for (const step of weatherSteps) {
@@ -99,17 +257,30 @@ function runModel(initialMoisture, weatherSteps, timeLag = 1) {
       throw new Error('Invalid weather step: must contain tempF, rh, and hours');
     }
 
-    const emc = computeEMC(tempF, rh);
-    currentMoisture = stepMoisture(currentMoisture, emc, hours, timeLag);
+    if (state === null) {
+      state = engine.createState(initialMoisture, timeLag, step);
+    }
+    const stepped = engine.step(state, step, timeLag, options);
+    state = stepped.state;
     cumulativeHours += hours;
 
-    results.push({
+    const rain = rainInStep(step);
+    const result = {
       hours: cumulativeHours,
-      moisture: Math.round(currentMoisture * 10) / 10,
-      emc: Math.round(emc * 10) / 10,
+      moisture: stepped.moisture,
+      emc: stepped.emc,
       tempF,
-      rh
-    });
+      rh,
+      rain: rain.precipitation > 0
+    };
+    if (result.rain) {
+      result.precipitation = rain.precipitation;
+      result.precipitationDuration = rain.duration;
+    }
+    if (typeof stepped.fuelTemperature === 'number') {
+      result.fuelTemperature = stepped.fuelTemperature;
+    }
+    results.push(result);
   }
 
   return results;
@@ -122,10 +293,11 @@ function runModel(initialMoisture, weatherSteps, timeLag = 1) {
  * @param {number} rh - Relative humidity (%)
  * @param {number} duration - Duration in hours
  * @param {number} timeLag - Time lag constant (1, 10, or 100)
+ * @param {object} options - { moistureModel: registry id (default computeEMC) }
  * @returns {Object} Drying pattern data
  */
-function calculateDryingPattern(initialMoisture, tempF, rh, duration, timeLag = 1) {
-  const emc = computeEMC(tempF, rh);
+function calculateDryingPattern(initialMoisture, tempF, rh, duration, timeLag = 1, options = {}) {
+  const emc = computeEMCForModel(tempF, rh, options.moistureModel);
   const steps = [];
   const intervalHours = Math.max(1, duration / 24); // Up to 24 data points
   
@@ -142,6 +314,7 @@ function calculateDryingPattern(initialMoisture, tempF, rh, duration, timeLag =
 
   return {
     emc: Math.round(emc * 10) / 10,
+    moistureModel: options.moistureModel || 'dashboard',
     timeLag,
     steps,
     finalMoisture: steps[steps.length - 1].moisture,
@@ -156,6 +329,9 @@ if (typeof module !== 'undefined' && module.exports) {
     stepMoisture,
     runModel,
     calculateDryingPattern,
+    computeModelEMC: computeEMCForModel,
+    TIMELAG_ENGINE,
+    resolveMoistureEngine,
     // Re-export base library functions if available
     calculateMoisture: FuelMoistureLib ? FuelMoistureLib.calculateMoisture : null
   };
@@ -167,6 +343,9 @@ if (typeof window !== 'undefined') {
     computeEMC,
     stepMoisture,
     runModel,
-    calculateDryingPattern
+    calculateDryingPattern,
+    computeModelEMC: computeEMCForModel,
+    TIMELAG_ENGINE,
+    resolveMoistureEngine
   };
 }
@@ -0,0 +1,109 @@
+/**
+ * Probability of Ignition Calculator
+ * NWCG probability of ignition (Pig) from 1-hour fuel moisture, dry bulb
+ * temperature and shading, using the Schroeder (1969) heat of ignition
+ * equations behind the NWCG tables
+ */
+
+// Import fuel moisture integration if in Node.js environment
+let FuelMoistureForIgnition = null;
+if (typeof require !== 'undefined') {
+  try {
+    FuelMoistureForIgnition = require('./fuel-moisture-integration.js');
+  } catch (e) {
+    // Module not available, will use window object in browser
+  }
+}
+
+// Heat of ignition (cal/g) at and above which a firebrand cannot ignite fine fuel
+const MAX_HEAT_OF_IGNITION = 400;
+
+/**
+ * Fine fuel temperature from air temperature and shading: full sun raises
+ * fuel 25°F above air temperature, full shade 5°F
+ * @param {number} tempF - Dry bulb temperature (°F)
+ * @param {number} shading - Canopy and cloud shading of the fuel (0-100%)
+ * @returns {number} Fuel temperature (°F)
+ */
+function calculateFuelTemperature(tempF, shading = 0) {
+  if (typeof tempF !== 'number' || typeof shading !== 'number' || isNaN(tempF) || isNaN(shading)) {
+    throw new Error('Invalid input: temperature and shading must be numbers');
+  }
+  if (shading < 0 || shading > 100) {
+    throw new Error('Shading must be between 0 and 100');
+  }
+  return tempF + 25 - 20 * shading / 100;
+}
+
+/**
+ * Heat required to ignite fine fuel (Schroeder 1969)
+ * @param {number} fuelTempC - Fuel temperature (°C)
+ * @param {number} moisture - 1-hour fuel moisture (%)
+ * @returns {number} Heat of ignition (cal/g)
+ */
+function calculateHeatOfIgnition(fuelTempC, moisture) {
+  const m = moisture / 100;
+  return 144.51 - 0.266 * fuelTempC - 0.00058 * fuelTempC * fuelTempC - fuelTempC * m +
+    18.54 * (1 - Math.exp(-15.1 * m)) + 640 * m;
+}
+
+/**
+ * Probability of ignition from a firebrand
+ * @param {object} params - { fuelMoisture: 1-h %, temp: °F, shading: %, rh }
+ *   fuelMoisture may be omitted when rh is given; it is then taken from computeEMC
+ * @returns {object} { probabilityOfIgnition: %, fuelTemperature: { fahrenheit, celsius },
+ *   heatOfIgnition: cal/g, fuelMoisture, shading }
+ */
+function calculateProbabilityOfIgnition(params) {
+  const { temp, shading = 0, rh } = params;
+  let fuelMoisture = params.fuelMoisture;
+
+  if (typeof fuelMoisture !== 'number' && typeof rh === 'number') {
+    const fuelMoistureLib = FuelMoistureForIgnition ||
+      (typeof window !== 'undefined' ? window.FuelMoistureIntegration : null);
+    if (!fuelMoistureLib) {
+      throw new Error('Fuel moisture module is not loaded');
+    }
+    fuelMoisture = fuelMoistureLib.computeEMC(temp, rh);
+  }
+  if (typeof fuelMoisture !== 'number' || isNaN(fuelMoisture) || fuelMoisture < 0) {
+    throw new Error('Invalid input: 1-hour fuel moisture must be a non-negative number');
+  }
+
+  const fuelTempF = calculateFuelTemperature(temp, shading);
+  const fuelTempC = (fuelTempF - 32) * 5 / 9;
+  const heatOfIgnition = Math.min(MAX_HEAT_OF_IGNITION, calculateHeatOfIgnition(fuelTempC, fuelMoisture));
+
+  // Schroeder (1969) probability of a firebrand igniting the fuel
+  const x = (MAX_HEAT_OF_IGNITION - heatOfIgnition) / 10;
+  const probability = Math.max(0, Math.min(1, 0.000048 * Math.pow(x, 4.3) / 50));
+
+  return {
+    probabilityOfIgnition: Math.round(probability * 100),
+    fuelTemperature: {
+      fahrenheit: Math.round(fuelTempF * 10) / 10,
+      celsius: Math.round(fuelTempC * 10) / 10
+    },
+    heatOfIgnition: Math.round(heatOfIgnition * 10) / 10,
+    fuelMoisture: fuelMoisture,
+    shading: shading
+  };
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    calculateFuelTemperature,
+    calculateHeatOfIgnition,
+    calculateProbabilityOfIgnition
+  };
+}
+
+// Make available in browser
+if (typeof window !== 'undefined') {
+  window.Ignition = {
+    calculateFuelTemperature,
+    calculateHeatOfIgnition,
+    calculateProbabilityOfIgnition
+  };
+}
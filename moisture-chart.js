@@ -0,0 +1,227 @@
+/**
+ * Moisture Chart
+ * SVG line chart for fuel moisture series (calculateDryingPattern results or
+ * runModel output) on a shared time axis, with an EMC reference line and
+ * hover tooltips. Needs no charting library.
+ */
+
+// Line colors by time lag, then for other series in order
+const MOISTURE_SERIES_COLORS = { 1: '#d32f2f', 10: '#1976d2', 100: '#388E3C', 1000: '#7B1FA2' };
+const MOISTURE_FALLBACK_COLORS = ['#F57C00', '#00796B', '#5D4037', '#C2185B', '#455A64'];
+
+/**
+ * Normalize a drying pattern or runModel output into a chart series
+ * @param {object|Array} input - calculateDryingPattern result, runModel output,
+ *   or { label, timeLag, emc, points: [{ hours, moisture, emc }] }
+ * @param {object} options - { label, color, timeLag }
+ * @returns {object} { label, timeLag, color, emc (constant or null), points }
+ */
+function toMoistureSeries(input, options = {}) {
+  let points;
+  let emc = null;
+  let timeLag = options.timeLag || null;
+  if (Array.isArray(input)) {
+    points = input;
+  } else if (input && Array.isArray(input.steps)) {
+    points = input.steps;
+    emc = input.emc;
+    timeLag = timeLag || input.timeLag;
+  } else if (input && Array.isArray(input.points)) {
+    points = input.points;
+    emc = typeof input.emc === 'number' ? input.emc : null;
+    timeLag = timeLag || input.timeLag || null;
+  } else {
+    throw new Error('Invalid series: expected a drying pattern, runModel output or { points }');
+  }
+
+  const normalized = points.map((point, i) => {
+    if (!point || typeof point.hours !== 'number' || typeof point.moisture !== 'number') {
+      throw new Error(`Invalid series: point ${i + 1} must have numeric hours and moisture`);
+    }
+    return {
+      hours: point.hours,
+      moisture: point.moisture,
+      emc: typeof point.emc === 'number' ? point.emc : emc
+    };
+  });
+  if (normalized.length === 0) {
+    throw new Error('Invalid series: no points');
+  }
+
+  return {
+    label: options.label || input.label || (timeLag ? `${timeLag}-h fuels` : 'Fuel moisture'),
+    timeLag,
+    color: options.color || input.color || null,
+    emc,
+    points: normalized
+  };
+}
+
+function escapeMoistureChartText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Tick spacing giving about five ticks over a span
+function moistureTickStep(span) {
+  const raw = span / 5;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+  return [1, 2, 5, 10].map(multiple => multiple * magnitude).find(step => step >= raw);
+}
+
+/**
+ * Render moisture series as an SVG line chart
+ * @param {Array} seriesList - Series or inputs accepted by toMoistureSeries
+ * @param {object} options - { width (default 640), height (default 360), from, to: time range (h),
+ *   emc: reference value (default from the first series with EMC), title }
+ * @returns {string} SVG markup
+ */
+function renderMoistureChart(seriesList, options = {}) {
+  if (!Array.isArray(seriesList) || seriesList.length === 0) {
+    throw new Error('Invalid input: at least one series is required');
+  }
+  const series = seriesList.map(item => toMoistureSeries(item));
+  const { width = 640, height = 360, title = 'Fuel Moisture' } = options;
+
+  const allHours = series.reduce((hours, s) => hours.concat(s.points.map(point => point.hours)), []);
+  const from = typeof options.from === 'number' ? options.from : Math.min(...allHours);
+  const to = typeof options.to === 'number' ? options.to : Math.max(...allHours);
+  if (!(to > from)) {
+    throw new Error('Invalid time range: end must be after start');
+  }
+
+  const visible = series.map(s => Object.assign({}, s, {
+    points: s.points.filter(point => point.hours >= from && point.hours <= to)
+  }));
+
+  // EMC reference: a fixed value, or the EMC carried by the first series that has one
+  const emcSource = visible.find(s => s.points.some(point => point.emc !== null));
+  let emcPoints = [];
+  if (typeof options.emc === 'number') {
+    emcPoints = [[from, options.emc], [to, options.emc]];
+  } else if (emcSource && emcSource.emc !== null) {
+    emcPoints = [[from, emcSource.emc], [to, emcSource.emc]];
+  } else if (emcSource) {
+    // runModel EMC applies over each step, so draw it as steps clipped to the range
+    const allPoints = series[visible.indexOf(emcSource)].points;
+    allPoints.forEach((point, i) => {
+      const start = i > 0 ? allPoints[i - 1].hours : point.hours;
+      if (point.emc !== null && point.hours > from && start < to) {
+        emcPoints.push([Math.max(start, from), point.emc], [Math.min(point.hours, to), point.emc]);
+      }
+    });
+  }
+  const values = visible.reduce((all, s) => all.concat(s.points.map(point => point.moisture)),
+    emcPoints.map(([, emc]) => emc));
+  const maxY = Math.max(5, Math.ceil(Math.max(...values, 0) / 5) * 5);
+
+  const margin = { left: 52, right: 96, top: 32, bottom: 44 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+  const sx = hours => margin.left + (hours - from) / (to - from) * plotWidth;
+  const sy = moisture => margin.top + plotHeight - moisture / maxY * plotHeight;
+  const fmt = value => Math.round(value * 10) / 10;
+  const colorOf = (s, i) => s.color || MOISTURE_SERIES_COLORS[s.timeLag] ||
+    MOISTURE_FALLBACK_COLORS[i % MOISTURE_FALLBACK_COLORS.length];
+
+  const parts = [];
+  parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeMoistureChartText(title)}" style="max-width: 100%; height: auto; font-family: Arial, sans-serif; font-size: 11px; background: white;">`);
+  parts.push(`<title>${escapeMoistureChartText(title)}</title>`);
+  parts.push('<style>.moisture-chart-hover { fill: transparent; } .moisture-chart-hover:hover { fill: rgba(0, 0, 0, 0.06); }</style>');
+  parts.push(`<rect width="${width}" height="${height}" fill="white"/>`);
+  parts.push(`<text x="${margin.left + plotWidth / 2}" y="18" text-anchor="middle" style="font-size: 14px; font-weight: bold;">${escapeMoistureChartText(title)}</text>`);
+
+  // Grid and axes
+  const xStep = moistureTickStep(to - from);
+  for (let x = Math.ceil(from / xStep) * xStep; x <= to + 1e-9; x += xStep) {
+    parts.push(`<line x1="${fmt(sx(x))}" y1="${margin.top}" x2="${fmt(sx(x))}" y2="${margin.top + plotHeight}" stroke="#eeeeee"/>`);
+    parts.push(`<text x="${fmt(sx(x))}" y="${margin.top + plotHeight + 16}" text-anchor="middle">${fmt(x)}</text>`);
+  }
+  const yStep = moistureTickStep(maxY);
+  for (let y = 0; y <= maxY + 1e-9; y += yStep) {
+    parts.push(`<line x1="${margin.left}" y1="${fmt(sy(y))}" x2="${margin.left + plotWidth}" y2="${fmt(sy(y))}" stroke="#eeeeee"/>`);
+    parts.push(`<text x="${margin.left - 6}" y="${fmt(sy(y)) + 4}" text-anchor="end">${fmt(y)}</text>`);
+  }
+  parts.push(`<rect x="${margin.left}" y="${margin.top}" width="${plotWidth}" height="${plotHeight}" fill="none" stroke="#424242"/>`);
+  parts.push(`<text x="${margin.left + plotWidth / 2}" y="${height - 8}" text-anchor="middle">Elapsed Time (h)</text>`);
+  parts.push(`<text x="14" y="${margin.top + plotHeight / 2}" text-anchor="middle" transform="rotate(-90 14 ${margin.top + plotHeight / 2})">Fuel Moisture (%)</text>`);
+
+  const endLabels = [];
+  if (emcPoints.length > 0) {
+    const last = emcPoints[emcPoints.length - 1];
+    parts.push(`<polyline points="${emcPoints.map(([x, y]) => `${fmt(sx(x))},${fmt(sy(y))}`).join(' ')}" fill="none" stroke="#757575" stroke-width="1.5" stroke-dasharray="6 4"/>`);
+    endLabels.push({ y: sy(last[1]), text: `EMC ${fmt(last[1])}%`, color: '#616161', weight: 'normal' });
+  }
+
+  // Series lines and end labels
+  visible.forEach((s, i) => {
+    if (s.points.length === 0) {
+      return;
+    }
+    const color = colorOf(s, i);
+    const last = s.points[s.points.length - 1];
+    parts.push(`<polyline class="moisture-chart-series" points="${s.points.map(point => `${fmt(sx(point.hours))},${fmt(sy(point.moisture))}`).join(' ')}" fill="none" stroke="${color}" stroke-width="2.5"/>`);
+    s.points.forEach(point => {
+      parts.push(`<circle cx="${fmt(sx(point.hours))}" cy="${fmt(sy(point.moisture))}" r="2.5" fill="${color}"/>`);
+    });
+    endLabels.push({ y: sy(last.moisture), text: s.label, color, weight: 'bold' });
+  });
+
+  // Labels at the right edge, pushed apart where lines end close together
+  endLabels.sort((a, b) => a.y - b.y).forEach((label, i) => {
+    const y = i > 0 ? Math.max(label.y, endLabels[i - 1].y + 13) : label.y;
+    label.y = y;
+    parts.push(`<text x="${margin.left + plotWidth + 6}" y="${fmt(y) + 4}" fill="${label.color}" style="font-weight: ${label.weight};">${escapeMoistureChartText(label.text)}</text>`);
+  });
+
+  // Hover columns listing every series value at each time
+  const times = [...new Set(visible.reduce((all, s) => all.concat(s.points.map(point => point.hours)), []))].sort((a, b) => a - b);
+  times.forEach((hours, i) => {
+    const left = i > 0 ? (sx(times[i - 1]) + sx(hours)) / 2 : margin.left;
+    const right = i < times.length - 1 ? (sx(hours) + sx(times[i + 1])) / 2 : margin.left + plotWidth;
+    const lines = [`${fmt(hours)} h`];
+    let emc = typeof options.emc === 'number' ? options.emc : null;
+    visible.forEach(s => {
+      const point = s.points.find(p => p.hours === hours);
+      if (point) {
+        lines.push(`${s.label}: ${point.moisture}%`);
+        emc = emc === null ? point.emc : emc;
+      }
+    });
+    if (emc !== null) {
+      lines.push(`EMC: ${fmt(emc)}%`);
+    }
+    parts.push(`<rect class="moisture-chart-hover" x="${fmt(left)}" y="${margin.top}" width="${fmt(Math.max(1, right - left))}" height="${plotHeight}"><title>${escapeMoistureChartText(lines.join('\n'))}</title></rect>`);
+  });
+
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+/**
+ * Data URL for SVG markup, for download links or drawing onto a canvas
+ * @param {string} svg - SVG markup
+ * @returns {string} data:image/svg+xml URL
+ */
+function moistureChartDataUrl(svg) {
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MOISTURE_SERIES_COLORS,
+    toMoistureSeries,
+    renderMoistureChart,
+    moistureChartDataUrl
+  };
+}
+
+// Make available in browser
+if (typeof window !== 'undefined') {
+  window.MoistureChart = {
+    MOISTURE_SERIES_COLORS,
+    toMoistureSeries,
+    renderMoistureChart,
+    moistureChartDataUrl
+  };
+}
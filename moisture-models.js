@@ -0,0 +1,219 @@
+/**
+ * Moisture Model Registry
+ * Named equilibrium / 1-hour moisture strategies with metadata, so callers
+ * choose a method explicitly instead of getting whichever script loaded last
+ */
+
+/**
+ * Resolve a moisture module lazily, since several of them use this registry
+ * @param {string} path - Node.js module path
+ * @param {string} globalName - Browser window property
+ * @returns {object|null} Module exports, or null if not available
+ */
+function getMoistureModule(path, globalName) {
+  if (typeof window !== 'undefined' && window[globalName]) {
+    return window[globalName];
+  }
+  if (typeof require !== 'undefined') {
+    try {
+      return require(path);
+    } catch (e) {
+      // Module not available
+    }
+  }
+  return null;
+}
+
+function requireMoistureModule(path, globalName) {
+  const lib = getMoistureModule(path, globalName);
+  if (!lib) {
+    throw new Error(`${globalName} module is not loaded`);
+  }
+  return lib;
+}
+
+const DEFAULT_MOISTURE_MODEL = 'dashboard';
+
+const MOISTURE_MODELS = {};
+
+/**
+ * Register a moisture model strategy
+ * @param {string} id - Model identifier
+ * @param {object} model - { name, citation, validRange: { tempF: [min, max], rh: [min, max] },
+ *   notes, compute(tempF, rh, context) -> moisture % }
+ * @returns {object} Registered model
+ */
+function registerMoistureModel(id, model) {
+  if (typeof id !== 'string' || !id) {
+    throw new Error('Moisture model id must be a non-empty string');
+  }
+  if (!model || typeof model.compute !== 'function' || typeof model.name !== 'string') {
+    throw new Error('Moisture model must have a name and a compute function');
+  }
+  MOISTURE_MODELS[id] = Object.assign({ id, citation: '', notes: '', validRange: { tempF: [-Infinity, Infinity], rh: [0, 100] } }, model);
+  return MOISTURE_MODELS[id];
+}
+
+registerMoistureModel('dashboard', {
+  name: 'Dashboard simplified EMC',
+  citation: 'fuel-moisture-integration.js computeEMC (three-piece linear approximation)',
+  validRange: { tempF: [10, 120], rh: [0, 100] },
+  notes: 'Original dashboard default',
+  compute: (tempF, rh) => requireMoistureModule('./fuel-moisture-integration.js', 'FuelMoistureIntegration').computeEMC(tempF, rh)
+});
+
+registerMoistureModel('calculator', {
+  name: 'Fuel moisture calculator EMC',
+  citation: 'fuel-moisture-calculator.js computeEMC',
+  validRange: { tempF: [10, 120], rh: [0, 100] },
+  notes: 'Simard-style coefficients with positive temperature terms; clamped to 1-35%',
+  compute: (tempF, rh) => requireMoistureModule('./fuel-moisture-calculator.js', 'FuelMoistureCalc').computeEMC(tempF, rh)
+});
+
+registerMoistureModel('fuel-models', {
+  name: 'Fuel models 1-hour moisture',
+  citation: 'fuel-models.js FuelMoistureCalculator.calculateOneHourMoisture',
+  validRange: { tempF: [10, 120], rh: [0, 100] },
+  notes: 'Sign differences from Simard (1968) make it negative at moderate RH; floored at 0',
+  compute: (tempF, rh) => Math.max(0, requireMoistureModule('./fuel-models.js', 'FuelModels')
+    .FuelMoistureCalculator.calculateOneHourMoisture(tempF, rh))
+});
+
+registerMoistureModel('simard', {
+  name: 'NFDRS EMC (Simard)',
+  citation: 'Simard, A.J. 1968. The moisture content of forest fuels. Forest Fire Research Institute Information Report FF-X-14',
+  validRange: { tempF: [10, 120], rh: [0, 100] },
+  notes: 'Equations used by the 1978 NFDRS',
+  compute: (tempF, rh) => {
+    if (rh < 10) {
+      return 0.03229 + 0.281073 * rh - 0.000578 * rh * tempF;
+    }
+    if (rh < 50) {
+      return 2.22749 + 0.160107 * rh - 0.01478 * tempF;
+    }
+    return 21.0606 + 0.005565 * rh * rh - 0.00035 * rh * tempF - 0.483199 * rh;
+  }
+});
+
+registerMoistureModel('fosberg', {
+  name: 'Fosberg reference fuel moisture',
+  citation: 'NWCG Fireline Handbook (PMS 410-1), Appendix B Table A',
+  validRange: { tempF: [10, 130], rh: [0, 100] },
+  notes: 'Table A only; use FosbergMoisture.calculateFosbergMoisture for site corrections',
+  compute: (tempF, rh) => requireMoistureModule('./fosberg-moisture.js', 'FosbergMoisture')
+    .lookupReferenceMoisture(tempF, rh).value
+});
+
+registerMoistureModel('nelson', {
+  name: 'Nelson sorption isotherm',
+  citation: 'Nelson, R.M. 1984. A method for describing equilibrium moisture content of forest fuels. Can. J. For. Res. 14: 597-600',
+  validRange: { tempF: [-20, 130], rh: [1, 99] },
+  notes: 'Desorption isotherm at air temperature, as used at the Nelson stick surface',
+  compute: (tempF, rh) => requireMoistureModule('./nelson-moisture.js', 'NelsonMoisture')
+    .sorptionIsotherm((tempF - 32) * 5 / 9, rh / 100) * 100
+});
+
+/**
+ * Look up a registered moisture model
+ * @param {string} id - Model identifier (default 'dashboard')
+ * @returns {object} Model
+ */
+function getMoistureModel(id = DEFAULT_MOISTURE_MODEL) {
+  const model = MOISTURE_MODELS[id];
+  if (!model) {
+    throw new Error(`Unknown moisture model: ${id}`);
+  }
+  return model;
+}
+
+/**
+ * Metadata for every registered model
+ * @returns {Array} [{ id, name, citation, validRange, notes }]
+ */
+function listMoistureModels() {
+  return Object.keys(MOISTURE_MODELS).map(id => {
+    const { name, citation, validRange, notes } = MOISTURE_MODELS[id];
+    return { id, name, citation, validRange, notes };
+  });
+}
+
+/**
+ * Moisture from one model
+ * @param {string} id - Model identifier
+ * @param {number} tempF - Temperature (°F)
+ * @param {number} rh - Relative humidity (%)
+ * @param {object} context - Extra inputs for models that use them
+ * @returns {object} { model, emc, inRange }
+ */
+function computeModelEMC(id, tempF, rh, context = {}) {
+  if (typeof tempF !== 'number' || typeof rh !== 'number' || isNaN(tempF) || isNaN(rh)) {
+    throw new Error('Invalid input: temperature and humidity must be numbers');
+  }
+  if (rh < 0 || rh > 100) {
+    throw new Error('Relative humidity must be between 0 and 100');
+  }
+  const model = getMoistureModel(id);
+  const { tempF: tempRange, rh: rhRange } = model.validRange;
+  return {
+    model: model.id,
+    emc: Math.round(model.compute(tempF, rh, context) * 100) / 100,
+    inRange: tempF >= tempRange[0] && tempF <= tempRange[1] && rh >= rhRange[0] && rh <= rhRange[1]
+  };
+}
+
+/**
+ * Run every model (or a chosen subset) on the same inputs
+ * @param {number} tempF - Temperature (°F)
+ * @param {number} rh - Relative humidity (%)
+ * @param {object} options - { models: [ids], context }
+ * @returns {object} { tempF, rh, results, min, max, mean, spread }
+ */
+function compareMoistureModels(tempF, rh, options = {}) {
+  const ids = options.models || Object.keys(MOISTURE_MODELS);
+  if (!Array.isArray(ids) || ids.length === 0) {
+    throw new Error('Invalid input: models must be a non-empty list of model ids');
+  }
+  const results = ids.map(id => Object.assign(
+    { name: getMoistureModel(id).name },
+    computeModelEMC(id, tempF, rh, options.context)
+  ));
+
+  const sorted = results.slice().sort((a, b) => a.emc - b.emc);
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const mean = results.reduce((sum, r) => sum + r.emc, 0) / results.length;
+
+  return {
+    tempF,
+    rh,
+    results,
+    min: { model: min.model, emc: min.emc },
+    max: { model: max.model, emc: max.emc },
+    mean: Math.round(mean * 100) / 100,
+    spread: Math.round((max.emc - min.emc) * 100) / 100
+  };
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_MOISTURE_MODEL,
+    registerMoistureModel,
+    getMoistureModel,
+    listMoistureModels,
+    computeModelEMC,
+    compareMoistureModels
+  };
+}
+
+// Make available in browser
+if (typeof window !== 'undefined') {
+  window.MoistureModels = {
+    DEFAULT_MOISTURE_MODEL,
+    registerMoistureModel,
+    getMoistureModel,
+    listMoistureModels,
+    computeModelEMC,
+    compareMoistureModels
+  };
+}
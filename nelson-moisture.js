@@ -0,0 +1,398 @@
+/**
+ * Nelson Dead Fuel Moisture Model
+ * Physically based 1h/10h/100h/1000h stick model after Nelson (2000), the
+ * approach used by NFDRS 2016. Each stick is a wood cylinder split into radial
+ * nodes; moisture and heat diffuse through it, the surface exchanges heat with
+ * the air and the sun, adsorbs or desorbs toward a sorption isotherm evaluated
+ * at the surface temperature, and takes up intercepted rain.
+ */
+
+// Stick geometry. Radii give each stick its nominal time lag at the reference
+// diffusivity; heatTransfer is the combined convective/radiative coefficient.
+const NELSON_STICKS = {
+  1: { timeLag: 1, radius: 0.20, heatTransfer: 30 },
+  10: { timeLag: 10, radius: 0.64, heatTransfer: 24 },
+  100: { timeLag: 100, radius: 2.0, heatTransfer: 18 },
+  1000: { timeLag: 1000, radius: 6.4, heatTransfer: 15 }
+};
+
+const NELSON_CONSTANTS = {
+  nodes: 11,                     // radial nodes from center to surface
+  specificGravity: 0.40,         // oven-dry stick density (g/cm^3)
+  referenceDiffusivity: 1.95e-10, // moisture diffusivity at 20°C and 10% (m^2/s)
+  diffusionActivation: 4000,     // Arrhenius temperature coefficient (K)
+  diffusionMoistureFactor: 4.0,  // exponential moisture dependence (per g/g)
+  solarAbsorptivity: 0.85,
+  fiberSaturation: 0.30,         // upper limit of the sorption isotherm (g/g)
+  rainSaturation: 0.60,          // surface moisture while rain wets the stick (g/g)
+  adsorptionRatio: 0.85,         // adsorption isotherm as a fraction of desorption
+  desorptionA: 0.359,            // W = A - B ln(dG), dG in J/g (Nelson 1984 form)
+  desorptionB: 0.0583
+};
+
+const WATER_MOLAR_MASS = 18.015;
+const GAS_CONSTANT = 8.314;
+
+function fahrenheitToCelsius(tempF) {
+  return (tempF - 32) * 5 / 9;
+}
+
+function celsiusToFahrenheit(tempC) {
+  return tempC * 9 / 5 + 32;
+}
+
+/**
+ * Saturation vapor pressure (hPa)
+ * @param {number} tempC - Temperature (°C)
+ * @returns {number} Vapor pressure (hPa)
+ */
+function saturationVaporPressure(tempC) {
+  return 6.1078 * Math.exp(17.27 * tempC / (tempC + 237.3));
+}
+
+/**
+ * Desorption equilibrium moisture from the Nelson (1984) isotherm form
+ * W = A - B ln(dG), where dG = -(R T / Mw) ln(h) is the Gibbs free energy change
+ * @param {number} tempC - Fuel temperature (°C)
+ * @param {number} humidity - Relative humidity at the fuel surface (0-1)
+ * @returns {number} Equilibrium moisture (g/g)
+ */
+function sorptionIsotherm(tempC, humidity) {
+  const h = Math.min(0.9999, Math.max(0.0001, humidity));
+  const freeEnergy = -(GAS_CONSTANT * (tempC + 273.15) / WATER_MOLAR_MASS) * Math.log(h);
+  const w = NELSON_CONSTANTS.desorptionA - NELSON_CONSTANTS.desorptionB * Math.log(freeEnergy);
+  return Math.min(NELSON_CONSTANTS.fiberSaturation, Math.max(0, w));
+}
+
+/**
+ * Moisture diffusivity inside the stick (m^2/s)
+ * @param {number} tempC - Node temperature (°C)
+ * @param {number} moisture - Node moisture (g/g)
+ * @returns {number} Diffusivity (m^2/s)
+ */
+function moistureDiffusivity(tempC, moisture) {
+  const w = Math.min(moisture, NELSON_CONSTANTS.fiberSaturation);
+  return NELSON_CONSTANTS.referenceDiffusivity *
+    Math.exp(NELSON_CONSTANTS.diffusionActivation * (1 / 293.15 - 1 / (tempC + 273.15))) *
+    Math.exp(NELSON_CONSTANTS.diffusionMoistureFactor * (w - 0.10));
+}
+
+/**
+ * Volumetric heat capacity (J/m^3/K) and conductivity (W/m/K) of moist wood
+ * @param {number} tempC - Node temperature (°C)
+ * @param {number} moisture - Node moisture (g/g)
+ * @returns {object} { capacity, conductivity }
+ */
+function thermalProperties(tempC, moisture) {
+  const g = NELSON_CONSTANTS.specificGravity;
+  const specificHeat = ((0.1031 + 0.003867 * (tempC + 273.15)) * 1000 + 4185 * moisture) / (1 + moisture);
+  return {
+    capacity: g * 1000 * (1 + moisture) * specificHeat,
+    conductivity: g * (0.1941 + 0.4064 * Math.min(moisture, NELSON_CONSTANTS.fiberSaturation)) + 0.01864
+  };
+}
+
+/**
+ * One implicit step of radial diffusion in a cylinder
+ * @param {number[]} values - Node values from center to surface
+ * @param {number[]} diffusivity - Node diffusivities (m^2/s)
+ * @param {number} dt - Time step (s)
+ * @param {number} dr - Node spacing (m)
+ * @param {object} surface - { value } for a fixed surface, or
+ *   { transfer, ambient, source, capacity } for a surface heat balance
+ * @returns {number[]} Updated node values
+ */
+function solveRadial(values, diffusivity, dt, dr, surface) {
+  const n = values.length;
+  const last = n - 1;
+  const radius = last * dr;
+  const a = new Array(n).fill(0);
+  const b = new Array(n).fill(0);
+  const c = new Array(n).fill(0);
+  const d = new Array(n).fill(0);
+  const faceFlux = i => (i + 0.5) * (diffusivity[i] + diffusivity[i + 1]) / 2;
+
+  // Center node: symmetry, control volume out to dr/2
+  const centerVolume = dr * dr / 8;
+  b[0] = centerVolume / dt + faceFlux(0);
+  c[0] = -faceFlux(0);
+  d[0] = centerVolume / dt * values[0];
+
+  for (let i = 1; i < last; i++) {
+    const volume = i * dr * dr;
+    a[i] = -faceFlux(i - 1);
+    c[i] = -faceFlux(i);
+    b[i] = volume / dt - a[i] - c[i];
+    d[i] = volume / dt * values[i];
+  }
+
+  if (typeof surface.value === 'number') {
+    b[last] = 1;
+    d[last] = surface.value;
+  } else {
+    const volume = radius * dr / 2;
+    a[last] = -faceFlux(last - 1);
+    b[last] = volume / dt - a[last] + radius * surface.transfer / surface.capacity;
+    d[last] = volume / dt * values[last] +
+      radius * (surface.source + surface.transfer * surface.ambient) / surface.capacity;
+  }
+
+  // Thomas algorithm
+  for (let i = 1; i < n; i++) {
+    const m = a[i] / b[i - 1];
+    b[i] -= m * c[i - 1];
+    d[i] -= m * d[i - 1];
+  }
+  const result = new Array(n);
+  result[last] = d[last] / b[last];
+  for (let i = last - 1; i >= 0; i--) {
+    result[i] = (d[i] - c[i] * result[i + 1]) / b[i];
+  }
+  return result;
+}
+
+/**
+ * Volume-weighted mean of node values
+ * @param {number[]} values - Node values from center to surface
+ * @returns {number} Mean value
+ */
+function radialMean(values) {
+  const last = values.length - 1;
+  let total = 0;
+  let weightSum = 0;
+  values.forEach((value, i) => {
+    const weight = i === 0 ? 0.125 : (i === last ? last / 2 : i);
+    total += weight * value;
+    weightSum += weight;
+  });
+  return total / weightSum;
+}
+
+/**
+ * Create the initial model state
+ * @param {number|object} initialMoisture - Moisture (%) for every stick, or per stick { 1: %, 10: %, ... }
+ * @param {number} tempF - Initial stick temperature (°F)
+ * @param {number[]} timeLags - Sticks to simulate (default 1, 10, 100, 1000)
+ * @returns {object} Serializable state { hours, sticks: { timeLag: { moisture[], temperature[] } } }
+ */
+function createNelsonState(initialMoisture, tempF, timeLags = [1, 10, 100, 1000]) {
+  if (typeof tempF !== 'number' || isNaN(tempF)) {
+    throw new Error('Invalid input: initial temperature must be a number');
+  }
+  const sticks = {};
+  timeLags.forEach(timeLag => {
+    if (!NELSON_STICKS[timeLag]) {
+      throw new Error('Nelson model supports 1, 10, 100 and 1000-hour sticks');
+    }
+    const moisture = typeof initialMoisture === 'number' ? initialMoisture : (initialMoisture || {})[timeLag];
+    if (typeof moisture !== 'number' || isNaN(moisture) || moisture < 0) {
+      throw new Error(`Invalid initial moisture for ${timeLag}-hour stick`);
+    }
+    sticks[timeLag] = {
+      moisture: new Array(NELSON_CONSTANTS.nodes).fill(moisture / 100),
+      temperature: new Array(NELSON_CONSTANTS.nodes).fill(fahrenheitToCelsius(tempF))
+    };
+  });
+  return { hours: 0, sticks };
+}
+
+/**
+ * Advance one stick through a weather interval
+ * @param {object} stick - Stick state { moisture[], temperature[] }
+ * @param {object} params - Stick parameters from NELSON_STICKS
+ * @param {object} weather - { tempF, rh, hours, solarRadiation: W/m^2, precipitation: in }
+ * @returns {object} { stick, emc, surfaceTemperature }
+ */
+function stepStick(stick, params, weather) {
+  const { tempF, rh, hours, solarRadiation = 0, precipitation = 0 } = weather;
+  const radius = params.radius / 100;
+  const dr = radius / (NELSON_CONSTANTS.nodes - 1);
+  const seconds = hours * 3600;
+  const maxStep = Math.min(3600, params.timeLag * 360);
+  const substeps = Math.max(1, Math.ceil(seconds / maxStep));
+  const dt = seconds / substeps;
+  const airTemp = fahrenheitToCelsius(tempF);
+  const vaporPressure = rh / 100 * saturationVaporPressure(airTemp);
+  const absorbed = NELSON_CONSTANTS.solarAbsorptivity * solarRadiation / Math.PI;
+
+  // Intercepted rain caps how much water the stick can take up (g water / g wood)
+  const rainCm = precipitation * 2.54;
+  const rainPerStep = 2 * rainCm / (Math.PI * params.radius * NELSON_CONSTANTS.specificGravity) / substeps;
+
+  let moisture = stick.moisture.slice();
+  let temperature = stick.temperature.slice();
+  let emc = null;
+
+  for (let s = 0; s < substeps; s++) {
+    const last = moisture.length - 1;
+
+    // Heat conduction with solar gain and convective/radiative exchange at the surface
+    const thermal = moisture.map((w, i) => thermalProperties(temperature[i], w));
+    temperature = solveRadial(
+      temperature,
+      thermal.map(p => p.conductivity / p.capacity),
+      dt,
+      dr,
+      {
+        transfer: params.heatTransfer,
+        ambient: airTemp,
+        source: rainCm > 0 ? 0 : absorbed,
+        capacity: thermal[last].capacity
+      }
+    );
+
+    const surfaceTemp = temperature[last];
+    const diffusivity = moisture.map((w, i) => moistureDiffusivity(temperature[i], w));
+
+    if (rainCm > 0) {
+      const before = radialMean(moisture);
+      const wetted = solveRadial(moisture, diffusivity, dt, dr, { value: NELSON_CONSTANTS.rainSaturation });
+      const uptake = radialMean(wetted) - before;
+      const fraction = uptake > rainPerStep ? rainPerStep / uptake : 1;
+      moisture = moisture.map((w, i) => w + (wetted[i] - w) * fraction);
+      emc = NELSON_CONSTANTS.rainSaturation;
+    } else {
+      // Surface follows the desorption or adsorption isotherm at the surface temperature
+      const surfaceHumidity = vaporPressure / saturationVaporPressure(surfaceTemp);
+      const desorption = sorptionIsotherm(surfaceTemp, surfaceHumidity);
+      const adsorption = desorption * NELSON_CONSTANTS.adsorptionRatio;
+      const surface = moisture[last];
+      if (surface > desorption) {
+        emc = desorption;
+      } else if (surface < adsorption) {
+        emc = adsorption;
+      } else {
+        emc = surface;
+      }
+      moisture = solveRadial(moisture, diffusivity, dt, dr, { value: emc });
+    }
+  }
+
+  return {
+    stick: { moisture, temperature },
+    emc,
+    surfaceTemperature: temperature[temperature.length - 1]
+  };
+}
+
+/**
+ * Advance every stick in the state through one weather interval
+ * @param {object} state - State from createNelsonState
+ * @param {object} weather - { tempF, rh, hours, solarRadiation: W/m^2, precipitation: in,
+ *   precipitationDuration: h (default the whole interval) }
+ * @returns {object} { state, sticks: { timeLag: { moisture: %, emc: %, surfaceTemperature: °F } } }
+ */
+function stepNelsonModel(state, weather) {
+  const { tempF, rh, hours, precipitation = 0 } = weather;
+  if (typeof tempF !== 'number' || typeof rh !== 'number' || typeof hours !== 'number') {
+    throw new Error('Invalid weather step: must contain tempF, rh, and hours');
+  }
+  if (rh < 0 || rh > 100) {
+    throw new Error('Relative humidity must be between 0 and 100');
+  }
+
+  // Rain falls over the first precipitationDuration hours, then the sticks dry
+  const rainHours = precipitation > 0 ? Math.min(hours, weather.precipitationDuration || hours) : 0;
+  const periods = rainHours > 0 && rainHours < hours
+    ? [Object.assign({}, weather, { hours: rainHours }), Object.assign({}, weather, { hours: hours - rainHours, precipitation: 0 })]
+    : [weather];
+
+  const next = { hours: state.hours + hours, sticks: {} };
+  const sticks = {};
+  Object.keys(state.sticks).forEach(timeLag => {
+    let stepped = { stick: state.sticks[timeLag] };
+    periods.forEach(period => {
+      stepped = stepStick(stepped.stick, NELSON_STICKS[timeLag], period);
+    });
+    next.sticks[timeLag] = stepped.stick;
+    sticks[timeLag] = {
+      moisture: Math.round(radialMean(stepped.stick.moisture) * 1000) / 10,
+      emc: Math.round(stepped.emc * 1000) / 10,
+      surfaceTemperature: Math.round(celsiusToFahrenheit(stepped.surfaceTemperature) * 10) / 10
+    };
+  });
+
+  return { state: next, sticks };
+}
+
+/**
+ * Mean moisture (%) of each stick in a state
+ * @param {object} state - State from createNelsonState or stepNelsonModel
+ * @returns {object} { timeLag: moisture % }
+ */
+function nelsonMoistures(state) {
+  const moistures = {};
+  Object.keys(state.sticks).forEach(timeLag => {
+    moistures[timeLag] = Math.round(radialMean(state.sticks[timeLag].moisture) * 1000) / 10;
+  });
+  return moistures;
+}
+
+/**
+ * Run the Nelson model over a weather series
+ * @param {number|object} initialMoisture - Moisture (%) for every stick, or per stick
+ * @param {Array} weatherSteps - { tempF, rh, hours, solarRadiation, precipitation, precipitationDuration } intervals
+ * @param {number[]} timeLags - Sticks to simulate
+ * @returns {object} { steps: [{ hours, tempF, rh, sticks }], state }
+ */
+function runNelsonModel(initialMoisture, weatherSteps, timeLags = [1, 10, 100, 1000]) {
+  if (!Array.isArray(weatherSteps) || weatherSteps.length === 0) {
+    throw new Error('weatherSteps must be a non-empty array');
+  }
+  let state = createNelsonState(initialMoisture, weatherSteps[0].tempF, timeLags);
+  const steps = [];
+  weatherSteps.forEach(weather => {
+    const stepped = stepNelsonModel(state, weather);
+    state = stepped.state;
+    steps.push({ hours: state.hours, tempF: weather.tempF, rh: weather.rh, sticks: stepped.sticks });
+  });
+  return { steps, state };
+}
+
+/**
+ * Moisture engine for FuelMoistureIntegration.runModel
+ */
+const NELSON_ENGINE = {
+  name: 'nelson',
+  createState(initialMoisture, timeLag, firstStep) {
+    return createNelsonState(initialMoisture, firstStep ? firstStep.tempF : 70, [timeLag]);
+  },
+  step(state, weather, timeLag) {
+    const stepped = stepNelsonModel(state, weather);
+    const stick = stepped.sticks[timeLag];
+    return {
+      state: stepped.state,
+      moisture: stick.moisture,
+      emc: stick.emc,
+      fuelTemperature: stick.surfaceTemperature
+    };
+  }
+};
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    NELSON_STICKS,
+    NELSON_CONSTANTS,
+    NELSON_ENGINE,
+    sorptionIsotherm,
+    createNelsonState,
+    stepNelsonModel,
+    nelsonMoistures,
+    runNelsonModel
+  };
+}
+
+// Make available in browser
+if (typeof window !== 'undefined') {
+  window.NelsonMoisture = {
+    NELSON_STICKS,
+    NELSON_CONSTANTS,
+    NELSON_ENGINE,
+    sorptionIsotherm,
+    createNelsonState,
+    stepNelsonModel,
+    nelsonMoistures,
+    runNelsonModel
+  };
+}
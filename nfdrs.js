@@ -0,0 +1,602 @@
+/**
+ * National Fire Danger Rating System (NFDRS)
+ * 1978 NFDRS daily fuel moistures, Keetch-Byram Drought Index and the
+ * Spread Component, Energy Release Component, Burning Index and Ignition
+ * Component from a series of 1300 LST observations (Deeming, Burgan and
+ * Cohen 1977; Bradshaw et al. 1984)
+ */
+
+/**
+ * Resolve a companion module lazily, since fire-behavior.js and the moisture
+ * registry load their own dependencies on first use
+ * @param {string} path - Node.js module path
+ * @param {string} globalName - Browser window property
+ * @returns {object} Module exports
+ */
+function getNFDRSDependency(path, globalName) {
+  if (typeof window !== 'undefined' && window[globalName]) {
+    return window[globalName];
+  }
+  if (typeof require !== 'undefined') {
+    try {
+      return require(path);
+    } catch (e) {
+      // Module not available
+    }
+  }
+  throw new Error(`${globalName} module is not loaded`);
+}
+
+// NFDRS 1978 fuel models. Loads are tons/acre, SAV ratios ft^-1, depth ft,
+// moisture of extinction %. scm is the Spread Component at which every
+// ignition becomes a reportable fire; windFactor reduces 20-ft wind to midflame.
+// 10-hour and 100-hour SAV ratios are 109 and 30 for every model.
+const NFDRS_FUEL_MODELS = {
+  A: { name: 'Western grasses (annual)', fuelLoad: { dead1h: 0.20, dead10h: 0, dead100h: 0, dead1000h: 0, liveHerb: 0.30, liveWoody: 0 },
+    sav: { dead1h: 3000, liveHerb: 3000, liveWoody: 1500 }, depth: 0.80, moistureExtinction: 15, scm: 301, windFactor: 0.6 },
+  B: { name: 'California chaparral', fuelLoad: { dead1h: 3.5, dead10h: 4.0, dead100h: 0.5, dead1000h: 0, liveHerb: 0, liveWoody: 11.5 },
+    sav: { dead1h: 700, liveHerb: 0, liveWoody: 1250 }, depth: 4.5, moistureExtinction: 15, scm: 58, windFactor: 0.5 },
+  C: { name: 'Pine-grass savanna', fuelLoad: { dead1h: 0.40, dead10h: 1.0, dead100h: 0, dead1000h: 0, liveHerb: 0.80, liveWoody: 0.50 },
+    sav: { dead1h: 2000, liveHerb: 2500, liveWoody: 1500 }, depth: 0.75, moistureExtinction: 20, scm: 32, windFactor: 0.4 },
+  D: { name: 'Southern rough', fuelLoad: { dead1h: 2.0, dead10h: 1.0, dead100h: 0, dead1000h: 0, liveHerb: 0.75, liveWoody: 3.0 },
+    sav: { dead1h: 1250, liveHerb: 1500, liveWoody: 1500 }, depth: 2.0, moistureExtinction: 30, scm: 68, windFactor: 0.4 },
+  E: { name: 'Hardwood litter (winter)', fuelLoad: { dead1h: 1.5, dead10h: 0.5, dead100h: 0.25, dead1000h: 0, liveHerb: 0.50, liveWoody: 0.50 },
+    sav: { dead1h: 2000, liveHerb: 2000, liveWoody: 1500 }, depth: 0.4, moistureExtinction: 25, scm: 25, windFactor: 0.4 },
+  F: { name: 'Intermediate brush', fuelLoad: { dead1h: 2.5, dead10h: 2.0, dead100h: 1.5, dead1000h: 0, liveHerb: 0, liveWoody: 9.0 },
+    sav: { dead1h: 700, liveHerb: 0, liveWoody: 1250 }, depth: 4.5, moistureExtinction: 15, scm: 24, windFactor: 0.5 },
+  G: { name: 'Short-needle closed conifer (heavy dead)', fuelLoad: { dead1h: 2.5, dead10h: 2.0, dead100h: 5.0, dead1000h: 12.0, liveHerb: 0.50, liveWoody: 0.50 },
+    sav: { dead1h: 2000, liveHerb: 2000, liveWoody: 1500 }, depth: 1.0, moistureExtinction: 25, scm: 30, windFactor: 0.4 },
+  H: { name: 'Short-needle closed conifer (normal dead)', fuelLoad: { dead1h: 1.5, dead10h: 1.0, dead100h: 2.0, dead1000h: 2.0, liveHerb: 0.50, liveWoody: 0.50 },
+    sav: { dead1h: 2000, liveHerb: 2000, liveWoody: 1500 }, depth: 0.3, moistureExtinction: 20, scm: 8, windFactor: 0.4 },
+  I: { name: 'Heavy logging slash', fuelLoad: { dead1h: 12.0, dead10h: 12.0, dead100h: 10.0, dead1000h: 12.0, liveHerb: 0, liveWoody: 0 },
+    sav: { dead1h: 1500, liveHerb: 0, liveWoody: 0 }, depth: 2.0, moistureExtinction: 25, scm: 65, windFactor: 0.5 },
+  J: { name: 'Intermediate logging slash', fuelLoad: { dead1h: 7.0, dead10h: 7.0, dead100h: 6.0, dead1000h: 5.5, liveHerb: 0, liveWoody: 0 },
+    sav: { dead1h: 1500, liveHerb: 0, liveWoody: 0 }, depth: 1.3, moistureExtinction: 25, scm: 44, windFactor: 0.5 },
+  K: { name: 'Light logging slash', fuelLoad: { dead1h: 2.5, dead10h: 2.5, dead100h: 2.0, dead1000h: 2.5, liveHerb: 0, liveWoody: 0 },
+    sav: { dead1h: 1500, liveHerb: 0, liveWoody: 0 }, depth: 0.6, moistureExtinction: 25, scm: 23, windFactor: 0.5 },
+  L: { name: 'Western grasses (perennial)', fuelLoad: { dead1h: 0.25, dead10h: 0, dead100h: 0, dead1000h: 0, liveHerb: 0.50, liveWoody: 0 },
+    sav: { dead1h: 2000, liveHerb: 2000, liveWoody: 0 }, depth: 1.0, moistureExtinction: 15, scm: 178, windFactor: 0.6 },
+  N: { name: 'Sawgrass', fuelLoad: { dead1h: 1.5, dead10h: 1.5, dead100h: 0, dead1000h: 0, liveHerb: 0, liveWoody: 2.0 },
+    sav: { dead1h: 1600, liveHerb: 0, liveWoody: 1500 }, depth: 3.0, moistureExtinction: 25, scm: 167, windFactor: 0.6 },
+  O: { name: 'High pocosin', fuelLoad: { dead1h: 2.0, dead10h: 3.0, dead100h: 3.0, dead1000h: 2.0, liveHerb: 0, liveWoody: 7.0 },
+    sav: { dead1h: 1500, liveHerb: 0, liveWoody: 1500 }, depth: 4.0, moistureExtinction: 30, scm: 99, windFactor: 0.5 },
+  P: { name: 'Southern pine plantation', fuelLoad: { dead1h: 1.0, dead10h: 1.0, dead100h: 0.5, dead1000h: 0, liveHerb: 0.50, liveWoody: 0.50 },
+    sav: { dead1h: 1750, liveHerb: 2000, liveWoody: 1500 }, depth: 0.4, moistureExtinction: 30, scm: 14, windFactor: 0.4 },
+  Q: { name: 'Alaskan black spruce', fuelLoad: { dead1h: 2.0, dead10h: 2.5, dead100h: 2.0, dead1000h: 1.0, liveHerb: 0.50, liveWoody: 4.0 },
+    sav: { dead1h: 1500, liveHerb: 1500, liveWoody: 1200 }, depth: 3.0, moistureExtinction: 25, scm: 59, windFactor: 0.4 },
+  R: { name: 'Hardwood litter (summer)', fuelLoad: { dead1h: 0.5, dead10h: 0.5, dead100h: 0.5, dead1000h: 0, liveHerb: 0.50, liveWoody: 0.50 },
+    sav: { dead1h: 1500, liveHerb: 2000, liveWoody: 1500 }, depth: 0.25, moistureExtinction: 25, scm: 6, windFactor: 0.4 },
+  S: { name: 'Tundra', fuelLoad: { dead1h: 0.5, dead10h: 0.5, dead100h: 0.5, dead1000h: 0.5, liveHerb: 0.50, liveWoody: 0.50 },
+    sav: { dead1h: 1500, liveHerb: 1500, liveWoody: 1200 }, depth: 0.4, moistureExtinction: 25, scm: 17, windFactor: 0.6 },
+  T: { name: 'Sagebrush-grass', fuelLoad: { dead1h: 1.0, dead10h: 0.5, dead100h: 0, dead1000h: 0, liveHerb: 0.50, liveWoody: 2.5 },
+    sav: { dead1h: 2500, liveHerb: 2000, liveWoody: 1500 }, depth: 1.25, moistureExtinction: 15, scm: 96, windFactor: 0.6 },
+  U: { name: 'Western long-needle pine', fuelLoad: { dead1h: 1.5, dead10h: 1.5, dead100h: 1.0, dead1000h: 0, liveHerb: 0.50, liveWoody: 0.50 },
+    sav: { dead1h: 1750, liveHerb: 2000, liveWoody: 1500 }, depth: 0.5, moistureExtinction: 20, scm: 16, windFactor: 0.4 }
+};
+
+// Live fuel moisture coefficients by NFDRS climate class (1 arid to 4 wet):
+// green herbaceous = herbA + herbB * X1000, green woody = woodA + woodB * MC1000,
+// pregreen is woody moisture before greenup
+const NFDRS_CLIMATE_CLASSES = {
+  1: { herbA: -70.0, herbB: 12.8, woodA: 12.5, woodB: 7.5, pregreen: 50 },
+  2: { herbA: -100.0, herbB: 14.0, woodA: -5.0, woodB: 8.2, pregreen: 60 },
+  3: { herbA: -137.5, herbB: 15.5, woodA: -22.5, woodB: 8.9, pregreen: 70 },
+  4: { herbA: -185.0, herbB: 17.4, woodA: -45.0, woodB: 9.8, pregreen: 80 }
+};
+
+// Fuel-level temperature shading and RH factor for each state of weather code
+// (0 clear, 1 scattered, 2 broken, 3 overcast; 4 and up are fog or precipitation)
+const STATE_OF_WEATHER_ADJUSTMENT = [
+  { shading: 0, rhFactor: 0.75 },
+  { shading: 30, rhFactor: 0.83 },
+  { shading: 65, rhFactor: 0.92 },
+  { shading: 100, rhFactor: 1.0 }
+];
+
+const NFDRS_RAIN_MOISTURE = 35;        // 1-h and 10-h moisture when raining at observation time (%)
+const NFDRS_WET_RATE = 0.25;           // Rain rate (in/h) used to estimate rain duration
+const HERB_MOISTURE_LIMITS = [30, 250];
+const MAX_WOODY_MOISTURE = 200;
+const KBDI_RAIN_THRESHOLD = 0.20;      // Rain (in) absorbed by canopy and litter per rain period
+
+// Daily fraction of the gap to boundary moisture closed by 100-hour fuels, and
+// weekly fraction for 1000-hour fuels
+const FR100 = 1 - 0.87 * Math.exp(-0.24);
+const FR1000 = 1 - 0.82 * Math.exp(-0.168);
+
+/**
+ * Day of year and ISO date string for an observation date
+ * @param {string|Date} date - 'YYYY-MM-DD' or Date
+ * @returns {object} { date: 'YYYY-MM-DD', dayOfYear, time: ms }
+ */
+function parseObservationDate(date) {
+  const parsed = date instanceof Date ? date : new Date(`${date}T00:00:00Z`);
+  if (isNaN(parsed.getTime())) {
+    throw new Error(`Invalid observation date: ${date}`);
+  }
+  const time = Date.UTC(parsed.getUTCFullYear(), parsed.getUTCMonth(), parsed.getUTCDate());
+  const dayOfYear = Math.round((time - Date.UTC(parsed.getUTCFullYear(), 0, 1)) / 86400000) + 1;
+  return { date: new Date(time).toISOString().slice(0, 10), dayOfYear, time };
+}
+
+/**
+ * Hours of daylight for a latitude and day of year
+ * @param {number} latitude - Station latitude (degrees, north positive)
+ * @param {number} dayOfYear - Day of year (1-366)
+ * @returns {number} Daylength (hours)
+ */
+function calculateDaylength(latitude, dayOfYear) {
+  const phi = latitude * Math.PI / 180;
+  const declination = 0.41008 * Math.sin((dayOfYear - 82) * Math.PI / 180);
+  const cosHourAngle = Math.max(-1, Math.min(1, Math.tan(phi) * Math.tan(declination)));
+  return 24 * (1 - Math.acos(cosHourAngle) / Math.PI);
+}
+
+/**
+ * Keetch-Byram Drought Index for one day. The first 0.20 inch of each rain
+ * period (consecutive days with rain) is lost to interception.
+ * @param {number} kbdi - Yesterday's index (0-800)
+ * @param {object} day - { maxTempF, precipitation: in }
+ * @param {number} annualPrecipitation - Mean annual precipitation (in)
+ * @param {number} rainPeriodTotal - Rain so far in the current rain period (in)
+ * @returns {object} { kbdi, rainPeriodTotal, netRain }
+ */
+function stepKBDI(kbdi, day, annualPrecipitation, rainPeriodTotal = 0) {
+  const { maxTempF, precipitation = 0 } = day;
+  let netRain = 0;
+  let total = 0;
+  if (precipitation > 0) {
+    total = rainPeriodTotal + precipitation;
+    if (total > KBDI_RAIN_THRESHOLD) {
+      netRain = total - Math.max(rainPeriodTotal, KBDI_RAIN_THRESHOLD);
+    }
+  }
+
+  let index = Math.max(0, kbdi - netRain * 100);
+  const drying = (800 - index) * (0.968 * Math.exp(0.0486 * maxTempF) - 8.30) * 0.001 /
+    (1 + 10.88 * Math.exp(-0.0441 * annualPrecipitation));
+  index = Math.min(800, index + Math.max(0, drying));
+
+  return { kbdi: index, rainPeriodTotal: total, netRain };
+}
+
+/**
+ * Look up an NFDRS fuel model
+ * @param {string} code - Fuel model letter
+ * @returns {object} Fuel model
+ */
+function getNFDRSFuelModel(code) {
+  const model = NFDRS_FUEL_MODELS[typeof code === 'string' ? code.toUpperCase() : code];
+  if (!model) {
+    throw new Error(`Unknown NFDRS fuel model: ${code}`);
+  }
+  return model;
+}
+
+/**
+ * Behavior model for fire-behavior.js, used for the Spread Component. As in
+ * the 1978 SC, 1000-hour fuels are left out of the spread calculation (they
+ * count in the ERC); cured herbaceous load moves to the 1-hour class.
+ * @param {object} model - Entry from NFDRS_FUEL_MODELS
+ * @returns {object} Behavior model
+ */
+function toNFDRSBehaviorModel(model) {
+  const { fuelLoad, sav } = model;
+  return getNFDRSDependency('./fire-behavior.js', 'FireBehavior').toBehaviorModel({
+    name: model.name,
+    family: 'NFDRS (1978)',
+    fuelLoad: { dead1h: fuelLoad.dead1h, dead10h: fuelLoad.dead10h, dead100h: fuelLoad.dead100h,
+      liveHerb: fuelLoad.liveHerb, liveStem: fuelLoad.liveWoody },
+    sav: { dead1h: sav.dead1h, dead10h: 109, dead100h: 30, liveHerb: sav.liveHerb, liveStem: sav.liveWoody },
+    fuelDepth: model.depth,
+    moistureExtinction: model.moistureExtinction,
+    heatContent: 8000,
+    dynamic: true
+  });
+}
+
+/**
+ * 1978 NFDRS Energy Release Component. Unlike the spread calculation, the ERC
+ * weights each size class by load rather than surface area and includes the
+ * 1000-hour fuels, so it responds to the drying of large dead fuels.
+ * @param {object} model - Entry from NFDRS_FUEL_MODELS
+ * @param {object} moistures - { dead1h, dead10h, dead100h, dead1000h, liveHerb, liveWoody } (%)
+ * @returns {number} ERC
+ */
+function nfdrsEnergyReleaseComponent(model, moistures) {
+  const toLbFt2 = 2000 / 43560;
+  const { fuelLoad, sav } = model;
+  const curing = Math.max(0, Math.min(1, 1.33 - 0.0111 * moistures.liveHerb));
+  const dead = [
+    { load: (fuelLoad.dead1h + curing * fuelLoad.liveHerb) * toLbFt2, sav: sav.dead1h, moisture: moistures.dead1h },
+    { load: fuelLoad.dead10h * toLbFt2, sav: 109, moisture: moistures.dead10h },
+    { load: fuelLoad.dead100h * toLbFt2, sav: 30, moisture: moistures.dead100h },
+    { load: fuelLoad.dead1000h * toLbFt2, sav: 8, moisture: moistures.dead1000h }
+  ];
+  const live = [
+    { load: (1 - curing) * fuelLoad.liveHerb * toLbFt2, sav: sav.liveHerb, moisture: moistures.liveHerb },
+    { load: fuelLoad.liveWoody * toLbFt2, sav: sav.liveWoody, moisture: moistures.liveWoody }
+  ];
+  const total = particles => particles.reduce((sum, p) => sum + p.load, 0);
+  const weighted = (particles, key) => particles.reduce((sum, p) => sum + p.load * p[key], 0) / total(particles);
+  const deadLoad = total(dead);
+  const liveLoad = total(live);
+  if (deadLoad + liveLoad === 0 || model.depth <= 0) {
+    return 0;
+  }
+
+  // Characteristic SAV for residence time uses the surface-area weighting of the
+  // spread calculation, without 1000-hour fuels
+  const area = particles => particles.reduce((sum, p) => sum + p.load * p.sav, 0);
+  const spreadDead = dead.slice(0, 3);
+  const deadArea = area(spreadDead);
+  const liveArea = area(live);
+  const areaSav = particles => particles.reduce((sum, p) => sum + p.load * p.sav * p.sav, 0) / area(particles);
+  const sigma = ((deadArea > 0 ? deadArea * areaSav(spreadDead) : 0) + (liveArea > 0 ? liveArea * areaSav(live) : 0)) /
+    (deadArea + liveArea);
+
+  // Load-weighted fuel bed properties
+  const deadFraction = deadLoad / (deadLoad + liveLoad);
+  const liveFraction = 1 - deadFraction;
+  const sigmaE = deadFraction * weighted(dead, 'sav') + (liveLoad > 0 ? liveFraction * weighted(live, 'sav') : 0);
+  const beta = (deadLoad + liveLoad - dead[3].load) / model.depth / 32;
+  const betaOpt = 3.348 * Math.pow(sigmaE, -0.8189);
+  const sigma15 = Math.pow(sigmaE, 1.5);
+  const aExp = 133 * Math.pow(sigmaE, -0.7913);
+  const reactionVelocity = sigma15 / (495 + 0.0594 * sigma15) *
+    Math.pow(beta / betaOpt, aExp) * Math.exp(aExp * (1 - beta / betaOpt));
+
+  // Live moisture of extinction from the fine dead-to-live load ratio
+  const deadMx = model.moistureExtinction;
+  let liveMx = deadMx;
+  if (liveLoad > 0) {
+    const fineDead = spreadDead.reduce((sum, p) => sum + p.load * Math.exp(-138 / p.sav), 0);
+    const fineDeadMoisture = spreadDead.reduce((sum, p) => sum + p.load * p.moisture * Math.exp(-138 / p.sav), 0) / fineDead;
+    const fineLive = live.reduce((sum, p) => sum + (p.load > 0 ? p.load * Math.exp(-500 / p.sav) : 0), 0);
+    if (fineLive > 0) {
+      liveMx = Math.max(deadMx, (2.9 * fineDead / fineLive * (1 - fineDeadMoisture / deadMx) - 0.226) * 100);
+    }
+  }
+  const damping = (moisture, extinction) => {
+    const ratio = moisture / extinction;
+    return Math.max(0, Math.min(1, 1 - 2.59 * ratio + 5.11 * ratio * ratio - 3.52 * ratio * ratio * ratio));
+  };
+
+  const mineralDamping = 0.174 * Math.pow(0.01, -0.19);
+  const netLoad = load => load * (1 - 0.0555);
+  const reactionIntensity = reactionVelocity * 8000 * mineralDamping * (
+    deadFraction * netLoad(deadLoad) * damping(weighted(dead, 'moisture'), deadMx) +
+    (liveLoad > 0 ? liveFraction * netLoad(liveLoad) * damping(weighted(live, 'moisture'), liveMx) : 0));
+  return 0.04 * reactionIntensity * 384 / sigma;
+}
+
+/**
+ * 1978 NFDRS probability of ignition (%) from 1-hour moisture and fuel temperature
+ * @param {number} moisture - 1-hour fuel moisture (%)
+ * @param {number} fuelTempF - Fuel-level temperature (°F)
+ * @returns {number} Probability of ignition (0-100%)
+ */
+function nfdrsProbabilityOfIgnition(moisture, fuelTempF) {
+  const fuelTempC = (fuelTempF - 32) * 5 / 9;
+  const heatOfIgnition = getNFDRSDependency('./ignition.js', 'Ignition').calculateHeatOfIgnition(fuelTempC, moisture);
+  const chi = (344 - heatOfIgnition) / 10;
+  if (chi <= 0) {
+    return 0;
+  }
+  const p = (Math.pow(chi, 3.6) * 0.0000185 - 0.00232) * 100 / 0.99767;
+  return Math.max(0, Math.min(100, p));
+}
+
+/**
+ * Spread, Energy Release, Burning Index and Ignition components for one set of moistures
+ * @param {string} fuelModel - NFDRS fuel model letter
+ * @param {object} params - { dead1h, dead10h, dead100h, dead1000h (default dead100h), liveHerb,
+ *   liveWoody: %, windSpeed: 20-ft mph, slope: %, fuelTempF: fuel-level °F }
+ * @returns {object} { sc, erc, bi, ic, probabilityOfIgnition }
+ */
+function calculateNFDRSIndices(fuelModel, params) {
+  const { dead1h, dead10h, dead100h, liveHerb, liveWoody, windSpeed = 0, slope = 0, fuelTempF } = params;
+  const dead1000h = typeof params.dead1000h === 'number' ? params.dead1000h : dead100h;
+  const model = getNFDRSFuelModel(fuelModel);
+  const spread = getNFDRSDependency('./fire-behavior.js', 'FireBehavior').calculateRateOfSpread(
+    windSpeed * model.windFactor,
+    { dead1h, dead10h, dead100h, liveHerb, liveStem: liveWoody },
+    Math.atan(slope / 100) * 180 / Math.PI,
+    toNFDRSBehaviorModel(model)
+  );
+
+  const sc = spread.canSpread ? spread.rosFtPerMin : 0;
+  const erc = nfdrsEnergyReleaseComponent(model, { dead1h, dead10h, dead100h, dead1000h, liveHerb, liveWoody });
+  const bi = 3.01 * Math.pow(sc * erc, 0.46);
+  const probabilityOfIgnition = typeof fuelTempF === 'number' ? nfdrsProbabilityOfIgnition(dead1h, fuelTempF) : 0;
+  const ic = probabilityOfIgnition * Math.min(1, sc / model.scm);
+
+  return {
+    sc: Math.round(sc),
+    erc: Math.round(erc),
+    bi: Math.round(bi),
+    ic: Math.round(ic),
+    probabilityOfIgnition: Math.round(probabilityOfIgnition)
+  };
+}
+
+function requireObservationNumber(value, label) {
+  if (typeof value !== 'number' || isNaN(value)) {
+    throw new Error(`Invalid NFDRS observation: ${label} must be a number`);
+  }
+}
+
+/**
+ * Validate a daily observation and fill defaults
+ * @param {object} obs - Observation
+ * @returns {object} Normalized observation
+ */
+function normalizeObservation(obs) {
+  if (!obs || typeof obs !== 'object') {
+    throw new Error('Invalid NFDRS observation: expected an object');
+  }
+  ['tempF', 'rh', 'windSpeed', 'maxTempF', 'minTempF', 'maxRH', 'minRH'].forEach(key => requireObservationNumber(obs[key], key));
+  [obs.rh, obs.maxRH, obs.minRH].forEach(rh => {
+    if (rh < 0 || rh > 100) {
+      throw new Error('Invalid NFDRS observation: relative humidity must be between 0 and 100');
+    }
+  });
+  if (obs.windSpeed < 0) {
+    throw new Error('Invalid NFDRS observation: windSpeed must not be negative');
+  }
+
+  const { precipitation = 0, stateOfWeather = 0 } = obs;
+  if (typeof precipitation !== 'number' || isNaN(precipitation) || precipitation < 0) {
+    throw new Error('Invalid NFDRS observation: precipitation must be a non-negative number');
+  }
+  if (!Number.isInteger(stateOfWeather) || stateOfWeather < 0 || stateOfWeather > 9) {
+    throw new Error('Invalid NFDRS observation: stateOfWeather must be an integer from 0 to 9');
+  }
+
+  let { precipitationDuration } = obs;
+  if (precipitationDuration === undefined) {
+    precipitationDuration = precipitation > 0 ? Math.min(8, Math.floor(precipitation / NFDRS_WET_RATE + 0.49)) : 0;
+  } else if (typeof precipitationDuration !== 'number' || isNaN(precipitationDuration) ||
+      precipitationDuration < 0 || precipitationDuration > 24) {
+    throw new Error('Invalid NFDRS observation: precipitationDuration must be between 0 and 24 hours');
+  }
+
+  return Object.assign({}, obs, parseObservationDate(obs.date), { precipitation, precipitationDuration, stateOfWeather });
+}
+
+/**
+ * Create the carried-forward state for a station and fuel model
+ * @param {object} options - { fuelModel, latitude, annualPrecipitation: in,
+ *   climateClass: 1-4 (default 2), slope: % (default 0),
+ *   herbaceousType: 'perennial' | 'annual', greenupDate: 'YYYY-MM-DD' or day
+ *   of year (omit when fuels are already green),
+ *   initial: { dead100h (default 20), dead1000h (default 30), kbdi (default 100) } }
+ * @returns {object} Serializable state
+ */
+function createNFDRSState(options = {}) {
+  const { fuelModel, latitude, annualPrecipitation, climateClass = 2, slope = 0,
+    herbaceousType = 'perennial', greenupDate = null, initial = {} } = options;
+  getNFDRSFuelModel(fuelModel);
+  if (typeof latitude !== 'number' || isNaN(latitude) || latitude < -90 || latitude > 90) {
+    throw new Error('Invalid NFDRS options: latitude must be between -90 and 90');
+  }
+  if (typeof annualPrecipitation !== 'number' || isNaN(annualPrecipitation) || annualPrecipitation <= 0) {
+    throw new Error('Invalid NFDRS options: annualPrecipitation must be a positive number');
+  }
+  if (!NFDRS_CLIMATE_CLASSES[climateClass]) {
+    throw new Error('Invalid NFDRS options: climateClass must be 1, 2, 3 or 4');
+  }
+  if (herbaceousType !== 'perennial' && herbaceousType !== 'annual') {
+    throw new Error("Invalid NFDRS options: herbaceousType must be 'perennial' or 'annual'");
+  }
+
+  const { dead100h = 20, dead1000h = 30, kbdi = 100 } = initial;
+  return {
+    station: {
+      fuelModel: fuelModel.toUpperCase(),
+      latitude,
+      annualPrecipitation,
+      climateClass,
+      slope,
+      herbaceousType,
+      greenupDay: greenupDate === null ? null :
+        (typeof greenupDate === 'number' ? greenupDate : parseObservationDate(greenupDate).dayOfYear)
+    },
+    lastDate: null,
+    dead100h,
+    dead1000h,
+    x1000: dead1000h,
+    liveHerb: null,
+    liveWoody: null,
+    kbdi,
+    rainPeriodTotal: 0,
+    history1000: new Array(7).fill(dead1000h),
+    boundary1000: new Array(7).fill(dead1000h)
+  };
+}
+
+/**
+ * Live herbaceous and woody moisture for the day. X1000 follows MC1000 when
+ * drying and recovers more slowly when wetting or cold (Cohen and Deeming 1985).
+ * Greenup ramps from cured over 7 days per climate class; annual herbaceous
+ * moisture only falls once greenup is complete.
+ */
+function stepLiveMoisture(state, obs, dead1000h) {
+  const { climateClass, herbaceousType, greenupDay } = state.station;
+  const coeff = NFDRS_CLIMATE_CLASSES[climateClass];
+
+  const change = dead1000h - state.dead1000h;
+  let x1000 = state.x1000 + change;
+  if (change > 0) {
+    const kwet = dead1000h > 25 ? 1 : (dead1000h > 10 ? 0.0333 * dead1000h + 0.1675 : 0.5);
+    const ktmp = (obs.maxTempF + obs.minTempF) / 2 > 50 ? 1 : 0.6;
+    x1000 = state.x1000 + change * kwet * ktmp;
+  }
+
+  const clampHerb = m => Math.max(HERB_MOISTURE_LIMITS[0], Math.min(HERB_MOISTURE_LIMITS[1], m));
+  const clampWoody = m => Math.max(coeff.pregreen, Math.min(MAX_WOODY_MOISTURE, m));
+  const greenHerb = clampHerb(coeff.herbA + coeff.herbB * x1000);
+  const greenWoody = clampWoody(coeff.woodA + coeff.woodB * dead1000h);
+
+  let greenFraction = 1;
+  if (greenupDay !== null) {
+    greenFraction = Math.max(0, Math.min(1, (obs.dayOfYear - greenupDay + 1) / (7 * climateClass)));
+  }
+
+  let liveHerb = HERB_MOISTURE_LIMITS[0] + greenFraction * (greenHerb - HERB_MOISTURE_LIMITS[0]);
+  const liveWoody = coeff.pregreen + greenFraction * (greenWoody - coeff.pregreen);
+  if (herbaceousType === 'annual' && greenFraction === 1 && state.liveHerb !== null) {
+    liveHerb = Math.min(liveHerb, state.liveHerb);
+  }
+
+  return { x1000, liveHerb, liveWoody };
+}
+
+/**
+ * Carry the state forward one day
+ * @param {object} state - From createNFDRSState or a previous step
+ * @param {object} observation - { date, tempF, rh, windSpeed: 20-ft mph, maxTempF,
+ *   minTempF, maxRH, minRH, precipitation: 24-h in, precipitationDuration: h
+ *   (estimated from amount when omitted), stateOfWeather: 0-9 }
+ * @returns {object} { state, day }
+ */
+function stepNFDRS(state, observation) {
+  const obs = normalizeObservation(observation);
+  const { station } = state;
+  const registry = getNFDRSDependency('./moisture-models.js', 'MoistureModels');
+  const emc = (tempF, rh) => Math.max(0, registry.computeModelEMC('simard', tempF, rh).emc);
+
+  // 1-hour and 10-hour fuels from EMC at the fuel-atmosphere interface
+  const adjustment = STATE_OF_WEATHER_ADJUSTMENT[Math.min(obs.stateOfWeather, 3)];
+  const fuelTempF = getNFDRSDependency('./ignition.js', 'Ignition').calculateFuelTemperature(obs.tempF, adjustment.shading);
+  const fuelEMC = emc(fuelTempF, obs.rh * adjustment.rhFactor);
+  const raining = obs.stateOfWeather >= 5;
+  const dead1h = raining ? NFDRS_RAIN_MOISTURE : 1.03 * fuelEMC;
+  const dead10h = raining ? NFDRS_RAIN_MOISTURE : 1.28 * fuelEMC;
+
+  // 100-hour and 1000-hour fuels from a daylength-weighted boundary moisture
+  const daylength = calculateDaylength(station.latitude, obs.dayOfYear);
+  const emcBar = (daylength * emc(obs.maxTempF, obs.minRH) + (24 - daylength) * emc(obs.minTempF, obs.maxRH)) / 24;
+  const rainHours = obs.precipitationDuration;
+  const boundary100 = ((24 - rainHours) * emcBar + rainHours * (0.5 * rainHours + 41)) / 24;
+  const boundary1000 = ((24 - rainHours) * emcBar + rainHours * (2.7 * rainHours + 76)) / 24;
+  const dead100h = state.dead100h + (boundary100 - state.dead100h) * FR100;
+
+  const boundaries = state.boundary1000.slice(1).concat(boundary1000);
+  const weeklyBoundary = boundaries.reduce((sum, b) => sum + b, 0) / boundaries.length;
+  const weekAgo = state.history1000[0];
+  const dead1000h = weekAgo + (weeklyBoundary - weekAgo) * FR1000;
+
+  const live = stepLiveMoisture(state, obs, dead1000h);
+  const drought = stepKBDI(state.kbdi, obs, station.annualPrecipitation, state.rainPeriodTotal);
+
+  const indices = calculateNFDRSIndices(station.fuelModel, {
+    dead1h, dead10h, dead100h, dead1000h,
+    liveHerb: live.liveHerb,
+    liveWoody: live.liveWoody,
+    windSpeed: obs.windSpeed,
+    slope: station.slope,
+    fuelTempF
+  });
+
+  const round = value => Math.round(value * 10) / 10;
+  return {
+    state: {
+      station,
+      lastDate: obs.date,
+      dead100h,
+      dead1000h,
+      x1000: live.x1000,
+      liveHerb: live.liveHerb,
+      liveWoody: live.liveWoody,
+      kbdi: drought.kbdi,
+      rainPeriodTotal: drought.rainPeriodTotal,
+      history1000: state.history1000.slice(1).concat(dead1000h),
+      boundary1000: boundaries
+    },
+    day: Object.assign({
+      date: obs.date,
+      dayOfYear: obs.dayOfYear,
+      moisture: {
+        dead1h: round(dead1h),
+        dead10h: round(dead10h),
+        dead100h: round(dead100h),
+        dead1000h: round(dead1000h),
+        liveHerb: round(live.liveHerb),
+        liveWoody: round(live.liveWoody)
+      },
+      kbdi: Math.round(drought.kbdi),
+      daylength: round(daylength),
+      precipitationDuration: rainHours
+    }, indices)
+  };
+}
+
+/**
+ * Run a daily observation series
+ * @param {Array} observations - Daily observations in date order (see stepNFDRS)
+ * @param {object} options - Station options for createNFDRSState, or { state } to continue a run
+ * @returns {object} { days, series: { dates, erc, bi, sc, ic, kbdi, dead1h, dead10h,
+ *   dead100h, dead1000h, liveHerb, liveWoody }, state, warnings }
+ */
+function runNFDRS(observations, options = {}) {
+  if (!Array.isArray(observations) || observations.length === 0) {
+    throw new Error('Invalid input: observations must be a non-empty array');
+  }
+
+  let state = options.state || createNFDRSState(options);
+  const days = [];
+  const warnings = [];
+  observations.forEach(obs => {
+    const result = stepNFDRS(state, obs);
+    if (state.lastDate !== null) {
+      const gap = Math.round((parseObservationDate(result.day.date).time - parseObservationDate(state.lastDate).time) / 86400000);
+      if (gap <= 0) {
+        throw new Error(`Observations must be in date order: ${result.day.date} follows ${state.lastDate}`);
+      }
+      if (gap > 1) {
+        warnings.push(`${gap - 1} missing day(s) between ${state.lastDate} and ${result.day.date}`);
+      }
+    }
+    state = result.state;
+    days.push(result.day);
+  });
+
+  const series = { dates: days.map(d => d.date) };
+  ['erc', 'bi', 'sc', 'ic', 'kbdi'].forEach(key => {
+    series[key] = days.map(d => d[key]);
+  });
+  ['dead1h', 'dead10h', 'dead100h', 'dead1000h', 'liveHerb', 'liveWoody'].forEach(key => {
+    series[key] = days.map(d => d.moisture[key]);
+  });
+
+  return { days, series, state, warnings };
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    NFDRS_FUEL_MODELS,
+    NFDRS_CLIMATE_CLASSES,
+    calculateDaylength,
+    stepKBDI,
+    calculateNFDRSIndices,
+    createNFDRSState,
+    stepNFDRS,
+    runNFDRS
+  };
+}
+
+// Make available in browser
+if (typeof window !== 'undefined') {
+  window.NFDRS = {
+    NFDRS_FUEL_MODELS,
+    NFDRS_CLIMATE_CLASSES,
+    calculateDaylength,
+    stepKBDI,
+    calculateNFDRSIndices,
+    createNFDRSState,
+    stepNFDRS,
+    runNFDRS
+  };
+}
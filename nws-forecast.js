@@ -0,0 +1,273 @@
+/**
+ * NWS Gridpoint Forecast Import
+ * Expands the time series in a saved api.weather.gov gridpoint response
+ * (properties.temperature, relativeHumidity, windSpeed, ...) into hourly
+ * weather and runs it through the moisture and fire behavior models
+ */
+
+// Import companion modules if in Node.js environment
+let FireTimelineForForecast = null;
+if (typeof require !== 'undefined') {
+  try {
+    FireTimelineForForecast = require('./fire-timeline.js');
+  } catch (e) {
+    // Modules not available, will use window object in browser
+  }
+}
+
+function getForecastModule(lib, globalName) {
+  const resolved = lib || (typeof window !== 'undefined' ? window[globalName] : null);
+  if (!resolved) {
+    throw new Error(`${globalName} module is not loaded`);
+  }
+  return resolved;
+}
+
+const HOUR_MS = 3600000;
+const MIN_FORECAST_DAYS = 2;
+const MAX_FORECAST_DAYS = 7;
+
+// Unit conversions from the WMO unit codes used by api.weather.gov
+const UNIT_CONVERSIONS = {
+  temperature: {
+    'wmoUnit:degC': v => v * 9 / 5 + 32,
+    'wmoUnit:degF': v => v,
+    'wmoUnit:K': v => (v - 273.15) * 9 / 5 + 32
+  },
+  speed: {
+    'wmoUnit:km_h-1': v => v / 1.609344,
+    'wmoUnit:m_s-1': v => v / 0.44704,
+    'wmoUnit:kt': v => v * 1.150779,
+    'wmoUnit:mi_h-1': v => v
+  },
+  percent: {
+    'wmoUnit:percent': v => v
+  },
+  angle: {
+    'wmoUnit:degree_(angle)': v => v
+  },
+  length: {
+    'wmoUnit:mm': v => v / 25.4,
+    'wmoUnit:cm': v => v / 2.54,
+    'wmoUnit:in': v => v
+  }
+};
+
+/**
+ * Hours in an ISO-8601 duration (PT1H, PT3H, P1D, P1DT6H, ...)
+ * @param {string} duration - ISO-8601 duration
+ * @returns {number} Hours
+ */
+function parseISODuration(duration) {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/.exec(duration || '');
+  if (!match || duration === 'P' || duration === 'PT') {
+    throw new Error(`Invalid ISO-8601 duration: ${duration}`);
+  }
+  const [, days = 0, hours = 0, minutes = 0] = match;
+  return Number(days) * 24 + Number(hours) + Number(minutes) / 60;
+}
+
+/**
+ * Split a validTime interval ('2024-07-01T12:00:00+00:00/PT3H')
+ * @param {string} validTime - ISO-8601 start and duration
+ * @returns {object} { start: ms, hours }
+ */
+function parseValidTime(validTime) {
+  const [startText, durationText] = String(validTime).split('/');
+  const start = Date.parse(startText);
+  if (isNaN(start) || !durationText) {
+    throw new Error(`Invalid validTime: ${validTime}`);
+  }
+  return { start, hours: parseISODuration(durationText) };
+}
+
+/**
+ * Expand one gridpoint time series into hourly values
+ * @param {object} series - { uom, values: [{ validTime, value }] }
+ * @param {string} kind - Unit family in UNIT_CONVERSIONS
+ * @param {object} options - { accumulated: spread interval totals evenly over its hours }
+ * @returns {Map} Hour start (ms) -> converted value
+ */
+function expandTimeSeries(series, kind, options = {}) {
+  const hourly = new Map();
+  if (!series || !Array.isArray(series.values)) {
+    return hourly;
+  }
+  const convert = UNIT_CONVERSIONS[kind][series.uom];
+  if (!convert) {
+    throw new Error(`Unsupported unit ${series.uom} for ${kind}`);
+  }
+
+  series.values.forEach(entry => {
+    if (entry.value === null || entry.value === undefined) {
+      return;
+    }
+    const { start, hours } = parseValidTime(entry.validTime);
+    const steps = Math.max(1, Math.round(hours));
+    const value = convert(entry.value) / (options.accumulated ? steps : 1);
+    const firstHour = Math.floor(start / HOUR_MS) * HOUR_MS;
+    for (let i = 0; i < steps; i++) {
+      hourly.set(firstHour + i * HOUR_MS, value);
+    }
+  });
+  return hourly;
+}
+
+/**
+ * Hourly weather from a gridpoint response. The 20-ft wind grids are used
+ * when present, otherwise the 10-m wind. Sky cover becomes fuel shading.
+ * @param {string|object} input - Gridpoint JSON text, full response or its properties
+ * @returns {object} { updateTime, elevation, windHeight, hours: [{ time, tempF, rh,
+ *   windSpeed: mph, windDirection, precipitation: in, shading }] }
+ */
+function parseGridpointForecast(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (e) {
+      throw new Error(`Invalid forecast JSON: ${e.message}`);
+    }
+  }
+  const properties = data && data.properties ? data.properties : data;
+  if (!properties || !properties.temperature || !properties.relativeHumidity) {
+    throw new Error('Invalid forecast: expected a gridpoint response with temperature and relativeHumidity');
+  }
+
+  const twentyFoot = properties.twentyFootWindSpeed && Array.isArray(properties.twentyFootWindSpeed.values) &&
+    properties.twentyFootWindSpeed.values.length > 0;
+  const windSeries = twentyFoot ? properties.twentyFootWindSpeed : properties.windSpeed;
+  if (!windSeries) {
+    throw new Error('Invalid forecast: expected windSpeed or twentyFootWindSpeed');
+  }
+  const directionSeries = twentyFoot && properties.twentyFootWindDirection ?
+    properties.twentyFootWindDirection : properties.windDirection;
+
+  const temperature = expandTimeSeries(properties.temperature, 'temperature');
+  const humidity = expandTimeSeries(properties.relativeHumidity, 'percent');
+  const wind = expandTimeSeries(windSeries, 'speed');
+  const direction = expandTimeSeries(directionSeries, 'angle');
+  const precipitation = expandTimeSeries(properties.quantitativePrecipitation, 'length', { accumulated: true });
+  const skyCover = expandTimeSeries(properties.skyCover, 'percent');
+
+  const hours = Array.from(temperature.keys())
+    .filter(time => humidity.has(time) && wind.has(time))
+    .sort((a, b) => a - b)
+    .map(time => ({
+      time: new Date(time).toISOString(),
+      tempF: Math.round(temperature.get(time) * 10) / 10,
+      rh: Math.round(humidity.get(time) * 10) / 10,
+      windSpeed: Math.round(wind.get(time) * 10) / 10,
+      windDirection: direction.has(time) ? direction.get(time) : null,
+      precipitation: precipitation.has(time) ? Math.round(precipitation.get(time) * 1000) / 1000 : 0,
+      shading: skyCover.has(time) ? skyCover.get(time) : 0
+    }));
+
+  if (hours.length === 0) {
+    throw new Error('Invalid forecast: no hours with temperature, humidity and wind');
+  }
+
+  return {
+    updateTime: properties.updateTime || null,
+    elevation: properties.elevation || null,
+    windHeight: twentyFoot ? '20ft' : '10m',
+    hours
+  };
+}
+
+/**
+ * Forecast hours as fire timeline weather steps. Gridpoint values are valid
+ * from the start of each hour, while a timeline step is stamped with the time
+ * it ends, so each hour becomes a one-hour step ending an hour after its start.
+ * @param {string|object} forecast - Gridpoint JSON, or the result of parseGridpointForecast
+ * @returns {Array} [{ time: ISO end of hour, hours: 1, tempF, rh, windSpeed, windDirection,
+ *   precipitation, shading }]
+ */
+function forecastWeatherSteps(forecast) {
+  const parsed = forecast && Array.isArray(forecast.hours) ? forecast : parseGridpointForecast(forecast);
+  return parsed.hours.map(hour => Object.assign({}, hour, {
+    time: new Date(Date.parse(hour.time) + HOUR_MS).toISOString(),
+    hours: 1
+  }));
+}
+
+/**
+ * Hourly moisture and fire behavior for a forecast. The hours run through
+ * FireTimeline.runFireTimeline, so 1-hour, 10-hour and 100-hour moisture all
+ * evolve with the forecast weather.
+ * @param {string|object} forecast - Gridpoint JSON, or the result of parseGridpointForecast
+ * @param {object} options - { days: 2-7 (default 7), startTime: ISO or Date (default first
+ *   forecast hour), initialMoisture: 1-h % (default EMC of the first hour), initial:
+ *   { dead10h, dead100h } % (default one and two points above 1-h), moistureModel,
+ *   plus predictFireBehavior inputs: fuelModel, slope, aspect, liveHerb, liveStem,
+ *   canopyCover, canopyHeight, crownRatio }
+ * @returns {object} { updateTime, windHeight, rows: fire timeline rows (time is the end of
+ *   the hour) plus { windDirection, moisture: 1-h % } }
+ */
+function buildFireBehaviorTimeline(forecast, options = {}) {
+  const parsed = forecast && Array.isArray(forecast.hours) ? forecast : parseGridpointForecast(forecast);
+  const { days = MAX_FORECAST_DAYS, startTime = null, initialMoisture = null, initial = {}, moistureModel = null,
+    fuelModel = '2', slope = 0, aspect = null, liveHerb, liveStem,
+    canopyCover = 0, canopyHeight = 0, crownRatio = 0 } = options;
+  if (typeof days !== 'number' || isNaN(days) || days < MIN_FORECAST_DAYS || days > MAX_FORECAST_DAYS) {
+    throw new Error(`Forecast length must be between ${MIN_FORECAST_DAYS} and ${MAX_FORECAST_DAYS} days`);
+  }
+
+  const start = startTime === null ? Date.parse(parsed.hours[0].time) : new Date(startTime).getTime();
+  const end = start + days * 24 * HOUR_MS;
+  const hours = parsed.hours.filter(hour => {
+    const time = Date.parse(hour.time);
+    return time >= start && time < end;
+  });
+  if (hours.length === 0) {
+    throw new Error('No forecast hours in the requested period');
+  }
+
+  const timeline = getForecastModule(FireTimelineForForecast, 'FireTimeline').runFireTimeline(
+    forecastWeatherSteps({ hours }), {
+      initial: Object.assign({}, initial, {
+        dead1h: initialMoisture !== null ? initialMoisture : undefined,
+        liveHerb,
+        liveStem
+      }),
+      moistureModel,
+      fuelModel,
+      slope,
+      aspect,
+      windHeight: parsed.windHeight,
+      canopyCover,
+      canopyHeight,
+      crownRatio
+    });
+
+  const rows = timeline.rows.map((row, i) => Object.assign({}, row, {
+    windDirection: hours[i].windDirection,
+    moisture: row.moistures.dead1h
+  }));
+
+  return { updateTime: parsed.updateTime, windHeight: parsed.windHeight, rows };
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseISODuration,
+    parseValidTime,
+    expandTimeSeries,
+    parseGridpointForecast,
+    forecastWeatherSteps,
+    buildFireBehaviorTimeline
+  };
+}
+
+// Make available in browser
+if (typeof window !== 'undefined') {
+  window.NWSForecast = {
+    parseISODuration,
+    parseValidTime,
+    expandTimeSeries,
+    parseGridpointForecast,
+    forecastWeatherSteps,
+    buildFireBehaviorTimeline
+  };
+}
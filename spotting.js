@@ -0,0 +1,312 @@
+/**
+ * Maximum Spotting Distance Calculator
+ * Albini (1979, 1981, 1983) maximum spot distance from torching trees,
+ * burning piles and wind-driven surface fires, as implemented in BehavePlus SPOT
+ */
+
+// Import fire behavior calculator if in Node.js environment. Loaded lazily
+// because fire-behavior.js also uses this module.
+let FireBehaviorForSpotting = null;
+
+function getFireBehaviorForSpotting() {
+  if (!FireBehaviorForSpotting && typeof require !== 'undefined') {
+    try {
+      FireBehaviorForSpotting = require('./fire-behavior.js');
+    } catch (e) {
+      // Module not available, will use window object in browser
+    }
+  }
+  const lib = FireBehaviorForSpotting || (typeof window !== 'undefined' ? window.FireBehavior : null);
+  if (!lib) {
+    throw new Error('Fire behavior module is not loaded');
+  }
+  return lib;
+}
+
+// Torching tree flame height and duration coefficients (Albini 1979):
+// flame height = a * DBH^b * N^0.4 (ft), duration = c * DBH^d * N^-0.2 (min)
+const SPOTTING_SPECIES = {
+  engelmannSpruce: { name: 'Engelmann spruce', a: 15.7, b: 0.451, c: 12.6, d: -0.256 },
+  douglasFir: { name: 'Douglas-fir', a: 15.7, b: 0.451, c: 10.7, d: -0.278 },
+  subalpineFir: { name: 'Subalpine fir', a: 15.7, b: 0.451, c: 10.7, d: -0.278 },
+  westernHemlock: { name: 'Western hemlock', a: 15.7, b: 0.451, c: 6.3, d: -0.249 },
+  ponderosaPine: { name: 'Ponderosa pine', a: 12.9, b: 0.453, c: 12.6, d: -0.256 },
+  lodgepolePine: { name: 'Lodgepole pine', a: 12.9, b: 0.453, c: 12.6, d: -0.256 },
+  westernWhitePine: { name: 'Western white pine', a: 12.9, b: 0.453, c: 10.7, d: -0.278 },
+  grandFir: { name: 'Grand fir', a: 16.5, b: 0.515, c: 10.7, d: -0.278 },
+  balsamFir: { name: 'Balsam fir', a: 16.5, b: 0.515, c: 10.7, d: -0.278 },
+  slashPine: { name: 'Slash pine', a: 2.71, b: 1.0, c: 11.9, d: -0.389 },
+  longleafPine: { name: 'Longleaf pine', a: 2.71, b: 1.0, c: 11.9, d: -0.389 },
+  pondPine: { name: 'Pond pine', a: 2.71, b: 1.0, c: 7.91, d: -0.344 },
+  shortleafPine: { name: 'Shortleaf pine', a: 2.71, b: 1.0, c: 7.91, d: -0.344 },
+  loblollyPine: { name: 'Loblolly pine', a: 2.71, b: 1.0, c: 13.5, d: -0.544 }
+};
+
+// Position of the firebrand source in ridge-to-valley terrain
+const SPOTTING_SOURCE_LOCATIONS = {
+  ridgeTop: 0,
+  midslopeWindward: 1,
+  valleyBottom: 2,
+  midslopeLeeward: 3
+};
+
+const FT_PER_MILE = 5280;
+
+/**
+ * Spot distance over flat terrain (Albini 1979)
+ * @param {number} firebrandHeight - Maximum firebrand height (ft)
+ * @param {number} coverHeight - Downwind cover height used (ft)
+ * @param {number} windSpeed20ft - 20-ft wind speed (mph)
+ * @returns {number} Distance (miles)
+ */
+function spotDistanceFlatTerrain(firebrandHeight, coverHeight, windSpeed20ft) {
+  if (coverHeight <= 0 || firebrandHeight <= coverHeight || windSpeed20ft <= 0) {
+    return 0;
+  }
+  const ratio = firebrandHeight / coverHeight;
+  return 0.000718 * windSpeed20ft * Math.sqrt(coverHeight) *
+    (0.362 + Math.sqrt(ratio) / 2 * Math.log(ratio));
+}
+
+/**
+ * Spot distance over ridge-to-valley terrain (Albini 1981)
+ * @param {number} flatDistance - Flat terrain distance (miles)
+ * @param {object} terrain - { ridgeToValleyElevation: ft, ridgeToValleyDistance: miles, sourceLocation }
+ * @returns {number} Distance (miles)
+ */
+function spotDistanceMountainTerrain(flatDistance, terrain = {}) {
+  const { ridgeToValleyElevation = 0, ridgeToValleyDistance = 0, sourceLocation = 'ridgeTop' } = terrain;
+  const location = SPOTTING_SOURCE_LOCATIONS[sourceLocation];
+  if (location === undefined) {
+    throw new Error('Invalid source location: use ridgeTop, midslopeWindward, valleyBottom or midslopeLeeward');
+  }
+  if (ridgeToValleyElevation <= 0 || ridgeToValleyDistance <= 0 || flatDistance <= 0) {
+    return flatDistance;
+  }
+
+  const a1 = flatDistance / ridgeToValleyDistance;
+  const b1 = ridgeToValleyElevation / (10 * Math.PI) / 1000;
+  const phase = location * Math.PI / 2;
+  let x = a1;
+  for (let i = 0; i < 6; i++) {
+    x = a1 - b1 * (Math.cos(Math.PI * x - phase) - Math.cos(phase));
+  }
+  return Math.max(0, x * ridgeToValleyDistance);
+}
+
+/**
+ * Downwind cover height used in the spot distance equations; open canopies
+ * count as half their height
+ * @param {number} downwindCoverHeight - Downwind canopy or vegetation height (ft)
+ * @param {boolean} downwindCanopyOpen - True if the downwind canopy is open
+ * @returns {number} Cover height (ft)
+ */
+function coverHeightUsed(downwindCoverHeight, downwindCanopyOpen) {
+  if (typeof downwindCoverHeight !== 'number' || isNaN(downwindCoverHeight) || downwindCoverHeight <= 0) {
+    throw new Error('Invalid input: downwind cover height must be greater than 0');
+  }
+  return downwindCanopyOpen ? downwindCoverHeight / 2 : downwindCoverHeight;
+}
+
+function formatSpotResult(firebrandHeight, coverHeight, windSpeed20ft, terrain, extra, firebrandDrift = 0) {
+  const flat = firebrandDrift + spotDistanceFlatTerrain(firebrandHeight, coverHeight, windSpeed20ft);
+  const mountain = spotDistanceMountainTerrain(flat, terrain);
+
+  return Object.assign({
+    firebrandHeight: Math.round(firebrandHeight * 10) / 10,
+    coverHeightUsed: coverHeight,
+    flatDistance: {
+      miles: Math.round(flat * 1000) / 1000,
+      feet: Math.round(flat * FT_PER_MILE),
+      kilometers: Math.round(flat * 1.609344 * 1000) / 1000
+    },
+    maxSpotDistance: {
+      miles: Math.round(mountain * 1000) / 1000,
+      feet: Math.round(mountain * FT_PER_MILE),
+      kilometers: Math.round(mountain * 1.609344 * 1000) / 1000
+    }
+  }, extra);
+}
+
+/**
+ * Maximum spot distance from a group of torching trees (Albini 1979)
+ * @param {object} params - { species, dbh: in, treeHeight: ft, torchingTrees: count,
+ *   downwindCoverHeight: ft, downwindCanopyOpen, windSpeed20ft: mph, terrain }
+ * @returns {object} { flameHeight, flameDuration, firebrandHeight, flatDistance, maxSpotDistance }
+ */
+function calculateSpottingFromTorchingTrees(params) {
+  const {
+    species,
+    dbh,
+    treeHeight,
+    torchingTrees = 1,
+    downwindCoverHeight,
+    downwindCanopyOpen = false,
+    windSpeed20ft,
+    terrain = {}
+  } = params;
+
+  const coefficients = SPOTTING_SPECIES[species];
+  if (!coefficients) {
+    throw new Error('Invalid species for torching trees');
+  }
+  if (typeof dbh !== 'number' || dbh <= 0 || typeof treeHeight !== 'number' || treeHeight <= 0 ||
+      typeof torchingTrees !== 'number' || torchingTrees < 1) {
+    throw new Error('Invalid input: DBH, tree height and number of torching trees must be positive numbers');
+  }
+
+  const flameHeight = coefficients.a * Math.pow(dbh, coefficients.b) * Math.pow(torchingTrees, 0.4);
+  const flameDuration = coefficients.c * Math.pow(dbh, coefficients.d) * Math.pow(torchingTrees, -0.2);
+
+  // Firebrand lofting coefficients by tree-height to flame-height ratio
+  const heightRatio = treeHeight / flameHeight;
+  let a;
+  let b;
+  if (heightRatio >= 1) {
+    a = 4.24;
+    b = 0.332;
+  } else if (heightRatio >= 0.5) {
+    a = 3.64;
+    b = 0.391;
+  } else {
+    a = 2.78;
+    b = 0.418;
+  }
+  const firebrandHeight = a * Math.pow(flameDuration, b) * flameHeight + treeHeight / 2;
+
+  return formatSpotResult(
+    firebrandHeight,
+    coverHeightUsed(downwindCoverHeight, downwindCanopyOpen),
+    windSpeed20ft,
+    terrain,
+    {
+      flameHeight: Math.round(flameHeight * 10) / 10,
+      flameDuration: Math.round(flameDuration * 100) / 100
+    }
+  );
+}
+
+/**
+ * Maximum spot distance from a burning pile (Albini 1981)
+ * @param {object} params - { flameHeight: ft, downwindCoverHeight: ft, downwindCanopyOpen,
+ *   windSpeed20ft: mph, terrain }
+ * @returns {object} { firebrandHeight, flatDistance, maxSpotDistance }
+ */
+function calculateSpottingFromBurningPile(params) {
+  const { flameHeight, downwindCoverHeight, downwindCanopyOpen = false, windSpeed20ft, terrain = {} } = params;
+  if (typeof flameHeight !== 'number' || flameHeight < 0) {
+    throw new Error('Invalid input: pile flame height must be a non-negative number');
+  }
+
+  return formatSpotResult(
+    12.2 * flameHeight,
+    coverHeightUsed(downwindCoverHeight, downwindCanopyOpen),
+    windSpeed20ft,
+    terrain,
+    {}
+  );
+}
+
+/**
+ * Maximum spot distance from a wind-driven surface fire (Albini 1983). As in
+ * BehavePlus, the flat distance adds the drift of the firebrand while it is
+ * lofted, 0.000278 U20 z^0.643 miles, to the distance it travels from the top.
+ * @param {object} params - { flameLength: ft, firelineIntensity: BTU/ft/s, downwindCoverHeight: ft,
+ *   downwindCanopyOpen, windSpeed20ft: mph, terrain }
+ *   flameLength is taken from calculateFlameLength when only firelineIntensity is given
+ * @returns {object} { flameLength, firebrandHeight, firebrandDrift: miles, flatDistance, maxSpotDistance }
+ */
+function calculateSpottingFromSurfaceFire(params) {
+  const { firelineIntensity, downwindCoverHeight, downwindCanopyOpen = false, windSpeed20ft, terrain = {} } = params;
+  let flameLength = params.flameLength;
+  if (flameLength === undefined && typeof firelineIntensity === 'number') {
+    flameLength = getFireBehaviorForSpotting().calculateFlameLength(firelineIntensity).flameLengthFt;
+  }
+  if (typeof flameLength !== 'number' || flameLength < 0) {
+    throw new Error('Invalid input: flame length must be a non-negative number');
+  }
+
+  let firebrandHeight = 0;
+  let firebrandDrift = 0;
+  if (windSpeed20ft > 0 && flameLength > 0) {
+    // Byram intensity back-calculated from flame length (BTU/ft/s)
+    const intensity = Math.pow(flameLength / 0.45, 1 / 0.46);
+    const f = 322 * Math.pow(0.474 * windSpeed20ft, -1.01);
+    firebrandHeight = 1.055 * Math.sqrt(f * intensity);
+    firebrandDrift = 0.000278 * windSpeed20ft * Math.pow(firebrandHeight, 0.643);
+  }
+
+  return formatSpotResult(
+    firebrandHeight,
+    coverHeightUsed(downwindCoverHeight, downwindCanopyOpen),
+    windSpeed20ft,
+    terrain,
+    {
+      flameLength: Math.round(flameLength * 10) / 10,
+      firebrandDrift: Math.round(firebrandDrift * 1000) / 1000
+    },
+    firebrandDrift
+  );
+}
+
+/**
+ * Spotting distances for every source that has inputs
+ * @param {object} params - { windSpeed20ft, downwindCoverHeight, downwindCanopyOpen, terrain,
+ *   flameLength or firelineIntensity, torchingTrees: { species, dbh, treeHeight, count }, burningPile: { flameHeight } }
+ * @returns {object} { surfaceFire, torchingTrees, burningPile } for the sources given
+ */
+function calculateSpotting(params) {
+  const { windSpeed20ft, downwindCoverHeight, downwindCanopyOpen = false, terrain = {} } = params;
+  const shared = { windSpeed20ft, downwindCoverHeight, downwindCanopyOpen, terrain };
+  const result = {};
+
+  if (typeof params.flameLength === 'number' || typeof params.firelineIntensity === 'number') {
+    result.surfaceFire = calculateSpottingFromSurfaceFire(Object.assign({
+      flameLength: params.flameLength,
+      firelineIntensity: params.firelineIntensity
+    }, shared));
+  }
+  if (params.torchingTrees) {
+    const trees = params.torchingTrees;
+    result.torchingTrees = calculateSpottingFromTorchingTrees(Object.assign({
+      species: trees.species,
+      dbh: trees.dbh,
+      treeHeight: trees.treeHeight,
+      torchingTrees: trees.count
+    }, shared));
+  }
+  if (params.burningPile) {
+    result.burningPile = calculateSpottingFromBurningPile(Object.assign({
+      flameHeight: params.burningPile.flameHeight
+    }, shared));
+  }
+  return result;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SPOTTING_SPECIES,
+    SPOTTING_SOURCE_LOCATIONS,
+    spotDistanceFlatTerrain,
+    spotDistanceMountainTerrain,
+    calculateSpottingFromTorchingTrees,
+    calculateSpottingFromBurningPile,
+    calculateSpottingFromSurfaceFire,
+    calculateSpotting
+  };
+}
+
+// Make available in browser
+if (typeof window !== 'undefined') {
+  window.Spotting = {
+    SPOTTING_SPECIES,
+    SPOTTING_SOURCE_LOCATIONS,
+    spotDistanceFlatTerrain,
+    spotDistanceMountainTerrain,
+    calculateSpottingFromTorchingTrees,
+    calculateSpottingFromBurningPile,
+    calculateSpottingFromSurfaceFire,
+    calculateSpotting
+  };
+}
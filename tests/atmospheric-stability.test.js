@@ -0,0 +1,113 @@
+/**
+ * Tests for atmospheric-stability.js Haines and Hot-Dry-Windy indices
+ */
+
+const AtmosphericStability = require('../atmospheric-stability.js');
+
+const DRY_UNSTABLE = {
+  windUnits: 'kt',
+  levels: [
+    { pressure: 1000, height: 110, temperature: 32, dewpoint: 5, windSpeed: 15 },
+    { pressure: 975, height: 330, temperature: 29.5, dewpoint: 3, windSpeed: 25 },
+    { pressure: 950, height: 560, temperature: 27, dewpoint: 1, windSpeed: 30 },
+    { pressure: 850, height: 1500, temperature: 18, dewpoint: -4, windSpeed: 28 },
+    { pressure: 700, height: 3100, temperature: 5, dewpoint: -15, windSpeed: 35 },
+    { pressure: 500, height: 5800, temperature: -14, dewpoint: -35, windSpeed: 45 }
+  ]
+};
+
+const MOIST_STABLE = [
+  { pressure: 1000, temperature: 20, dewpoint: 18, windSpeed: 5 },
+  { pressure: 950, temperature: 18, dewpoint: 16, windSpeed: 8 },
+  { pressure: 850, temperature: 15, dewpoint: 13, windSpeed: 10 },
+  { pressure: 700, temperature: 6, dewpoint: 2, windSpeed: 15 },
+  { pressure: 500, temperature: -10, dewpoint: -15, windSpeed: 25 }
+];
+
+describe('AtmosphericStability - parseSounding', () => {
+  test('should accept a JSON string and sort levels surface upward', () => {
+    const reversed = Object.assign({}, DRY_UNSTABLE, { levels: DRY_UNSTABLE.levels.slice().reverse() });
+    const { levels } = AtmosphericStability.parseSounding(JSON.stringify(reversed));
+
+    expect(levels[0].pressure).toBe(1000);
+    expect(levels[0].agl).toBe(0);
+    expect(levels[1].agl).toBe(220);
+    expect(levels[0].windSpeed).toBeCloseTo(15 * 0.514444, 5);
+  });
+
+  test('should fill missing heights hypsometrically', () => {
+    const { levels } = AtmosphericStability.parseSounding(MOIST_STABLE);
+    expect(levels[2].agl).toBeGreaterThan(1300);
+    expect(levels[2].agl).toBeLessThan(1600);
+  });
+
+  test('should report malformed soundings', () => {
+    expect(() => AtmosphericStability.parseSounding('{ levels: ')).toThrow('Invalid sounding JSON');
+    expect(() => AtmosphericStability.parseSounding([{ pressure: 1000, temperature: 20 }])).toThrow('at least two levels');
+    expect(() => AtmosphericStability.parseSounding([{ pressure: 1000, temperature: 20 }, { pressure: 900 }]))
+      .toThrow('Invalid sounding level 2: temperature must be a number');
+  });
+});
+
+describe('AtmosphericStability - Haines Index', () => {
+  test('should score a dry, unstable sounding as high', () => {
+    const low = AtmosphericStability.calculateHainesIndex(DRY_UNSTABLE, 'low');
+    expect(low.stability.value).toBe(9);
+    expect(low.moisture.value).toBe(22);
+    expect(low.index).toBe(6);
+    expect(low.category).toBe('High');
+    expect(low.interpretation).toMatch(/plume-dominated/);
+  });
+
+  test('should score a moist, stable sounding as very low', () => {
+    const mid = AtmosphericStability.calculateHainesIndex(MOIST_STABLE, 'mid');
+    expect(mid.index).toBe(3);
+    expect(mid.category).toBe('Very Low');
+  });
+
+  test('should interpolate between reported levels', () => {
+    const sparse = DRY_UNSTABLE.levels.filter(level => level.pressure !== 950);
+    const low = AtmosphericStability.calculateHainesIndex(sparse, 'low');
+    expect(low.stability.value).toBeGreaterThan(8);
+    expect(low.stability.value).toBeLessThan(10);
+  });
+
+  test('should report variants the sounding does not reach', () => {
+    const highTerrain = DRY_UNSTABLE.levels.filter(level => level.pressure <= 850);
+    const low = AtmosphericStability.calculateHainesIndex(highTerrain, 'low');
+    expect(low.index).toBeNull();
+    expect(low.reason).toMatch(/950-850 hPa/);
+  });
+
+  test('should pick the variant for the station elevation', () => {
+    expect(AtmosphericStability.hainesVariantForElevation(300)).toBe('low');
+    expect(AtmosphericStability.hainesVariantForElevation(2000)).toBe('mid');
+    expect(AtmosphericStability.hainesVariantForElevation(6000)).toBe('high');
+  });
+});
+
+describe('AtmosphericStability - Hot-Dry-Windy Index', () => {
+  test('should multiply the maximum VPD and wind in the lowest 500 m', () => {
+    const result = AtmosphericStability.calculateHotDryWindyIndex(DRY_UNSTABLE);
+    const vpd = AtmosphericStability.boltonVaporPressure(32) - AtmosphericStability.boltonVaporPressure(5);
+
+    expect(result.maxVaporPressureDeficit).toBeCloseTo(vpd, 2);
+    expect(result.maxWindSpeed).toBeCloseTo(30 * 0.514444, 1);
+    expect(result.windHeight).toBe(450);
+    expect(result.hdw).toBeCloseTo(vpd * 30 * 0.514444, 0);
+    expect(result.category).toBe('Extreme');
+  });
+
+  test('should be low for moist, light-wind air', () => {
+    const result = AtmosphericStability.calculateHotDryWindyIndex(MOIST_STABLE);
+    expect(result.hdw).toBeLessThan(50);
+    expect(result.category).toBe('Low');
+  });
+
+  test('should combine every index in analyzeSounding', () => {
+    const analysis = AtmosphericStability.analyzeSounding(JSON.stringify(DRY_UNSTABLE), { elevationFt: 2500 });
+    expect(Object.keys(analysis.haines)).toEqual(['low', 'mid', 'high']);
+    expect(analysis.recommendedHaines).toBe('mid');
+    expect(analysis.hdw.hdw).toBeGreaterThan(300);
+  });
+});
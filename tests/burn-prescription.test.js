@@ -0,0 +1,158 @@
+/**
+ * Tests for burn-prescription.js prescription window planner
+ */
+
+const BurnPrescription = require('../burn-prescription.js');
+const FireTimeline = require('../fire-timeline.js');
+const NWSForecast = require('../nws-forecast.js');
+const { diurnalWeather, forecastTime, gridpointForecast, gridpointSeries, memoryStorage } = require('./helpers.js');
+
+function row(values) {
+  return Object.assign({ tempF: 70, rh: 35, midflameWindSpeed: 4, moistures: { dead1h: 8 }, flameLength: 2 }, values);
+}
+
+// Hourly weather with a dry, windy afternoon
+const SPRING_WEATHER = { start: Date.UTC(2024, 2, 1), tempF: [60, 12], rh: [45, 20], windSpeed: [10, 6] };
+
+describe('BurnPrescription - prescriptions', () => {
+  test('should normalize ranges and defaults', () => {
+    const prescription = BurnPrescription.parsePrescription({
+      name: ' Unit 4 ',
+      fuelModel: '9',
+      ranges: { rh: [25, 45], flameLength: { max: 4 }, midflameWind: { min: 2, max: null } }
+    });
+
+    expect(prescription).toEqual({
+      version: 1,
+      name: 'Unit 4',
+      fuelModel: '9',
+      minWindowHours: 1,
+      ranges: {
+        rh: { min: 25, max: 45 },
+        flameLength: { min: null, max: 4 },
+        midflameWind: { min: 2, max: null }
+      }
+    });
+    expect(BurnPrescription.parsePrescription(BurnPrescription.serializePrescription(prescription))).toEqual(prescription);
+  });
+
+  test('should reject invalid prescriptions', () => {
+    expect(() => BurnPrescription.parsePrescription('{')).toThrow('Invalid prescription JSON');
+    expect(() => BurnPrescription.parsePrescription({ ranges: { rh: [1, 2] } })).toThrow('name is required');
+    expect(() => BurnPrescription.parsePrescription({ name: 'x', ranges: {} })).toThrow('at least one range');
+    expect(() => BurnPrescription.parsePrescription({ name: 'x', ranges: { rh: [45, 25] } }))
+      .toThrow('Invalid prescription range "rh": max is below min');
+    expect(() => BurnPrescription.parsePrescription({ name: 'x', ranges: { rh: [null, null] } })).toThrow('give a min, a max or both');
+    expect(() => BurnPrescription.parsePrescription({ name: 'x', ranges: { rh: ['low', 40] } })).toThrow('must be numbers or null');
+  });
+
+  test('should save, list and remove prescriptions by name', () => {
+    const storage = memoryStorage();
+    expect(BurnPrescription.listPrescriptions(storage)).toEqual({});
+    expect(BurnPrescription.savePrescription(BurnPrescription.DEFAULT_PRESCRIPTION, storage)).toBe(true);
+    expect(BurnPrescription.savePrescription(JSON.stringify({ name: 'Grass', ranges: { rh: [20, 40] } }), storage)).toBe(true);
+
+    expect(Object.keys(BurnPrescription.listPrescriptions(storage)).sort()).toEqual(['Example understory burn', 'Grass']);
+    expect(BurnPrescription.removePrescription('Grass', storage)).toBe(true);
+    expect(BurnPrescription.removePrescription('Grass', storage)).toBe(false);
+    expect(BurnPrescription.savePrescription(BurnPrescription.DEFAULT_PRESCRIPTION, null)).toBe(false);
+    expect(() => BurnPrescription.savePrescription({ name: 'Bad' }, storage)).toThrow('at least one range');
+  });
+
+  test('should reject inherited property names', () => {
+    const storage = memoryStorage();
+    ['__proto__', 'constructor', ' toString '].forEach(name => {
+      expect(() => BurnPrescription.savePrescription({ name, ranges: { rh: [20, 40] } }, storage))
+        .toThrow(`Invalid prescription: name ${name.trim()} is reserved`);
+    });
+    expect(BurnPrescription.removePrescription('constructor', storage)).toBe(false);
+    expect(BurnPrescription.listPrescriptions(storage)).toEqual({});
+  });
+});
+
+describe('BurnPrescription - hour checks', () => {
+  const prescription = BurnPrescription.parsePrescription(BurnPrescription.DEFAULT_PRESCRIPTION);
+
+  test('should name the field farthest outside its range', () => {
+    expect(BurnPrescription.checkPrescriptionRow(row(), prescription)).toEqual({ inPrescription: true, limitingFactor: null, outOfRange: [] });
+
+    // RH is 3 points over a 20-point range, 1-h moisture 1 point under a 4-point range
+    const check = BurnPrescription.checkPrescriptionRow(row({ rh: 48, moistures: { dead1h: 5 } }), prescription);
+    expect(check.inPrescription).toBe(false);
+    expect(check.limitingFactor).toBe('moisture1h');
+    expect(check.outOfRange).toEqual([
+      { field: 'rh', label: 'Relative Humidity', value: 48, min: 25, max: 45, reason: 'above' },
+      { field: 'moisture1h', label: '1-h Moisture', value: 5, min: 6, max: 10, reason: 'below' }
+    ]);
+  });
+
+  test('should rank missing values first', () => {
+    const check = BurnPrescription.checkPrescriptionRow(row({ rh: 90, midflameWindSpeed: null }), prescription);
+    expect(check.limitingFactor).toBe('midflameWind');
+    expect(check.outOfRange[1]).toMatchObject({ field: 'midflameWind', value: null, reason: 'missing' });
+  });
+
+  test('should find contiguous windows of at least minWindowHours', () => {
+    const rows = [row(), row(), row({ rh: 60 }), row(), row({ stepHours: 3 }), row({ flameLength: 6 })]
+      .map((r, i) => Object.assign(r, { time: `T${i}` }));
+    const result = BurnPrescription.evaluatePrescription(rows, BurnPrescription.DEFAULT_PRESCRIPTION);
+
+    expect(result.hours.map(hour => hour.inPrescription)).toEqual([true, true, false, true, true, false]);
+    expect(result.windows).toEqual([
+      { start: 'T0', end: 'T1', startIndex: 0, endIndex: 1, hours: 2 },
+      { start: 'T3', end: 'T4', startIndex: 3, endIndex: 4, hours: 4 }
+    ]);
+    expect(result.inPrescriptionHours).toBe(6);
+    expect(result.limitingCounts).toEqual({ rh: 1, flameLength: 1 });
+
+    const longer = BurnPrescription.evaluatePrescription(rows, Object.assign({}, BurnPrescription.DEFAULT_PRESCRIPTION, { minWindowHours: 3 }));
+    expect(longer.windows.map(window => window.start)).toEqual(['T3']);
+  });
+});
+
+describe('BurnPrescription - planning', () => {
+  test('should run the weather through the fire timeline', () => {
+    const weather = diurnalWeather(48, SPRING_WEATHER);
+    const plan = BurnPrescription.planBurnWindows(weather, BurnPrescription.DEFAULT_PRESCRIPTION, { fuelModel: '2', windHeight: '20ft' });
+    const timeline = FireTimeline.runFireTimeline(weather, { fuelModel: '9', windHeight: '20ft' });
+
+    expect(plan.rows).toEqual(timeline.rows);
+    expect(plan.windows.length).toBeGreaterThan(0);
+    plan.windows.forEach(window => {
+      plan.rows.slice(window.startIndex, window.endIndex + 1).forEach(r => {
+        expect(r.rh).toBeGreaterThanOrEqual(25);
+        expect(r.rh).toBeLessThanOrEqual(45);
+        expect(r.flameLength).toBeLessThanOrEqual(4);
+      });
+    });
+    expect(plan.hours.filter(hour => !hour.inPrescription).every(hour => hour.limitingFactor)).toBe(true);
+  });
+
+  test('should place forecast windows on the hours the forecast gives', () => {
+    // RH is in prescription for the forecast hours starting 18Z to 23Z
+    const rh = h => (h >= 6 && h < 12 ? 35 : 60);
+    const forecast = gridpointForecast(24, { relativeHumidity: gridpointSeries('wmoUnit:percent', 24, 1, rh) });
+    const plan = BurnPrescription.planBurnWindows(NWSForecast.forecastWeatherSteps(forecast),
+      { name: 'RH', ranges: { rh: [25, 45] } }, { windHeight: '10m' });
+
+    // Rows are stamped with the end of each hour
+    expect(plan.windows).toEqual([{
+      start: forecastTime(7).replace('+00:00', '.000Z'),
+      end: forecastTime(12).replace('+00:00', '.000Z'),
+      startIndex: 6,
+      endIndex: 11,
+      hours: 6
+    }]);
+    expect(plan.inPrescriptionHours).toBe(6);
+  });
+
+  test('should report fire behavior as missing for hours without wind', () => {
+    const weather = diurnalWeather(24, SPRING_WEATHER).map((step, i) => (i === 10 ? Object.assign({}, step, { windSpeed: undefined }) : step));
+    const plan = BurnPrescription.planBurnWindows(weather, { name: 'Wind', ranges: { flameLength: [0, 20] } });
+
+    expect(plan.rows[10].flameLength).toBeNull();
+    expect(plan.hours[10]).toMatchObject({ inPrescription: false, limitingFactor: 'flameLength' });
+    expect(plan.hours[10].outOfRange[0].reason).toBe('missing');
+    expect(plan.windows.map(window => [window.startIndex, window.endIndex])).toEqual([[0, 9], [11, 23]]);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests for crown-fire.js crown fire initiation and spread
+ */
+
+const FireBehavior = require('../fire-behavior.js');
+const CrownFire = require('../crown-fire.js');
+
+const moistures = { dead1h: 4, dead10h: 5, dead100h: 6, liveHerb: 70, liveStem: 90 };
+const canopy = { canopyBaseHeight: 10, canopyBulkDensity: 0.15, canopyHeight: 60, foliarMoisture: 100 };
+
+function assess(windSpeed20ft, overrides = {}) {
+  return CrownFire.assessCrownFire(Object.assign({
+    fuelModel: '10',
+    moistures,
+    slope: 0,
+    windSpeed20ft,
+    waf: 0.2
+  }, canopy, overrides));
+}
+
+describe('CrownFire - initiation and spread thresholds', () => {
+  test('should compute Van Wagner critical surface intensity', () => {
+    const critical = CrownFire.calculateCriticalSurfaceIntensity(10, 100);
+    const expected = Math.pow(0.010 * 10 * 0.3048 * (460 + 2590), 1.5);
+
+    expect(critical.kWm).toBeCloseTo(expected, 6);
+    expect(critical.btuFtS).toBeCloseTo(expected / 3.46414, 6);
+    expect(critical.flameLengthFt).toBeGreaterThan(0);
+  });
+
+  test('should need more intensity for higher canopy base and wetter foliage', () => {
+    const base = CrownFire.calculateCriticalSurfaceIntensity(10, 100).kWm;
+    expect(CrownFire.calculateCriticalSurfaceIntensity(20, 100).kWm).toBeGreaterThan(base);
+    expect(CrownFire.calculateCriticalSurfaceIntensity(10, 120).kWm).toBeGreaterThan(base);
+  });
+
+  test('should compute critical active spread from canopy bulk density', () => {
+    expect(CrownFire.calculateCriticalActiveRos(0.15)).toBeCloseTo(20, 6);
+    expect(() => CrownFire.calculateCriticalActiveRos(0)).toThrow('canopy bulk density');
+  });
+
+  test('should scale fuel model 10 spread by 3.34 for active crown spread', () => {
+    const fm10 = FireBehavior.calculateRateOfSpread(8, moistures, 0, '10', { applyWindLimit: false });
+    expect(CrownFire.calculateActiveCrownRos(20, moistures)).toBeCloseTo(3.34 * fm10.rosMetric, 6);
+  });
+});
+
+describe('CrownFire - assessCrownFire', () => {
+  test('should classify light winds as surface fire', () => {
+    const result = assess(5);
+    expect(result.fireType).toBe('surface');
+    expect(result.crownFractionBurned).toBe(0);
+  });
+
+  test('should classify strong winds as active crown fire', () => {
+    const result = assess(40);
+    expect(result.fireType).toBe('active');
+    expect(result.crownFractionBurned).toBe(1);
+    expect(result.rateOfSpread.metersPerMin).toBeCloseTo(result.activeCrownRos.metersPerMin, 1);
+  });
+
+  test('should classify torching under a sparse canopy as passive', () => {
+    const result = assess(30, { canopyBaseHeight: 2, canopyBulkDensity: 0.03 });
+    expect(result.fireType).toBe('passive');
+    expect(result.crownFractionBurned).toBeGreaterThan(0);
+  });
+
+  test('should classify conditional crown fire between crowning and torching indices', () => {
+    const between = (assess(0).crowningIndex + assess(0).torchingIndex) / 2;
+    expect(assess(between).fireType).toBe('conditional');
+  });
+
+  test('should put fire type thresholds at the Torching and Crowning Index', () => {
+    const indices = assess(0);
+    expect(indices.torchingIndex).toBeGreaterThan(0);
+    expect(indices.crowningIndex).toBeGreaterThan(0);
+
+    expect(assess(indices.torchingIndex + 0.5).fireType).toMatch(/passive|active/);
+    expect(assess(indices.torchingIndex - 0.5).fireType).toMatch(/surface|conditional/);
+    expect(assess(indices.crowningIndex + 0.5).fireType).toMatch(/conditional|active/);
+  });
+});
+
+describe('CrownFire - predictFireBehavior integration', () => {
+  test('should add a crown fire assessment when canopy inputs are provided', () => {
+    const result = FireBehavior.predictFireBehavior(Object.assign({
+      windSpeed: 25,
+      windHeight: '20ft',
+      moistures,
+      fuelModel: '10',
+      canopyCover: 50,
+      crownRatio: 0.5
+    }, canopy));
+
+    expect(result.crownFire).toBeDefined();
+    expect(['surface', 'passive', 'conditional', 'active']).toContain(result.crownFire.fireType);
+    expect(result.crownFire).toHaveProperty('torchingIndex');
+    expect(result.crownFire).toHaveProperty('crowningIndex');
+  });
+
+  test('should omit crown fire without canopy inputs', () => {
+    const result = FireBehavior.predictFireBehavior({ windSpeed: 10, fuelMoisture: 6, fuelModel: '10' });
+    expect(result).not.toHaveProperty('crownFire');
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Tests for custom-fuel-models.js registry
+ */
+
+const FireBehavior = require('../fire-behavior.js');
+const CustomFuelModels = require('../custom-fuel-models.js');
+const { memoryStorage } = require('./helpers.js');
+
+function plotModel(overrides = {}) {
+  return Object.assign({
+    name: 'Five Forks Plot 12',
+    fuelLoad: { dead1h: 1.8, dead10h: 2.2, dead100h: 1.0, liveHerb: 0.4, liveStem: 1.1 },
+    sav: { dead1h: 2200, liveHerb: 1800, liveStem: 1600 },
+    fuelDepth: 1.2,
+    moistureExtinction: 25,
+    heatContent: 8000,
+    dynamic: true
+  }, overrides);
+}
+
+afterEach(() => {
+  Object.keys(CustomFuelModels.listCustomFuelModels()).forEach(code => {
+    CustomFuelModels.removeFuelModel(code, { persist: false });
+  });
+});
+
+describe('CustomFuelModels - validateFuelModel', () => {
+  test('should accept a complete plot-derived model', () => {
+    const result = CustomFuelModels.validateFuelModel('FF12', plotModel());
+    expect(result.valid).toBe(true);
+    expect(result.errors).toHaveLength(0);
+  });
+
+  test('should require every size class load', () => {
+    const model = plotModel({ fuelLoad: { dead1h: 1.8, dead10h: 2.2 } });
+    const result = CustomFuelModels.validateFuelModel('FF12', model);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors.join(' ')).toMatch(/dead100h/);
+    expect(result.errors.join(' ')).toMatch(/liveStem/);
+  });
+
+  test('should reject out-of-range SAV, depth and extinction moisture', () => {
+    const model = plotModel({
+      sav: { dead1h: 9000, liveHerb: 1800, liveStem: 1600 },
+      fuelDepth: 0,
+      moistureExtinction: 90
+    });
+    const result = CustomFuelModels.validateFuelModel('FF12', model);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toHaveLength(3);
+  });
+
+  test('should not allow replacing a standard fuel model', () => {
+    const result = CustomFuelModels.validateFuelModel('GR2', plotModel());
+    expect(result.valid).toBe(false);
+    expect(result.errors[0]).toMatch(/standard fuel model/);
+  });
+});
+
+describe('CustomFuelModels - registry', () => {
+  test('should make registered models usable by predictFireBehavior', () => {
+    CustomFuelModels.registerFuelModel('FF12', plotModel(), { persist: false });
+
+    const result = FireBehavior.predictFireBehavior({ windSpeed: 5, fuelMoisture: 6, fuelModel: 'FF12' });
+    expect(result.canSpread).toBe(true);
+    expect(result.fuelModel).toBe('Five Forks Plot 12');
+    expect(FireBehavior.FUEL_MODELS.FF12.family).toBe('Custom');
+    expect(FireBehavior.FUEL_MODELS.FF12.sav.dead10h).toBe(109);
+  });
+
+  test('should throw with validation messages for invalid models', () => {
+    expect(() => {
+      CustomFuelModels.registerFuelModel('FF12', plotModel({ name: '' }), { persist: false });
+    }).toThrow('Invalid custom fuel model: Name is required');
+  });
+
+  test('should remove custom models but never built-ins', () => {
+    CustomFuelModels.registerFuelModel('FF12', plotModel(), { persist: false });
+
+    expect(CustomFuelModels.removeFuelModel('FF12', { persist: false })).toBe(true);
+    expect(CustomFuelModels.removeFuelModel('2', { persist: false })).toBe(false);
+    expect(FireBehavior.FUEL_MODELS.FF12).toBeUndefined();
+    expect(FireBehavior.FUEL_MODELS['2']).toBeDefined();
+    expect(FireBehavior.predictFireBehavior({ fuelModel: 'FF12' })).toHaveProperty('error');
+  });
+
+  test('should round-trip through JSON', () => {
+    CustomFuelModels.registerFuelModel('FF12', plotModel(), { persist: false });
+    const json = CustomFuelModels.serializeCustomFuelModels();
+    CustomFuelModels.removeFuelModel('FF12', { persist: false });
+
+    const result = CustomFuelModels.importCustomFuelModels(json, { persist: false });
+    expect(result.imported).toEqual(['FF12']);
+    expect(CustomFuelModels.listCustomFuelModels().FF12.fuelLoad.dead10h).toBe(2.2);
+  });
+
+  test('should report invalid models in an import and keep the valid ones', () => {
+    const doc = { version: 1, models: { FF12: plotModel(), BAD: plotModel({ fuelDepth: -1 }) } };
+    const result = CustomFuelModels.importCustomFuelModels(doc, { persist: false });
+
+    expect(result.imported).toEqual(['FF12']);
+    expect(result.errors[0].code).toBe('BAD');
+    expect(result.errors[0].error).toMatch(/depth/);
+  });
+
+  test('should reject inherited property names as codes', () => {
+    const result = CustomFuelModels.importCustomFuelModels(
+      '{"models": {"__proto__": ' + JSON.stringify(plotModel()) + ', "constructor": ' + JSON.stringify(plotModel()) + '}}',
+      { persist: false });
+
+    expect(result.imported).toEqual([]);
+    expect(result.errors.map(error => error.error)).toEqual([
+      'Invalid custom fuel model: Code __proto__ is reserved',
+      'Invalid custom fuel model: Code constructor is reserved'
+    ]);
+    expect(Object.getPrototypeOf(FireBehavior.FUEL_MODELS)).toBe(Object.prototype);
+    expect(CustomFuelModels.removeFuelModel('constructor', { persist: false })).toBe(false);
+  });
+
+  test('should throw for malformed import files', () => {
+    expect(() => CustomFuelModels.importCustomFuelModels('{not json')).toThrow('Invalid custom fuel model file');
+    expect(() => CustomFuelModels.importCustomFuelModels('{}')).toThrow('missing models');
+  });
+
+  test('should persist to and load from storage', () => {
+    const storage = memoryStorage();
+    CustomFuelModels.registerFuelModel('FF12', plotModel(), { persist: false });
+    expect(CustomFuelModels.saveCustomFuelModels(storage)).toBe(true);
+    CustomFuelModels.removeFuelModel('FF12', { persist: false });
+
+    const result = CustomFuelModels.loadCustomFuelModels(storage);
+    expect(result.imported).toEqual(['FF12']);
+    expect(FireBehavior.FUEL_MODELS.FF12).toBeDefined();
+  });
+});
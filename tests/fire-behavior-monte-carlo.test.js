@@ -0,0 +1,195 @@
+/**
+ * Tests for fire-behavior-monte-carlo.js uncertainty analysis
+ */
+
+const FireBehaviorMonteCarlo = require('../fire-behavior-monte-carlo.js');
+const FireBehavior = require('../fire-behavior.js');
+
+function correlation(xs, ys) {
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  xs.forEach((x, i) => {
+    sxy += (x - mx) * (ys[i] - my);
+    sxx += (x - mx) * (x - mx);
+    syy += (ys[i] - my) * (ys[i] - my);
+  });
+  return sxy / Math.sqrt(sxx * syy);
+}
+
+describe('FireBehaviorMonteCarlo - sampling', () => {
+  test('should repeat a seeded sequence', () => {
+    const a = FireBehaviorMonteCarlo.createSeededRandom(42);
+    const b = FireBehaviorMonteCarlo.createSeededRandom(42);
+    const c = FireBehaviorMonteCarlo.createSeededRandom('burn unit 7');
+    const first = [a(), a(), a()];
+
+    expect([b(), b(), b()]).toEqual(first);
+    expect(c()).not.toBe(first[0]);
+    expect(first.every(value => value >= 0 && value < 1)).toBe(true);
+    expect(() => FireBehaviorMonteCarlo.createSeededRandom(NaN)).toThrow('Invalid seed');
+  });
+
+  test('should invert each distribution', () => {
+    const { validateDistribution, sampleDistribution } = FireBehaviorMonteCarlo;
+    const uniform = validateDistribution('windSpeed', { type: 'uniform', min: 4, max: 8 });
+    const triangular = validateDistribution('windSpeed', { type: 'triangular', min: 0, mode: 5, max: 10 });
+    const normal = validateDistribution('temp', { type: 'normal', mean: 80, sd: 5 });
+
+    expect(sampleDistribution(uniform, 0.25)).toBe(5);
+    expect(sampleDistribution(triangular, 0.5)).toBeCloseTo(5, 6);
+    expect(sampleDistribution(normal, 0.5)).toBeCloseTo(80, 3);
+    expect(sampleDistribution(normal, 0.9)).toBeCloseTo(86.41, 1);
+  });
+
+  test('should keep samples within physical limits', () => {
+    const { validateDistribution, sampleDistribution } = FireBehaviorMonteCarlo;
+    const rh = validateDistribution('rh', { type: 'normal', mean: 95, sd: 20 });
+    expect(rh).toMatchObject({ min: 1, max: 100 });
+    expect(sampleDistribution(rh, 0.999)).toBeLessThanOrEqual(100);
+
+    expect(() => validateDistribution('rh', { type: 'gamma' })).toThrow('type must be one of normal, triangular, uniform');
+    expect(() => validateDistribution('windSpeed', { type: 'triangular', min: 0, mode: 12, max: 10 }))
+      .toThrow('triangular needs a mode between min and max');
+    expect(() => validateDistribution('rh', { type: 'uniform', min: 120, max: 130 })).toThrow('range lies outside the limits');
+  });
+});
+
+describe('FireBehaviorMonteCarlo - runs', () => {
+  const options = {
+    fixed: { fuelModel: '2', temp: 85, rh: 20 },
+    distributions: {
+      windSpeed: { type: 'normal', mean: 8, sd: 3 },
+      rh: { type: 'normal', mean: 20, sd: 6 },
+      temp: { type: 'uniform', min: 75, max: 95 }
+    },
+    samples: 1000,
+    seed: 7,
+    thresholds: { flameLength: [4, 8] }
+  };
+
+  test('should reproduce results for the same seed', () => {
+    const first = FireBehaviorMonteCarlo.runMonteCarlo(options);
+    const second = FireBehaviorMonteCarlo.runMonteCarlo(options);
+    const other = FireBehaviorMonteCarlo.runMonteCarlo(Object.assign({}, options, { seed: 8 }));
+
+    expect(second.outputs.flameLength.values).toEqual(first.outputs.flameLength.values);
+    expect(other.outputs.flameLength.values).not.toEqual(first.outputs.flameLength.values);
+  });
+
+  test('should report ordered percentiles and exceedance probabilities', () => {
+    const result = FireBehaviorMonteCarlo.runMonteCarlo(options);
+    const { P10, P50, P90 } = result.outputs.flameLength.percentiles;
+    const values = result.outputs.flameLength.values;
+
+    expect(P10).toBeLessThan(P50);
+    expect(P50).toBeLessThan(P90);
+    expect(result.exceedance.map(entry => entry.threshold)).toEqual([4, 8]);
+    expect(result.exceedance[0].probability).toBeCloseTo(values.filter(value => value > 4).length / values.length, 2);
+    expect(result.exceedance[1].probability).toBeLessThan(result.exceedance[0].probability);
+    expect(result.inputs.windSpeed.percentiles.P50).toBeCloseTo(8, 0);
+  });
+
+  test('should correlate RH with temperature', () => {
+    const correlated = FireBehaviorMonteCarlo.runMonteCarlo(Object.assign({}, options, {
+      correlations: [{ params: ['rh', 'temp'], coefficient: -0.8 }]
+    }));
+    const independent = FireBehaviorMonteCarlo.runMonteCarlo(options);
+
+    expect(correlation(correlated.inputs.rh.values, correlated.inputs.temp.values)).toBeLessThan(-0.7);
+    expect(Math.abs(correlation(independent.inputs.rh.values, independent.inputs.temp.values))).toBeLessThan(0.1);
+    expect(() => FireBehaviorMonteCarlo.runMonteCarlo(Object.assign({}, options, {
+      correlations: [{ params: ['rh', 'slope'], coefficient: 0.5 }]
+    }))).toThrow('params must name two different inputs that have distributions');
+  });
+
+  test('should derive 1-h moisture from the sampled RH and temperature', () => {
+    const run = sd => FireBehaviorMonteCarlo.runMonteCarlo({
+      fixed: { fuelModel: '2', windSpeed: 6, temp: 85, rh: 30, fuelMoisture: 6 },
+      distributions: { rh: { type: 'normal', mean: 30, sd } },
+      samples: 500,
+      outputs: ['ros', 'conditions.fuelMoisture']
+    });
+    const narrow = run(2);
+    const wide = run(10);
+    const range = result => result.outputs.ros.percentiles.P90 - result.outputs.ros.percentiles.P10;
+
+    expect(range(wide)).toBeGreaterThan(2 * range(narrow));
+    const emc = FireBehavior.predictFireBehavior({ fuelModel: '2', temp: 85, rh: wide.inputs.rh.values[0], useEMC: true }).emc;
+    expect(wide.outputs['conditions.fuelMoisture'].values[0]).toBeCloseTo(emc, 1);
+  });
+
+  test('should derive 1-h moisture from EMC at 0°F', () => {
+    const result = FireBehaviorMonteCarlo.runMonteCarlo({
+      fixed: { fuelModel: '1', windSpeed: 5, temp: 0, fuelMoisture: 10 },
+      distributions: { rh: { type: 'uniform', min: 15, max: 25 } },
+      samples: 50,
+      outputs: ['conditions.fuelMoisture']
+    });
+
+    result.inputs.rh.values.forEach((rh, i) => {
+      const emc = FireBehavior.predictFireBehavior({ fuelModel: '1', temp: 0, rh, useEMC: true }).emc;
+      expect(result.outputs['conditions.fuelMoisture'].values[i]).toBeCloseTo(emc, 1);
+    });
+    expect(result.outputs['conditions.fuelMoisture'].max).toBeLessThan(10);
+  });
+
+  test('should reject a 1-h moisture distribution when moisture comes from EMC', () => {
+    const fuelMoisture = { type: 'uniform', min: 4, max: 10 };
+    expect(() => FireBehaviorMonteCarlo.runMonteCarlo({
+      fixed: { fuelModel: '2', temp: 85, rh: 20, useEMC: true },
+      distributions: { fuelMoisture }
+    })).toThrow('Invalid input: a fuelMoisture distribution has no effect when 1-h moisture comes from EMC');
+    expect(() => FireBehaviorMonteCarlo.runMonteCarlo({
+      fixed: { fuelModel: '2' },
+      distributions: { 'moistures.dead1h': fuelMoisture, temp: { type: 'uniform', min: 75, max: 95 } }
+    })).toThrow('moistures.dead1h distribution has no effect');
+  });
+
+  test('should count runs without spread as zero spread outputs', () => {
+    const result = FireBehaviorMonteCarlo.runMonteCarlo({
+      fixed: { fuelModel: '1' },
+      distributions: { fuelMoisture: { type: 'uniform', min: 8, max: 16 } },
+      samples: 500,
+      thresholds: { ros: 0 }
+    });
+
+    expect(result.noSpreadFraction).toBeGreaterThan(0.2);
+    expect(result.outputs.ros.min).toBe(0);
+    expect(result.exceedance[0].probability).toBeCloseTo(1 - result.noSpreadFraction, 2);
+  });
+
+  test('should reject invalid runs', () => {
+    expect(() => FireBehaviorMonteCarlo.runMonteCarlo({ distributions: {} })).toThrow('at least one input distribution');
+    expect(() => FireBehaviorMonteCarlo.runMonteCarlo(Object.assign({}, options, { samples: 50000 }))).toThrow('samples must be a whole number');
+    expect(() => FireBehaviorMonteCarlo.runMonteCarlo(Object.assign({}, options, { thresholds: { spotting: 1 } })))
+      .toThrow('"spotting" is not one of the outputs');
+  });
+});
+
+describe('FireBehaviorMonteCarlo - summaries', () => {
+  test('should compute percentiles, exceedance and histogram bins', () => {
+    const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+    expect(FireBehaviorMonteCarlo.monteCarloPercentile(values, 50)).toBe(5.5);
+    expect(FireBehaviorMonteCarlo.monteCarloPercentile(values, 90)).toBeCloseTo(9.1, 6);
+    expect(FireBehaviorMonteCarlo.exceedanceProbability(values, 7)).toBe(0.3);
+
+    const bins = FireBehaviorMonteCarlo.histogramBins(values, { bins: 3 });
+    expect(bins.map(bin => bin.count)).toEqual([3, 3, 4]);
+    expect(bins[2].to).toBe(10);
+  });
+
+  test('should draw a histogram with percentile and threshold markers', () => {
+    const svg = FireBehaviorMonteCarlo.renderMonteCarloHistogram([1, 2, 2, 3, 5, 8], {
+      bins: 5, title: 'Flame Length', units: 'ft', percentiles: { P10: 1.5, P90: 6.5 }, threshold: 4
+    });
+
+    expect(svg.match(/<rect [^>]*fill-opacity/g)).toHaveLength(5);
+    expect(svg).toContain('>P10</text>');
+    expect(svg).toContain('&gt; 4 ft: 33%');
+    expect(() => FireBehaviorMonteCarlo.renderMonteCarloHistogram([])).toThrow('no values to plot');
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Tests for fire-behavior-sweep.js sensitivity tables
+ */
+
+const FireBehaviorSweep = require('../fire-behavior-sweep.js');
+const FireBehavior = require('../fire-behavior.js');
+
+describe('FireBehaviorSweep - axes', () => {
+  test('should build axis values from ranges or lists', () => {
+    expect(FireBehaviorSweep.sweepAxisValues({ param: 'windSpeed', min: 0, max: 15, step: 5 })).toEqual([0, 5, 10, 15]);
+    expect(FireBehaviorSweep.sweepAxisValues({ param: 'fuelMoisture', min: 3, max: 4, step: 0.1 })).toHaveLength(11);
+    expect(FireBehaviorSweep.sweepAxisValues({ param: 'fuelModel', values: ['1', '2'] })).toEqual(['1', '2']);
+  });
+
+  test('should reject invalid axes', () => {
+    expect(() => FireBehaviorSweep.sweepAxisValues({ min: 0, max: 1, step: 1 })).toThrow('param is required');
+    expect(() => FireBehaviorSweep.sweepAxisValues({ param: 'slope', min: 0, max: 10, step: 0 }))
+      .toThrow('Invalid sweep axis "slope": step must be positive');
+    expect(() => FireBehaviorSweep.sweepAxisValues({ param: 'slope', min: 0, max: 1000, step: 1 }))
+      .toThrow(`more than ${FireBehaviorSweep.MAX_SWEEP_VALUES} values`);
+    expect(() => FireBehaviorSweep.runSweep({ rows: { param: 'slope', values: [0] }, columns: { param: 'slope', values: [5] } }))
+      .toThrow('rows and columns must vary different inputs');
+  });
+});
+
+describe('FireBehaviorSweep - matrices', () => {
+  test('should match predictFireBehavior cell by cell', () => {
+    const fixed = { fuelModel: '2', slope: 10 };
+    const sweep = FireBehaviorSweep.runSweep({
+      fixed,
+      rows: { param: 'fuelMoisture', min: 3, max: 12, step: 3 },
+      columns: { param: 'windSpeed', min: 0, max: 15, step: 5 },
+      outputs: ['ros', 'flameLength', 'firelineIntensity']
+    });
+
+    expect(sweep.rows).toMatchObject({ label: '1-h Moisture', units: '%', values: [3, 6, 9, 12] });
+    expect(sweep.columns.values).toEqual([0, 5, 10, 15]);
+    expect(sweep.matrices.ros).toHaveLength(4);
+    expect(sweep.matrices.ros[0]).toHaveLength(4);
+
+    const expected = FireBehavior.predictFireBehavior({ fuelModel: '2', slope: 10, fuelMoisture: 9, windSpeed: 5 });
+    expect(sweep.matrices.ros[2][1]).toBe(expected.rateOfSpread.chainsPerHour);
+    expect(sweep.matrices.flameLength[2][1]).toBe(expected.flameLength.feet);
+    expect(sweep.cells[2][1].values.firelineIntensity).toBe(expected.firelineIntensity);
+  });
+
+  test('should mark cells where fire does not spread', () => {
+    const sweep = FireBehaviorSweep.runSweep({
+      fixed: { fuelModel: '1' },
+      rows: { param: 'fuelMoisture', values: [6, 15] },
+      outputs: ['ros', 'probabilityOfIgnition']
+    });
+
+    expect(sweep.columns).toBeNull();
+    expect(sweep.cells.map(row => row[0].canSpread)).toEqual([true, false]);
+    expect(sweep.matrices.ros[1][0]).toBeNull();
+    expect(typeof sweep.matrices.probabilityOfIgnition[1][0]).toBe('number');
+  });
+
+  test('should vary nested moistures and keep dead1h in step with fuelMoisture', () => {
+    const sweep = FireBehaviorSweep.runSweep({
+      fixed: { fuelModel: '10', fuelMoisture: 6, moistures: { dead1h: 6, dead10h: 8 } },
+      rows: { param: 'moistures.dead10h', values: [6, 20] },
+      columns: { param: 'fuelMoisture', values: [4, 8] }
+    });
+
+    expect(sweep.matrices.ros[1][0]).toBeLessThan(sweep.matrices.ros[0][0]);
+    expect(sweep.matrices.ros[0][1]).toBeLessThan(sweep.matrices.ros[0][0]);
+  });
+
+  test('should derive 1-h moisture from EMC when sweeping humidity or temperature', () => {
+    const sweep = FireBehaviorSweep.runSweep({
+      fixed: { fuelModel: '2', windSpeed: 5, temp: 80, fuelMoisture: 6 },
+      rows: { param: 'rh', values: [15, 40, 70] },
+      columns: { param: 'temp', values: [60, 95] }
+    });
+    const ros = sweep.matrices.ros;
+
+    expect(ros[0][0]).toBeGreaterThan(ros[1][0]);
+    expect(ros[1][1]).toBeGreaterThan(ros[1][0]);
+    const expected = FireBehavior.predictFireBehavior({ fuelModel: '2', windSpeed: 5, temp: 95, rh: 40, useEMC: true });
+    expect(ros[1][1]).toBe(expected.rateOfSpread.chainsPerHour);
+  });
+
+  test('should keep EMC-derived spread monotonic when RH or temperature starts at 0', () => {
+    const fixed = { fuelModel: '1', windSpeed: 5, temp: 80, rh: 20 };
+    const byRH = FireBehaviorSweep.runSweep({ fixed, rows: { param: 'rh', min: 0, max: 20, step: 5 } }).matrices.ros.map(row => row[0]);
+    const byTemp = FireBehaviorSweep.runSweep({ fixed, rows: { param: 'temp', values: [-10, 0, 10] } }).matrices.ros.map(row => row[0]);
+
+    byRH.slice(1).forEach((ros, i) => expect(ros).toBeLessThan(byRH[i]));
+    byTemp.slice(1).forEach((ros, i) => expect(ros).toBeGreaterThanOrEqual(byTemp[i]));
+  });
+
+  test('should use swept 1-h moisture even when the fixed inputs use EMC', () => {
+    const sweep = FireBehaviorSweep.runSweep({
+      fixed: { fuelModel: '2', windSpeed: 5, temp: 80, rh: 30, useEMC: true },
+      rows: { param: 'fuelMoisture', values: [4, 10] }
+    });
+    expect(sweep.matrices.ros[1][0]).toBeLessThan(sweep.matrices.ros[0][0]);
+
+    expect(() => FireBehaviorSweep.runSweep({
+      rows: { param: 'rh', values: [20, 40] },
+      columns: { param: 'fuelMoisture', values: [4, 8] }
+    })).toThrow('cannot be swept with 1-h moisture');
+  });
+
+  test('should read dotted result paths and report bad inputs', () => {
+    const sweep = FireBehaviorSweep.runSweep({
+      rows: { param: 'windSpeed', values: [5] },
+      outputs: ['windAdjustment.referenceHeight']
+    });
+    expect(sweep.matrices['windAdjustment.referenceHeight']).toEqual([['midflame']]);
+    expect(() => FireBehaviorSweep.runSweep({ rows: { param: 'fuelModel', values: ['2', 'nope'] } }))
+      .toThrow('Sweep failed at fuelModel=nope: Invalid fuel model');
+  });
+});
+
+describe('FireBehaviorSweep - CSV', () => {
+  test('should write one block per output with NS for no spread', () => {
+    const sweep = FireBehaviorSweep.runSweep({
+      fixed: { fuelModel: '1' },
+      rows: { param: 'fuelMoisture', values: [6, 15] },
+      columns: { param: 'windSpeed', values: [0, 5] }
+    });
+    const blocks = FireBehaviorSweep.sweepToCSV(sweep).trim().split('\n\n');
+
+    expect(blocks).toHaveLength(2);
+    const lines = blocks[0].split('\n');
+    expect(lines[0]).toBe('Rate of Spread (ch/h)');
+    expect(lines[1]).toBe('1-h Moisture (%) \\ Wind Speed (mph),0,5');
+    expect(lines[2]).toBe(`6,${sweep.matrices.ros[0].join(',')}`);
+    expect(lines[3]).toBe('15,NS,NS');
+    expect(blocks[1].split('\n')[0]).toBe('Flame Length (ft)');
+    expect(() => FireBehaviorSweep.sweepToCSV(sweep, ['heatPerUnitArea'])).toThrow('Output "heatPerUnitArea" is not in this sweep');
+  });
+});
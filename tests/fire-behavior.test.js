@@ -256,3 +256,272 @@ describe('Fire Behavior Tests - Complete Integration', () => {
     expect(result.conditions).toHaveProperty('rh');
   });
 });
+
+describe('Fire Behavior Tests - Rothermel Multi-Size-Class Model', () => {
+  const moistures = { dead1h: 6, dead10h: 7, dead100h: 8, liveHerb: 60, liveStem: 90 };
+
+  test('should build behavior models from fuel-models.js size-class loadings', () => {
+    const model = FireBehavior.FUEL_MODELS['4'];
+
+    expect(model.fuelLoad.dead1h).toBeCloseTo(5.01, 2);
+    expect(model.fuelLoad.liveStem).toBeCloseTo(5.01, 2);
+    expect(model.sav.dead10h).toBe(109);
+    expect(model.load).toBeCloseTo(16.03, 2);
+  });
+
+  test('should match hand-computed Rothermel values for fuel model 1', () => {
+    const result = FireBehavior.calculateRateOfSpread(5, moistures, 0, '1');
+
+    expect(result.reactionIntensity).toBeCloseTo(824, -1);
+    expect(result.noWindNoSlopeRos).toBeCloseTo(4.59, 1);
+    expect(result.residenceTime).toBeCloseTo(384 / 3500, 4);
+    expect(result.heatPerUnitArea).toBeCloseTo(result.reactionIntensity * result.residenceTime, 6);
+  });
+
+  test('should use per-class moistures when provided', () => {
+    const wet = FireBehavior.calculateRateOfSpread(5, Object.assign({}, moistures, { dead100h: 14 }), 0, '10');
+    const dry = FireBehavior.calculateRateOfSpread(5, moistures, 0, '10');
+
+    expect(dry.rosFtPerMin).toBeGreaterThan(wet.rosFtPerMin);
+  });
+
+  test('should let wetter live fuels damp spread in live-fuel models', () => {
+    const green = FireBehavior.calculateRateOfSpread(5, Object.assign({}, moistures, { liveStem: 250 }), 0, '4');
+    const cured = FireBehavior.calculateRateOfSpread(5, moistures, 0, '4');
+
+    expect(cured.rosFtPerMin).toBeGreaterThan(green.rosFtPerMin);
+    expect(cured.liveMoistureExtinction).toBeGreaterThanOrEqual(20);
+  });
+
+  test('should increase spread with wind and slope', () => {
+    const calm = FireBehavior.calculateRateOfSpread(0, moistures, 0, '2');
+    const windy = FireBehavior.calculateRateOfSpread(10, moistures, 0, '2');
+    const steep = FireBehavior.calculateRateOfSpread(0, moistures, 30, '2');
+
+    expect(windy.rosFtPerMin).toBeGreaterThan(calm.rosFtPerMin);
+    expect(steep.rosFtPerMin).toBeGreaterThan(calm.rosFtPerMin);
+    expect(calm.rosFtPerMin).toBeCloseTo(calm.noWindNoSlopeRos, 6);
+  });
+
+  test('should report heat per unit area, reaction intensity and residence time', () => {
+    const result = FireBehavior.predictFireBehavior({
+      windSpeed: 5,
+      moistures,
+      slope: 0,
+      fuelModel: '10'
+    });
+
+    expect(result.heatPerUnitArea).toBeGreaterThan(0);
+    expect(result.reactionIntensity).toBeGreaterThan(0);
+    expect(result.residenceTime).toBeGreaterThan(0);
+    expect(result.conditions.moistures.dead100h).toBe(8);
+    expect(result.firelineIntensity).toBeCloseTo(
+      result.heatPerUnitArea * result.rateOfSpread.feetPerMin / 60, -1
+    );
+  });
+});
+
+describe('Fire Behavior Tests - Scott & Burgan Fuel Models', () => {
+  const moistures = { dead1h: 6, dead10h: 7, dead100h: 8, liveHerb: 60, liveStem: 90 };
+
+  test('should include all 40 Scott & Burgan models alongside Anderson models', () => {
+    const codes = Object.keys(FireBehavior.FUEL_MODELS);
+    const scottBurgan = codes.filter(code => FireBehavior.FUEL_MODELS[code].family === 'Scott & Burgan (2005)');
+
+    expect(scottBurgan).toHaveLength(40);
+    expect(codes).toContain('13');
+    ['GR1', 'GR9', 'GS4', 'SH9', 'TU5', 'TL9', 'SB4'].forEach(code => {
+      expect(codes).toContain(code);
+    });
+  });
+
+  test('should predict fire behavior for every Scott & Burgan model', () => {
+    Object.keys(FireBehavior.FUEL_MODELS)
+      .filter(code => FireBehavior.FUEL_MODELS[code].family === 'Scott & Burgan (2005)')
+      .forEach(code => {
+        const result = FireBehavior.predictFireBehavior({ windSpeed: 5, moistures, fuelModel: code });
+        expect(result.canSpread).toBe(true);
+        expect(result.rateOfSpread.chainsPerHour).toBeGreaterThan(0);
+      });
+  });
+
+  test('should compute herbaceous curing between 30% and 120% moisture', () => {
+    expect(FireBehavior.herbaceousCuring(30)).toBe(1);
+    expect(FireBehavior.herbaceousCuring(20)).toBe(1);
+    expect(FireBehavior.herbaceousCuring(120)).toBe(0);
+    expect(FireBehavior.herbaceousCuring(75)).toBeCloseTo(0.5, 6);
+  });
+
+  test('should spread faster in dynamic grass as herbaceous fuel cures', () => {
+    const green = FireBehavior.predictFireBehavior({
+      windSpeed: 5,
+      moistures: Object.assign({}, moistures, { liveHerb: 120 }),
+      fuelModel: 'GR2'
+    });
+    const cured = FireBehavior.predictFireBehavior({
+      windSpeed: 5,
+      moistures: Object.assign({}, moistures, { liveHerb: 30 }),
+      fuelModel: 'GR2'
+    });
+
+    expect(cured.herbaceousCuring).toBe(100);
+    expect(green.canSpread ? green.rateOfSpread.chainsPerHour : 0)
+      .toBeLessThan(cured.rateOfSpread.chainsPerHour);
+  });
+
+  test('should not apply curing to static models', () => {
+    const result = FireBehavior.predictFireBehavior({ windSpeed: 5, moistures, fuelModel: 'SH5' });
+    expect(result).not.toHaveProperty('herbaceousCuring');
+  });
+});
+
+describe('Fire Behavior Tests - Wind and Slope Vectoring', () => {
+  const moistures = { dead1h: 6, dead10h: 7, dead100h: 8, liveHerb: 60, liveStem: 90 };
+
+  test('should match the scalar sum when wind blows straight upslope', () => {
+    const aligned = FireBehavior.calculateRateOfSpread(5, moistures, 20, '2', { windDirection: 180, aspect: 180 });
+    const legacy = FireBehavior.calculateRateOfSpread(5, moistures, 20, '2');
+
+    expect(aligned.rosFtPerMin).toBeCloseTo(
+      aligned.noWindNoSlopeRos * (1 + aligned.windFactor + aligned.slopeFactor), 6
+    );
+    expect(aligned.rosFtPerMin).toBeCloseTo(legacy.rosFtPerMin, 6);
+    expect(aligned.headingDirection).toBeCloseTo(0, 6);
+  });
+
+  test('should reduce heading spread for cross-slope wind', () => {
+    const upslope = FireBehavior.calculateRateOfSpread(5, moistures, 20, '2', { windDirection: 180, aspect: 180 });
+    const crossSlope = FireBehavior.calculateRateOfSpread(5, moistures, 20, '2', { windDirection: 270, aspect: 180 });
+
+    expect(crossSlope.rosFtPerMin).toBeLessThan(upslope.rosFtPerMin);
+    expect(crossSlope.headingDirection).toBeGreaterThan(0);
+    expect(crossSlope.headingDirection).toBeLessThan(90);
+  });
+
+  test('should head downwind on flat ground', () => {
+    const result = FireBehavior.calculateRateOfSpread(8, moistures, 0, '2', { windDirection: 225, aspect: 0 });
+
+    expect(result.headingDirection).toBeCloseTo(45, 6);
+    expect(result.effectiveWindSpeed).toBeCloseTo(8, 6);
+  });
+
+  test('should derive an effective wind speed that includes slope', () => {
+    const result = FireBehavior.calculateRateOfSpread(0, moistures, 30, '2', { aspect: 90 });
+
+    expect(result.effectiveWindSpeed).toBeGreaterThan(0);
+    expect(result.headingDirection).toBeCloseTo(270, 6);
+  });
+
+  test('should order heading, flanking and backing spread rates', () => {
+    const spread = FireBehavior.calculateRateOfSpread(10, moistures, 0, '1', { windDirection: 0 });
+    const heading = FireBehavior.calculateSpreadInDirection(spread, 'heading');
+    const flanking = FireBehavior.calculateSpreadInDirection(spread, 'flanking');
+    const backing = FireBehavior.calculateSpreadInDirection(spread, 'backing');
+
+    expect(heading.rosFtPerMin).toBeGreaterThan(flanking.rosFtPerMin);
+    expect(flanking.rosFtPerMin).toBeGreaterThan(backing.rosFtPerMin);
+    expect(heading.azimuth).toBeCloseTo(180, 6);
+    expect(backing.azimuth).toBeCloseTo(0, 6);
+  });
+
+  test('should give heading and backing rates at matching azimuths', () => {
+    const spread = FireBehavior.calculateRateOfSpread(10, moistures, 0, '1', { windDirection: 0 });
+
+    expect(FireBehavior.calculateSpreadInDirection(spread, 180).rosFtPerMin)
+      .toBeCloseTo(FireBehavior.calculateSpreadInDirection(spread, 'heading').rosFtPerMin, 6);
+    expect(FireBehavior.calculateSpreadInDirection(spread, 0).rosFtPerMin)
+      .toBeCloseTo(FireBehavior.calculateSpreadInDirection(spread, 'backing').rosFtPerMin, 6);
+  });
+
+  test('should reject unknown directions', () => {
+    const spread = FireBehavior.calculateRateOfSpread(10, moistures, 0, '1');
+    expect(() => FireBehavior.calculateSpreadInDirection(spread, 'sideways')).toThrow('Invalid direction');
+  });
+
+  test('should report heading direction and requested direction in predictions', () => {
+    const result = FireBehavior.predictFireBehavior({
+      windSpeed: 5,
+      moistures,
+      slope: 20,
+      fuelModel: '2',
+      windDirection: 270,
+      aspect: 180,
+      direction: 'flanking'
+    });
+
+    expect(result.headingDirection).toBeGreaterThan(0);
+    expect(result.effectiveWindSpeed).toBeGreaterThan(0);
+    expect(result.spreadDirections.backing.feetPerMin).toBeLessThan(result.spreadDirections.heading.feetPerMin);
+    expect(result.directionalSpread.rateOfSpread).toEqual(result.spreadDirections.flanking);
+    expect(result.directionalSpread.flameLength.feet).toBeLessThan(result.flameLength.feet);
+  });
+});
+
+describe('Fire Behavior Tests - Wind Adjustment Factor', () => {
+  test('should match standard unsheltered WAF values by fuel bed depth', () => {
+    expect(FireBehavior.calculateWindAdjustmentFactor({ fuelDepth: 1.0 }).waf).toBeCloseTo(0.36, 2);
+    expect(FireBehavior.calculateWindAdjustmentFactor({ fuelDepth: 0.2 }).waf).toBeCloseTo(0.28, 2);
+    expect(FireBehavior.calculateWindAdjustmentFactor({ fuelDepth: 6.0 }).waf).toBeCloseTo(0.55, 1);
+  });
+
+  test('should use canopy sheltering when the crown fill portion is at least 5%', () => {
+    const open = FireBehavior.calculateWindAdjustmentFactor({ fuelDepth: 1, canopyCover: 3, canopyHeight: 60, crownRatio: 0.5 });
+    const closed = FireBehavior.calculateWindAdjustmentFactor({ fuelDepth: 1, canopyCover: 50, canopyHeight: 60, crownRatio: 0.5 });
+
+    expect(open.sheltered).toBe(false);
+    expect(closed.sheltered).toBe(true);
+    expect(closed.waf).toBeLessThan(open.waf);
+  });
+
+  test('should convert 10-m and 20-ft wind to midflame wind', () => {
+    const twentyFoot = FireBehavior.calculateMidflameWind(20, '20ft', { fuelDepth: 1 });
+    const tenMeter = FireBehavior.calculateMidflameWind(23, '10m', { fuelDepth: 1 });
+    const midflame = FireBehavior.calculateMidflameWind(7, 'midflame');
+
+    expect(twentyFoot.midflameWindSpeed).toBeCloseTo(20 * twentyFoot.waf, 6);
+    expect(tenMeter.twentyFootWindSpeed).toBeCloseTo(20, 6);
+    expect(midflame.midflameWindSpeed).toBe(7);
+    expect(midflame.waf).toBeNull();
+  });
+
+  test('should accept a user-supplied WAF', () => {
+    const wind = FireBehavior.calculateMidflameWind(20, '20ft', { fuelDepth: 1, windAdjustmentFactor: 0.4 });
+    expect(wind.midflameWindSpeed).toBeCloseTo(8, 6);
+  });
+
+  test('should reject unknown wind heights', () => {
+    expect(() => FireBehavior.calculateMidflameWind(10, '6m')).toThrow('Invalid wind height');
+  });
+
+  test('should report WAF and midflame wind in predictions', () => {
+    const result = FireBehavior.predictFireBehavior({
+      windSpeed: 20,
+      windHeight: '20ft',
+      fuelMoisture: 6,
+      fuelModel: '1'
+    });
+    const waf = FireBehavior.calculateWindAdjustmentFactor({ fuelDepth: 1 }).waf;
+    const midflame = FireBehavior.predictFireBehavior({ windSpeed: 20 * waf, fuelMoisture: 6, fuelModel: '1' });
+
+    expect(result.windAdjustment.waf).toBeCloseTo(0.36, 2);
+    expect(result.windAdjustment.midflameWindSpeed).toBeCloseTo(7.2, 1);
+    expect(result.rateOfSpread.chainsPerHour).toBe(midflame.rateOfSpread.chainsPerHour);
+  });
+});
+
+describe('Fire Behavior Tests - Effective Wind Speed Limit', () => {
+  test('should cap spread at the effective wind speed limit', () => {
+    const limited = FireBehavior.calculateRateOfSpread(30, 4, 0, '8');
+    const unlimited = FireBehavior.calculateRateOfSpread(30, 4, 0, '8', { applyWindLimit: false });
+
+    expect(limited.windLimitExceeded).toBe(true);
+    expect(limited.effectiveWindSpeed).toBeCloseTo(limited.effectiveWindSpeedLimit, 6);
+    expect(limited.rosFtPerMin).toBeLessThan(unlimited.rosFtPerMin);
+  });
+
+  test('should not change spread below the limit', () => {
+    const result = FireBehavior.calculateRateOfSpread(5, 6, 0, '1');
+    expect(result.windLimitExceeded).toBe(false);
+    expect(result.effectiveWindSpeed).toBeCloseTo(5, 6);
+  });
+});
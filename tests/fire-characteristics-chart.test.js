@@ -0,0 +1,67 @@
+/**
+ * Tests for fire-characteristics-chart.js SVG hauling chart
+ */
+
+const FireCharacteristicsChart = require('../fire-characteristics-chart.js');
+const FireBehavior = require('../fire-behavior.js');
+
+describe('FireCharacteristicsChart - interpretation', () => {
+  test('should place band limits on the Byram isolines', () => {
+    expect(FireCharacteristicsChart.flameLengthToIntensity(4)).toBeCloseTo(115.5, 0);
+    expect(FireCharacteristicsChart.flameLengthToIntensity(8)).toBeCloseTo(521.3, 0);
+    expect(FireCharacteristicsChart.flameLengthToIntensity(11)).toBeCloseTo(1041.8, 0);
+  });
+
+  test('should classify flame lengths into suppression bands', () => {
+    const band = flameLength => FireCharacteristicsChart.classifyFireCharacteristics(flameLength).id;
+    expect([0, 3.9, 4, 7.9, 8, 11, 25].map(band))
+      .toEqual(['handCrews', 'handCrews', 'equipment', 'equipment', 'aerial', 'indirect', 'indirect']);
+    expect(() => FireCharacteristicsChart.classifyFireCharacteristics(-1)).toThrow('flame length must be a non-negative number');
+  });
+
+  test('should match predictFireBehavior intensity and flame length', () => {
+    const result = FireBehavior.predictFireBehavior({ windSpeed: 10, fuelMoisture: 6, fuelModel: '2' });
+    const point = FireCharacteristicsChart.toChartScenario(result);
+
+    expect(point.label).toBe(result.fuelModel);
+    expect(point.ros).toBe(result.rateOfSpread.chainsPerHour);
+    expect(Math.abs(point.firelineIntensity - result.firelineIntensity)).toBeLessThanOrEqual(1);
+    expect(point.flameLength).toBeCloseTo(result.flameLength.feet, 0);
+    expect(() => FireCharacteristicsChart.toChartScenario({ ros: 5 })).toThrow('heat per unit area are required');
+  });
+});
+
+describe('FireCharacteristicsChart - rendering', () => {
+  test('should draw bands, isolines and one point per scenario', () => {
+    const svg = FireCharacteristicsChart.renderFireCharacteristicsChart([
+      { label: 'Grass <FM1>', ros: 80, heatPerUnitArea: 90 },
+      { label: 'Brush', ros: 20, heatPerUnitArea: 1500, color: '#000000' }
+    ]);
+
+    expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"')).toBe(true);
+    expect(svg.endsWith('</svg>')).toBe(true);
+    expect(svg.match(/<polygon /g)).toHaveLength(4);
+    expect(svg.match(/<polyline /g)).toHaveLength(FireCharacteristicsChart.DEFAULT_FLAME_LENGTH_ISOLINES.length);
+    expect(svg.match(/<circle /g)).toHaveLength(2);
+    expect(svg).toContain('Grass &lt;FM1&gt;');
+    expect(svg).not.toContain('<FM1>');
+    expect(svg).toContain('fill="#000000"');
+    expect(svg).toContain('Heat per Unit Area');
+  });
+
+  test('should fit the axes to the points unless limits are given', () => {
+    const tick = (svg, value) => svg.includes(`>${value}</text>`);
+    const fitted = FireCharacteristicsChart.renderFireCharacteristicsChart([{ ros: 150, heatPerUnitArea: 3000 }]);
+    expect(tick(fitted, 4000)).toBe(true);
+    expect(tick(fitted, 200)).toBe(true);
+
+    const fixed = FireCharacteristicsChart.renderFireCharacteristicsChart([], { maxHeatPerUnitArea: 2000, maxRateOfSpread: 100 });
+    expect(tick(fixed, 2000)).toBe(true);
+    expect(tick(fixed, 100)).toBe(true);
+    expect(fixed).not.toContain('<circle');
+  });
+
+  test('should round axis limits to readable values', () => {
+    expect([1000, 1200, 24, 260, 4100].map(FireCharacteristicsChart.niceChartMax)).toEqual([1000, 2000, 25, 500, 5000]);
+  });
+});
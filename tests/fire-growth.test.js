@@ -0,0 +1,105 @@
+/**
+ * Tests for fire-growth.js elliptical growth projection
+ */
+
+const FireBehavior = require('../fire-behavior.js');
+const FireGrowth = require('../fire-growth.js');
+
+const moistures = { dead1h: 6, dead10h: 7, dead100h: 8, liveHerb: 60, liveStem: 90 };
+
+describe('FireGrowth - spreadDistance', () => {
+  test('should travel steady-state distance without acceleration', () => {
+    expect(FireGrowth.spreadDistance(10, 60, false)).toBe(600);
+  });
+
+  test('should lag steady state for a point source and approach it over time', () => {
+    const early = FireGrowth.spreadDistance(10, 10, true) / 100;
+    const late = FireGrowth.spreadDistance(10, 240, true) / 2400;
+
+    expect(early).toBeLessThan(0.6);
+    expect(late).toBeGreaterThan(0.95);
+    expect(late).toBeLessThan(1);
+  });
+});
+
+describe('FireGrowth - ellipsePerimeter', () => {
+  test('should equal circumference for a circle', () => {
+    expect(FireGrowth.ellipsePerimeter(10, 10)).toBeCloseTo(2 * Math.PI * 10, 6);
+  });
+
+  test('should approach 4a for a very flat ellipse', () => {
+    expect(FireGrowth.ellipsePerimeter(10, 0)).toBeCloseTo(40, 1);
+  });
+});
+
+describe('FireGrowth - calculateFireGrowth', () => {
+  const spread = FireBehavior.calculateRateOfSpread(5, moistures, 0, '2', { windDirection: 270 });
+
+  test('should size the ellipse from head and backing distances', () => {
+    const growth = FireGrowth.calculateFireGrowth(spread, 2, { pointSource: false });
+    const lengthFt = growth.forwardSpreadDistance.feet + growth.backingSpreadDistance.feet;
+
+    expect(growth.length.feet).toBeCloseTo(lengthFt, -1);
+    expect(growth.maxWidth.feet).toBeCloseTo(growth.length.feet / spread.lengthToBreadth, -1);
+    expect(growth.forwardSpreadDistance.feet).toBeCloseTo(spread.rosFtPerMin * 120, -1);
+    expect(growth.headingDirection).toBe(90);
+  });
+
+  test('should widen at the flanking spread rate', () => {
+    const growth = FireGrowth.calculateFireGrowth(spread, 1, { pointSource: false });
+    expect(growth.maxWidth.feet).toBeCloseTo(2 * growth.spreadRates.flanking * 60, -1);
+  });
+
+  test('should compute area in acres from the ellipse axes', () => {
+    const growth = FireGrowth.calculateFireGrowth(spread, 1, { pointSource: false });
+    const expectedAcres = Math.PI * growth.length.feet * growth.maxWidth.feet / 4 / 43560;
+    expect(growth.area.acres).toBeCloseTo(expectedAcres, 0);
+  });
+
+  test('should grow less with point-source acceleration', () => {
+    const steady = FireGrowth.calculateFireGrowth(spread, 0.5, { pointSource: false });
+    const building = FireGrowth.calculateFireGrowth(spread, 0.5);
+
+    expect(building.area.acres).toBeLessThan(steady.area.acres);
+    expect(building.buildUp).toBeLessThan(1);
+  });
+
+  test('should give zero size when fire cannot spread', () => {
+    const noSpread = FireBehavior.calculateRateOfSpread(5, 30, 0, '2');
+    const growth = FireGrowth.calculateFireGrowth(noSpread, 2);
+
+    expect(growth.canSpread).toBe(false);
+    expect(growth.area.acres).toBe(0);
+  });
+
+  test('should reject negative projection times', () => {
+    expect(() => FireGrowth.calculateFireGrowth(spread, -1)).toThrow('Projection time');
+  });
+});
+
+describe('FireGrowth - projectFireGrowth', () => {
+  test('should project growth from fire behavior inputs', () => {
+    const result = FireGrowth.projectFireGrowth({
+      windSpeed: 5,
+      moistures,
+      fuelModel: '2',
+      projectionHours: 2,
+      intervalHours: 0.5
+    });
+
+    expect(result.fireBehavior.canSpread).toBe(true);
+    expect(result.growth.hours).toBe(2);
+    expect(result.series).toHaveLength(5);
+    expect(result.series[0].area.acres).toBe(0);
+    expect(result.series[4].area.acres).toBe(result.growth.area.acres);
+    for (let i = 1; i < result.series.length; i++) {
+      expect(result.series[i].area.acres).toBeGreaterThan(result.series[i - 1].area.acres);
+    }
+  });
+
+  test('should pass through fire behavior errors', () => {
+    const result = FireGrowth.projectFireGrowth({ fuelModel: '99' });
+    expect(result).toHaveProperty('error');
+    expect(result.growth).toBeNull();
+  });
+});
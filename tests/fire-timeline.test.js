@@ -0,0 +1,121 @@
+/**
+ * Tests for fire-timeline.js multi-class moisture and fire behavior timeline
+ */
+
+const FireTimeline = require('../fire-timeline.js');
+const FuelMoistureIntegration = require('../fuel-moisture-integration.js');
+const { diurnalWeather } = require('./helpers.js');
+
+describe('FireTimeline - moisture classes', () => {
+  test('should advance every dead class with its own time lag', () => {
+    const { rows } = FireTimeline.runFireTimeline(diurnalWeather(), {
+      fuelModel: '2',
+      initial: { dead1h: 12, dead10h: 14, dead100h: 18 }
+    });
+
+    const single = (initial, timeLag) => FuelMoistureIntegration.runModel(initial, diurnalWeather().map(step =>
+      ({ tempF: step.tempF, rh: step.rh, hours: 1 })), timeLag).slice(1).map(result => result.moisture);
+    expect(rows.map(row => row.moistures.dead1h)).toEqual(single(12, 1));
+    expect(rows.map(row => row.moistures.dead100h)).toEqual(single(18, 100));
+
+    const lastDay = rows.slice(48);
+    const swing = key => Math.max(...lastDay.map(row => row.moistures[key])) - Math.min(...lastDay.map(row => row.moistures[key]));
+    expect(swing('dead1h')).toBeGreaterThan(swing('dead10h'));
+    expect(swing('dead10h')).toBeGreaterThan(swing('dead100h'));
+  });
+
+  test('should feed every class into the spread calculation', () => {
+    const dry = FireTimeline.runFireTimeline(diurnalWeather(24), { fuelModel: '10', initial: { dead1h: 6, dead10h: 7, dead100h: 8 } });
+    const wet = FireTimeline.runFireTimeline(diurnalWeather(24), { fuelModel: '10', initial: { dead1h: 6, dead10h: 20, dead100h: 25 } });
+    expect(wet.rows[14].moistures.dead1h).toBe(dry.rows[14].moistures.dead1h);
+    expect(wet.rows[14].ros).toBeLessThan(dry.rows[14].ros);
+  });
+
+  test('should drift live moisture within limits and accept measured values', () => {
+    const { rows } = FireTimeline.runFireTimeline(diurnalWeather(48, { overrides: { 30: { liveHerb: 90 } } }), {
+      initial: { dead1h: 8, liveHerb: 120, liveStem: 61 },
+      liveChangePerDay: { liveHerb: -12, liveStem: -5 }
+    });
+    expect(rows[23].moistures.liveHerb).toBe(108);
+    expect(rows[29].moistures.liveHerb).toBe(90);
+    expect(rows[47].moistures.liveHerb).toBe(81);
+    expect(rows[47].moistures.liveStem).toBe(60);
+  });
+
+  test('should wet fuels in rain', () => {
+    const { rows } = FireTimeline.runFireTimeline(diurnalWeather(24, { overrides: { 14: { precipitation: 0.3 } } }), { initial: { dead1h: 5 } });
+    expect(rows[13].moistures.dead1h).toBe(35);
+    expect(rows[13].canSpread).toBe(false);
+    expect(rows[13].moistures.dead100h).toBeGreaterThan(rows[12].moistures.dead100h);
+  });
+});
+
+describe('FireTimeline - state', () => {
+  test('should resume from a serialized end state', () => {
+    const weather = diurnalWeather();
+    const full = FireTimeline.runFireTimeline(weather, { fuelModel: '2' });
+    const today = FireTimeline.runFireTimeline(weather.slice(0, 24), { fuelModel: '2' });
+    const saved = JSON.parse(JSON.stringify(today.state));
+    const tomorrow = FireTimeline.runFireTimeline(weather.slice(24), { fuelModel: '2', state: saved });
+
+    expect(today.state.time).toBe('2024-07-02T00:00');
+    expect(tomorrow.rows).toEqual(full.rows.slice(24));
+    expect(tomorrow.state).toEqual(full.state);
+  });
+
+  test('should carry the Nelson engine state', () => {
+    const weather = diurnalWeather(12);
+    const full = FireTimeline.runFireTimeline(weather, { engine: 'nelson', initial: { dead1h: 10 } });
+    const first = FireTimeline.runFireTimeline(weather.slice(0, 6), { engine: 'nelson', initial: { dead1h: 10 } });
+    const rest = FireTimeline.runFireTimeline(weather.slice(6), { state: JSON.parse(JSON.stringify(first.state)) });
+
+    expect(full.state.engine).toBe('nelson');
+    expect(rest.rows.map(row => row.moistures)).toEqual(full.rows.slice(6).map(row => row.moistures));
+    expect(() => FireTimeline.runFireTimeline(weather, { state: first.state, engine: 'timelag' }))
+      .toThrow('Timeline state was created with the nelson engine');
+  });
+
+  test('should fill step times from the state', () => {
+    const state = FireTimeline.createTimelineState({ initial: { dead1h: 8 }, time: '2024-07-01T06:00' });
+    const { row } = FireTimeline.stepTimeline(state, { tempF: 80, rh: 30, hours: 3 });
+    expect(row.time).toBe('2024-07-01T09:00');
+    expect(row.hours).toBe(3);
+  });
+
+  test('should reject invalid input', () => {
+    expect(() => FireTimeline.runFireTimeline([])).toThrow('weather must be a non-empty array');
+    expect(() => FireTimeline.runFireTimeline([{ tempF: 80, rh: 130 }])).toThrow('relative humidity must be between 0 and 100');
+    expect(() => FireTimeline.stepTimeline({}, { tempF: 80, rh: 30 })).toThrow('Invalid timeline state');
+  });
+});
+
+describe('FireTimeline - peak burning period and recovery', () => {
+  test('should find each afternoon peak', () => {
+    const { peakBurningPeriods } = FireTimeline.runFireTimeline(diurnalWeather(), { fuelModel: '2' });
+    const july1 = peakBurningPeriods.find(period => period.day === '2024-07-01');
+
+    expect(july1.peak.time).toBe('2024-07-01T15:00');
+    expect(july1.start <= '2024-07-01T15:00' && july1.end >= '2024-07-01T15:00').toBe(true);
+    expect(july1.hours).toBeGreaterThanOrEqual(3);
+    expect(july1.minMoisture1h).toBeLessThan(6);
+  });
+
+  test('should rate overnight recovery', () => {
+    const { overnightRecovery } = FireTimeline.runFireTimeline(diurnalWeather(), { fuelModel: '2' });
+    const night = overnightRecovery.find(entry => entry.night === '2024-07-01');
+
+    expect(night).toMatchObject({ start: '2024-07-01T20:00', end: '2024-07-02T08:00', hours: 13, maxRH: 70, category: 'Excellent' });
+    expect(night.moistureGain1h).toBeGreaterThan(5);
+
+    const dryNight = FireTimeline.findOvernightRecovery(diurnalWeather().map(step =>
+      Object.assign({}, step, { rh: Math.min(step.rh, 28), moistures: { dead1h: 6 }, stepHours: 1 })));
+    expect(dryNight.every(entry => entry.category === 'Poor')).toBe(true);
+  });
+
+  test('should read zoned times in the given offset', () => {
+    const weather = diurnalWeather(48).map(step => Object.assign({}, step, { time: `${step.time}:00Z` }));
+    const { peakBurningPeriods } = FireTimeline.runFireTimeline(weather, { utcOffset: -6 });
+    expect(peakBurningPeriods.map(period => period.day)).toEqual(['2024-06-30', '2024-07-01', '2024-07-02']);
+    expect(peakBurningPeriods[1].peak.time).toBe('2024-07-01T15:00:00Z');
+  });
+});
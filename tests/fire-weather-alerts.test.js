@@ -0,0 +1,144 @@
+/**
+ * Tests for fire-weather-alerts.js rule evaluation and storage
+ */
+
+const FireWeatherAlerts = require('../fire-weather-alerts.js');
+const FuelMoistureIntegration = require('../fuel-moisture-integration.js');
+const FireBehavior = require('../fire-behavior.js');
+const { memoryStorage } = require('./helpers.js');
+
+function hourlyRows(values) {
+  return values.map((value, i) => Object.assign({ time: `2024-07-01T${String(10 + i).padStart(2, '0')}:00` }, value));
+}
+
+const RED_FLAG = {
+  id: 'red-flag',
+  name: 'Red Flag',
+  severity: 'warning',
+  conditions: [
+    { field: 'rh', op: '<', value: 15 },
+    { field: 'windSpeed', op: '>=', value: 25 }
+  ],
+  minDuration: 3
+};
+
+describe('FireWeatherAlerts - rules', () => {
+  test('should accept the default rule set', () => {
+    const ruleSet = FireWeatherAlerts.parseAlertRuleSet(JSON.stringify(FireWeatherAlerts.DEFAULT_ALERT_RULES));
+    expect(ruleSet.rules.map(rule => rule.id)).toEqual(['red-flag', 'critical-fine-fuels', 'flame-length']);
+    expect(ruleSet.rules[1]).toMatchObject({ match: 'all', minDuration: 0 });
+  });
+
+  test('should report invalid rules', () => {
+    expect(() => FireWeatherAlerts.parseAlertRuleSet('{ "rules": [')).toThrow('Invalid rule set JSON');
+    expect(() => FireWeatherAlerts.validateAlertRule({ id: 'x', conditions: [] }))
+      .toThrow('Invalid rule "x": at least one condition is required');
+    expect(() => FireWeatherAlerts.validateAlertRule({ id: 'x', conditions: [{ field: 'rh', op: '=<', value: 15 }] }))
+      .toThrow('Invalid rule "x": condition 1 operator must be one of');
+    expect(() => FireWeatherAlerts.validateAlertRule({ id: 'x', severity: 'severe', conditions: [{ field: 'rh', op: '<', value: 15 }] }))
+      .toThrow('severity must be one of info, advisory, warning, critical');
+    expect(() => FireWeatherAlerts.parseAlertRuleSet([RED_FLAG, RED_FLAG])).toThrow('duplicate rule id "red-flag"');
+  });
+
+  test('should save and load rule sets', () => {
+    const storage = memoryStorage();
+
+    expect(FireWeatherAlerts.loadAlertRuleSet(storage).name).toBe('Default fire weather criteria');
+    expect(FireWeatherAlerts.saveAlertRuleSet({ name: 'District', rules: [RED_FLAG] }, storage)).toBe(true);
+    expect(FireWeatherAlerts.loadAlertRuleSet(storage)).toMatchObject({ name: 'District', rules: [{ id: 'red-flag' }] });
+    expect(() => FireWeatherAlerts.saveAlertRuleSet({ rules: [{ id: 'bad' }] }, storage)).toThrow('Invalid rule "bad"');
+  });
+
+  test('should fall back to the default rules when the saved set is invalid', () => {
+    const storage = memoryStorage();
+    storage.setItem('fiveForks.alertRules', '{ "rules": [');
+    expect(FireWeatherAlerts.loadAlertRuleSet(storage).name).toBe('Default fire weather criteria');
+
+    storage.setItem('fiveForks.alertRules', JSON.stringify({ rules: [{ id: 'bad' }] }));
+    expect(FireWeatherAlerts.loadAlertRuleSet(storage).rules.map(rule => rule.id)).toEqual(['red-flag', 'critical-fine-fuels', 'flame-length']);
+  });
+});
+
+describe('FireWeatherAlerts - evaluation', () => {
+  test('should require the minimum duration of consecutive hours', () => {
+    const rows = hourlyRows([
+      { rh: 12, windSpeed: 28 }, { rh: 11, windSpeed: 30 }, { rh: 20, windSpeed: 30 },
+      { rh: 10, windSpeed: 26 }, { rh: 9, windSpeed: 32 }, { rh: 12, windSpeed: 25 }, { rh: 14, windSpeed: 20 }
+    ]);
+    const alerts = FireWeatherAlerts.evaluateAlertRules(rows, [RED_FLAG]);
+
+    expect(alerts).toEqual([{
+      ruleId: 'red-flag',
+      name: 'Red Flag',
+      severity: 'warning',
+      start: '2024-07-01T13:00',
+      end: '2024-07-01T15:00',
+      hours: 3,
+      startIndex: 3,
+      endIndex: 5,
+      extremes: { rh: 9, windSpeed: 32 },
+      message: 'Red Flag: 2024-07-01T13:00 to 2024-07-01T15:00 (3 h)'
+    }]);
+  });
+
+  test('should match any condition when asked', () => {
+    const rows = hourlyRows([{ rh: 30, windSpeed: 30 }, { rh: 30, windSpeed: 10 }]);
+    const rule = Object.assign({}, RED_FLAG, { match: 'any', minDuration: 0 });
+    expect(FireWeatherAlerts.evaluateAlertRules(rows, [rule]).map(alert => alert.endIndex)).toEqual([0]);
+  });
+
+  test('should read runModel series with their step hours', () => {
+    const series = FuelMoistureIntegration.runModel(10, [
+      { tempF: 90, rh: 10, hours: 2 }, { tempF: 95, rh: 8, hours: 2 }, { tempF: 70, rh: 60, hours: 2 }
+    ]);
+    const alerts = FireWeatherAlerts.evaluateAlertRules(series, [
+      { id: 'dry', severity: 'advisory', conditions: [{ field: 'moisture1h', op: '<=', value: 4 }], minDuration: 4 }
+    ]);
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({ start: 2, end: 4, hours: 4, severity: 'advisory' });
+  });
+
+  test('should read predictFireBehavior results', () => {
+    const results = [2, 25].map(windSpeed => FireBehavior.predictFireBehavior({ windSpeed, fuelMoisture: 5, fuelModel: '2' }));
+    const alerts = FireWeatherAlerts.evaluateAlertRules(results, FireWeatherAlerts.DEFAULT_ALERT_RULES, { times: ['calm', 'windy'] });
+    const flame = alerts.filter(alert => alert.ruleId === 'flame-length');
+
+    expect(flame).toHaveLength(1);
+    expect(flame[0].start).toBe('windy');
+    expect(flame[0].extremes.flameLength).toBe(results[1].flameLength.feet);
+    expect(FireWeatherAlerts.resolveAlertField(results[0], 'moisture1h')).toBe(5);
+    expect(FireWeatherAlerts.resolveAlertField(results[0], 'windAdjustment.referenceHeight')).toBe('midflame');
+  });
+
+  test('should convert wind to 20-ft wind by its measurement height', () => {
+    const resolve = row => FireWeatherAlerts.resolveAlertField(row, 'windSpeed20ft');
+    const midflame = FireBehavior.predictFireBehavior({ windSpeed: 10, fuelMoisture: 5, fuelModel: '2' });
+    const tenMeter = FireBehavior.predictFireBehavior({ windSpeed: 23, windHeight: '10m', fuelMoisture: 5, fuelModel: '2' });
+
+    expect(resolve({ windSpeed: 23, windHeight: '20ft' })).toBe(23);
+    expect(resolve({ windSpeed: 23, windHeight: '10m' })).toBe(20);
+    expect(resolve(tenMeter)).toBe(20);
+    expect(resolve(midflame)).toBeNull();
+    expect(resolve({ windSpeed: 23 })).toBeNull();
+  });
+
+  test('should not raise the default Red Flag alert on 10-m wind below 25 mph at 20 ft', () => {
+    const rows = hourlyRows([1, 2, 3].map(() => ({ rh: 10, windSpeed: 27, windHeight: '10m' })));
+    expect(FireWeatherAlerts.evaluateAlertRules(rows, FireWeatherAlerts.DEFAULT_ALERT_RULES)).toEqual([]);
+
+    const twentyFoot = rows.map(row => Object.assign({}, row, { windHeight: '20ft' }));
+    expect(FireWeatherAlerts.evaluateAlertRules(twentyFoot, FireWeatherAlerts.DEFAULT_ALERT_RULES)
+      .map(alert => alert.ruleId)).toEqual(['red-flag']);
+  });
+
+  test('should order alerts by start and report the highest severity', () => {
+    const rows = hourlyRows([{ rh: 30, moisture: 3 }, { rh: 10, moisture: 3 }]);
+    const alerts = FireWeatherAlerts.evaluateAlertRules(rows, [
+      { id: 'low-rh', severity: 'critical', conditions: [{ field: 'rh', op: '<', value: 15 }] },
+      { id: 'dry', severity: 'info', conditions: [{ field: 'moisture1h', op: '<', value: 4 }] }
+    ]);
+    expect(alerts.map(alert => alert.ruleId)).toEqual(['dry', 'low-rh']);
+    expect(FireWeatherAlerts.highestAlertSeverity(alerts)).toBe('critical');
+    expect(FireWeatherAlerts.highestAlertSeverity([])).toBeNull();
+  });
+});
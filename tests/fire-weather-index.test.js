@@ -0,0 +1,96 @@
+/**
+ * Tests for fire-weather-index.js Canadian FWI System
+ */
+
+const FireWeatherIndex = require('../fire-weather-index.js');
+
+// Van Wagner and Pickett (1985) test days, starting from FFMC 85, DMC 6, DC 15
+const APRIL = [
+  { month: 4, tempC: 17, rh: 42, windKmh: 25, rainMm: 0 },
+  { month: 4, tempC: 20, rh: 21, windKmh: 25, rainMm: 2.4 }
+];
+
+describe('FireWeatherIndex - daily codes', () => {
+  test('should reproduce the Van Wagner and Pickett test day', () => {
+    const codes = FireWeatherIndex.calculateFWISystem(APRIL[0]);
+
+    expect(codes.ffmc).toBeCloseTo(87.7, 1);
+    expect(codes.dmc).toBeCloseTo(8.5, 1);
+    expect(codes.dc).toBeCloseTo(19.0, 1);
+    expect(codes.isi).toBeCloseTo(10.9, 1);
+    expect(codes.bui).toBeCloseTo(8.5, 1);
+    expect(codes.fwi).toBeCloseTo(10.1, 1);
+  });
+
+  test('should wet the FFMC with rain and dry it in sun and wind', () => {
+    expect(FireWeatherIndex.calculateFFMC(90, 20, 40, 10, 10)).toBeLessThan(70);
+    expect(FireWeatherIndex.calculateFFMC(80, 30, 20, 20, 0)).toBeGreaterThan(85);
+  });
+
+  test('should ignore rain below each code threshold', () => {
+    expect(FireWeatherIndex.calculateDMC(20, 20, 40, 1.5, 7)).toBeCloseTo(FireWeatherIndex.calculateDMC(20, 20, 40, 0, 7), 10);
+    expect(FireWeatherIndex.calculateDC(200, 20, 2.8, 7)).toBeCloseTo(FireWeatherIndex.calculateDC(200, 20, 0, 7), 10);
+    expect(FireWeatherIndex.calculateDC(200, 20, 20, 7)).toBeLessThan(200);
+  });
+
+  test('should accept the dashboard imperial units', () => {
+    const imperial = FireWeatherIndex.calculateFWISystem({ month: 4, tempF: 62.6, rh: 42, windSpeed: 25 / 1.609344, precipitation: 0 });
+    expect(imperial).toEqual(FireWeatherIndex.calculateFWISystem(APRIL[0]));
+  });
+
+  test('should reject incomplete observations', () => {
+    expect(() => FireWeatherIndex.calculateFWISystem({ tempC: 20, rh: 40, windKmh: 10 }))
+      .toThrow('month (or date) is required');
+    expect(() => FireWeatherIndex.calculateFWISystem({ month: 7, tempC: 20, rh: 140, windKmh: 10 }))
+      .toThrow('relative humidity must be between 0 and 100');
+  });
+});
+
+describe('FireWeatherIndex - seasons', () => {
+  test('should carry codes between days', () => {
+    const run = FireWeatherIndex.runFWI(APRIL);
+
+    expect(run.series.ffmc).toEqual([87.7, 86.2]);
+    expect(run.series.dmc).toEqual([8.5, 10.4]);
+    expect(run.series.dc).toEqual([19, 23.6]);
+    expect(run.series.fwi).toEqual([10.1, 9.3]);
+  });
+
+  test('should continue from a serialized state', () => {
+    const first = FireWeatherIndex.runFWI([APRIL[0]]);
+    const second = FireWeatherIndex.runFWI([APRIL[1]], { state: JSON.parse(JSON.stringify(first.state)) });
+    expect(second.days[0]).toEqual(FireWeatherIndex.runFWI(APRIL).days[1]);
+  });
+
+  test('should overwinter the Drought Code with winter precipitation', () => {
+    expect(FireWeatherIndex.overwinterDC(300, 0)).toBeGreaterThan(FireWeatherIndex.overwinterDC(300, 200));
+    expect(FireWeatherIndex.overwinterDC(50, 500)).toBe(15);
+  });
+
+  test('should stop under snow and restart after three warm snow-free days', () => {
+    const day = (overrides) => Object.assign({ month: 10, tempC: 15, rh: 30, windKmh: 10, rainMm: 0 }, overrides);
+    const run = FireWeatherIndex.runFWI([
+      day({}),
+      day({ snowCover: true, tempC: -5, rainMm: 20 }),
+      day({ month: 4, snowCover: true, tempC: 0, rainMm: 30 }),
+      day({ month: 4, tempC: 14 }),
+      day({ month: 4, tempC: 13 }),
+      day({ month: 4, tempC: 16 })
+    ], { ffmc: 88, dmc: 40, dc: 350 });
+
+    expect(run.days.map(d => d.status)).toEqual(['active', 'overwintering', 'overwintering', 'overwintering', 'overwintering', 'startup']);
+    expect(run.series.fwi.slice(1, 5)).toEqual([null, null, null, null]);
+
+    const fallDC = FireWeatherIndex.calculateDC(350, 15, 0, 10);
+    expect(run.days[5].startupDC).toBeCloseTo(FireWeatherIndex.overwinterDC(fallDC, 50), 1);
+    expect(run.days[5].dmc).toBeLessThan(15);
+  });
+
+  test('should not start a dormant season on cold days', () => {
+    const run = FireWeatherIndex.runFWI(
+      [8, 14, 9, 13, 14].map(tempC => ({ month: 4, tempC, rh: 40, windKmh: 10, rainMm: 0 })),
+      { active: false }
+    );
+    expect(run.days.every(d => d.status === 'overwintering')).toBe(true);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests for fosberg-moisture.js 1-hour fuel moisture tables
+ */
+
+const FosbergMoisture = require('../fosberg-moisture.js');
+
+const base = { tempF: 85, rh: 25, month: 7, hour: 14, shading: 0, aspect: 'S', slope: 20, elevationDifference: 0 };
+
+function fosberg(overrides = {}) {
+  return FosbergMoisture.calculateFosbergMoisture(Object.assign({}, base, overrides));
+}
+
+describe('FosbergMoisture - reference moisture (Table A)', () => {
+  test('should look up reference moisture by temperature and RH class', () => {
+    expect(FosbergMoisture.lookupReferenceMoisture(85, 25)).toEqual({ value: 4, temperatureClass: '70-89', rhClass: '25-29' });
+    expect(FosbergMoisture.lookupReferenceMoisture(20, 100).value).toBe(14);
+    expect(FosbergMoisture.lookupReferenceMoisture(115, 3).value).toBe(1);
+  });
+
+  test('should rise with humidity', () => {
+    expect(FosbergMoisture.lookupReferenceMoisture(75, 60).value)
+      .toBeGreaterThan(FosbergMoisture.lookupReferenceMoisture(75, 20).value);
+  });
+
+  test('should reject invalid RH', () => {
+    expect(() => FosbergMoisture.lookupReferenceMoisture(75, 120)).toThrow('Relative humidity must be between 0 and 100');
+  });
+});
+
+describe('FosbergMoisture - corrections', () => {
+  test('should apply the summer exposed correction', () => {
+    const result = fosberg();
+    expect(result.referenceMoisture).toBe(4);
+    expect(result.correction).toBe(0);
+    expect(result.fineDeadFuelMoisture).toBe(4);
+  });
+
+  test('should report each worksheet line', () => {
+    const sheet = fosberg({ month: 10, hour: 9, shading: 70, aspect: 10, elevationDifference: -1500 }).worksheet;
+
+    expect(sheet.month.table).toBe('C');
+    expect(sheet.timeOfDay.period).toBe('0800-0959');
+    expect(sheet.shading.class).toBe('shaded');
+    expect(sheet.aspect.class).toBe('N');
+    expect(sheet.elevation.position).toBe('B');
+    expect(sheet.correction).toBe(4);
+  });
+
+  test('should add more moisture in winter, shade and early morning', () => {
+    const summer = fosberg().fineDeadFuelMoisture;
+    expect(fosberg({ month: 12 }).fineDeadFuelMoisture).toBeGreaterThan(summer);
+    expect(fosberg({ shading: 80 }).fineDeadFuelMoisture).toBeGreaterThan(summer);
+    expect(fosberg({ hour: 8 }).fineDeadFuelMoisture).toBeGreaterThan(summer);
+  });
+
+  test('should add moisture for fuels above the weather site', () => {
+    expect(fosberg({ aspect: 'N', hour: 8, elevationDifference: 1500 }).correction)
+      .toBeGreaterThan(fosberg({ aspect: 'N', hour: 8 }).correction);
+  });
+
+  test('should use steep slope rows above 30%', () => {
+    expect(fosberg({ aspect: 'W', slope: 45, hour: 8 }).correction).toBe(5);
+    expect(fosberg({ aspect: 'W', slope: 10, hour: 8 }).correction).toBe(3);
+  });
+
+  test('should warn for elevation differences beyond the tables', () => {
+    expect(fosberg({ elevationDifference: 3000 }).warnings.length).toBe(1);
+  });
+
+  test('should reject night-time hours and bad months', () => {
+    expect(() => fosberg({ hour: 22 })).toThrow('0800-1959');
+    expect(() => fosberg({ month: 13 })).toThrow('Month must be an integer');
+  });
+});
@@ -233,3 +233,67 @@ describe('FuelMoistureIntegration - Base Library Integration', () => {
     expect(result).toBeDefined();
   });
 });
+
+describe('FuelMoistureIntegration - Rain Wetting', () => {
+  const dry = { tempF: 85, rh: 20, hours: 12 };
+  const wet = { tempF: 55, rh: 90, hours: 12, precipitation: 0.5, precipitationDuration: 6 };
+
+  test('should saturate fine fuels and dry them for the rest of the step', () => {
+    const results = FuelMoistureIntegration.runModel(5, [Object.assign({}, wet, { precipitationDuration: 12 })], 1);
+    expect(results[1].moisture).toBe(35);
+
+    const partial = FuelMoistureIntegration.runModel(5, [wet], 10);
+    expect(partial[1].moisture).toBeLessThan(35);
+    expect(partial[1].moisture).toBeGreaterThan(partial[1].emc);
+  });
+
+  test('should wet fine fuels only in proportion to trace rain', () => {
+    const trace = FuelMoistureIntegration.runModel(5, [{ tempF: 90, rh: 15, hours: 1, precipitation: 0.002 }], 1);
+    const light = FuelMoistureIntegration.runModel(5, [{ tempF: 90, rh: 15, hours: 1, precipitation: 0.025 }], 1);
+
+    expect(trace[1].moisture).toBeCloseTo(5 + 30 * 0.002 / 0.05, 1);
+    expect(light[1].moisture).toBe(20);
+    expect(light[1].moisture).toBeLessThan(35);
+  });
+
+  test('should wet 1000-hour fuels more for longer rain', () => {
+    const short = FuelMoistureIntegration.runModel(12, [Object.assign({}, wet, { precipitationDuration: 2 })], 1000);
+    const long = FuelMoistureIntegration.runModel(12, [Object.assign({}, wet, { precipitationDuration: 12 })], 1000);
+    const none = FuelMoistureIntegration.runModel(12, [Object.assign({}, wet, { precipitation: 0 })], 1000);
+
+    expect(long[1].moisture).toBeGreaterThan(short[1].moisture);
+    expect(short[1].moisture).toBeGreaterThan(none[1].moisture);
+  });
+
+  test('should respond less in heavier timelag classes', () => {
+    const gain = timeLag => {
+      const results = FuelMoistureIntegration.runModel(8, [wet], timeLag);
+      return results[1].moisture - 8;
+    };
+    expect(gain(1)).toBeGreaterThan(gain(100));
+    expect(gain(100)).toBeGreaterThan(gain(1000));
+  });
+
+  test('should continue drying from the wetted value and flag rain steps', () => {
+    const results = FuelMoistureIntegration.runModel(8, [dry, wet, dry, dry], 10);
+
+    expect(results.map(r => r.rain)).toEqual([undefined, false, true, false, false]);
+    expect(results[2].precipitation).toBe(0.5);
+    expect(results[2].precipitationDuration).toBe(6);
+    expect(results[3].moisture).toBeLessThan(results[2].moisture);
+    expect(results[4].moisture).toBeLessThan(results[3].moisture);
+  });
+
+  test('should default rain duration to the whole step', () => {
+    const results = FuelMoistureIntegration.runModel(8, [{ tempF: 60, rh: 90, hours: 3, precipitation: 0.2 }], 1);
+    expect(results[1].precipitationDuration).toBe(3);
+    expect(results[1].moisture).toBe(35);
+  });
+
+  test('should reject invalid precipitation', () => {
+    expect(() => FuelMoistureIntegration.runModel(8, [Object.assign({}, dry, { precipitation: -1 })], 1))
+      .toThrow('precipitation must be a non-negative number');
+    expect(() => FuelMoistureIntegration.runModel(8, [Object.assign({}, wet, { precipitationDuration: 20 })], 1))
+      .toThrow('precipitationDuration');
+  });
+});
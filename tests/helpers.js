@@ -0,0 +1,97 @@
+/**
+ * Shared fixtures for the test suites
+ */
+
+/**
+ * Hourly weather with a sinusoidal daily cycle that peaks at 15:00
+ * @param {number} hours - Number of hourly steps
+ * @param {object} options - { start: ms (default 2024-07-01T00:00Z), firstHour: hour after
+ *   start of the first step (default 1), tempF: [mean, amplitude] (default [75, 15]),
+ *   rh: [mean, amplitude] (default [45, 25]), windSpeed: [base, afternoon rise] (default [8, 6]),
+ *   overrides: { hour: fields merged into that step } }
+ * @returns {Array} [{ time: 'YYYY-MM-DDTHH:MM', tempF, rh, windSpeed }]
+ */
+function diurnalWeather(hours = 72, options = {}) {
+  const { start = Date.UTC(2024, 6, 1), firstHour = 1, tempF = [75, 15], rh = [45, 25],
+    windSpeed = [8, 6], overrides = {} } = options;
+  const steps = [];
+  for (let h = firstHour; h < firstHour + hours; h++) {
+    const s = Math.sin((h % 24 - 9) / 24 * 2 * Math.PI);
+    steps.push(Object.assign({
+      time: new Date(start + h * 3600000).toISOString().slice(0, 16),
+      tempF: Math.round(tempF[0] + tempF[1] * s),
+      rh: Math.round(rh[0] - rh[1] * s),
+      windSpeed: Math.round(windSpeed[0] + windSpeed[1] * Math.max(0, s))
+    }, overrides[h]));
+  }
+  return steps;
+}
+
+// First hour of the gridpoint forecast fixtures
+const FORECAST_START = Date.UTC(2024, 6, 1, 12);
+
+/**
+ * api.weather.gov validTime start for an hour after FORECAST_START
+ * @param {number} hour - Hours after FORECAST_START
+ * @returns {string} ISO time with a +00:00 offset
+ */
+function forecastTime(hour) {
+  return new Date(FORECAST_START + hour * 3600000).toISOString().replace('.000Z', '+00:00');
+}
+
+/**
+ * Gridpoint time series with one value per `step` hours
+ * @param {string} uom - WMO unit code
+ * @param {number} hours - Hours covered
+ * @param {number} step - Interval length (h)
+ * @param {number|Function} value - Value, or function of the interval's first hour
+ * @returns {object} { uom, values: [{ validTime, value }] }
+ */
+function gridpointSeries(uom, hours, step, value) {
+  const values = [];
+  for (let h = 0; h < hours; h += step) {
+    values.push({ validTime: `${forecastTime(h)}/PT${step}H`, value: typeof value === 'function' ? value(h) : value });
+  }
+  return { uom, values };
+}
+
+/**
+ * Gridpoint forecast response with daily temperature swings, 30% RH and
+ * 10 mph 10-m wind
+ * @param {number} hours - Hours covered
+ * @param {object} extra - Properties added to or replacing the default series
+ * @returns {object} GeoJSON feature like api.weather.gov/gridpoints
+ */
+function gridpointForecast(hours = 72, extra = {}) {
+  return {
+    type: 'Feature',
+    properties: Object.assign({
+      updateTime: forecastTime(0),
+      temperature: gridpointSeries('wmoUnit:degC', hours, 1, h => 20 + (h % 24 < 12 ? h % 24 : 24 - h % 24)),
+      relativeHumidity: gridpointSeries('wmoUnit:percent', hours, 2, 30),
+      windSpeed: gridpointSeries('wmoUnit:km_h-1', hours, 3, 16.09344),
+      windDirection: gridpointSeries('wmoUnit:degree_(angle)', hours, 6, 225)
+    }, extra)
+  };
+}
+
+/**
+ * In-memory stand-in for window.localStorage
+ * @returns {object} { getItem, setItem }
+ */
+function memoryStorage() {
+  const items = {};
+  return {
+    getItem: key => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); }
+  };
+}
+
+module.exports = {
+  FORECAST_START,
+  forecastTime,
+  gridpointSeries,
+  gridpointForecast,
+  diurnalWeather,
+  memoryStorage
+};
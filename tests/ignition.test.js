@@ -0,0 +1,78 @@
+/**
+ * Tests for ignition.js probability of ignition
+ */
+
+const FireBehavior = require('../fire-behavior.js');
+const FuelMoistureIntegration = require('../fuel-moisture-integration.js');
+const Ignition = require('../ignition.js');
+
+describe('Ignition - fuel temperature and heat of ignition', () => {
+  test('should warm fuel 25°F in full sun and 5°F in full shade', () => {
+    expect(Ignition.calculateFuelTemperature(80, 0)).toBe(105);
+    expect(Ignition.calculateFuelTemperature(80, 100)).toBe(85);
+    expect(Ignition.calculateFuelTemperature(80, 50)).toBe(95);
+  });
+
+  test('should reject shading out of range', () => {
+    expect(() => Ignition.calculateFuelTemperature(80, 120)).toThrow('Shading must be between 0 and 100');
+  });
+
+  test('should need more heat to ignite wetter fuel', () => {
+    expect(Ignition.calculateHeatOfIgnition(30, 12)).toBeGreaterThan(Ignition.calculateHeatOfIgnition(30, 4));
+  });
+});
+
+describe('Ignition - calculateProbabilityOfIgnition', () => {
+  test('should match the NWCG table for hot, dry, unshaded fuel', () => {
+    const result = Ignition.calculateProbabilityOfIgnition({ fuelMoisture: 3, temp: 90, shading: 0 });
+    expect(result.probabilityOfIgnition).toBeGreaterThanOrEqual(80);
+    expect(result.probabilityOfIgnition).toBeLessThanOrEqual(90);
+    expect(result.fuelTemperature.fahrenheit).toBe(115);
+  });
+
+  test('should fall with moisture and shading', () => {
+    const dry = Ignition.calculateProbabilityOfIgnition({ fuelMoisture: 4, temp: 80 });
+    const moist = Ignition.calculateProbabilityOfIgnition({ fuelMoisture: 12, temp: 80 });
+    const shaded = Ignition.calculateProbabilityOfIgnition({ fuelMoisture: 4, temp: 80, shading: 100 });
+
+    expect(moist.probabilityOfIgnition).toBeLessThan(dry.probabilityOfIgnition);
+    expect(shaded.probabilityOfIgnition).toBeLessThan(dry.probabilityOfIgnition);
+  });
+
+  test('should stay between 0 and 100 percent', () => {
+    expect(Ignition.calculateProbabilityOfIgnition({ fuelMoisture: 1, temp: 110 }).probabilityOfIgnition).toBe(100);
+    expect(Ignition.calculateProbabilityOfIgnition({ fuelMoisture: 35, temp: 40 }).probabilityOfIgnition).toBe(0);
+  });
+
+  test('should take 1-hour moisture from computeEMC when only RH is given', () => {
+    const result = Ignition.calculateProbabilityOfIgnition({ temp: 85, rh: 20 });
+    expect(result.fuelMoisture).toBe(FuelMoistureIntegration.computeEMC(85, 20));
+  });
+
+  test('should accept moisture stepped with stepMoisture', () => {
+    const moisture = FuelMoistureIntegration.stepMoisture(15, 5, 2, 1);
+    const result = Ignition.calculateProbabilityOfIgnition({ fuelMoisture: moisture, temp: 85 });
+    expect(result.probabilityOfIgnition).toBeGreaterThan(0);
+  });
+
+  test('should reject missing moisture', () => {
+    expect(() => Ignition.calculateProbabilityOfIgnition({ temp: 85 })).toThrow('1-hour fuel moisture');
+  });
+});
+
+describe('Ignition - predictFireBehavior integration', () => {
+  test('should report Pig alongside spread and flame length', () => {
+    const result = FireBehavior.predictFireBehavior({ windSpeed: 5, fuelModel: '1', fuelMoisture: 5, temp: 90, shading: 10 });
+    const expected = Ignition.calculateProbabilityOfIgnition({ fuelMoisture: 5, temp: 90, shading: 10 });
+
+    expect(result.probabilityOfIgnition).toBe(expected.probabilityOfIgnition);
+    expect(result.fuelTemperature).toEqual(expected.fuelTemperature);
+    expect(result.conditions.shading).toBe(10);
+  });
+
+  test('should report Pig when the fire will not spread', () => {
+    const result = FireBehavior.predictFireBehavior({ fuelModel: '1', fuelMoisture: 30, temp: 70 });
+    expect(result.canSpread).toBe(false);
+    expect(result.probabilityOfIgnition).toBe(0);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Tests for moisture-chart.js SVG line chart
+ */
+
+const MoistureChart = require('../moisture-chart.js');
+const FuelMoistureIntegration = require('../fuel-moisture-integration.js');
+
+const WEATHER = [
+  { tempF: 80, rh: 30, hours: 2 },
+  { tempF: 90, rh: 15, hours: 2 },
+  { tempF: 60, rh: 80, hours: 4 }
+];
+
+describe('MoistureChart - series', () => {
+  test('should read drying patterns and runModel output', () => {
+    const pattern = MoistureChart.toMoistureSeries(FuelMoistureIntegration.calculateDryingPattern(20, 85, 25, 24, 10));
+    expect(pattern).toMatchObject({ label: '10-h fuels', timeLag: 10, emc: pattern.points[0].emc });
+    expect(pattern.points).toHaveLength(25);
+
+    const run = MoistureChart.toMoistureSeries(FuelMoistureIntegration.runModel(15, WEATHER), { label: 'Observed' });
+    expect(run.label).toBe('Observed');
+    expect(run.emc).toBeNull();
+    expect(run.points[0].emc).toBeNull();
+    expect(run.points.map(point => point.hours)).toEqual([0, 2, 4, 8]);
+  });
+
+  test('should reject invalid series', () => {
+    expect(() => MoistureChart.toMoistureSeries({})).toThrow('expected a drying pattern, runModel output or { points }');
+    expect(() => MoistureChart.toMoistureSeries([{ hours: 0 }])).toThrow('point 1 must have numeric hours and moisture');
+    expect(() => MoistureChart.renderMoistureChart([])).toThrow('at least one series is required');
+  });
+});
+
+describe('MoistureChart - rendering', () => {
+  test('should draw one line per time lag with a flat EMC line', () => {
+    const patterns = [1, 10, 100].map(timeLag => FuelMoistureIntegration.calculateDryingPattern(20, 85, 25, 48, timeLag));
+    const svg = MoistureChart.renderMoistureChart(patterns);
+
+    expect(svg.match(/class="moisture-chart-series"/g)).toHaveLength(3);
+    expect(svg).toContain(`stroke="${MoistureChart.MOISTURE_SERIES_COLORS[100]}"`);
+    expect(svg).toContain(`EMC ${patterns[0].emc}%`);
+    expect(svg.match(/<polyline points="([^"]*)" fill="none" stroke="#757575"/)[1].split(' ')).toHaveLength(2);
+  });
+
+  test('should list every series value in the hover tooltips', () => {
+    const patterns = [1, 10].map(timeLag => FuelMoistureIntegration.calculateDryingPattern(20, 85, 25, 24, timeLag));
+    const svg = MoistureChart.renderMoistureChart(patterns);
+    const tooltips = svg.match(/<rect class="moisture-chart-hover"[^>]*><title>([^<]*)<\/title>/g);
+
+    expect(tooltips).toHaveLength(25);
+    expect(tooltips[1]).toContain(`1 h\n1-h fuels: ${patterns[0].steps[1].moisture}%\n10-h fuels: ${patterns[1].steps[1].moisture}%\nEMC: ${patterns[0].emc}%`);
+  });
+
+  test('should limit the chart to a time range', () => {
+    const svg = MoistureChart.renderMoistureChart([FuelMoistureIntegration.runModel(15, WEATHER)], { from: 2, to: 6 });
+    const times = svg.match(/<title>(\d+) h\n/g).map(title => parseInt(title.slice(7)));
+
+    expect(times).toEqual([2, 4]);
+    expect(svg).toContain('EMC: ');
+    expect(() => MoistureChart.renderMoistureChart([FuelMoistureIntegration.runModel(15, WEATHER)], { from: 6, to: 2 }))
+      .toThrow('Invalid time range');
+  });
+
+  test('should step the EMC line with runModel weather', () => {
+    const run = FuelMoistureIntegration.runModel(15, WEATHER);
+    const svg = MoistureChart.renderMoistureChart([run]);
+    const emcLine = svg.match(/<polyline points="([^"]*)" fill="none" stroke="#757575"/)[1].split(' ');
+
+    expect(emcLine).toHaveLength(6);
+    expect(svg).toContain(`EMC ${Math.round(run[3].emc * 10) / 10}%`);
+
+    const fixed = MoistureChart.renderMoistureChart([run], { emc: 7 });
+    expect(fixed).toContain('EMC 7%');
+  });
+
+  test('should escape labels and build data URLs', () => {
+    const svg = MoistureChart.renderMoistureChart([{ label: 'Plot <A>', points: [{ hours: 0, moisture: 10 }, { hours: 1, moisture: 8 }] }]);
+    expect(svg).toContain('Plot &lt;A&gt;');
+    expect(MoistureChart.moistureChartDataUrl('<svg/>')).toBe('data:image/svg+xml;charset=utf-8,%3Csvg%2F%3E');
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Tests for moisture-models.js moisture model registry
+ */
+
+const FireBehavior = require('../fire-behavior.js');
+const FuelMoistureIntegration = require('../fuel-moisture-integration.js');
+const FuelMoistureCalc = require('../fuel-moisture-calculator.js');
+const { FuelMoistureCalculator } = require('../fuel-models.js');
+const MoistureModels = require('../moisture-models.js');
+
+describe('MoistureModels - registry', () => {
+  test('should list every model with metadata', () => {
+    const models = MoistureModels.listMoistureModels();
+    const ids = models.map(m => m.id);
+
+    expect(ids).toEqual(expect.arrayContaining(['dashboard', 'calculator', 'fuel-models', 'simard', 'fosberg', 'nelson']));
+    models.forEach(m => {
+      expect(typeof m.name).toBe('string');
+      expect(typeof m.citation).toBe('string');
+      expect(m.validRange.rh.length).toBe(2);
+    });
+  });
+
+  test('should wrap the three existing EMC formulas explicitly', () => {
+    expect(MoistureModels.computeModelEMC('dashboard', 85, 25).emc).toBeCloseTo(FuelMoistureIntegration.computeEMC(85, 25), 2);
+    expect(MoistureModels.computeModelEMC('calculator', 85, 25).emc).toBeCloseTo(FuelMoistureCalc.computeEMC(85, 25), 2);
+    expect(MoistureModels.computeModelEMC('fuel-models', 70, 60).emc)
+      .toBeCloseTo(FuelMoistureCalculator.calculateOneHourMoisture(70, 60), 2);
+  });
+
+  test('should compute Simard NFDRS EMC', () => {
+    expect(MoistureModels.computeModelEMC('simard', 85, 25).emc).toBeCloseTo(2.22749 + 0.160107 * 25 - 0.01478 * 85, 2);
+  });
+
+  test('should flag inputs outside the valid range', () => {
+    expect(MoistureModels.computeModelEMC('simard', 85, 25).inRange).toBe(true);
+    expect(MoistureModels.computeModelEMC('simard', 140, 25).inRange).toBe(false);
+  });
+
+  test('should reject unknown models', () => {
+    expect(() => MoistureModels.computeModelEMC('bogus', 85, 25)).toThrow('Unknown moisture model');
+  });
+
+  test('should register custom models', () => {
+    MoistureModels.registerMoistureModel('constant-test', { name: 'Constant', compute: () => 7 });
+    expect(MoistureModels.computeModelEMC('constant-test', 85, 25).emc).toBe(7);
+    expect(() => MoistureModels.registerMoistureModel('broken', { name: 'Broken' })).toThrow('compute function');
+  });
+});
+
+describe('MoistureModels - comparison', () => {
+  test('should report the spread between methods', () => {
+    const comparison = MoistureModels.compareMoistureModels(85, 25, { models: ['dashboard', 'calculator', 'simard'] });
+    const values = comparison.results.map(r => r.emc);
+
+    expect(comparison.results.length).toBe(3);
+    expect(comparison.spread).toBeCloseTo(Math.max(...values) - Math.min(...values), 2);
+    expect(comparison.max.model).toBe('calculator');
+  });
+
+  test('should reject an empty model list', () => {
+    expect(() => MoistureModels.compareMoistureModels(85, 25, { models: [] }))
+      .toThrow('Invalid input: models must be a non-empty list of model ids');
+  });
+});
+
+describe('MoistureModels - moistureModel option', () => {
+  test('should drive predictFireBehavior EMC', () => {
+    const result = FireBehavior.predictFireBehavior({ windSpeed: 5, temp: 85, rh: 25, useEMC: true, moistureModel: 'simard' });
+    expect(result.emc).toBeCloseTo(MoistureModels.computeModelEMC('simard', 85, 25).emc, 1);
+    expect(result.moistureModel).toBe('simard');
+  });
+
+  test('should keep computeEMC as the default', () => {
+    const result = FireBehavior.predictFireBehavior({ windSpeed: 5, temp: 85, rh: 25, useEMC: true });
+    expect(result.emc).toBeCloseTo(FuelMoistureIntegration.computeEMC(85, 25), 1);
+    expect(result.moistureModel).toBe('dashboard');
+  });
+
+  test('should drive runModel and calculateDryingPattern', () => {
+    const steps = [{ tempF: 85, rh: 25, hours: 48 }];
+    const expected = MoistureModels.computeModelEMC('nelson', 85, 25).emc;
+
+    expect(FuelMoistureIntegration.runModel(15, steps, 1, { moistureModel: 'nelson' })[1].emc).toBeCloseTo(expected, 1);
+    const pattern = FuelMoistureIntegration.calculateDryingPattern(20, 85, 25, 24, 1, { moistureModel: 'nelson' });
+    expect(pattern.emc).toBeCloseTo(expected, 1);
+    expect(pattern.moistureModel).toBe('nelson');
+  });
+
+  test('should not combine moistureModel with the Nelson engine', () => {
+    expect(() => FuelMoistureIntegration.runModel(15, [{ tempF: 85, rh: 25, hours: 1 }], 1, { engine: 'nelson', moistureModel: 'simard' }))
+      .toThrow('Nelson engine');
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Tests for nelson-moisture.js dead fuel moisture model
+ */
+
+const FuelMoistureIntegration = require('../fuel-moisture-integration.js');
+const NelsonMoisture = require('../nelson-moisture.js');
+
+function diurnalWeather(days, options = {}) {
+  const steps = [];
+  for (let h = 0; h < days * 24; h++) {
+    const hour = h % 24;
+    const tempF = 60 + 25 * Math.max(0, Math.sin((hour - 8) / 24 * 2 * Math.PI));
+    steps.push({
+      tempF,
+      rh: Math.max(15, 80 - 2.4 * (tempF - 60)),
+      hours: 1,
+      solarRadiation: options.solar === false || hour < 6 || hour > 18 ? 0 : 900 * Math.sin((hour - 6) / 12 * Math.PI),
+      precipitation: options.rainHours && options.rainHours.includes(h) ? options.precipitation : 0
+    });
+  }
+  return steps;
+}
+
+describe('NelsonMoisture - sorption isotherm', () => {
+  test('should rise with humidity and fall with temperature', () => {
+    expect(NelsonMoisture.sorptionIsotherm(20, 0.8)).toBeGreaterThan(NelsonMoisture.sorptionIsotherm(20, 0.3));
+    expect(NelsonMoisture.sorptionIsotherm(40, 0.3)).toBeLessThan(NelsonMoisture.sorptionIsotherm(10, 0.3));
+  });
+
+  test('should match wood desorption EMC near 50% RH', () => {
+    expect(NelsonMoisture.sorptionIsotherm(20, 0.5)).toBeCloseTo(0.094, 2);
+  });
+
+  test('should not exceed fiber saturation', () => {
+    expect(NelsonMoisture.sorptionIsotherm(20, 1)).toBeLessThanOrEqual(NelsonMoisture.NELSON_CONSTANTS.fiberSaturation);
+  });
+});
+
+describe('NelsonMoisture - stick response', () => {
+  test('should dry smaller sticks faster', () => {
+    const result = NelsonMoisture.runNelsonModel(20, diurnalWeather(1).slice(8, 16));
+    const last = result.steps[result.steps.length - 1].sticks;
+
+    expect(last[1].moisture).toBeLessThan(last[10].moisture);
+    expect(last[10].moisture).toBeLessThan(last[100].moisture);
+    expect(last[100].moisture).toBeLessThan(last[1000].moisture);
+  });
+
+  test('should heat fuel above air temperature in the sun and dry it further', () => {
+    const weather = { tempF: 85, rh: 20, hours: 3 };
+    const sunny = NelsonMoisture.runNelsonModel(10, [Object.assign({ solarRadiation: 900 }, weather)], [1]);
+    const shaded = NelsonMoisture.runNelsonModel(10, [weather], [1]);
+
+    expect(sunny.steps[0].sticks[1].surfaceTemperature).toBeGreaterThan(95);
+    expect(shaded.steps[0].sticks[1].surfaceTemperature).toBeCloseTo(85, 0);
+    expect(sunny.steps[0].sticks[1].moisture).toBeLessThan(shaded.steps[0].sticks[1].moisture);
+  });
+
+  test('should wet sticks during rain and limit uptake for large sticks', () => {
+    const dry = NelsonMoisture.runNelsonModel(8, diurnalWeather(1, { solar: false }), [1, 1000]);
+    const wet = NelsonMoisture.runNelsonModel(8, diurnalWeather(1, { solar: false, rainHours: [20, 21, 22, 23], precipitation: 0.1 }), [1, 1000]);
+    const dryEnd = dry.steps[23].sticks;
+    const wetEnd = wet.steps[23].sticks;
+
+    expect(wetEnd[1].moisture).toBeGreaterThan(30);
+    expect(wetEnd[1000].moisture).toBeGreaterThan(dryEnd[1000].moisture);
+    expect(wetEnd[1000].moisture - dryEnd[1000].moisture).toBeLessThan(wetEnd[1].moisture - dryEnd[1].moisture);
+  });
+
+  test('should hold moisture inside the sorption hysteresis band', () => {
+    const result = NelsonMoisture.runNelsonModel(15, [{ tempF: 60, rh: 80, hours: 6 }], [1]);
+    expect(result.steps[0].sticks[1].moisture).toBe(15);
+  });
+});
+
+describe('NelsonMoisture - state', () => {
+  test('should resume from a serialized state', () => {
+    const weather = diurnalWeather(2);
+    const full = NelsonMoisture.runNelsonModel(12, weather);
+    const firstDay = NelsonMoisture.runNelsonModel(12, weather.slice(0, 24));
+
+    let state = JSON.parse(JSON.stringify(firstDay.state));
+    weather.slice(24).forEach(step => {
+      state = NelsonMoisture.stepNelsonModel(state, step).state;
+    });
+
+    expect(NelsonMoisture.nelsonMoistures(state)).toEqual(NelsonMoisture.nelsonMoistures(full.state));
+    expect(state.hours).toBe(48);
+  });
+
+  test('should reject unsupported sticks and bad weather', () => {
+    expect(() => NelsonMoisture.createNelsonState(10, 70, [5])).toThrow('1, 10, 100 and 1000-hour');
+    const state = NelsonMoisture.createNelsonState(10, 70);
+    expect(() => NelsonMoisture.stepNelsonModel(state, { tempF: 70, hours: 1 })).toThrow('Invalid weather step');
+  });
+});
+
+describe('NelsonMoisture - runModel engine', () => {
+  test('should run as a runModel engine', () => {
+    const weather = diurnalWeather(1).slice(10, 16);
+    const results = FuelMoistureIntegration.runModel(15, weather, 10, { engine: 'nelson' });
+    const direct = NelsonMoisture.runNelsonModel(15, weather, [10]);
+
+    expect(results.length).toBe(7);
+    expect(results[0].moisture).toBe(15);
+    expect(results[6].moisture).toBe(direct.steps[5].sticks[10].moisture);
+    expect(results[6]).toHaveProperty('fuelTemperature');
+  });
+
+  test('should dry 1-hour fuel further than the time-lag engine on a sunny afternoon', () => {
+    const weather = [{ tempF: 90, rh: 15, hours: 4, solarRadiation: 900 }];
+    const timelag = FuelMoistureIntegration.runModel(10, weather, 1);
+    const nelson = FuelMoistureIntegration.runModel(10, weather, 1, { engine: 'nelson' });
+
+    expect(nelson[1].moisture).toBeLessThan(timelag[1].moisture);
+  });
+
+  test('should reject unknown engines', () => {
+    expect(() => FuelMoistureIntegration.runModel(10, [], 1, { engine: 'bogus' })).toThrow('Unknown moisture engine');
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for nfdrs.js daily fire danger indices
+ */
+
+const NFDRS = require('../nfdrs.js');
+const FireBehavior = require('../fire-behavior.js');
+
+const STATION = { fuelModel: 'G', latitude: 40, annualPrecipitation: 20 };
+
+function dailySeries(days, overrides = {}) {
+  const observations = [];
+  for (let i = 0; i < days; i++) {
+    const date = new Date(Date.UTC(2024, 6, 1 + i)).toISOString().slice(0, 10);
+    observations.push(Object.assign({
+      date, tempF: 90, rh: 15, windSpeed: 10,
+      maxTempF: 95, minTempF: 60, maxRH: 50, minRH: 12, precipitation: 0
+    }, typeof overrides === 'function' ? overrides(i) : overrides));
+  }
+  return observations;
+}
+
+describe('NFDRS - building blocks', () => {
+  test('should give longer summer days at higher northern latitudes', () => {
+    expect(NFDRS.calculateDaylength(0, 172)).toBeCloseTo(12, 0);
+    expect(NFDRS.calculateDaylength(45, 172)).toBeGreaterThan(15);
+    expect(NFDRS.calculateDaylength(45, 355)).toBeLessThan(9);
+  });
+
+  test('should dry KBDI on hot days and lose the first 0.20 inch of rain', () => {
+    const hot = NFDRS.stepKBDI(200, { maxTempF: 95, precipitation: 0 }, 30);
+    expect(hot.kbdi).toBeGreaterThan(200);
+
+    const light = NFDRS.stepKBDI(200, { maxTempF: 40, precipitation: 0.15 }, 30);
+    expect(light.kbdi).toBe(200);
+    expect(light.rainPeriodTotal).toBeCloseTo(0.15, 5);
+
+    const next = NFDRS.stepKBDI(200, { maxTempF: 40, precipitation: 0.15 }, 30, light.rainPeriodTotal);
+    expect(next.netRain).toBeCloseTo(0.10, 5);
+    expect(next.kbdi).toBeCloseTo(190, 5);
+  });
+
+  test('should raise SC, ERC and BI as fuels dry', () => {
+    const moist = NFDRS.calculateNFDRSIndices('G', {
+      dead1h: 12, dead10h: 14, dead100h: 18, liveHerb: 150, liveWoody: 150, windSpeed: 10, fuelTempF: 90
+    });
+    const dry = NFDRS.calculateNFDRSIndices('G', {
+      dead1h: 3, dead10h: 4, dead100h: 6, liveHerb: 60, liveWoody: 80, windSpeed: 10, fuelTempF: 110
+    });
+    expect(dry.erc).toBeGreaterThan(moist.erc);
+    expect(dry.sc).toBeGreaterThan(moist.sc);
+    expect(dry.bi).toBeGreaterThan(moist.bi);
+    expect(dry.ic).toBeGreaterThan(moist.ic);
+  });
+
+  test('should raise ERC, but not SC, as 1000-hour fuels dry', () => {
+    const base = { dead1h: 5, dead10h: 6, dead100h: 12, liveHerb: 80, liveWoody: 100, windSpeed: 10, fuelTempF: 95 };
+    const wet = NFDRS.calculateNFDRSIndices('G', Object.assign({ dead1000h: 30 }, base));
+    const dry = NFDRS.calculateNFDRSIndices('G', Object.assign({ dead1000h: 8 }, base));
+
+    expect(dry.erc).toBeGreaterThan(wet.erc);
+    expect(dry.bi).toBeGreaterThan(wet.bi);
+    expect(dry.sc).toBe(wet.sc);
+  });
+
+  test('should reject unknown fuel models', () => {
+    expect(() => NFDRS.calculateNFDRSIndices('Z', { dead1h: 5 })).toThrow('Unknown NFDRS fuel model: Z');
+  });
+
+  test('should let calculateRateOfSpread take a behavior model object', () => {
+    const model = FireBehavior.toBehaviorModel({
+      fuelLoad: { dead1h: 0.74 }, sav: { dead1h: 3500 }, fuelDepth: 1, moistureExtinction: 12
+    });
+    const byObject = FireBehavior.calculateRateOfSpread(5, 6, 0, model);
+    const byKey = FireBehavior.calculateRateOfSpread(5, 6, 0, '1');
+    expect(byObject.ros).toBeCloseTo(byKey.ros, 6);
+  });
+});
+
+describe('NFDRS - runNFDRS', () => {
+  test('should return a per-day series for charting', () => {
+    const result = NFDRS.runNFDRS(dailySeries(10), STATION);
+
+    expect(result.days).toHaveLength(10);
+    ['dates', 'erc', 'bi', 'sc', 'ic', 'kbdi', 'dead1h', 'dead10h', 'dead100h', 'dead1000h', 'liveHerb', 'liveWoody']
+      .forEach(key => expect(result.series[key]).toHaveLength(10));
+    expect(result.series.dates[0]).toBe('2024-07-01');
+    expect(result.warnings).toEqual([]);
+  });
+
+  test('should carry 100-hour and 1000-hour moisture down through a dry spell', () => {
+    const { series } = NFDRS.runNFDRS(dailySeries(30), STATION);
+
+    expect(series.dead100h[29]).toBeLessThan(series.dead100h[0]);
+    expect(series.dead1000h[29]).toBeLessThan(series.dead1000h[0]);
+    expect(series.kbdi[29]).toBeGreaterThan(series.kbdi[0]);
+    expect(series.erc[29]).toBeGreaterThanOrEqual(series.erc[0]);
+    expect(series.liveHerb[29]).toBeLessThan(series.liveHerb[0]);
+  });
+
+  test('should wet 100-hour fuels and lower KBDI on a rain day', () => {
+    const { days } = NFDRS.runNFDRS(dailySeries(12, i => (i === 10 ? { precipitation: 1.0 } : {})), STATION);
+
+    expect(days[10].precipitationDuration).toBe(4);
+    expect(days[10].moisture.dead100h).toBeGreaterThan(days[9].moisture.dead100h);
+    expect(days[10].kbdi).toBeLessThan(days[9].kbdi);
+  });
+
+  test('should saturate fine fuels when raining at observation time', () => {
+    const { days } = NFDRS.runNFDRS(dailySeries(2, i => (i === 1 ? { stateOfWeather: 6, rh: 90 } : {})), STATION);
+
+    expect(days[1].moisture.dead1h).toBe(35);
+    expect(days[1].ic).toBe(0);
+  });
+
+  test('should continue a run from a serialized state', () => {
+    const observations = dailySeries(20);
+    const whole = NFDRS.runNFDRS(observations, STATION);
+    const first = NFDRS.runNFDRS(observations.slice(0, 10), STATION);
+    const state = JSON.parse(JSON.stringify(first.state));
+    const second = NFDRS.runNFDRS(observations.slice(10), { state });
+
+    expect(second.days[9]).toEqual(whole.days[19]);
+  });
+
+  test('should hold live fuels cured before greenup', () => {
+    const { days } = NFDRS.runNFDRS(dailySeries(20), Object.assign({ greenupDate: '2024-07-10', climateClass: 1 }, STATION));
+
+    expect(days[0].moisture.liveHerb).toBe(30);
+    expect(days[0].moisture.liveWoody).toBe(50);
+    expect(days[19].moisture.liveHerb).toBeGreaterThan(30);
+  });
+
+  test('should warn about gaps and reject out-of-order dates', () => {
+    const observations = dailySeries(5);
+    const gapped = NFDRS.runNFDRS([observations[0], observations[3]], STATION);
+    expect(gapped.warnings).toEqual(['2 missing day(s) between 2024-07-01 and 2024-07-04']);
+
+    expect(() => NFDRS.runNFDRS([observations[1], observations[0]], STATION))
+      .toThrow('Observations must be in date order');
+  });
+
+  test('should validate station options and observations', () => {
+    expect(() => NFDRS.runNFDRS(dailySeries(1), { fuelModel: 'G', annualPrecipitation: 20 }))
+      .toThrow('latitude must be between -90 and 90');
+    expect(() => NFDRS.runNFDRS(dailySeries(1), { fuelModel: 'G', latitude: 40 }))
+      .toThrow('annualPrecipitation must be a positive number');
+    expect(() => NFDRS.runNFDRS(dailySeries(1, { minRH: undefined }), STATION))
+      .toThrow('minRH must be a number');
+    expect(() => NFDRS.runNFDRS([], STATION)).toThrow('observations must be a non-empty array');
+  });
+});
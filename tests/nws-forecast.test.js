@@ -0,0 +1,121 @@
+/**
+ * Tests for nws-forecast.js gridpoint import and hourly timeline
+ */
+
+const NWSForecast = require('../nws-forecast.js');
+const { FORECAST_START, forecastTime, gridpointSeries, gridpointForecast } = require('./helpers.js');
+
+describe('NWSForecast - ISO-8601 intervals', () => {
+  test('should convert durations to hours', () => {
+    expect(NWSForecast.parseISODuration('PT1H')).toBe(1);
+    expect(NWSForecast.parseISODuration('PT3H')).toBe(3);
+    expect(NWSForecast.parseISODuration('P1D')).toBe(24);
+    expect(NWSForecast.parseISODuration('P1DT6H')).toBe(30);
+    expect(() => NWSForecast.parseISODuration('3H')).toThrow('Invalid ISO-8601 duration');
+  });
+
+  test('should expand intervals into hourly values', () => {
+    const hourly = NWSForecast.expandTimeSeries(
+      { uom: 'wmoUnit:degC', values: [{ validTime: `${forecastTime(0)}/PT3H`, value: 10 }] }, 'temperature');
+    expect(Array.from(hourly.keys())).toEqual([FORECAST_START, FORECAST_START + 3600000, FORECAST_START + 7200000]);
+    expect(hourly.get(FORECAST_START + 7200000)).toBe(50);
+  });
+
+  test('should spread precipitation totals over their interval', () => {
+    const hourly = NWSForecast.expandTimeSeries(
+      { uom: 'wmoUnit:mm', values: [{ validTime: `${forecastTime(0)}/PT6H`, value: 25.4 }] }, 'length', { accumulated: true });
+    expect(hourly.size).toBe(6);
+    expect(hourly.get(FORECAST_START)).toBeCloseTo(1 / 6, 6);
+  });
+
+  test('should reject unknown units', () => {
+    expect(() => NWSForecast.expandTimeSeries({ uom: 'wmoUnit:furlong', values: [] }, 'speed'))
+      .toThrow('Unsupported unit wmoUnit:furlong for speed');
+  });
+});
+
+describe('NWSForecast - parseGridpointForecast', () => {
+  test('should convert a gridpoint response to hourly dashboard units', () => {
+    const forecast = NWSForecast.parseGridpointForecast(JSON.stringify(gridpointForecast(24)));
+
+    expect(forecast.hours).toHaveLength(24);
+    expect(forecast.windHeight).toBe('10m');
+    expect(forecast.hours[0]).toEqual({
+      time: '2024-07-01T12:00:00.000Z', tempF: 68, rh: 30, windSpeed: 10,
+      windDirection: 225, precipitation: 0, shading: 0
+    });
+  });
+
+  test('should prefer the 20-ft wind grids', () => {
+    const forecast = NWSForecast.parseGridpointForecast(gridpointForecast(24, {
+      twentyFootWindSpeed: gridpointSeries('wmoUnit:km_h-1', 24, 1, 8.04672)
+    }));
+    expect(forecast.windHeight).toBe('20ft');
+    expect(forecast.hours[5].windSpeed).toBe(5);
+  });
+
+  test('should reject responses without the weather series', () => {
+    expect(() => NWSForecast.parseGridpointForecast('{ "properties": {} }'))
+      .toThrow('expected a gridpoint response with temperature and relativeHumidity');
+    expect(() => NWSForecast.parseGridpointForecast('not json')).toThrow('Invalid forecast JSON');
+  });
+});
+
+describe('NWSForecast - forecastWeatherSteps', () => {
+  test('should stamp each forecast hour with the time it ends', () => {
+    const steps = NWSForecast.forecastWeatherSteps(gridpointForecast(24));
+
+    expect(steps).toHaveLength(24);
+    expect(steps[0]).toMatchObject({ time: '2024-07-01T13:00:00.000Z', hours: 1, tempF: 68, rh: 30, windSpeed: 10 });
+  });
+});
+
+describe('NWSForecast - buildFireBehaviorTimeline', () => {
+  test('should produce an hourly table for the requested days', () => {
+    const timeline = NWSForecast.buildFireBehaviorTimeline(gridpointForecast(), { days: 2, fuelModel: '1' });
+
+    expect(timeline.rows).toHaveLength(48);
+    expect(timeline.rows[0].time).toBe('2024-07-01T13:00:00.000Z');
+    const row = timeline.rows[10];
+    ['time', 'tempF', 'rh', 'windSpeed', 'moisture', 'ros', 'flameLength', 'firelineIntensity'].forEach(key => {
+      expect(row).toHaveProperty(key);
+    });
+    expect(row.canSpread).toBe(true);
+    expect(row.ros).toBeGreaterThan(0);
+  });
+
+  test('should carry 1-hour moisture from the initial value toward EMC', () => {
+    const timeline = NWSForecast.buildFireBehaviorTimeline(gridpointForecast(), { days: 2, initialMoisture: 25 });
+    expect(timeline.rows[0].moisture).toBeLessThan(25);
+    expect(timeline.rows[0].moisture).toBeGreaterThan(timeline.rows[0].emc);
+  });
+
+  test('should evolve 10-hour and 100-hour moisture', () => {
+    const timeline = NWSForecast.buildFireBehaviorTimeline(gridpointForecast(), {
+      days: 3, initialMoisture: 20, initial: { dead10h: 20, dead100h: 20 }
+    });
+    const last = timeline.rows[timeline.rows.length - 1].moistures;
+
+    expect(last.dead10h).toBeLessThan(20);
+    expect(last.dead100h).toBeLessThan(20);
+    expect(last.dead100h).toBeGreaterThan(last.dead10h);
+  });
+
+  test('should wet fuels during forecast rain', () => {
+    const rain = { uom: 'wmoUnit:mm', values: [{ validTime: `${forecastTime(6)}/PT2H`, value: 5 }] };
+    const timeline = NWSForecast.buildFireBehaviorTimeline(gridpointForecast(72, { quantitativePrecipitation: rain }), { days: 2 });
+
+    expect(timeline.rows[6].precipitation).toBeCloseTo(0.098, 3);
+    expect(timeline.rows[6].moisture).toBe(35);
+    expect(timeline.rows[6].canSpread).toBe(false);
+  });
+
+  test('should limit the period to two to seven days', () => {
+    expect(() => NWSForecast.buildFireBehaviorTimeline(gridpointForecast(), { days: 10 }))
+      .toThrow('Forecast length must be between 2 and 7 days');
+    expect(() => NWSForecast.buildFireBehaviorTimeline(gridpointForecast(), { days: 1 }))
+      .toThrow('Forecast length must be between 2 and 7 days');
+    expect(() => NWSForecast.buildFireBehaviorTimeline(gridpointForecast(), { startTime: '2030-01-01T00:00:00Z' }))
+      .toThrow('No forecast hours in the requested period');
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Tests for spotting.js maximum spotting distance
+ */
+
+const FireBehavior = require('../fire-behavior.js');
+const Spotting = require('../spotting.js');
+
+const shared = { downwindCoverHeight: 50, windSpeed20ft: 20 };
+
+describe('Spotting - terrain', () => {
+  test('should compute Albini flat terrain distance', () => {
+    const expected = 0.000718 * 20 * Math.sqrt(50) * (0.362 + Math.sqrt(4) / 2 * Math.log(4));
+    expect(Spotting.spotDistanceFlatTerrain(200, 50, 20)).toBeCloseTo(expected, 10);
+  });
+
+  test('should not spot when firebrands stay below the cover or there is no wind', () => {
+    expect(Spotting.spotDistanceFlatTerrain(40, 50, 20)).toBe(0);
+    expect(Spotting.spotDistanceFlatTerrain(200, 50, 0)).toBe(0);
+  });
+
+  test('should carry firebrands farther from ridge tops than from valley bottoms', () => {
+    const terrain = { ridgeToValleyElevation: 2000, ridgeToValleyDistance: 1 };
+    const flat = 0.5;
+    const ridge = Spotting.spotDistanceMountainTerrain(flat, Object.assign({ sourceLocation: 'ridgeTop' }, terrain));
+    const valley = Spotting.spotDistanceMountainTerrain(flat, Object.assign({ sourceLocation: 'valleyBottom' }, terrain));
+
+    expect(ridge).toBeGreaterThan(flat);
+    expect(valley).toBeLessThan(flat);
+  });
+
+  test('should return the flat distance without relief', () => {
+    expect(Spotting.spotDistanceMountainTerrain(0.4, {})).toBe(0.4);
+  });
+
+  test('should reject unknown source locations', () => {
+    expect(() => Spotting.spotDistanceMountainTerrain(0.4, { sourceLocation: 'saddle' }))
+      .toThrow('Invalid source location');
+  });
+});
+
+describe('Spotting - sources', () => {
+  test('should loft torching tree firebrands from flame height and duration', () => {
+    const one = Spotting.calculateSpottingFromTorchingTrees(Object.assign({
+      species: 'douglasFir', dbh: 20, treeHeight: 100, torchingTrees: 1
+    }, shared));
+    const five = Spotting.calculateSpottingFromTorchingTrees(Object.assign({
+      species: 'douglasFir', dbh: 20, treeHeight: 100, torchingTrees: 5
+    }, shared));
+
+    expect(one.flameHeight).toBeCloseTo(15.7 * Math.pow(20, 0.451), 1);
+    expect(five.flameHeight).toBeGreaterThan(one.flameHeight);
+    expect(five.maxSpotDistance.miles).toBeGreaterThan(one.maxSpotDistance.miles);
+  });
+
+  test('should reject unknown species', () => {
+    expect(() => Spotting.calculateSpottingFromTorchingTrees(Object.assign({
+      species: 'redwood', dbh: 20, treeHeight: 100
+    }, shared))).toThrow('Invalid species');
+  });
+
+  test('should loft burning pile firebrands to 12.2 flame heights', () => {
+    const pile = Spotting.calculateSpottingFromBurningPile(Object.assign({ flameHeight: 10 }, shared));
+    expect(pile.firebrandHeight).toBe(122);
+    expect(pile.maxSpotDistance.miles).toBeGreaterThan(0);
+  });
+
+  test('should add firebrand drift to the surface fire flat distance', () => {
+    // BehavePlus SPOT equations: 6-ft flames, 20 mph 20-ft wind, 30-ft closed cover
+    const result = Spotting.calculateSpottingFromSurfaceFire({ flameLength: 6, downwindCoverHeight: 30, windSpeed20ft: 20 });
+    const lofted = Spotting.spotDistanceFlatTerrain(101.543, 30, 20);
+
+    expect(result.firebrandHeight).toBe(101.5);
+    expect(result.firebrandDrift).toBe(0.108);
+    expect(result.flatDistance.miles).toBe(0.225);
+    expect(result.flatDistance.miles).toBeCloseTo(lofted + 0.108, 3);
+  });
+
+  test('should use calculateFlameLength for surface fires given intensity', () => {
+    const byIntensity = Spotting.calculateSpottingFromSurfaceFire(Object.assign({ firelineIntensity: 500 }, shared));
+    const flameLength = FireBehavior.calculateFlameLength(500).flameLengthFt;
+    const byFlame = Spotting.calculateSpottingFromSurfaceFire(Object.assign({ flameLength }, shared));
+
+    expect(byIntensity.flameLength).toBeCloseTo(flameLength, 1);
+    expect(byIntensity.maxSpotDistance).toEqual(byFlame.maxSpotDistance);
+  });
+
+  test('should halve the cover height for an open downwind canopy', () => {
+    const open = Spotting.calculateSpottingFromBurningPile(Object.assign({ flameHeight: 10, downwindCanopyOpen: true }, shared));
+    expect(open.coverHeightUsed).toBe(25);
+  });
+
+  test('should require a downwind cover height', () => {
+    expect(() => Spotting.calculateSpottingFromBurningPile({ flameHeight: 10, windSpeed20ft: 20 }))
+      .toThrow('downwind cover height');
+  });
+});
+
+describe('Spotting - predictFireBehavior integration', () => {
+  test('should report spotting from 20-ft wind and surface flame length', () => {
+    const result = FireBehavior.predictFireBehavior({
+      windSpeed: 20,
+      windHeight: '20ft',
+      fuelModel: '10',
+      fuelMoisture: 6,
+      spotting: {
+        downwindCoverHeight: 60,
+        torchingTrees: { species: 'ponderosaPine', dbh: 16, treeHeight: 70, count: 3 },
+        burningPile: { flameHeight: 8 }
+      }
+    });
+    const expected = Spotting.calculateSpottingFromSurfaceFire({
+      flameLength: FireBehavior.calculateFlameLength(result.firelineIntensity).flameLengthFt,
+      downwindCoverHeight: 60,
+      windSpeed20ft: 20
+    });
+
+    expect(result.spotting.surfaceFire.maxSpotDistance.miles).toBeCloseTo(expected.maxSpotDistance.miles, 2);
+    expect(result.spotting.torchingTrees.maxSpotDistance.miles).toBeGreaterThan(0);
+    expect(result.spotting.burningPile.firebrandHeight).toBeCloseTo(97.6, 1);
+  });
+
+  test('should omit spotting when no spotting inputs are given', () => {
+    const result = FireBehavior.predictFireBehavior({ windSpeed: 5, fuelModel: '2' });
+    expect(result.spotting).toBeUndefined();
+  });
+});
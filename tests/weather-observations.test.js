@@ -0,0 +1,166 @@
+/**
+ * Tests for weather-observations.js fw13 / fw21 import and replay
+ */
+
+const WeatherObservations = require('../weather-observations.js');
+const FuelMoistureIntegration = require('../fuel-moisture-integration.js');
+const NFDRS = require('../nfdrs.js');
+const { diurnalWeather } = require('./helpers.js');
+
+function pad(value, width) {
+  return String(value).padStart(width, ' ');
+}
+
+// Build an fw13 record from readable fields
+function fw13(fields = {}) {
+  const f = Object.assign({
+    station: '044915', date: '20230801', time: '1300', type: 'R', weather: '0',
+    temp: 85, moisture: 20, windDir: 225, wind: 10, fm10: '', maxT: '', minT: '', maxRH: '', minRH: '',
+    duration: '', precip: 0, moistureType: '2', units: '1', solar: 800
+  }, fields);
+  return 'W13' + f.station + f.date + f.time + f.type + f.weather +
+    pad(f.temp, 3) + pad(f.moisture, 3) + pad(f.windDir, 3) + pad(f.wind, 3) + pad(f.fm10, 2) +
+    pad(f.maxT, 3) + pad(f.minT, 3) + pad(f.maxRH, 3) + pad(f.minRH, 3) + pad(f.duration, 2) + pad(f.precip, 5) +
+    'N    ' + f.moistureType + f.units + ' ' + pad(f.solar, 4) + '      N';
+}
+
+function hourlyFile(hours = 48, overrides = {}) {
+  const weather = diurnalWeather(hours, { start: Date.UTC(2023, 7, 1), firstHour: 0, tempF: [70, 15], rh: [60, 30] });
+  return weather.map((step, h) => (overrides[h] === null ? null : fw13(Object.assign({
+    date: step.time.slice(0, 10).replace(/-/g, ''),
+    time: `${step.time.slice(11, 13)}00`,
+    temp: step.tempF,
+    moisture: step.rh
+  }, overrides[h])))).filter(line => line !== null).join('\n');
+}
+
+const FW21_HEADER = 'StationID,DateTime,Temperature(F),RelativeHumidity(%),Precipitation(in),WindSpeed(mph),' +
+  'WindAzimuth(degrees),GustSpeed(mph),GustAzimuth(degrees),SnowFlag,SolarRadiation(W/m2),' +
+  'Tflag,RHflag,PCPflag,WSflag,WAflag,SRflag,GSflag,GAflag';
+
+describe('WeatherObservations - fw13', () => {
+  test('should read a fixed-width record', () => {
+    const obs = WeatherObservations.parseFW13Record(fw13({ fm10: 6, maxT: 91, minT: 58, maxRH: 70, minRH: 15, duration: 2, precip: 12 }));
+
+    expect(obs).toMatchObject({
+      station: '044915', time: '2023-08-01T13:00', observationType: 'R', stateOfWeather: 0,
+      tempF: 85, rh: 20, windSpeed: 10, windDirection: 225, precipitation: 0.12, precipitationDuration: 2,
+      solarRadiation: 800, maxTempF: 91, minTempF: 58, maxRH: 70, minRH: 15, fuelMoisture10h: 6,
+      missing: [], flagged: []
+    });
+  });
+
+  test('should convert metric records and dew point readings', () => {
+    const metric = WeatherObservations.parseFW13Record(fw13({ temp: 30, wind: 16, precip: 254, units: '2' }));
+    expect(metric.tempF).toBe(86);
+    expect(metric.windSpeed).toBeCloseTo(9.94, 2);
+    expect(metric.precipitation).toBeCloseTo(0.1, 6);
+
+    const dewPoint = WeatherObservations.parseFW13Record(fw13({ temp: 86, moisture: 50, moistureType: '3' }));
+    expect(dewPoint.rh).toBeCloseTo(28.9, 1);
+    const wetBulb = WeatherObservations.parseFW13Record(fw13({ temp: 86, moisture: 65, moistureType: '1' }));
+    expect(wetBulb.rh).toBeGreaterThan(25);
+    expect(wetBulb.rh).toBeLessThan(40);
+  });
+
+  test('should summarize missing, flagged, rejected and duplicate records', () => {
+    const text = hourlyFile(48, { 5: null, 7: { moisture: '' }, 8: { moisture: 140 } }) +
+      '\nnot a record\n' + fw13({ date: '20230801', time: '0000', temp: 99 });
+    const { format, observations, quality } = WeatherObservations.parseWeatherObservations(text);
+
+    expect(format).toBe('fw13');
+    expect(observations).toHaveLength(47);
+    expect(observations.find(obs => obs.time === '2023-08-01T08:00').rh).toBeNull();
+    expect(quality).toMatchObject({
+      records: 47, duplicates: 1, stations: ['044915'], start: '2023-08-01T00:00', end: '2023-08-02T23:00',
+      intervalHours: 1, expected: 48, completeness: 97.9
+    });
+    expect(quality.rejected).toEqual([{ line: 48, reason: 'not a W13 record' }]);
+    expect(quality.missing.rh).toBe(1);
+    expect(quality.flagged.rh).toBe(1);
+    expect(quality.gaps).toEqual([{ station: '044915', from: '2023-08-01T04:00', to: '2023-08-01T06:00', hours: 2 }]);
+  });
+
+  test('should keep flagged values on request', () => {
+    const { observations } = WeatherObservations.parseFW13(fw13({ moisture: 140 }), { keepFlagged: true });
+    expect(observations[0].rh).toBe(140);
+    expect(observations[0].flagged).toEqual(['rh']);
+  });
+});
+
+describe('WeatherObservations - fw21', () => {
+  test('should read columns by header and honor flag columns', () => {
+    const text = [
+      FW21_HEADER,
+      '044915,2023-08-01T13:00:00-06:00,29,20,2.54,16.09344,225,30,230,N,800,,,,,,,,',
+      '044915,2023-08-01T14:00:00-06:00,30,19,0,12,225,18,230,N,810,,R,,,,,,'
+    ].join('\n').replace('Temperature(F)', 'Temperature(C)').replace('Precipitation(in)', 'Precipitation(mm)')
+      .replace('WindSpeed(mph)', 'WindSpeed(km/h)');
+    const { format, observations, quality } = WeatherObservations.parseWeatherObservations(text);
+
+    expect(format).toBe('fw21');
+    expect(observations[0].tempF).toBeCloseTo(84.2, 6);
+    expect(observations[0].precipitation).toBeCloseTo(0.1, 6);
+    expect(observations[0].windSpeed).toBeCloseTo(10, 6);
+    expect(observations[1].rh).toBeNull();
+    expect(observations[1].flagged).toEqual(['rh']);
+    expect(quality.flagged.rh).toBe(1);
+  });
+
+  test('should require the weather columns', () => {
+    expect(() => WeatherObservations.parseFW21('StationID,DateTime,WindSpeed(mph)\n'))
+      .toThrow('header must include DateTime, Temperature and RelativeHumidity');
+    expect(() => WeatherObservations.parseWeatherObservations('hello')).toThrow('Unrecognized observation file');
+  });
+});
+
+describe('WeatherObservations - series', () => {
+  test('should produce runModel steps that span gaps and skip missing readings', () => {
+    const parsed = WeatherObservations.parseFW13(hourlyFile(24, { 5: null, 7: { moisture: '', precip: 5 }, 8: { precip: 3 } }));
+    const steps = WeatherObservations.toWeatherSteps(parsed);
+
+    expect(steps).toHaveLength(22);
+    expect(steps[5]).toMatchObject({ time: '2023-08-01T06:00', hours: 2 });
+    expect(steps[6]).toMatchObject({ time: '2023-08-01T08:00', hours: 2, precipitation: 0.08 });
+    expect(FuelMoistureIntegration.runModel(10, steps)).toHaveLength(23);
+
+    expect(() => WeatherObservations.toWeatherSteps(parsed, { missing: 'error' }))
+      .toThrow('Observation 044915 2023-08-01T07:00 has no relative humidity');
+  });
+
+  test('should reduce hourly records to NFDRS daily observations', () => {
+    const parsed = WeatherObservations.parseFW13(hourlyFile(48, { 30: { precip: 10 }, 31: { precip: 5 } }));
+    const { days, skipped } = WeatherObservations.toDailyObservations(parsed);
+
+    expect(skipped).toEqual([]);
+    expect(days).toHaveLength(2);
+    expect(days[1]).toMatchObject({
+      date: '2023-08-02', tempF: 83, maxTempF: 85, minTempF: 55, maxRH: 90, minRH: 30,
+      precipitation: 0.15, precipitationDuration: 2, stateOfWeather: 0
+    });
+    expect(NFDRS.runNFDRS(days, { fuelModel: 'G', latitude: 38, annualPrecipitation: 40 }).series.erc).toHaveLength(2);
+  });
+
+  test('should ask which station to use when a file has several', () => {
+    const parsed = WeatherObservations.parseFW13([fw13(), fw13({ station: '044916' })].join('\n'));
+    expect(() => WeatherObservations.toWeatherSteps(parsed)).toThrow('Observations include 2 stations');
+    expect(WeatherObservations.toWeatherSteps(parsed, { station: '044916' })).toHaveLength(1);
+  });
+});
+
+describe('WeatherObservations - replay', () => {
+  test('should run moisture and fire behavior for every usable observation', () => {
+    const parsed = WeatherObservations.parseFW13(hourlyFile(48, { 20: { wind: '' } }));
+    const rows = WeatherObservations.replayObservations(parsed, { fuelModel: '1', initialMoisture: 25 });
+
+    expect(rows).toHaveLength(48);
+    expect(rows[0].moisture).toBeLessThan(25);
+    expect(rows[14].canSpread).toBe(true);
+    expect(rows[14].ros).toBeGreaterThan(0);
+    expect(rows[20].ros).toBeNull();
+
+    const daily = WeatherObservations.summarizeReplayByDay(rows);
+    expect(daily.map(day => day.hours)).toEqual([24, 24]);
+    expect(daily[0].maxRos).toBe(Math.max(...rows.slice(0, 24).map(row => row.ros || 0)));
+  });
+});
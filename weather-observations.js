@@ -0,0 +1,788 @@
+/**
+ * Weather Observation Import
+ * Parses RAWS / WIMS observation archives (fixed-width fw13 and the newer
+ * fw21 CSV) into validated hourly and daily series, and replays them through
+ * the moisture and fire behavior models
+ */
+
+// Import companion modules if in Node.js environment
+let FuelMoistureForObservations = null;
+let FireBehaviorForObservations = null;
+if (typeof require !== 'undefined') {
+  try {
+    FuelMoistureForObservations = require('./fuel-moisture-integration.js');
+    FireBehaviorForObservations = require('./fire-behavior.js');
+  } catch (e) {
+    // Modules not available, will use window object in browser
+  }
+}
+
+function getObservationModule(lib, globalName) {
+  const resolved = lib || (typeof window !== 'undefined' ? window[globalName] : null);
+  if (!resolved) {
+    throw new Error(`${globalName} module is not loaded`);
+  }
+  return resolved;
+}
+
+// fw13 record layout: [field, first column (1-based), width]
+const FW13_FIELDS = [
+  ['recordType', 1, 3],
+  ['station', 4, 6],
+  ['date', 10, 8],
+  ['time', 18, 4],
+  ['observationType', 22, 1],
+  ['stateOfWeather', 23, 1],
+  ['temperature', 24, 3],
+  ['atmosphericMoisture', 27, 3],
+  ['windDirection', 30, 3],
+  ['windSpeed', 33, 3],
+  ['fuelMoisture10h', 36, 2],
+  ['maxTemperature', 38, 3],
+  ['minTemperature', 41, 3],
+  ['maxRH', 44, 3],
+  ['minRH', 47, 3],
+  ['precipitationDuration', 50, 2],
+  ['precipitation', 52, 5],
+  ['wetFlag', 57, 1],
+  ['herbGreenness', 58, 2],
+  ['shrubGreenness', 60, 2],
+  ['moistureType', 62, 1],
+  ['measurementType', 63, 1],
+  ['seasonCode', 64, 1],
+  ['solarRadiation', 65, 4],
+  ['gustDirection', 69, 3],
+  ['gustSpeed', 72, 3],
+  ['snowFlag', 75, 1]
+];
+
+// fw21 column names (lowercase, units stripped) -> observation field
+const FW21_COLUMNS = {
+  stationid: 'station',
+  datetime: 'time',
+  temperature: 'tempF',
+  relativehumidity: 'rh',
+  precipitation: 'precipitation',
+  windspeed: 'windSpeed',
+  windazimuth: 'windDirection',
+  gustspeed: 'gustSpeed',
+  gustazimuth: 'gustDirection',
+  snowflag: 'snow',
+  solarradiation: 'solarRadiation',
+  tflag: 'tempF',
+  rhflag: 'rh',
+  pcpflag: 'precipitation',
+  wsflag: 'windSpeed',
+  waflag: 'windDirection',
+  srflag: 'solarRadiation',
+  gsflag: 'gustSpeed',
+  gaflag: 'gustDirection'
+};
+
+// Unit labels in fw21 headers -> conversion to dashboard units
+const FW21_UNITS = {
+  f: v => v,
+  c: v => v * 9 / 5 + 32,
+  mph: v => v,
+  kph: v => v / 1.609344,
+  'km/h': v => v / 1.609344,
+  'm/s': v => v / 0.44704,
+  in: v => v,
+  mm: v => v / 25.4
+};
+
+// Plausible ranges; values outside are flagged
+const OBSERVATION_RANGES = {
+  tempF: [-60, 135],
+  rh: [0, 100],
+  windSpeed: [0, 150],
+  windDirection: [0, 360],
+  gustSpeed: [0, 200],
+  gustDirection: [0, 360],
+  precipitation: [0, 10],
+  solarRadiation: [0, 1400],
+  maxTempF: [-60, 135],
+  minTempF: [-60, 135],
+  maxRH: [0, 100],
+  minRH: [0, 100],
+  fuelMoisture10h: [1, 60]
+};
+
+// Fields counted in the quality summary
+const QUALITY_FIELDS = ['tempF', 'rh', 'windSpeed', 'windDirection', 'precipitation', 'solarRadiation'];
+
+const HOUR_MS_OBSERVATIONS = 3600000;
+
+/**
+ * Vapor pressure over water (hPa), Magnus form
+ * @param {number} tempC - Temperature (°C)
+ * @returns {number} Saturation vapor pressure (hPa)
+ */
+function stationVaporPressure(tempC) {
+  return 6.112 * Math.exp(17.67 * tempC / (tempC + 243.5));
+}
+
+/**
+ * Relative humidity from a wet bulb or dew point reading
+ * @param {number} tempF - Dry bulb temperature (°F)
+ * @param {number} value - Wet bulb or dew point temperature (°F)
+ * @param {string} kind - 'wetBulb' or 'dewPoint'
+ * @param {number} pressure - Station pressure for the psychrometric equation (hPa, default 1013.25)
+ * @returns {number} Relative humidity (%)
+ */
+function relativeHumidityFromReading(tempF, value, kind, pressure = 1013.25) {
+  const t = (tempF - 32) * 5 / 9;
+  const reading = (value - 32) * 5 / 9;
+  const vapor = kind === 'dewPoint' ? stationVaporPressure(reading) :
+    stationVaporPressure(reading) - 0.00066 * (1 + 0.00115 * reading) * pressure * (t - reading);
+  return Math.max(0, Math.min(100, 100 * vapor / stationVaporPressure(t)));
+}
+
+function parseObservationNumber(text) {
+  const trimmed = String(text === undefined ? '' : text).trim();
+  if (trimmed === '') {
+    return null;
+  }
+  const value = Number(trimmed);
+  return isNaN(value) ? null : value;
+}
+
+function fw13Time(date, time) {
+  if (!/^\d{8}$/.test(date) || !/^\d{4}$/.test(time)) {
+    return null;
+  }
+  const hour = Number(time.slice(0, 2));
+  const minute = Number(time.slice(2));
+  if (hour > 23 || minute > 59) {
+    return null;
+  }
+  return `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6)}T${time.slice(0, 2)}:${time.slice(2)}`;
+}
+
+/**
+ * Range-check an observation: out-of-range values are flagged and, unless
+ * keepFlagged is set, removed. Missing values are recorded.
+ */
+function validateObservation(obs, flaggedBySource, keepFlagged) {
+  const flagged = flaggedBySource.slice();
+  Object.keys(OBSERVATION_RANGES).forEach(field => {
+    const value = obs[field];
+    if (typeof value !== 'number') {
+      return;
+    }
+    const [min, max] = OBSERVATION_RANGES[field];
+    if (value < min || value > max) {
+      flagged.push(field);
+    }
+  });
+  if (!keepFlagged) {
+    flagged.forEach(field => {
+      obs[field] = null;
+    });
+  }
+  obs.flagged = Array.from(new Set(flagged));
+  obs.missing = QUALITY_FIELDS.filter(field => obs[field] === null && !obs.flagged.includes(field));
+  return obs;
+}
+
+/**
+ * Parse one fw13 record
+ * @param {string} line - Fixed-width record
+ * @param {object} options - { pressure: hPa for wet bulb conversion, keepFlagged }
+ * @returns {object} Observation in °F, %, mph and inches
+ */
+function parseFW13Record(line, options = {}) {
+  const raw = {};
+  FW13_FIELDS.forEach(([name, start, width]) => {
+    raw[name] = line.substr(start - 1, width);
+  });
+  if (raw.recordType !== 'W13') {
+    throw new Error('not a W13 record');
+  }
+  const time = fw13Time(raw.date, raw.time);
+  if (!time) {
+    throw new Error(`invalid date or time '${raw.date} ${raw.time}'`);
+  }
+
+  const metric = raw.measurementType.trim() === '2';
+  const temperature = value => value === null ? null : (metric ? value * 9 / 5 + 32 : value);
+  const speed = value => value === null ? null : (metric ? value / 1.609344 : value);
+  const number = name => parseObservationNumber(raw[name]);
+
+  const tempF = temperature(number('temperature'));
+  const moisture = number('atmosphericMoisture');
+  const moistureType = raw.moistureType.trim() || '2';
+  let rh = null;
+  if (moisture !== null) {
+    if (moistureType === '2') {
+      rh = moisture;
+    } else if (tempF !== null) {
+      rh = Math.round(relativeHumidityFromReading(tempF, temperature(moisture),
+        moistureType === '1' ? 'wetBulb' : 'dewPoint', options.pressure) * 10) / 10;
+    }
+  }
+  const precipitationAmount = number('precipitation');
+
+  const obs = {
+    station: raw.station.trim(),
+    time,
+    observationType: raw.observationType.trim() || null,
+    stateOfWeather: number('stateOfWeather'),
+    tempF,
+    rh,
+    windSpeed: speed(number('windSpeed')),
+    windDirection: number('windDirection'),
+    precipitation: precipitationAmount === null ? null :
+      (metric ? precipitationAmount / 100 / 25.4 : precipitationAmount / 100),
+    precipitationDuration: number('precipitationDuration'),
+    solarRadiation: number('solarRadiation'),
+    gustSpeed: speed(number('gustSpeed')),
+    gustDirection: number('gustDirection'),
+    snow: raw.snowFlag.trim().toUpperCase() === 'Y',
+    maxTempF: temperature(number('maxTemperature')),
+    minTempF: temperature(number('minTemperature')),
+    maxRH: number('maxRH'),
+    minRH: number('minRH'),
+    fuelMoisture10h: number('fuelMoisture10h')
+  };
+  return validateObservation(obs, [], options.keepFlagged);
+}
+
+function splitCSVLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell);
+  return cells.map(c => c.trim());
+}
+
+/**
+ * Map an fw21 header to column readers
+ * @param {string} line - Header line, e.g. 'StationID,DateTime,Temperature(F),...'
+ * @returns {Array} [{ field, flag, convert }] per column (null for unknown columns)
+ */
+function parseFW21Header(line) {
+  const columns = splitCSVLine(line).map(name => {
+    const match = /^([^(]*)(?:\(([^)]*)\))?/.exec(name);
+    const key = match[1].trim().toLowerCase().replace(/[\s_]/g, '');
+    const field = FW21_COLUMNS[key];
+    if (!field) {
+      return null;
+    }
+    const unit = (match[2] || '').trim().toLowerCase();
+    return { field, flag: key.endsWith('flag') && key !== 'snowflag', convert: FW21_UNITS[unit] || (v => v) };
+  });
+  const fields = columns.filter(Boolean).map(column => column.field);
+  if (!fields.includes('time') || !fields.includes('tempF') || !fields.includes('rh')) {
+    throw new Error('Invalid fw21 file: header must include DateTime, Temperature and RelativeHumidity');
+  }
+  return columns;
+}
+
+/**
+ * Parse one fw21 row. A non-empty flag column marks its field as flagged.
+ * @param {string} line - CSV row
+ * @param {Array} columns - From parseFW21Header
+ * @param {object} options - { keepFlagged }
+ * @returns {object} Observation in °F, %, mph and inches
+ */
+function parseFW21Record(line, columns, options = {}) {
+  const cells = splitCSVLine(line);
+  const obs = {
+    station: null,
+    time: null,
+    observationType: null,
+    stateOfWeather: null,
+    tempF: null,
+    rh: null,
+    windSpeed: null,
+    windDirection: null,
+    precipitation: null,
+    precipitationDuration: null,
+    solarRadiation: null,
+    gustSpeed: null,
+    gustDirection: null,
+    snow: false,
+    maxTempF: null,
+    minTempF: null,
+    maxRH: null,
+    minRH: null,
+    fuelMoisture10h: null
+  };
+  const flagged = [];
+
+  columns.forEach((column, i) => {
+    if (!column) {
+      return;
+    }
+    const cell = cells[i] === undefined ? '' : cells[i];
+    if (column.flag) {
+      if (cell !== '') {
+        flagged.push(column.field);
+      }
+    } else if (column.field === 'station') {
+      obs.station = cell;
+    } else if (column.field === 'time') {
+      // Local standard time as written; any UTC offset is dropped
+      const match = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}):(\d{2})/.exec(cell);
+      obs.time = match ? `${match[1]}T${match[2]}:${match[3]}` : null;
+    } else if (column.field === 'snow') {
+      obs.snow = /^(y|yes|true|1)$/i.test(cell);
+    } else {
+      const value = parseObservationNumber(cell);
+      obs[column.field] = value === null ? null : column.convert(value);
+    }
+  });
+
+  if (!obs.time) {
+    throw new Error('invalid DateTime');
+  }
+  return validateObservation(obs, flagged, options.keepFlagged);
+}
+
+function observationTimeMs(time) {
+  return Date.parse(`${time}:00Z`);
+}
+
+/**
+ * Data quality summary for parsed observations
+ * @param {Array} observations - Sorted observations
+ * @param {Array} rejected - [{ line, reason }]
+ * @param {number} duplicates - Records dropped as duplicates
+ * @returns {object} { records, rejected, duplicates, stations, start, end, intervalHours,
+ *   expected, completeness: %, missing: { field: count }, flagged: { field: count }, gaps }
+ */
+function summarizeObservationQuality(observations, rejected = [], duplicates = 0) {
+  const missing = {};
+  const flagged = {};
+  QUALITY_FIELDS.forEach(field => {
+    missing[field] = 0;
+    flagged[field] = 0;
+  });
+  observations.forEach(obs => {
+    obs.missing.forEach(field => {
+      missing[field] = (missing[field] || 0) + 1;
+    });
+    obs.flagged.forEach(field => {
+      flagged[field] = (flagged[field] || 0) + 1;
+    });
+  });
+
+  const stations = Array.from(new Set(observations.map(obs => obs.station)));
+  const spacings = {};
+  const byStation = {};
+  observations.forEach(obs => {
+    (byStation[obs.station] = byStation[obs.station] || []).push(observationTimeMs(obs.time));
+  });
+  Object.values(byStation).forEach(times => {
+    for (let i = 1; i < times.length; i++) {
+      const hours = (times[i] - times[i - 1]) / HOUR_MS_OBSERVATIONS;
+      spacings[hours] = (spacings[hours] || 0) + 1;
+    }
+  });
+  const intervalHours = Object.keys(spacings).length > 0 ?
+    Number(Object.keys(spacings).sort((a, b) => spacings[b] - spacings[a] || a - b)[0]) : null;
+
+  const gaps = [];
+  let expected = 0;
+  Object.keys(byStation).forEach(station => {
+    const times = byStation[station];
+    expected += intervalHours ? Math.round((times[times.length - 1] - times[0]) / (intervalHours * HOUR_MS_OBSERVATIONS)) + 1 : times.length;
+    for (let i = 1; i < times.length; i++) {
+      const hours = (times[i] - times[i - 1]) / HOUR_MS_OBSERVATIONS;
+      if (intervalHours && hours > intervalHours) {
+        gaps.push({
+          station,
+          from: new Date(times[i - 1]).toISOString().slice(0, 16),
+          to: new Date(times[i]).toISOString().slice(0, 16),
+          hours
+        });
+      }
+    }
+  });
+
+  return {
+    records: observations.length,
+    rejected,
+    duplicates,
+    stations,
+    start: observations.length > 0 ? observations.map(obs => obs.time).sort()[0] : null,
+    end: observations.length > 0 ? observations.map(obs => obs.time).sort()[observations.length - 1] : null,
+    intervalHours,
+    expected,
+    completeness: expected > 0 ? Math.round(observations.length / expected * 1000) / 10 : 0,
+    missing,
+    flagged,
+    gaps
+  };
+}
+
+function collectObservations(lines, parseLine, firstLineNumber) {
+  const rejected = [];
+  const seen = new Set();
+  const observations = [];
+  let duplicates = 0;
+
+  lines.forEach((line, i) => {
+    if (line.trim() === '') {
+      return;
+    }
+    let obs;
+    try {
+      obs = parseLine(line);
+    } catch (e) {
+      rejected.push({ line: firstLineNumber + i, reason: e.message });
+      return;
+    }
+    const key = `${obs.station}|${obs.time}`;
+    if (seen.has(key)) {
+      duplicates++;
+      return;
+    }
+    seen.add(key);
+    observations.push(obs);
+  });
+
+  observations.sort((a, b) => a.station.localeCompare(b.station) || (a.time < b.time ? -1 : a.time > b.time ? 1 : 0));
+  return { observations, quality: summarizeObservationQuality(observations, rejected, duplicates) };
+}
+
+/**
+ * Parse an fw13 archive
+ * @param {string} text - File contents
+ * @param {object} options - { pressure: station pressure for wet bulb readings (hPa),
+ *   keepFlagged: keep out-of-range values instead of removing them }
+ * @returns {object} { format: 'fw13', observations, quality }
+ */
+function parseFW13(text, options = {}) {
+  const lines = String(text).split(/\r?\n/);
+  return Object.assign({ format: 'fw13' }, collectObservations(lines, line => parseFW13Record(line, options), 1));
+}
+
+/**
+ * Parse an fw21 CSV file
+ * @param {string} text - File contents, header first
+ * @param {object} options - { keepFlagged: keep flagged values instead of removing them }
+ * @returns {object} { format: 'fw21', observations, quality }
+ */
+function parseFW21(text, options = {}) {
+  const lines = String(text).split(/\r?\n/);
+  const headerIndex = lines.findIndex(line => line.trim() !== '');
+  if (headerIndex === -1) {
+    throw new Error('Invalid fw21 file: no header');
+  }
+  const columns = parseFW21Header(lines[headerIndex]);
+  return Object.assign({ format: 'fw21' },
+    collectObservations(lines.slice(headerIndex + 1), line => parseFW21Record(line, columns, options), headerIndex + 2));
+}
+
+/**
+ * Parse an observation file, detecting fw13 or fw21 from its first line
+ * @param {string} text - File contents
+ * @param {object} options - Passed to parseFW13 or parseFW21
+ * @returns {object} { format, observations, quality }
+ */
+function parseWeatherObservations(text, options = {}) {
+  const first = String(text).split(/\r?\n/).find(line => line.trim() !== '');
+  if (!first) {
+    throw new Error('Observation file is empty');
+  }
+  if (first.startsWith('W13')) {
+    return parseFW13(text, options);
+  }
+  if (first.includes(',')) {
+    return parseFW21(text, options);
+  }
+  throw new Error('Unrecognized observation file: expected fw13 records or an fw21 CSV header');
+}
+
+function selectStationObservations(input, station) {
+  const observations = Array.isArray(input) ? input : input && input.observations;
+  if (!Array.isArray(observations)) {
+    throw new Error('Expected parsed observations');
+  }
+  const stations = Array.from(new Set(observations.map(obs => obs.station)));
+  if (station === undefined || station === null) {
+    if (stations.length > 1) {
+      throw new Error(`Observations include ${stations.length} stations; choose one of ${stations.join(', ')}`);
+    }
+    return observations;
+  }
+  if (!stations.includes(String(station))) {
+    throw new Error(`No observations for station ${station}`);
+  }
+  return observations.filter(obs => obs.station === String(station));
+}
+
+/**
+ * runModel weather steps from observations. Each step covers the hours since
+ * the previous observation. An observation without temperature or RH is
+ * skipped and its time and rain fold into the next step (missing: 'skip',
+ * the default), or stops the conversion (missing: 'error').
+ * @param {object|Array} input - Parse result or observations
+ * @param {object} options - { station, missing: 'skip' | 'error', firstStepHours (default 1) }
+ * @returns {Array} [{ time, tempF, rh, hours, precipitation, precipitationDuration?, solarRadiation?,
+ *   windSpeed?, windDirection? }] (20-ft wind, when observed)
+ */
+function toWeatherSteps(input, options = {}) {
+  const { station, missing = 'skip', firstStepHours = 1 } = options;
+  if (missing !== 'skip' && missing !== 'error') {
+    throw new Error(`Unknown missing-data policy: ${missing}`);
+  }
+  const observations = selectStationObservations(input, station);
+  const steps = [];
+  let previous = null;
+  let carriedRain = 0;
+
+  observations.forEach(obs => {
+    const time = observationTimeMs(obs.time);
+    const hours = previous === null ? firstStepHours : (time - previous) / HOUR_MS_OBSERVATIONS;
+    if (obs.tempF === null || obs.rh === null) {
+      if (missing === 'error') {
+        throw new Error(`Observation ${obs.station} ${obs.time} has no ${obs.tempF === null ? 'temperature' : 'relative humidity'}`);
+      }
+      carriedRain += obs.precipitation || 0;
+      return;
+    }
+    const step = {
+      time: obs.time,
+      tempF: obs.tempF,
+      rh: obs.rh,
+      hours,
+      precipitation: Math.round((carriedRain + (obs.precipitation || 0)) * 1000) / 1000
+    };
+    if (typeof obs.precipitationDuration === 'number' && step.precipitation > 0) {
+      step.precipitationDuration = Math.min(hours, obs.precipitationDuration);
+    }
+    if (typeof obs.solarRadiation === 'number') {
+      step.solarRadiation = obs.solarRadiation;
+    }
+    if (typeof obs.windSpeed === 'number') {
+      step.windSpeed = obs.windSpeed;
+      step.windDirection = obs.windDirection;
+    }
+    steps.push(step);
+    previous = time;
+    carriedRain = 0;
+  });
+
+  return steps;
+}
+
+/**
+ * Daily observations for NFDRS from an observation series. Hourly data is
+ * reduced to the observation at `hour` with the 24-hour extremes and rain
+ * total ending then; daily fw13 records are used as they are.
+ * @param {object|Array} input - Parse result or observations
+ * @param {object} options - { station, hour: local observation hour (default 13) }
+ * @returns {object} { days: [{ date, tempF, rh, windSpeed, maxTempF, minTempF, maxRH,
+ *   minRH, precipitation, precipitationDuration, stateOfWeather? }], skipped: [{ date, reason }] }
+ */
+function toDailyObservations(input, options = {}) {
+  const { station, hour = 13 } = options;
+  const observations = selectStationObservations(input, station);
+  const hhmm = `${String(hour).padStart(2, '0')}:00`;
+  const days = [];
+  const skipped = [];
+
+  observations.forEach((obs, index) => {
+    if (obs.time.slice(11) !== hhmm) {
+      return;
+    }
+    const date = obs.time.slice(0, 10);
+    const end = observationTimeMs(obs.time);
+    const period = [];
+    for (let i = index; i >= 0 && end - observationTimeMs(observations[i].time) < 24 * HOUR_MS_OBSERVATIONS; i--) {
+      period.push(observations[i]);
+    }
+    const hourly = period.length > 1;
+    const values = field => period.map(o => o[field]).filter(v => typeof v === 'number');
+    const extreme = (own, field, fn) => typeof obs[own] === 'number' ? obs[own] :
+      (values(field).length > 0 ? fn(...values(field)) : null);
+
+    const day = {
+      date,
+      tempF: obs.tempF,
+      rh: obs.rh,
+      windSpeed: obs.windSpeed,
+      maxTempF: extreme('maxTempF', 'tempF', Math.max),
+      minTempF: extreme('minTempF', 'tempF', Math.min),
+      maxRH: extreme('maxRH', 'rh', Math.max),
+      minRH: extreme('minRH', 'rh', Math.min),
+      precipitation: Math.round(values('precipitation').reduce((sum, v) => sum + v, 0) * 1000) / 1000,
+      precipitationDuration: hourly ? period.filter(o => o.precipitation > 0).length :
+        (typeof obs.precipitationDuration === 'number' ? obs.precipitationDuration : undefined)
+    };
+    if (typeof obs.stateOfWeather === 'number') {
+      day.stateOfWeather = obs.stateOfWeather;
+    }
+    if (day.precipitationDuration === undefined) {
+      delete day.precipitationDuration;
+    }
+
+    const absent = ['tempF', 'rh', 'windSpeed', 'maxTempF', 'minTempF', 'maxRH', 'minRH'].filter(field => day[field] === null);
+    if (absent.length > 0) {
+      skipped.push({ date, reason: `missing ${absent.join(', ')}` });
+    } else {
+      days.push(day);
+    }
+  });
+
+  return { days, skipped };
+}
+
+/**
+ * Replay observations through runModel and predictFireBehavior. RAWS winds
+ * are 20-ft winds; measured 10-h fuel moisture is used when reported.
+ * @param {object|Array} input - Parse result or observations
+ * @param {object} options - { station, missing, initialMoisture: 1-h % (default EMC of the
+ *   first observation), moistureModel, plus predictFireBehavior inputs: fuelModel, slope,
+ *   aspect, liveHerb, liveStem, canopyCover, canopyHeight, crownRatio }
+ * @returns {Array} [{ time, tempF, rh, windSpeed, windHeight: '20ft', windDirection, precipitation,
+ *   moisture, emc, canSpread, ros: ch/h, flameLength: ft, firelineIntensity: BTU/ft/s }]
+ */
+function replayObservations(input, options = {}) {
+  const { station, missing = 'skip', initialMoisture = null, moistureModel = null,
+    fuelModel = '2', slope = 0, aspect = null, liveHerb, liveStem,
+    canopyCover = 0, canopyHeight = 0, crownRatio = 0 } = options;
+  const observations = selectStationObservations(input, station);
+  const steps = toWeatherSteps(observations, { missing });
+  if (steps.length === 0) {
+    throw new Error('No observations with temperature and relative humidity');
+  }
+
+  const moistureLib = getObservationModule(FuelMoistureForObservations, 'FuelMoistureIntegration');
+  const behaviorLib = getObservationModule(FireBehaviorForObservations, 'FireBehavior');
+  const startMoisture = initialMoisture !== null ? initialMoisture :
+    moistureLib.computeModelEMC(steps[0].tempF, steps[0].rh, moistureModel);
+  const moisture = moistureLib.runModel(startMoisture, steps, 1, { moistureModel });
+  const byTime = new Map(observations.map(obs => [obs.time, obs]));
+
+  return steps.map((step, i) => {
+    const obs = byTime.get(step.time);
+    const fuelMoisture = moisture[i + 1].moisture;
+    const row = {
+      time: step.time,
+      tempF: step.tempF,
+      rh: step.rh,
+      windSpeed: obs.windSpeed,
+      windHeight: '20ft',
+      windDirection: obs.windDirection,
+      precipitation: step.precipitation,
+      moisture: fuelMoisture,
+      emc: moisture[i + 1].emc,
+      canSpread: false,
+      ros: null,
+      flameLength: null,
+      firelineIntensity: null
+    };
+    if (obs.windSpeed === null) {
+      return row;
+    }
+
+    const behavior = behaviorLib.predictFireBehavior({
+      windSpeed: obs.windSpeed,
+      windHeight: '20ft',
+      windDirection: obs.windDirection,
+      fuelMoisture,
+      moistures: { dead1h: fuelMoisture, dead10h: obs.fuelMoisture10h === null ? undefined : obs.fuelMoisture10h, liveHerb, liveStem },
+      fuelModel,
+      slope,
+      aspect,
+      temp: step.tempF,
+      rh: step.rh,
+      canopyCover,
+      canopyHeight,
+      crownRatio
+    });
+    if (behavior.error) {
+      throw new Error(behavior.error);
+    }
+    return Object.assign(row, {
+      canSpread: behavior.canSpread,
+      ros: behavior.canSpread ? behavior.rateOfSpread.chainsPerHour : 0,
+      flameLength: behavior.canSpread ? behavior.flameLength.feet : 0,
+      firelineIntensity: behavior.canSpread ? behavior.firelineIntensity : 0
+    });
+  });
+}
+
+/**
+ * Daily peaks of a replay
+ * @param {Array} rows - From replayObservations
+ * @returns {Array} [{ date, minMoisture, maxRos, maxFlameLength, maxIntensity, hours }]
+ */
+function summarizeReplayByDay(rows) {
+  const days = new Map();
+  rows.forEach(row => {
+    const date = row.time.slice(0, 10);
+    const day = days.get(date) || { date, minMoisture: Infinity, maxRos: 0, maxFlameLength: 0, maxIntensity: 0, hours: 0 };
+    day.minMoisture = Math.min(day.minMoisture, row.moisture);
+    day.maxRos = Math.max(day.maxRos, row.ros || 0);
+    day.maxFlameLength = Math.max(day.maxFlameLength, row.flameLength || 0);
+    day.maxIntensity = Math.max(day.maxIntensity, row.firelineIntensity || 0);
+    day.hours++;
+    days.set(date, day);
+  });
+  return Array.from(days.values());
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    FW13_FIELDS,
+    OBSERVATION_RANGES,
+    relativeHumidityFromReading,
+    parseFW13Record,
+    parseFW21Header,
+    parseFW21Record,
+    parseFW13,
+    parseFW21,
+    parseWeatherObservations,
+    summarizeObservationQuality,
+    toWeatherSteps,
+    toDailyObservations,
+    replayObservations,
+    summarizeReplayByDay
+  };
+}
+
+// Make available in browser
+if (typeof window !== 'undefined') {
+  window.WeatherObservations = {
+    FW13_FIELDS,
+    OBSERVATION_RANGES,
+    relativeHumidityFromReading,
+    parseFW13Record,
+    parseFW21Header,
+    parseFW21Record,
+    parseFW13,
+    parseFW21,
+    parseWeatherObservations,
+    summarizeObservationQuality,
+    toWeatherSteps,
+    toDailyObservations,
+    replayObservations,
+    summarizeReplayByDay
+  };
+}